@@ -0,0 +1,128 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Console\Commands;
+
+use Illuminate\Console\Command;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Routing\Route;
+use Illuminate\Routing\Router;
+use Illuminate\Support\Facades\File;
+use ReflectionNamedType;
+
+class ApiRoutesDumpCommand extends Command
+{
+    /**
+     * The name and signature of the console command.
+     *
+     * @var string
+     */
+    protected $signature = 'api:routes-dump
+                            {--prefix=api : Only dump routes whose URI starts with this prefix}
+                            {--output= : Write the JSON to this file instead of the console}';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Dump the API routes with their middleware and form request rules as JSON (input of make-tools/openapi.cjs)';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(Router $router): int
+    {
+        $prefix = trim((string) $this->option('prefix'), '/');
+
+        $routes = collect($router->getRoutes()->getRoutes())
+            ->filter(fn (Route $route) => $prefix === '' || $route->uri() === $prefix || str_starts_with($route->uri(), $prefix.'/'))
+            ->map(fn (Route $route) => $this->describeRoute($route))
+            ->values()
+            ->all();
+
+        $json = json_encode([
+            'description' => 'Generated by `php artisan api:routes-dump --output=docs/api/routes.json`; make-tools/openapi.cjs builds docs/api/openapi.json from it.',
+            'prefix' => $prefix,
+            'routes' => $routes,
+        ], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_THROW_ON_ERROR)."\n";
+
+        $output = $this->option('output');
+
+        if (! empty($output)) {
+            File::put($output, $json);
+            $this->info('Wrote '.count($routes)." routes to {$output}");
+
+            return 0;
+        }
+
+        $this->output->write($json);
+
+        return 0;
+    }
+
+    /**
+     * Describe one route: methods, URI, action, middleware and its form request.
+     *
+     * @return array<string, mixed>
+     */
+    private function describeRoute(Route $route): array
+    {
+        return [
+            'methods' => array_values(array_diff($route->methods(), ['HEAD'])),
+            'uri' => $route->uri(),
+            'action' => $route->getActionName(),
+            'parameters' => $route->parameterNames(),
+            'middleware' => array_values($route->gatherMiddleware()),
+            'request' => $this->describeFormRequest($route),
+        ];
+    }
+
+    /**
+     * The form request the route's action validates with, if any.
+     *
+     * The request is instantiated outside the container so that resolving it
+     * does not trigger its validation.
+     *
+     * @return array<string, mixed>|null
+     */
+    private function describeFormRequest(Route $route): ?array
+    {
+        foreach ($route->signatureParameters(['subClass' => FormRequest::class]) as $parameter) {
+            $type = $parameter->getType();
+
+            if (! $type instanceof ReflectionNamedType) {
+                continue;
+            }
+
+            /** @var class-string<FormRequest> $class */
+            $class = $type->getName();
+            $request = new $class();
+
+            return [
+                'class' => $class,
+                'rules' => $this->normaliseRules($request->rules()),
+                'messages' => method_exists($request, 'messages') ? $request->messages() : [],
+            ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Rules as lists of strings, whether declared as "a|b" or as arrays with rule objects.
+     *
+     * @param  array<string, mixed>  $rules
+     * @return array<string, list<string>>
+     */
+    private function normaliseRules(array $rules): array
+    {
+        return collect($rules)
+            ->map(fn ($fieldRules) => collect(is_string($fieldRules) ? explode('|', $fieldRules) : $fieldRules)
+                ->map(fn ($rule) => is_string($rule) ? $rule : (method_exists($rule, '__toString') ? (string) $rule : class_basename($rule)))
+                ->values()
+                ->all())
+            ->all();
+    }
+}
@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Console\Commands;
+
+use App\Enums\TaskStatus;
+use App\Models\AdScriptTask;
+use Illuminate\Console\Command;
+
+class CallbackProbeTaskCommand extends Command
+{
+    /**
+     * Reference script that marks probe tasks.
+     */
+    public const PROBE_SCRIPT = 'Callback signature probe: used by the secret rotation check, never processed.';
+
+    /**
+     * The name and signature of the console command.
+     *
+     * @var string
+     */
+    protected $signature = 'n8n:probe-task
+                            {--delete= : Delete this probe task instead of creating one}';
+
+    /**
+     * The console command description.
+     *
+     * @var string
+     */
+    protected $description = 'Create a task for signed-callback checks (already final, never dispatched) and print its id, or delete it';
+
+    /**
+     * Execute the console command.
+     *
+     * The task is written directly instead of through AdScriptTaskService, so
+     * no TriggerN8nWorkflow job is queued and no AI call is made. It is
+     * created as failed, so no callback can move it to another state.
+     * make-tools/n8n-credentials.cjs rotate deletes it after the round trip;
+     * probes left behind by an interrupted run are removed on the next one.
+     */
+    public function handle(): int
+    {
+        $delete = $this->option('delete');
+
+        if (! empty($delete)) {
+            $deleted = AdScriptTask::where('id', $delete)
+                ->where('reference_script', self::PROBE_SCRIPT)
+                ->delete();
+
+            if ($deleted === 0) {
+                $this->error("No probe task {$delete}");
+
+                return 1;
+            }
+
+            return 0;
+        }
+
+        AdScriptTask::where('reference_script', self::PROBE_SCRIPT)->delete();
+
+        $task = AdScriptTask::create([
+            'reference_script' => self::PROBE_SCRIPT,
+            'outcome_description' => 'Lets make-tools/n8n-credentials.cjs rotate check callback signatures without creating real tasks.',
+            'status' => TaskStatus::FAILED,
+            'error_details' => 'Probe task for callback signature checks',
+        ]);
+
+        $this->line($task->id);
+
+        return 0;
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Models\AdScriptTask;
+use App\Traits\HandlesApiErrors;
+use Illuminate\Http\JsonResponse;
+
+class ShowAdScriptTaskController extends Controller
+{
+    use HandlesApiErrors;
+
+    /**
+     * Return the current status of an ad script task.
+     *
+     * Clients poll this after submitting a task until is_final is true. The
+     * route is unauthenticated, so it only exposes status fields, never the
+     * generated script, its analysis or error details.
+     */
+    public function __invoke(AdScriptTask $task): JsonResponse
+    {
+        return $this->successResponse([
+            'id' => $task->id,
+            'status' => $task->status->value,
+            'is_final' => $task->isFinal(),
+            'created_at' => $task->created_at?->toISOString(),
+            'updated_at' => $task->updated_at?->toISOString(),
+        ], 'Ad script task retrieved');
+    }
+}
@@ -5,10 +5,26 @@
 use Closure;
 use Illuminate\Http\Request;
 use Illuminate\Http\Response;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Cache;
 use Symfony\Component\HttpFoundation\Response as SymfonyResponse;
 
+/**
+ * Verifies the HMAC signature n8n sends with its callbacks.
+ *
+ * v2 signatures ("v2=" + HMAC of "<timestamp>.<nonce>.<body>") are only
+ * accepted within the tolerance window and each nonce only once, so a
+ * captured callback cannot be replayed. v1 signatures ("sha256=" + HMAC of
+ * the body) are accepted while callback_accept_v1_signatures is enabled.
+ * The scheme is shared with n8n/lib/signature.cjs and tested against
+ * tests/fixtures/webhook-signatures.json.
+ */
 class VerifyWebhookSignature
 {
+    private const V2_PREFIX = 'v2=';
+
+    private const NONCE_CACHE_PREFIX = 'n8n-callback-nonce:';
+
     /**
      * Handle an incoming request.
      *
@@ -31,29 +47,136 @@ public function handle(Request $request, Closure $next): SymfonyResponse
 
         $signature = $request->header('X-N8N-Signature');
 
-        if (empty($signature)) {
+        if (empty($signature) || ! is_string($signature)) {
             return response()->json([
                 'error' => 'Missing webhook signature',
             ], Response::HTTP_UNAUTHORIZED);
         }
 
         $payload = $request->getContent();
-        $expectedSignature = 'sha256=' . hash_hmac('sha256', $payload, $secret);
-
-        if (! hash_equals($expectedSignature, $signature)) {
-            // For debugging purposes in development, log the expected vs actual signature
-            if (app()->environment('local', 'development', 'testing')) {
-                logger()->debug('Webhook signature mismatch', [
-                    'expected' => $expectedSignature,
-                    'received' => $signature,
-                ]);
-            }
 
+        $error = str_starts_with($signature, self::V2_PREFIX)
+            ? $this->checkV2($request, $payload, $signature, $secret)
+            : $this->checkV1($payload, $signature, $secret);
+
+        if ($error !== null) {
             return response()->json([
-                'error' => 'Invalid webhook signature',
+                'error' => $error,
             ], Response::HTTP_UNAUTHORIZED);
         }
 
         return $next($request);
     }
+
+    /**
+     * Check a "sha256=" signature over the body alone.
+     */
+    private function checkV1(string $payload, string $signature, string $secret): ?string
+    {
+        if (! config('services.n8n.callback_accept_v1_signatures', true)) {
+            return 'Webhook signature v1 is no longer accepted';
+        }
+
+        $sign = fn (string $key): string => 'sha256=' . hash_hmac('sha256', $payload, $key);
+
+        return $this->matchesSecrets($sign, $signature, $secret) ? null : 'Invalid webhook signature';
+    }
+
+    /**
+     * Check a "v2=" signature over the timestamp, the nonce and the body.
+     *
+     * The nonce is remembered for twice the tolerance, which covers every
+     * moment at which its timestamp could still be accepted.
+     */
+    private function checkV2(Request $request, string $payload, string $signature, string $secret): ?string
+    {
+        $timestamp = (string) $request->header('X-N8N-Timestamp', '');
+        $nonce = (string) $request->header('X-N8N-Nonce', '');
+        $tolerance = (int) config('services.n8n.callback_signature_tolerance', 300);
+
+        if ($timestamp === '') {
+            return 'Missing webhook timestamp';
+        }
+
+        if (! ctype_digit($timestamp) || abs(now()->getTimestamp() - (int) $timestamp) > $tolerance) {
+            return 'Webhook timestamp outside the tolerance window';
+        }
+
+        // A "." in the nonce could shift the separators of the signed string
+        if (preg_match('/^[A-Za-z0-9_-]{0,128}$/', $nonce) !== 1) {
+            return 'Invalid webhook signature';
+        }
+
+        $sign = fn (string $key): string => self::V2_PREFIX . hash_hmac('sha256', $timestamp . '.' . $nonce . '.' . $payload, $key);
+
+        if (! $this->matchesSecrets($sign, $signature, $secret)) {
+            return 'Invalid webhook signature';
+        }
+
+        if ($nonce !== '' && ! Cache::add(self::NONCE_CACHE_PREFIX . $nonce, true, now()->addSeconds(2 * $tolerance))) {
+            return 'Webhook nonce already used';
+        }
+
+        return null;
+    }
+
+    /**
+     * Compare the signature with the one each accepted secret produces.
+     *
+     * @param  \Closure(string): string  $sign
+     */
+    private function matchesSecrets(Closure $sign, string $signature, string $secret): bool
+    {
+        $expectedSignature = $sign($secret);
+
+        if (hash_equals($expectedSignature, $signature) || $this->matchesPreviousSecret($sign, $signature)) {
+            return true;
+        }
+
+        // For debugging purposes in development, log the expected vs actual signature
+        if (app()->environment('local', 'development', 'testing')) {
+            logger()->debug('Webhook signature mismatch', [
+                'expected' => $expectedSignature,
+                'received' => $signature,
+            ]);
+        }
+
+        return false;
+    }
+
+    /**
+     * Check the signature against the secret replaced by the last rotation.
+     *
+     * The previous secret is only honoured while its grace window is open, so
+     * callbacks already signed with it keep working during a rotation.
+     *
+     * @param  \Closure(string): string  $sign
+     */
+    private function matchesPreviousSecret(Closure $sign, string $signature): bool
+    {
+        $previousSecret = config('services.n8n.callback_hmac_previous_secret');
+        $expiresAt = config('services.n8n.callback_hmac_previous_secret_expires_at');
+
+        if (empty($previousSecret) || ! is_string($previousSecret) || empty($expiresAt)) {
+            return false;
+        }
+
+        try {
+            if (Carbon::parse($expiresAt)->isPast()) {
+                return false;
+            }
+        } catch (\Exception $e) {
+            return false;
+        }
+
+        if (! hash_equals($sign($previousSecret), $signature)) {
+            return false;
+        }
+
+        logger()->info('Webhook signed with the previous HMAC secret during its grace window', [
+            'expires_at' => $expiresAt,
+        ]);
+
+        return true;
+    }
 }
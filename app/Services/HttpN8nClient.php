@@ -13,6 +13,7 @@
 use GuzzleHttp\Exception\ConnectException;
 use GuzzleHttp\Exception\RequestException;
 use GuzzleHttp\Exception\TransferException;
+use Illuminate\Support\Carbon;
 use Illuminate\Support\Facades\Log;
 
 /**
@@ -103,6 +104,7 @@ public function triggerWorkflow(N8nWebhookPayload|AdScriptTask $payload): array
         ]);
 
         $headers = $this->buildHeaders();
+        $previousHeaders = $this->buildPreviousHeaders();
         $body = $payload->toArray();
         $lastException = null;
 
@@ -235,6 +237,18 @@ public function triggerWorkflow(N8nWebhookPayload|AdScriptTask $payload): array
                     $statusCode = $e->getResponse()->getStatusCode();
                     $responseBody = $e->getResponse()->getBody()->getContents();
                     $lastException = N8nClientException::httpError($statusCode, $responseBody);
+
+                    // n8n still holds the header value from before a rotation: retry with it at once
+                    if (in_array($statusCode, [401, 403], true) && $previousHeaders !== null && $headers !== $previousHeaders) {
+                        Log::info('n8n rejected the trigger auth header, retrying with the previous value during its grace window', [
+                            'task_id' => $payload->taskId,
+                            'expires_at' => config('services.n8n.auth_header_previous_value_expires_at'),
+                        ]);
+                        $headers = $previousHeaders;
+                        $attempt--;
+
+                        continue;
+                    }
                 } else {
                     $lastException = N8nClientException::timeout($this->webhookUrl);
                 }
@@ -356,6 +370,29 @@ private function buildHeaders(): array
         return $headers;
     }
 
+    /**
+     * Headers with the auth value replaced by the last rotation, while its grace window is open.
+     */
+    private function buildPreviousHeaders(): ?array
+    {
+        $previousValue = config('services.n8n.auth_header_previous_value');
+        $expiresAt = config('services.n8n.auth_header_previous_value_expires_at');
+
+        if (empty($previousValue) || ! is_string($previousValue) || empty($expiresAt) || ! $this->authHeaderKey) {
+            return null;
+        }
+
+        try {
+            if (Carbon::parse($expiresAt)->isPast()) {
+                return null;
+            }
+        } catch (\Exception $e) {
+            return null;
+        }
+
+        return array_merge($this->buildHeaders(), [$this->authHeaderKey => $previousValue]);
+    }
+
     /**
      * Log retry attempt information.
      */
@@ -37,9 +37,23 @@
         'auth_header_key' => env('N8N_AUTH_HEADER_KEY', 'X-Laravel-Trigger-Auth'),
         'auth_header_value' => env('N8N_AUTH_HEADER_VALUE'),
 
+        // Header value replaced by the last rotation, retried on a 401/403 until the grace window ends
+        'auth_header_previous_value' => env('N8N_AUTH_HEADER_PREVIOUS_VALUE'),
+        'auth_header_previous_value_expires_at' => env('N8N_AUTH_HEADER_PREVIOUS_VALUE_EXPIRES_AT'),
+
         // For Laravel to verify HMAC signatures from n8n callbacks
         'callback_hmac_secret' => env('N8N_CALLBACK_HMAC_SECRET'),
 
+        // Secret replaced by the last rotation, still accepted until the grace window ends
+        'callback_hmac_previous_secret' => env('N8N_CALLBACK_HMAC_PREVIOUS_SECRET'),
+        'callback_hmac_previous_secret_expires_at' => env('N8N_CALLBACK_HMAC_PREVIOUS_SECRET_EXPIRES_AT'),
+
+        // Seconds a v2 signature's X-N8N-Timestamp may differ from the server clock
+        'callback_signature_tolerance' => (int) env('N8N_CALLBACK_SIGNATURE_TOLERANCE', 300),
+
+        // Accept v1 signatures (body only, replayable) until every sender signs v2
+        'callback_accept_v1_signatures' => env('N8N_CALLBACK_ACCEPT_V1_SIGNATURES', true),
+
         // For development and testing, allows bypassing signature verification
         'disable_auth' => env('N8N_DISABLE_AUTH', false),
 
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * AI Result Schema CLI
+ *
+ * Keeps everything that depends on n8n/validation/ai-result.schema.json in
+ * line with it:
+ *
+ *   - the Process AI JSON node in the workflow embeds a validator generated
+ *     from the schema
+ *   - the "n8n Callback - Success" bodies in the Postman collection use the
+ *     schema's example (the request source in postman/src takes its body from
+ *     the schema, so `sync` rebuilds the collection)
+ *
+ * Usage:
+ *   node make-tools/ai-result-schema.cjs <command> [options]
+ *
+ * Commands:
+ *   check            Exit 1 when the workflow or the collection is out of date
+ *   sync             Regenerate the Process AI JSON code and rebuild the collection
+ *   validate <file>  Validate an AI reply (JSON text; - for stdin) against the schema
+ *
+ * Options:
+ *   --schema <path>      Schema (default: n8n/validation/ai-result.schema.json)
+ *   --file <path>        Workflow JSON (default: n8n/workflows/ad-script-workflow.json)
+ *   --collection <path>  Postman collection (default: postman/Ad_Script_Refactor_API.postman_collection.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const aiResult = require('../n8n/lib/ai-result.cjs');
+const { DEFAULT_COLLECTION_FILE, writeCollection } = require('../n8n/lib/postman-collection.cjs');
+const { DEFAULT_WORKFLOW_FILE, loadWorkflow } = require('../n8n/lib/workflow-file.cjs');
+
+const USAGE = 'Usage: node make-tools/ai-result-schema.cjs <check|sync|validate <file>> [--schema <path>] [--file <path>] [--collection <path>]';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+const commands = {
+    check(schema, values) {
+        const version = aiResult.schemaVersion(schema);
+        const problems = [];
+
+        if (aiResult.syncWorkflow(loadWorkflow(values.file), schema).changed) {
+            problems.push(`"${aiResult.PROCESS_NODE}" in ${path.relative(process.cwd(), values.file)} was not generated from schema v${version}`);
+        }
+        for (const problem of aiResult.checkCollection(readJson(values.collection), schema)) {
+            problems.push(`${path.relative(process.cwd(), values.collection)}: ${problem}`);
+        }
+
+        if (problems.length > 0) {
+            problems.forEach(problem => console.log(`❌ ${problem}`));
+            console.log('\nRun `node make-tools/ai-result-schema.cjs sync` to regenerate them from the schema');
+            return 1;
+        }
+
+        console.log(`✅ Workflow and Postman callback fixtures match AI result schema v${version}`);
+        return 0;
+    },
+
+    sync(schema, values) {
+        const workflow = aiResult.syncWorkflow(loadWorkflow(values.file), schema);
+        if (workflow.changed) {
+            writeJson(values.file, workflow.workflow);
+            console.log(`✏️  Regenerated "${aiResult.PROCESS_NODE}" in ${path.relative(process.cwd(), values.file)}`);
+        }
+
+        const collection = writeCollection(values.collection);
+        if (collection.changed) {
+            console.log(`✏️  Rebuilt ${path.relative(process.cwd(), values.collection)} from postman/src`);
+        }
+
+        if (!workflow.changed && !collection.changed) {
+            console.log('✅ Already in sync');
+        }
+        return 0;
+    },
+
+    validate(schema, values, [file]) {
+        if (!file) {
+            throw new Error('validate needs a file (or - for stdin)');
+        }
+
+        const text = fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8');
+        const { valid, errors } = aiResult.parseAiResult(text, schema);
+
+        if (valid) {
+            console.log(`✅ Valid AI result (schema v${aiResult.schemaVersion(schema)})`);
+            return 0;
+        }
+
+        errors.forEach(error => console.log(`❌ ${error}`));
+        return 1;
+    },
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            schema: { type: 'string', default: aiResult.AI_RESULT_SCHEMA_FILE },
+            file: { type: 'string', default: DEFAULT_WORKFLOW_FILE },
+            collection: { type: 'string', default: DEFAULT_COLLECTION_FILE },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    values.file = path.resolve(values.file);
+    values.collection = path.resolve(values.collection);
+
+    return commands[command](aiResult.loadAiResultSchema(path.resolve(values.schema)), values, args);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
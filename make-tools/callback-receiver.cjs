@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Callback Receiver CLI
+ *
+ * Runs the stand-in for Laravel's /api/ad-scripts/{task}/result route from
+ * n8n/lib/callback-receiver.cjs. The HMAC secrets, the signature tolerance
+ * (N8N_CALLBACK_SIGNATURE_TOLERANCE) and N8N_CALLBACK_ACCEPT_V1_SIGNATURES
+ * come from the environment, falling back to the project .env, so signatures
+ * are checked like Laravel would check them.
+ *
+ * Render the workflow with `--profile callback-receiver` (docker compose) to
+ * send its callbacks here instead of to Laravel. With --forward they are
+ * passed on to Laravel as well, which is what the end-to-end run needs.
+ *
+ * Usage:
+ *   node make-tools/callback-receiver.cjs [options]
+ *
+ * Options:
+ *   --port <port>       Port to listen on (env: CALLBACK_RECEIVER_PORT, default: 8010)
+ *   --host <host>       Interface to bind (env: CALLBACK_RECEIVER_HOST, default: 127.0.0.1)
+ *   --dotenv <path>     .env to read when a variable is not set (default: .env)
+ *   --no-auth           Accept unsigned callbacks, like N8N_DISABLE_AUTH=true
+ *   --forward <url>     Pass callbacks on to Laravel at this base URL and answer with its
+ *                       response (env: CALLBACK_RECEIVER_FORWARD_URL)
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { CallbackReceiver, DEFAULT_PORT } = require('../n8n/lib/callback-receiver.cjs');
+const { loadEnvFile } = require('../n8n/lib/env-file.cjs');
+
+const DEFAULT_ENV_FILE = path.join(__dirname, '..', '.env');
+
+const USAGE = 'Usage: node make-tools/callback-receiver.cjs [--port <port>] [--host <host>] [--dotenv <path>] [--no-auth] [--forward <url>]';
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string', default: process.env.CALLBACK_RECEIVER_PORT || String(DEFAULT_PORT) },
+            host: { type: 'string', default: process.env.CALLBACK_RECEIVER_HOST || '127.0.0.1' },
+            dotenv: { type: 'string', default: DEFAULT_ENV_FILE },
+            'no-auth': { type: 'boolean', default: false },
+            forward: { type: 'string', default: process.env.CALLBACK_RECEIVER_FORWARD_URL || '' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const env = { ...loadEnvFile(path.resolve(values.dotenv)) };
+    for (const [key, value] of Object.entries(process.env)) {
+        if (value !== '') {
+            env[key] = value;
+        }
+    }
+
+    const receiver = new CallbackReceiver({
+        secret: env.N8N_CALLBACK_HMAC_SECRET,
+        previousSecret: env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET,
+        previousSecretExpiresAt: env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET_EXPIRES_AT,
+        disableAuth: values['no-auth'] || env.N8N_DISABLE_AUTH === 'true',
+        tolerance: Number(env.N8N_CALLBACK_SIGNATURE_TOLERANCE) || undefined,
+        acceptV1: env.N8N_CALLBACK_ACCEPT_V1_SIGNATURES !== 'false',
+        forwardUrl: values.forward || null,
+        log: line => console.log(`📥 ${line}`),
+    });
+    const baseUrl = await receiver.listen(Number(values.port), values.host);
+
+    console.log(`✅ Callback receiver listening on ${baseUrl}/api/ad-scripts/{task}/result` +
+        (receiver.forwardUrl ? ` (forwarding to ${receiver.forwardUrl})` : receiver.disableAuth ? ' (signatures not checked)' : ''));
+    if (!receiver.forwardUrl && !receiver.disableAuth && !receiver.secret) {
+        console.log('⚠️  N8N_CALLBACK_HMAC_SECRET is not set; every callback will get a 500, as in Laravel');
+    }
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => receiver.close());
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
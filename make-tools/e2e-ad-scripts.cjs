@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end Ad Script Flow
+ *
+ * Submits ad script tasks through Laravel, waits for the n8n callback to move
+ * each one to a final status and prints how long every stage took. Cases live
+ * in n8n/tests/fixtures/e2e-cases.json; with the mock AI each case picks its
+ * scenario, so the run is deterministic and free. The results are read from
+ * the callback receiver, which has to forward to Laravel (see n8n/README.md).
+ *
+ * Usage:
+ *   node make-tools/e2e-ad-scripts.cjs [options]
+ *
+ * Options:
+ *   --app-url <url>         Laravel (env: LARAVEL_URL, default: http://localhost:8000)
+ *   --mock-ai-url <url>     Mock AI server (env: MOCK_AI_URL, default: http://localhost:4010);
+ *                           --no-mock-ai runs against the configured AI, scenarios ignored
+ *   --callback-receiver-url <url>
+ *                           Forwarding callback receiver (env: CALLBACK_RECEIVER_URL,
+ *                           default: http://localhost:8010); --no-callback-receiver only
+ *                           checks final statuses
+ *   --disable-rate-limiting Send X-Disable-Rate-Limiting: true, honoured in local/testing
+ *                           (env: E2E_DISABLE_RATE_LIMITING=true)
+ *   --cases <path>          Case file (default: n8n/tests/fixtures/e2e-cases.json)
+ *   --case <name>           Only run cases whose name contains this (repeatable)
+ *   --timeout <ms>          Per-case timeout (default: 120000)
+ *   --poll-interval <ms>    Status polling interval (default: 1000)
+ *   --concurrency <n>       Cases in flight at once (default: 1)
+ *   --json <path>           Also write the results and stage summary as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { E2eHarness, STAGES, summarizeStages } = require('../n8n/lib/e2e-harness.cjs');
+
+const DEFAULT_CASES = path.join(__dirname, '..', 'n8n', 'tests', 'fixtures', 'e2e-cases.json');
+
+const USAGE = 'Usage: node make-tools/e2e-ad-scripts.cjs [--app-url <url>] [--mock-ai-url <url> | --no-mock-ai] ' +
+    '[--callback-receiver-url <url> | --no-callback-receiver] [--disable-rate-limiting] [--cases <path>] [--case <name>]... [--timeout <ms>] [--poll-interval <ms>] [--concurrency <n>] [--json <path>]';
+
+function formatMs(value) {
+    return value === undefined ? '-' : `${value}ms`;
+}
+
+function printResult(result) {
+    const icon = result.failures.length === 0 ? '✅' : '❌';
+    const stages = STAGES.map(([name]) => `${name} ${formatMs(result.stages[name])}`).join(', ');
+
+    console.log(`${icon} ${result.name} → ${result.status || 'no task'}${result.taskId ? ` (${result.taskId})` : ''}`);
+    console.log(`   ${stages}`);
+    for (const failure of result.failures) {
+        console.log(`   ↳ ${failure}`);
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'app-url': { type: 'string', default: process.env.LARAVEL_URL || 'http://localhost:8000' },
+            'mock-ai-url': { type: 'string', default: process.env.MOCK_AI_URL || 'http://localhost:4010' },
+            'no-mock-ai': { type: 'boolean', default: false },
+            'callback-receiver-url': { type: 'string', default: process.env.CALLBACK_RECEIVER_URL || 'http://localhost:8010' },
+            'no-callback-receiver': { type: 'boolean', default: false },
+            'disable-rate-limiting': { type: 'boolean', default: process.env.E2E_DISABLE_RATE_LIMITING === 'true' },
+            cases: { type: 'string', default: DEFAULT_CASES },
+            case: { type: 'string', multiple: true, default: [] },
+            timeout: { type: 'string', default: '120000' },
+            'poll-interval': { type: 'string', default: '1000' },
+            concurrency: { type: 'string', default: '1' },
+            json: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let { cases } = JSON.parse(fs.readFileSync(path.resolve(values.cases), 'utf8'));
+    if (values.case.length > 0) {
+        cases = cases.filter(testCase => values.case.some(filter => testCase.name.includes(filter)));
+    }
+    if (cases.length === 0) {
+        throw new Error(`no cases match ${values.case.join(', ')}`);
+    }
+
+    const harness = new E2eHarness({
+        appUrl: values['app-url'],
+        mockAiUrl: values['no-mock-ai'] ? null : values['mock-ai-url'],
+        callbackReceiverUrl: values['no-callback-receiver'] ? null : values['callback-receiver-url'],
+        disableRateLimiting: values['disable-rate-limiting'],
+        timeoutMs: Number(values.timeout),
+        pollIntervalMs: Number(values['poll-interval']),
+    });
+
+    const problems = await harness.preflight();
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`❌ ${problem}`));
+        return 1;
+    }
+
+    console.log(`🚀 Running ${cases.length} case(s) against ${harness.appUrl}` +
+        (harness.mockAiUrl ? ` with the mock AI at ${harness.mockAiUrl}` : ' with the configured AI'));
+
+    const results = await harness.runCases(cases, { concurrency: Number(values.concurrency), onResult: printResult });
+    const summary = summarizeStages(results);
+
+    console.log('\n⏱️  Stage latency (min / median / max)');
+    for (const [name] of STAGES) {
+        if (summary[name]) {
+            const { min, median, max, count } = summary[name];
+            console.log(`   ${name.padEnd(12)} ${formatMs(min)} / ${formatMs(median)} / ${formatMs(max)} (${count})`);
+        }
+    }
+
+    if (values.json) {
+        fs.writeFileSync(path.resolve(values.json), `${JSON.stringify({ results, summary }, null, 2)}\n`);
+        console.log(`📝 Results written to ${values.json}`);
+    }
+
+    const failed = results.filter(result => result.failures.length > 0).length;
+    console.log(failed === 0 ? `\n✅ ${results.length} case(s) passed` : `\n❌ ${failed} of ${results.length} case(s) failed`);
+
+    return failed === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
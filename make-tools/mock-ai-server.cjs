@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenAI/OpenRouter Server CLI
+ *
+ * Starts the scripted LLM endpoint from n8n/lib/mock-ai-server.cjs. Point the
+ * openai-credentials base URL at it (OPENROUTER_BASE_URL=http://mock-ai:4010/v1
+ * inside docker compose, http://localhost:4010/v1 from the host) and re-run
+ * `make n8n-credentials`.
+ *
+ * Usage:
+ *   node make-tools/mock-ai-server.cjs [options]
+ *
+ * Options:
+ *   --port <port>        Port to listen on (env: MOCK_AI_PORT, default: 4010)
+ *   --host <host>        Interface to bind (env: MOCK_AI_HOST, default: 127.0.0.1)
+ *   --scenarios <path>   Scenario file (default: n8n/mock-ai/scenarios.json)
+ *   --scenario <name>    Active scenario (env: MOCK_AI_SCENARIO, default: the file's default)
+ *   --list               Print the scenarios and exit
+ */
+
+const { parseArgs } = require('util');
+
+const { DEFAULT_PORT, DEFAULT_SCENARIO_FILE, MockAiServer, loadScenarios } = require('../n8n/lib/mock-ai-server.cjs');
+
+const USAGE = 'Usage: node make-tools/mock-ai-server.cjs [--port <port>] [--host <host>] [--scenarios <path>] [--scenario <name>] [--list]';
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string', default: process.env.MOCK_AI_PORT || String(DEFAULT_PORT) },
+            host: { type: 'string', default: process.env.MOCK_AI_HOST || '127.0.0.1' },
+            scenarios: { type: 'string', default: DEFAULT_SCENARIO_FILE },
+            scenario: { type: 'string', default: process.env.MOCK_AI_SCENARIO },
+            list: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const config = loadScenarios(values.scenarios);
+
+    if (values.list) {
+        for (const [name, scenario] of Object.entries(config.scenarios)) {
+            console.log(`${name === config.default ? '*' : ' '} ${name.padEnd(24)} ${scenario.description || ''}`);
+        }
+        return 0;
+    }
+
+    const server = new MockAiServer({
+        config,
+        scenario: values.scenario,
+        log: line => console.log(`🤖 ${line}`),
+    });
+    const baseUrl = await server.listen(Number(values.port), values.host);
+
+    console.log(`✅ Mock AI listening on ${baseUrl} (scenario: ${server.active})`);
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => server.close());
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * n8n Backup CLI
+ *
+ * Writes timestamped archives of every workflow and credential in n8n to
+ * n8n/backups (mounted into the n8n container at /home/node/.n8n/backups),
+ * keeps the newest N of them and restores a chosen one.
+ *
+ * Usage:
+ *   node make-tools/n8n-backup.cjs <command> [options]
+ *
+ * Commands:
+ *   create               Write a new archive, then prune to --keep
+ *   list                 List archives, oldest first
+ *   prune                Delete all but the newest --keep backups and --keep pre-restore archives
+ *   restore <snapshot>   Restore "latest", an archive name, path or timestamp prefix
+ *
+ * Options:
+ *   --dir <path>       Archive directory (env: N8N_BACKUP_DIR, default: n8n/backups)
+ *   --keep <count>     Archives of each kind to keep (env: N8N_BACKUP_KEEP, default: 10)
+ *   --exec <mode>      "docker" (docker compose exec, default) or "local"
+ *   --service <name>   docker compose service running n8n (default: n8n)
+ *
+ * `restore` saves the current state as a pre-restore archive first
+ * (n8n-pre-restore-<timestamp>); "latest" never picks one of those.
+ *
+ * Archives are encrypted (AES-256-GCM) whenever N8N_BACKUP_PASSPHRASE is set;
+ * the same passphrase is needed to restore them. Credentials inside an archive
+ * stay encrypted with N8N_ENCRYPTION_KEY, so they only restore into an n8n
+ * instance using the same key.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { BackupManager, DEFAULT_BACKUP_DIR, DEFAULT_KEEP } = require('../n8n/lib/backup-manager.cjs');
+const { N8nCli } = require('../n8n/lib/n8n-cli.cjs');
+
+const USAGE = 'Usage: node make-tools/n8n-backup.cjs <create|list|prune|restore <snapshot>> [--dir <path>] [--keep <count>] [--exec docker|local] [--service <name>]';
+
+const commands = {
+    create(manager, options) {
+        manager.create({ keep: options.keep });
+    },
+
+    list(manager) {
+        const archives = manager.list();
+
+        if (archives.length === 0) {
+            console.log(`📋 No backups in ${manager.dir}`);
+            return;
+        }
+
+        console.log(`📋 ${archives.length} backup(s) in ${manager.dir}:`);
+        for (const archive of archives) {
+            const notes = [archive.safety && 'pre-restore', archive.encrypted && 'encrypted'].filter(Boolean);
+            console.log(`   ${archive.name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+        }
+    },
+
+    prune(manager, options) {
+        const pruned = [...manager.prune(options.keep), ...manager.prune(options.keep, { safety: true })];
+        console.log(`✅ Pruned ${pruned.length} archive(s), keeping the newest ${options.keep} of each kind`);
+    },
+
+    restore(manager, options, args) {
+        const [selector] = args;
+        if (!selector) {
+            throw new Error('restore needs a snapshot: "latest", an archive name or a timestamp prefix');
+        }
+
+        manager.restore(selector, { keep: options.keep });
+    },
+};
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            dir: { type: 'string' },
+            keep: { type: 'string' },
+            exec: { type: 'string' },
+            service: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    const keep = Number(values.keep || process.env.N8N_BACKUP_KEEP || DEFAULT_KEEP);
+    if (!Number.isInteger(keep) || keep < 1) {
+        throw new Error(`--keep must be a positive whole number, got "${values.keep || process.env.N8N_BACKUP_KEEP}"`);
+    }
+
+    const manager = new BackupManager({
+        cli: new N8nCli({ exec: values.exec, service: values.service }),
+        dir: path.resolve(values.dir || process.env.N8N_BACKUP_DIR || DEFAULT_BACKUP_DIR),
+        passphrase: process.env.N8N_BACKUP_PASSPHRASE || null,
+    });
+
+    commands[command](manager, { keep }, args);
+
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    main,
+    commands,
+};
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * n8n Credentials CLI
+ *
+ * Builds the workflow's credentials (webhook-auth, openai-credentials) from
+ * environment variables, falling back to the project .env, and imports them
+ * so n8n stores them encrypted with its N8N_ENCRYPTION_KEY. The callback HMAC
+ * secret is not a credential: n8n reads N8N_CALLBACK_HMAC_SECRET from its
+ * environment.
+ *
+ * Usage:
+ *   node make-tools/n8n-credentials.cjs <command> [options]
+ *
+ * Commands:
+ *   plan     Show the credentials that would be imported (secrets masked)
+ *   import   Import the credentials, then verify them
+ *   verify   Check that every credential id the workflow needs exists in n8n
+ *   rotate   Generate new trigger header and HMAC secrets, update the Laravel
+ *            .env and n8n (credential import, container recreate), then
+ *            confirm with a round trip signed by n8n
+ *
+ * Options:
+ *   --env-file <path>  .env to read when a variable is not set (default: .env)
+ *   --via <method>     "cli" (n8n import:credentials, default) or "api" (REST API, needs N8N_API_KEY)
+ *   --file <path>      Workflow whose credential references are verified
+ *   --profile <name>   Verify the references of the workflow rendered for a profile
+ *   --exec <mode>      "docker" (docker compose exec, default) or "local"
+ *   --service <name>   docker compose service running n8n (default: n8n)
+ *   --grace <minutes>  How long `rotate` keeps accepting the old HMAC secret (default: 60, 0 = none)
+ *   --app-url <url>    Laravel base URL for the round trip (env: LARAVEL_URL, default: http://localhost:8000)
+ *   --trigger-url <url>  Workflow webhook for the round trip (env: N8N_WEBHOOK_URL,
+ *                        default: http://localhost:5678/webhook/<the Webhook Trigger's path>)
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { N8nApiClient } = require('../n8n/lib/n8n-api.cjs');
+const { N8nCli } = require('../n8n/lib/n8n-cli.cjs');
+const { CREDENTIAL_DEFINITIONS, buildCredentials, referencedCredentialIds, maskSecret } = require('../n8n/lib/credentials.cjs');
+const { loadEnvFile } = require('../n8n/lib/env-file.cjs');
+const { DEFAULT_WORKFLOW_FILE, loadWorkflow } = require('../n8n/lib/workflow-file.cjs');
+const { loadProfile, renderWorkflow } = require('../n8n/lib/workflow-profile.cjs');
+const { SecretRotator } = require('../n8n/lib/secret-rotation.cjs');
+const { callbackNodeScript } = require('../n8n/lib/signature.cjs');
+
+const DEFAULT_ENV_FILE = path.join(__dirname, '..', '.env');
+const DEFAULT_APP_URL = 'http://localhost:8000';
+const DEFAULT_N8N_URL = 'http://localhost:5678';
+
+const USAGE = 'Usage: node make-tools/n8n-credentials.cjs <plan|import|verify|rotate> [--env-file <path>] [--via cli|api] [--file <path>] [--profile <name>] [--exec docker|local] [--service <name>]';
+
+const commands = {
+    plan(context) {
+        const { credentials, missing } = context.build();
+
+        console.log(`📋 Credentials built from the environment and ${path.relative(process.cwd(), context.envFile) || context.envFile}:`);
+        for (const credential of credentials) {
+            const fields = Object.entries(credential.data)
+                .map(([key, value]) => `${key}=${isSecretField(key) ? maskSecret(value) : value}`)
+                .join(', ');
+            console.log(`   ✅ ${credential.id} (${credential.type}): ${fields}`);
+        }
+        reportMissing(missing);
+
+        return missing.length === 0 ? 0 : 1;
+    },
+
+    async import(context) {
+        const { credentials, missing } = context.build();
+
+        if (missing.length > 0) {
+            reportMissing(missing);
+            throw new Error('Refusing to import an incomplete credential set');
+        }
+
+        if (context.via === 'api') {
+            const api = new N8nApiClient();
+            for (const credential of credentials) {
+                const created = await api.createCredential(credential);
+                console.log(`✅ Created ${credential.type} "${credential.name}" with id ${created.id}`);
+            }
+            console.log('⚠️  The REST API assigns its own ids; update the workflow references or use --via cli to keep stable ids.');
+            return 0;
+        }
+
+        console.log(`🔄 Importing ${credentials.length} credential(s) through n8n import:credentials...`);
+        context.cli().importCredentials(credentials);
+        console.log('✅ Imported; n8n stored them encrypted with N8N_ENCRYPTION_KEY');
+
+        return commands.verify(context);
+    },
+
+    verify(context) {
+        const expected = [...new Set([
+            ...CREDENTIAL_DEFINITIONS.map(definition => definition.id),
+            ...referencedCredentialIds(context.workflow),
+        ])];
+        const existing = new Set(context.cli().exportCredentials().map(credential => String(credential.id)));
+        const missing = expected.filter(id => !existing.has(id));
+
+        for (const id of expected) {
+            console.log(`   ${existing.has(id) ? '✅' : '❌'} ${id}`);
+        }
+
+        if (missing.length > 0) {
+            console.error(`❌ Missing credential(s) in n8n: ${missing.join(', ')}`);
+            return 1;
+        }
+
+        console.log('✅ Every credential the workflow needs exists in n8n');
+        return 0;
+    },
+
+    async rotate(context) {
+        const cli = context.cli();
+        const rotator = new SecretRotator({
+            envFile: context.envFile,
+            cli,
+            appUrl: context.appUrl,
+            triggerUrl: context.triggerUrl,
+            graceMinutes: context.graceMinutes,
+            reloadLaravel: () => reloadLaravel(cli),
+            createProbeTask: () => createProbeTask(cli),
+            deleteProbeTask: id => artisan(cli, ['n8n:probe-task', `--delete=${id}`]),
+            recreateN8n: cli.exec === 'local' ? null : () => cli.execFile('docker', ['compose', 'up', '-d', cli.service]),
+            signWithN8n: cli.exec === 'local' ? null : payload => signWithN8n(cli, payload),
+        });
+
+        const { graceEndsAt } = await rotator.rotate();
+
+        console.log('✅ Secrets rotated and confirmed with a signed round trip');
+        if (graceEndsAt) {
+            console.log(`   The previous HMAC secret and trigger header stay usable until ${graceEndsAt}.`);
+        }
+        console.log('   Postman: pass the new N8N_CALLBACK_HMAC_SECRET as n8n_callback_hmac_secret (--env-var).');
+
+        return 0;
+    },
+};
+
+/**
+ * Run an artisan command where Laravel runs: locally or in its compose service
+ */
+function artisan(cli, args) {
+    if (cli.exec === 'local') {
+        return cli.execFile('php', ['artisan', ...args]);
+    }
+
+    const service = process.env.LARAVEL_COMPOSE_SERVICE || 'app';
+    return cli.execFile('docker', ['compose', 'exec', '-T', service, 'php', 'artisan', ...args]);
+}
+
+/**
+ * Make Laravel re-read its .env: clear the config cache and restart queue workers
+ */
+function reloadLaravel(cli) {
+    artisan(cli, ['config:clear']);
+    artisan(cli, ['queue:restart']);
+}
+
+/**
+ * Id of a new task for the round-trip callbacks (already final, never dispatched)
+ */
+function createProbeTask(cli) {
+    const lines = artisan(cli, ['n8n:probe-task']).trim().split('\n');
+    return lines[lines.length - 1].trim();
+}
+
+/**
+ * Run the workflow's Sign Callback code inside the n8n container, with n8n's environment
+ */
+function signWithN8n(cli, payload) {
+    const output = cli.execFile('docker', ['compose', 'exec', '-T', cli.service, 'node', '-e', callbackNodeScript(), JSON.stringify(payload)]);
+    return JSON.parse(output);
+}
+
+function isSecretField(key) {
+    return ['apiKey', 'value'].includes(key);
+}
+
+/**
+ * Variables set (non-empty) in the environment win over the .env file
+ */
+function mergeEnv(fileEnv, processEnv) {
+    const merged = { ...fileEnv };
+
+    for (const [key, value] of Object.entries(processEnv)) {
+        if (value !== '') {
+            merged[key] = value;
+        }
+    }
+
+    return merged;
+}
+
+function reportMissing(missing) {
+    for (const { id, variables } of missing) {
+        console.error(`   ❌ ${id}: set ${variables.join(', ')}`);
+    }
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'env-file': { type: 'string', default: DEFAULT_ENV_FILE },
+            via: { type: 'string', default: 'cli' },
+            file: { type: 'string', default: DEFAULT_WORKFLOW_FILE },
+            profile: { type: 'string' },
+            exec: { type: 'string' },
+            service: { type: 'string' },
+            grace: { type: 'string', default: '60' },
+            'app-url': { type: 'string' },
+            'trigger-url': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    if (!['cli', 'api'].includes(values.via)) {
+        throw new Error(`Unknown import method: ${values.via} (expected "cli" or "api")`);
+    }
+
+    const graceMinutes = Number(values.grace);
+    if (!Number.isFinite(graceMinutes) || graceMinutes < 0) {
+        throw new Error(`--grace must be a number of minutes, got "${values.grace}"`);
+    }
+
+    const envFile = path.resolve(values['env-file']);
+    const profile = values.profile || process.env.N8N_PROFILE || null;
+    const workflow = loadWorkflow(path.resolve(values.file));
+
+    const rendered = profile ? renderWorkflow(workflow, loadProfile(profile)) : workflow;
+    const trigger = rendered.nodes.find(node => node.type === 'n8n-nodes-base.webhook') || { parameters: {} };
+
+    const context = {
+        envFile,
+        via: values.via,
+        graceMinutes,
+        appUrl: values['app-url'] || process.env.LARAVEL_URL || DEFAULT_APP_URL,
+        triggerUrl: values['trigger-url'] || process.env.N8N_WEBHOOK_URL || `${DEFAULT_N8N_URL}/webhook/${trigger.parameters.path}`,
+        workflow: rendered,
+        build: () => buildCredentials(mergeEnv(loadEnvFile(envFile), process.env)),
+        cli: () => new N8nCli({ exec: values.exec, service: values.service }),
+    };
+
+    return commands[command](context);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+    commands,
+};
@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+
+/**
+ * n8n Workflow Provisioning CLI
+ *
+ * Converges the n8n instance to the committed workflow JSON
+ * (n8n/workflows/ad-script-workflow.json by default). Running `apply` again
+ * against an unchanged workflow is a no-op, so it never creates duplicates.
+ *
+ * Usage:
+ *   node make-tools/n8n-workflow.cjs <command> [options]
+ *
+ * Commands:
+ *   plan         Show what `apply` would change
+ *   apply        Create, update in place or skip the workflow so n8n matches the file
+ *   diff         Print a diff between the live workflow and the file
+ *   drift        Semantic per-node/per-connection diff against n8n; exits 1 on drift
+ *   pull         Write the live workflow back to --file in canonical form
+ *   activate     Activate the workflow
+ *   deactivate   Deactivate the workflow
+ *   list         List every workflow in n8n (id, name, active, tags)
+ *   delete <id>  Delete workflows by id through the n8n REST API
+ *   prune        Delete every workflow sharing the file's name (or --tag) except the one apply updates
+ *   render       Print the workflow rendered for --profile
+ *   profiles     Show how each profile (or just --profile) changes the committed workflow
+ *   connections  Check the connection map: dangling edges, unreachable nodes, ids used as names
+ *   simulate     Run the workflow offline with a stubbed AI reply and callback; no n8n needed
+ *
+ * `delete` and `prune` use the n8n public API and need N8N_API_KEY (and
+ * N8N_API_URL when n8n is not on http://localhost:5678). Only workflows
+ * matching the name/tag filter are ever deleted; active ones are deactivated
+ * first.
+ *
+ * With --profile, every command works on the workflow rendered for that
+ * profile (n8n/profiles/<name>.json: callback URL, webhook path, model,
+ * temperature, max tokens, credentials) instead of the file as committed.
+ *
+ * Options:
+ *   --file <path>      Workflow JSON to provision
+ *   --profile <name>   Render for a profile, by name or path (env: N8N_PROFILE)
+ *   --tag <name>       Also match a live workflow carrying this tag (env: N8N_WORKFLOW_TAG)
+ *   --exec <mode>      "docker" (docker compose exec, default) or "local"
+ *   --service <name>   docker compose service running n8n (default: n8n)
+ *   --json             Print `list` output as JSON
+ *   --name <name>      Name filter for delete/prune (default: the file's workflow name)
+ *   --dry-run          Show what delete/prune would remove without removing it
+ *   --force            Import even when connections reference missing nodes
+ *   --write            With `connections`, write the canonical connection map back to --file
+ *   --body <json>      With `simulate`, the webhook body (JSON, or @file)
+ *   --ai-response <t>  With `simulate`, the AI reply text (or @file; default: a valid result)
+ *   --ai-error <msg>   With `simulate`, make the AI node fail with this message
+ *   --callback-status <code>  With `simulate`, the status the callback receives (default: 200)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { loadAiResultSchema } = require('../n8n/lib/ai-result.cjs');
+const { N8nApiClient } = require('../n8n/lib/n8n-api.cjs');
+const { normalizeConnections, describeDangling } = require('../n8n/lib/connection-map.cjs');
+const { detectDrift, hasDrift, formatDrift, canonicalizeLive } = require('../n8n/lib/workflow-drift.cjs');
+const { N8nCli } = require('../n8n/lib/n8n-cli.cjs');
+const { DEFAULT_WORKFLOW_FILE, comparableWorkflow, loadWorkflow, stableStringify } = require('../n8n/lib/workflow-file.cjs');
+const { listWorkflows } = require('../n8n/lib/workflow-list.cjs');
+const { listProfiles, loadProfile, renderWorkflow } = require('../n8n/lib/workflow-profile.cjs');
+const { unifiedDiff } = require('../n8n/lib/text-diff.cjs');
+const { WorkflowSimulator } = require('../n8n/lib/workflow-simulator.cjs');
+const { WorkflowProvisioner } = require('../n8n/lib/workflow-provisioner.cjs');
+const { WorkflowRemover } = require('../n8n/lib/workflow-remover.cjs');
+
+const USAGE = 'Usage: node make-tools/n8n-workflow.cjs <plan|apply|diff|drift|pull|activate|deactivate|list|delete <id...>|prune|render|profiles|connections|simulate> [--file <path>] [--profile <name>] [--tag <name>] [--name <name>] [--dry-run] [--exec docker|local] [--service <name>]';
+
+const SAMPLE_BODY = {
+    task_id: 'simulated-task',
+    reference_script: "console.log('Hello, world!');",
+    outcome_description: 'Log a friendlier greeting',
+};
+
+const SAMPLE_AI_RESPONSE = JSON.stringify(loadAiResultSchema().examples[0]);
+
+// Sign Callback refuses to run without a secret; the simulated callback needs no real one
+const SAMPLE_HMAC_SECRET = 'simulated-secret';
+
+const OUTCOME_MESSAGES = {
+    create: 'created',
+    update: 'updated in place',
+    skip: 'unchanged, import skipped',
+};
+
+const commands = {
+    plan(provisioner) {
+        const plan = provisioner.plan();
+
+        console.log(`📋 Plan for workflow "${provisioner.workflow.name}" (${provisioner.workflow.id}):`);
+        console.log(`   Outcome: ${plan.outcome}${describeMatch(plan)}`);
+        if (plan.steps.length === 0) {
+            console.log('   No changes needed.');
+        }
+        plan.steps.forEach((step, index) => {
+            console.log(`   ${index + 1}. ${step.action} - ${step.reason}`);
+        });
+    },
+
+    apply(provisioner) {
+        console.log(`🔄 Applying workflow "${provisioner.workflow.name}" (${provisioner.workflow.id})...`);
+        const plan = provisioner.apply();
+        console.log(`✅ Workflow ${plan.targetId} ${OUTCOME_MESSAGES[plan.outcome]}${describeMatch(plan)}`);
+    },
+
+    diff(provisioner) {
+        const diff = provisioner.diff();
+
+        if (diff === '') {
+            console.log('✅ Live workflow matches the committed file');
+            return;
+        }
+
+        console.log(diff);
+    },
+
+    drift(provisioner, options) {
+        const live = provisioner.findLive();
+        if (!live) {
+            throw new Error(`Workflow ${provisioner.workflow.id} does not exist in n8n`);
+        }
+
+        const report = detectDrift(provisioner.workflow, live.workflow);
+
+        if (options.json) {
+            console.log(JSON.stringify({ drift: hasDrift(report), ...report }, null, 2));
+        } else if (hasDrift(report)) {
+            console.log(`❌ n8n:${live.workflow.id} has drifted from the committed workflow (+ only in n8n, - only in the file):`);
+            console.log(formatDrift(report));
+        } else {
+            console.log(`✅ n8n:${live.workflow.id} matches the committed workflow`);
+        }
+
+        return hasDrift(report) ? 1 : 0;
+    },
+
+    pull(provisioner, options) {
+        if (options.profile) {
+            throw new Error('pull writes the committed file; run it without --profile');
+        }
+
+        const live = provisioner.findLive();
+        if (!live) {
+            throw new Error(`Workflow ${provisioner.workflow.id} does not exist in n8n`);
+        }
+
+        const file = path.resolve(options.file);
+        const canonical = canonicalizeLive(live.workflow, provisioner.workflow);
+        const report = detectDrift(provisioner.workflow, canonical);
+
+        fs.writeFileSync(file, `${JSON.stringify(canonical, null, 2)}\n`);
+
+        if (hasDrift(report)) {
+            console.log(formatDrift(report));
+        }
+        console.log(`✅ Wrote n8n:${live.workflow.id} to ${path.relative(process.cwd(), file)}` +
+            (hasDrift(report) ? '' : ' (no semantic changes)'));
+    },
+
+    activate(provisioner) {
+        console.log(`✅ Activated workflow ${provisioner.setActive(true)}`);
+    },
+
+    deactivate(provisioner) {
+        console.log(`✅ Deactivated workflow ${provisioner.setActive(false)}`);
+    },
+
+    list(provisioner, options) {
+        const workflows = listWorkflows(provisioner.cli);
+
+        if (options.json) {
+            console.log(JSON.stringify(workflows, null, 2));
+            return;
+        }
+
+        console.log(`🔍 ${workflows.length} workflow(s) in n8n:`);
+        for (const workflow of workflows) {
+            const active = workflow.active === null ? '?' : (workflow.active ? 'active' : 'inactive');
+            const tags = workflow.tags.length ? ` [${workflow.tags.join(', ')}]` : '';
+            console.log(`   ${workflow.id} | ${workflow.name} | ${active}${tags}`);
+        }
+    },
+
+    async delete(provisioner, options, ids) {
+        if (ids.length === 0) {
+            throw new Error('delete needs at least one workflow id');
+        }
+
+        const removed = await createRemover(provisioner, options).remove(ids);
+        reportRemoved(removed, options);
+    },
+
+    async prune(provisioner, options) {
+        const removed = await createRemover(provisioner, options).prune(provisioner.targetId());
+        reportRemoved(removed, options);
+    },
+
+    render(provisioner, options) {
+        if (!options.profile) {
+            throw new Error('render needs --profile <name>');
+        }
+
+        console.log(JSON.stringify(provisioner.workflow, null, 2));
+    },
+
+    profiles(provisioner, options) {
+        const committed = loadWorkflow(path.resolve(options.file));
+        const names = options.profile ? [options.profile] : listProfiles();
+
+        for (const name of names) {
+            const profile = loadProfile(name);
+            const diff = unifiedDiff(
+                stableStringify(comparableWorkflow(committed)),
+                stableStringify(comparableWorkflow(renderWorkflow(committed, profile))),
+                { fromLabel: `file:${committed.id}`, toLabel: `profile:${profile.name}` },
+            );
+
+            console.log(`📋 Profile ${profile.name}: ${profile.description || ''}`);
+            console.log(diff === '' ? '   Identical to the committed workflow.\n' : `${diff}\n`);
+        }
+    },
+
+    connections(provisioner, options) {
+        const file = path.resolve(options.file);
+        const committed = loadWorkflow(file);
+        const report = normalizeConnections(committed);
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            console.log(`🔍 Connections of "${committed.name}":`);
+            report.resolved.forEach(({ ref, name }) => console.log(`   🔄 node id "${ref}" resolved to "${name}"`));
+            report.dangling.forEach(edge => console.log(`   ❌ dangling: ${describeDangling(edge)}`));
+            report.unreachable.forEach(name => console.log(`   ⚠️  unreachable from any trigger: ${name}`));
+        }
+
+        if (options.write) {
+            fs.writeFileSync(file, `${JSON.stringify({ ...committed, connections: report.connections }, null, 2)}\n`);
+            console.log(`✅ Wrote canonical connections to ${path.relative(process.cwd(), file)}` +
+                (report.dangling.length ? ` (dropped ${report.dangling.length} dangling edge(s))` : ''));
+            return 0;
+        }
+
+        if (report.dangling.length === 0 && report.resolved.length === 0) {
+            if (!options.json) {
+                console.log('✅ Connections are canonical and every edge resolves');
+            }
+            return report.unreachable.length === 0 ? 0 : 1;
+        }
+
+        return 1;
+    },
+
+    async simulate(provisioner, options) {
+        const aiResponse = readOption(options['ai-response']) || SAMPLE_AI_RESPONSE;
+        const simulator = new WorkflowSimulator(provisioner.workflow, {
+            openAi: () => {
+                if (options['ai-error']) {
+                    throw new Error(options['ai-error']);
+                }
+                return aiResponse;
+            },
+            httpRequest: () => ({ status: Number(options['callback-status'] || 200), body: { success: true } }),
+            env: { N8N_CALLBACK_HMAC_SECRET: SAMPLE_HMAC_SECRET, ...process.env },
+        });
+
+        const body = options.body ? JSON.parse(readOption(options.body)) : SAMPLE_BODY;
+        const { runData, ...result } = await simulator.run({ body });
+
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+            return result.error ? 1 : 0;
+        }
+
+        console.log(`🧪 Simulated "${provisioner.workflow.name}":`);
+        console.log(`   Path: ${result.executed.join(' → ')}`);
+        if (result.response) {
+            console.log(`   Response ${result.response.status}${result.response.node ? ` from ${result.response.node}` : ''}: ${JSON.stringify(result.response.body)}`);
+        }
+        result.callbacks.forEach(callback => {
+            const body = typeof callback.body === 'string' ? callback.body : JSON.stringify(callback.body);
+            console.log(`   ${callback.method} ${callback.url} (${callback.response.status}): ${body}`);
+        });
+        if (result.error) {
+            console.log(`   ❌ ${result.error.node}: ${result.error.message}`);
+            if (result.errorExecution) {
+                console.log(`   Error path: ${result.errorExecution.executed.join(' → ')}`);
+            }
+            return 1;
+        }
+
+        return 0;
+    },
+};
+
+/**
+ * Option value, or the contents of the file it names when it starts with "@"
+ */
+function readOption(value) {
+    if (typeof value === 'string' && value.startsWith('@')) {
+        return fs.readFileSync(path.resolve(value.slice(1)), 'utf8');
+    }
+    return value;
+}
+
+function createRemover(provisioner, options) {
+    const filter = {
+        name: options.name || (provisioner.tag ? null : provisioner.workflow.name),
+        tag: provisioner.tag,
+    };
+
+    return new WorkflowRemover({ api: new N8nApiClient(), filter, dryRun: options['dry-run'] });
+}
+
+function reportRemoved(removed, options) {
+    if (removed.length === 0) {
+        console.log('✅ No matching workflows to delete');
+    } else if (options['dry-run']) {
+        console.log(`🔎 Dry run: ${removed.length} workflow(s) would be deleted`);
+    } else {
+        console.log(`✅ Deleted ${removed.length} workflow(s)`);
+    }
+}
+
+function describeMatch(plan) {
+    return plan.matchedBy ? ` (matched by ${plan.matchedBy}: ${plan.targetId})` : '';
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            file: { type: 'string', default: DEFAULT_WORKFLOW_FILE },
+            tag: { type: 'string' },
+            profile: { type: 'string' },
+            exec: { type: 'string' },
+            service: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            name: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            force: { type: 'boolean', default: false },
+            write: { type: 'boolean', default: false },
+            body: { type: 'string' },
+            'ai-response': { type: 'string' },
+            'ai-error': { type: 'string' },
+            'callback-status': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    values.profile = values.profile || process.env.N8N_PROFILE || null;
+
+    const committed = loadWorkflow(path.resolve(values.file));
+
+    const provisioner = new WorkflowProvisioner({
+        cli: new N8nCli({ exec: values.exec, service: values.service }),
+        workflow: values.profile ? renderWorkflow(committed, loadProfile(values.profile)) : committed,
+        tag: values.tag || process.env.N8N_WORKFLOW_TAG || null,
+        force: values.force,
+    });
+
+    const code = await commands[command](provisioner, values, args);
+
+    return code || 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+    commands,
+};
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI CLI
+ *
+ * Generates docs/api/openapi.json from the route and form request dump
+ * docs/api/routes.json (see n8n/lib/openapi.cjs), then rebuilds the Postman
+ * collection, whose "Validation Edge Cases" folder is generated from the
+ * document's request body examples. After changing routes, middleware or
+ * form request rules:
+ *
+ *   php artisan api:routes-dump --output=docs/api/routes.json
+ *   node make-tools/openapi.cjs build
+ *
+ * Usage:
+ *   node make-tools/openapi.cjs <command> [options]
+ *
+ * Commands:
+ *   build   Write the OpenAPI document and rebuild the Postman collection
+ *   check   Exit 1 when the document or the collection is out of date
+ *
+ * Options:
+ *   --routes <path>      Route dump (default: docs/api/routes.json)
+ *   --output <path>      OpenAPI document (default: docs/api/openapi.json)
+ *   --collection <path>  Postman collection (default: postman/Ad_Script_Refactor_API.postman_collection.json)
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const openapi = require('../n8n/lib/openapi.cjs');
+const postman = require('../n8n/lib/postman-collection.cjs');
+
+const USAGE = 'Usage: node make-tools/openapi.cjs <build|check> [--routes <path>] [--output <path>] [--collection <path>]';
+
+const commands = {
+    build(values) {
+        const document = openapi.writeOpenApi(values.output, values.routes);
+        console.log(document.changed
+            ? `✏️  Wrote ${path.relative(process.cwd(), values.output)}`
+            : '✅ OpenAPI document already matches the route dump');
+
+        const collection = postman.writeCollection(values.collection);
+        console.log(collection.changed
+            ? `✏️  Wrote ${path.relative(process.cwd(), values.collection)}`
+            : '✅ Collection already matches its sources');
+        return 0;
+    },
+
+    check(values) {
+        const document = openapi.compareOpenApi(values.output, values.routes);
+        if (document.changed) {
+            console.log(document.diff);
+            console.log(`\n❌ ${path.relative(process.cwd(), values.output)} differs from ${path.relative(process.cwd(), values.routes)}`);
+            console.log('Run `node make-tools/openapi.cjs build`');
+            return 1;
+        }
+
+        const collection = postman.compareCollection(values.collection);
+        if (collection.changed) {
+            console.log(collection.diff);
+            console.log(`\n❌ ${path.relative(process.cwd(), values.collection)} differs from the OpenAPI document or postman/src`);
+            console.log('Run `node make-tools/openapi.cjs build`');
+            return 1;
+        }
+
+        console.log('✅ OpenAPI document and Postman collection match the route dump');
+        return 0;
+    },
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            routes: { type: 'string', default: openapi.DEFAULT_ROUTES_FILE },
+            output: { type: 'string', default: openapi.DEFAULT_OPENAPI_FILE },
+            collection: { type: 'string', default: postman.DEFAULT_COLLECTION_FILE },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    values.routes = path.resolve(values.routes);
+    values.output = path.resolve(values.output);
+    values.collection = path.resolve(values.collection);
+
+    return commands[command](values);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Postman Collection CLI
+ *
+ * Generates postman/Ad_Script_Refactor_API.postman_collection.json from the
+ * per-request source files in postman/src (see n8n/lib/postman-collection.cjs
+ * for the layout). Edit the sources, run `build`, and commit both.
+ *
+ * Usage:
+ *   node make-tools/postman-collection.cjs <command> [options]
+ *
+ * Commands:
+ *   build   Write the collection generated from the sources
+ *   check   Exit 1 when the committed collection differs from the sources
+ *
+ * Options:
+ *   --src <dir>          Source directory (default: postman/src)
+ *   --collection <path>  Collection file (default: postman/Ad_Script_Refactor_API.postman_collection.json)
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const postman = require('../n8n/lib/postman-collection.cjs');
+
+const USAGE = 'Usage: node make-tools/postman-collection.cjs <build|check> [--src <dir>] [--collection <path>]';
+
+const commands = {
+    build(values) {
+        const { changed } = postman.writeCollection(values.collection, values.src);
+        console.log(changed
+            ? `✏️  Wrote ${path.relative(process.cwd(), values.collection)}`
+            : '✅ Collection already matches its sources');
+        return 0;
+    },
+
+    check(values) {
+        const { changed, diff } = postman.compareCollection(values.collection, values.src);
+        if (changed) {
+            console.log(diff);
+            console.log(`\n❌ ${path.relative(process.cwd(), values.collection)} differs from ${path.relative(process.cwd(), values.src)}`);
+            console.log('Edit the sources and run `node make-tools/postman-collection.cjs build`');
+            return 1;
+        }
+
+        console.log('✅ Collection matches its sources');
+        return 0;
+    },
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            src: { type: 'string', default: postman.DEFAULT_SOURCE_DIR },
+            collection: { type: 'string', default: postman.DEFAULT_COLLECTION_FILE },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    values.src = path.resolve(values.src);
+    values.collection = path.resolve(values.collection);
+
+    return commands[command](values);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Regression CLI
+ *
+ * Renders the AI Agent prompt from the committed workflow for the fixture
+ * inputs (n8n/tests/fixtures/prompt-inputs.json). It also replays the recorded
+ * model responses (n8n/tests/fixtures/prompt-responses.json) through Process
+ * AI JSON. Both are compared with the golden files in n8n/tests/snapshots.
+ * `yarn test:js` runs the same check.
+ *
+ * Usage:
+ *   node make-tools/prompt-regression.cjs <command> [options]
+ *
+ * Commands:
+ *   check      Compare with the snapshots; exits 1 on any difference
+ *   update     Rewrite the snapshots after an intentional prompt or parsing change
+ *   render     Print the rendered prompt for every input (or --input)
+ *   replay     Run --text through Process AI JSON and print the result
+ *
+ * Options:
+ *   --file <path>        Workflow JSON (default: n8n/workflows/ad-script-workflow.json)
+ *   --inputs <path>      Fixture inputs (default: n8n/tests/fixtures/prompt-inputs.json)
+ *   --responses <path>   Recorded responses (default: n8n/tests/fixtures/prompt-responses.json)
+ *   --snapshots <dir>    Snapshot directory (default: n8n/tests/snapshots)
+ *   --input <name>       With render/replay, the fixture input to use (default: all / the first)
+ *   --text <text>        With replay, the model reply (or @file)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const harness = require('../n8n/lib/prompt-harness.cjs');
+const { DEFAULT_WORKFLOW_FILE, loadWorkflow } = require('../n8n/lib/workflow-file.cjs');
+
+const USAGE = 'Usage: node make-tools/prompt-regression.cjs <check|update|render|replay> [--file <path>] [--inputs <path>] ' +
+    '[--responses <path>] [--snapshots <dir>] [--input <name>] [--text <text|@file>]';
+
+const STATUS_ICONS = { changed: '✏️ ', missing: '➕', obsolete: '🗑️ ' };
+
+function selectInputs(inputs, name) {
+    if (!name) {
+        return inputs;
+    }
+
+    const selected = inputs.filter(input => input.name === name);
+    if (selected.length === 0) {
+        throw new Error(`No fixture input named "${name}" (have: ${inputs.map(input => input.name).join(', ')})`);
+    }
+
+    return selected;
+}
+
+const commands = {
+    async check(workflow, fixtures, values) {
+        const results = await harness.checkSnapshots(workflow, fixtures, values.snapshots);
+        const differences = results.filter(result => result.status !== 'match');
+
+        for (const result of differences) {
+            console.log(`${STATUS_ICONS[result.status]} ${result.file} (${result.status})`);
+            if (result.diff) {
+                console.log(result.diff.split('\n').map(line => `   ${line}`).join('\n'));
+            }
+        }
+
+        if (differences.length > 0) {
+            console.log(`\n❌ ${differences.length} of ${results.length} snapshot(s) differ from the workflow; ` +
+                'run `node make-tools/prompt-regression.cjs update` if the change is intended');
+            return 1;
+        }
+
+        console.log(`✅ ${results.length} prompt and replay snapshot(s) match the workflow`);
+        return 0;
+    },
+
+    async update(workflow, fixtures, values) {
+        const changed = await harness.updateSnapshots(workflow, fixtures, values.snapshots);
+
+        changed.forEach(result => console.log(`${STATUS_ICONS[result.status]} ${result.file} (${result.status})`));
+        console.log(changed.length === 0 ? '✅ Snapshots already up to date' : `✅ Updated ${changed.length} snapshot(s)`);
+        return 0;
+    },
+
+    async render(workflow, fixtures, values) {
+        const { node } = harness.promptTemplate(workflow);
+
+        for (const input of selectInputs(fixtures.inputs, values.input)) {
+            console.log(`📋 ${input.name} (${node})`);
+            console.log('-'.repeat(60));
+            console.log(await harness.renderPrompt(workflow, input));
+            console.log('');
+        }
+        return 0;
+    },
+
+    async replay(workflow, fixtures, values) {
+        if (values.text === undefined) {
+            throw new Error('replay needs --text <reply> or --text @file');
+        }
+
+        const text = values.text.startsWith('@') ? fs.readFileSync(path.resolve(values.text.slice(1)), 'utf8') : values.text;
+        const [input] = selectInputs(fixtures.inputs, values.input);
+        const output = await harness.replayResponse(workflow, input, text);
+
+        console.log(JSON.stringify(output, null, 2));
+        return output.error ? 1 : 0;
+    },
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            file: { type: 'string', default: DEFAULT_WORKFLOW_FILE },
+            inputs: { type: 'string', default: harness.DEFAULT_INPUTS_FILE },
+            responses: { type: 'string', default: harness.DEFAULT_RESPONSES_FILE },
+            snapshots: { type: 'string', default: harness.DEFAULT_SNAPSHOT_DIR },
+            input: { type: 'string' },
+            text: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    const workflow = loadWorkflow(path.resolve(values.file));
+    const fixtures = harness.loadFixtures({ inputsFile: path.resolve(values.inputs), responsesFile: path.resolve(values.responses) });
+    values.snapshots = path.resolve(values.snapshots);
+
+    return commands[command](workflow, fixtures, values);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
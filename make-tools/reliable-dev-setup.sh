@@ -70,10 +70,9 @@ if docker compose exec -T n8n echo "n8n container is running" > /dev/null 2>&1;
   # Setup n8n environment
   docker compose exec -T n8n bash -c 'mkdir -p /home/node/.n8n && echo "N8N_RUNNERS_ENABLED=true" > /home/node/.n8n/.env' || true
 
-  # Copy and run workflow setup script if container is healthy
+  # Provision the committed workflow if container is healthy
   if docker compose exec -T n8n echo "Testing n8n container health" > /dev/null 2>&1; then
-    docker compose cp make-tools/simple-workflow-setup.js n8n:/home/node/simple-workflow-setup.js || true
-    docker compose exec -T n8n node /home/node/simple-workflow-setup.js || echo "⚠️ n8n workflow setup failed, but continuing with fallback mode..."
+    node make-tools/n8n-workflow.cjs apply || echo "⚠️ n8n workflow setup failed, but continuing with fallback mode..."
   else
     echo "⚠️ n8n container is not healthy. Continuing with fallback mode..."
   fi
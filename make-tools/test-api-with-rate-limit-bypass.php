@@ -178,7 +178,8 @@ function sleepBetweenRequests() {
 echo "4. Rate limiting has been bypassed for tests\n\n";
 
 echo "💡 Postman collection should now work with the updated test scripts.\n";
-echo "   Run 'make api-test-fix' to automatically fix and run the Postman tests.\n\n";
+echo "   Run 'make api-test' (yarn test:api:local) to run the Postman tests, and\n";
+echo "   'make postman-check' to confirm the collection matches postman/src.\n\n";
 
 /**
  * Helper function to make HTTP requests
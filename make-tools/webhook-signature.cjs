@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Signature CLI
+ *
+ * Signs and verifies callback bodies like n8n and VerifyWebhookSignature do,
+ * and keeps the workflow's Sign Callback node generated from
+ * n8n/lib/signature.cjs.
+ *
+ * Usage:
+ *   node make-tools/webhook-signature.cjs <command> [options]
+ *
+ * Commands:
+ *   check          Exit 1 when Sign Callback is out of date or a build fails the test vectors
+ *   sync           Regenerate the Sign Callback node code in the workflow
+ *   sign <file>    Print the v2 signature headers for a body (- for stdin), one "Name: value" per line
+ *   verify <file>  Check --signature (with --timestamp and --nonce for v2) against a body like
+ *                  Laravel does, timestamp window included; exit 1 when rejected
+ *
+ * Options:
+ *   --secret <secret>      HMAC secret (env: N8N_CALLBACK_HMAC_SECRET)
+ *   --signature <value>    X-N8N-Signature value to verify
+ *   --timestamp <seconds>  X-N8N-Timestamp (sign: default now)
+ *   --nonce <nonce>        X-N8N-Nonce (sign: default random, "" for none)
+ *   --tolerance <seconds>  Timestamp window for verify (env: N8N_CALLBACK_SIGNATURE_TOLERANCE, default: 300)
+ *   --v1                   sign: print the v1 "sha256=" value instead
+ *   --file <path>          Workflow JSON (default: n8n/workflows/ad-script-workflow.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+const signature = require('../n8n/lib/signature.cjs');
+const { DEFAULT_WORKFLOW_FILE, loadWorkflow } = require('../n8n/lib/workflow-file.cjs');
+
+const USAGE = 'Usage: node make-tools/webhook-signature.cjs <check|sync|sign <file>|verify <file>> [--secret <secret>] [--signature <value>] [--timestamp <seconds>] [--nonce <nonce>] [--tolerance <seconds>] [--v1] [--file <path>]';
+
+/**
+ * The raw body bytes, exactly as they would be sent
+ */
+function readBody(file) {
+    if (!file) {
+        throw new Error('a body file is required (or - for stdin)');
+    }
+    return fs.readFileSync(file === '-' ? 0 : path.resolve(file));
+}
+
+function requireSecret(values) {
+    if (!values.secret) {
+        throw new Error('--secret (or N8N_CALLBACK_HMAC_SECRET) is required');
+    }
+    return values.secret;
+}
+
+const commands = {
+    check(values) {
+        const problems = [];
+
+        if (signature.syncWorkflow(loadWorkflow(values.file)).changed) {
+            problems.push(`"${signature.SIGN_NODE}" in ${path.relative(process.cwd(), values.file)} was not generated from n8n/lib/signature.cjs`);
+        }
+
+        const builds = {
+            node: signature.nodeSigner,
+            n8n: vm.runInNewContext(signature.signerSource(signature.NODE_HMAC), { require }),
+        };
+        for (const [name, build] of Object.entries(builds)) {
+            signature.checkVectors(build).forEach(failure => problems.push(`${name} build: ${failure}`));
+        }
+
+        if (problems.length > 0) {
+            problems.forEach(problem => console.log(`❌ ${problem}`));
+            return 1;
+        }
+
+        console.log(`✅ "${signature.SIGN_NODE}" is up to date and every build passes ${path.relative(process.cwd(), signature.VECTORS_FILE)}`);
+        return 0;
+    },
+
+    sync(values) {
+        const { workflow, changed } = signature.syncWorkflow(loadWorkflow(values.file));
+        if (!changed) {
+            console.log('✅ Already in sync');
+            return 0;
+        }
+
+        fs.writeFileSync(values.file, `${JSON.stringify(workflow, null, 2)}\n`);
+        console.log(`✏️  Regenerated "${signature.SIGN_NODE}" in ${path.relative(process.cwd(), values.file)}`);
+        return 0;
+    },
+
+    sign(values, [file]) {
+        const body = readBody(file);
+        if (values.v1) {
+            console.log(signature.signPayload(body, requireSecret(values)));
+            return 0;
+        }
+
+        const options = {};
+        if (values.timestamp !== undefined) {
+            options.timestamp = Number(values.timestamp);
+        }
+        if (values.nonce !== undefined) {
+            options.nonce = values.nonce;
+        }
+
+        for (const [name, value] of Object.entries(signature.signCallback(body.toString('utf8'), requireSecret(values), options))) {
+            console.log(`${name}: ${value}`);
+        }
+        return 0;
+    },
+
+    verify(values, [file]) {
+        if (!values.signature) {
+            throw new Error('--signature is required');
+        }
+
+        const headers = {
+            [signature.SIGNATURE_HEADER]: values.signature,
+            [signature.TIMESTAMP_HEADER]: values.timestamp || '',
+            [signature.NONCE_HEADER]: values.nonce || '',
+        };
+        const check = signature.checkCallback(readBody(file).toString('utf8'), headers, {
+            secrets: [requireSecret(values)],
+            tolerance: Number(values.tolerance),
+        });
+
+        if (check.valid) {
+            console.log(`✅ Valid v${check.version} signature`);
+            return 0;
+        }
+
+        console.log(`❌ ${check.error}`);
+        return 1;
+    },
+};
+
+async function main(argv, env = process.env) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            secret: { type: 'string', default: env.N8N_CALLBACK_HMAC_SECRET || '' },
+            signature: { type: 'string' },
+            timestamp: { type: 'string' },
+            nonce: { type: 'string' },
+            tolerance: { type: 'string', default: env.N8N_CALLBACK_SIGNATURE_TOLERANCE || String(signature.DEFAULT_TOLERANCE_SECONDS) },
+            v1: { type: 'boolean', default: false },
+            file: { type: 'string', default: DEFAULT_WORKFLOW_FILE },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        console.error(`❌ Unknown command: ${command}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    values.file = path.resolve(values.file);
+
+    return commands[command](values, args);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    main,
+};
@@ -0,0 +1,267 @@
+/**
+ * AI Result Contract
+ *
+ * One JSON Schema (n8n/validation/ai-result.schema.json) defines the reply
+ * the AI Agent must produce: new_script plus the string-valued analysis
+ * fields the prompt asks for and Laravel accepts. This module validates
+ * against it for the test scripts and the tests. It also generates the
+ * Process AI JSON node's code, because n8n Code nodes cannot require repo
+ * files. The node embeds an ajv standalone build of the same schema, and
+ * `make-tools/ai-result-schema.cjs sync` regenerates it after a schema change.
+ *
+ * Errors name the JSON pointer of the offending value:
+ *
+ *   /analysis/tone_analysis must be string, got array
+ *   /analysis/recommendations is required
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const standaloneCode = require('ajv/dist/standalone').default;
+
+const AI_RESULT_SCHEMA_FILE = path.join(__dirname, '..', 'validation', 'ai-result.schema.json');
+
+const PROCESS_NODE = 'Process AI JSON';
+const AI_NODE = 'AI Agent (OpenRouter)';
+const SUCCESS_CALLBACK_REQUEST = 'n8n Callback - Success';
+
+/**
+ * Keywords that document the schema but never affect validation
+ */
+const ANNOTATIONS = ['title', 'description', 'examples', '$comment'];
+
+/**
+ * Longest error sent to Laravel (ProcessAdScriptResultRequest allows 5000)
+ */
+const MAX_ERROR_LENGTH = 2000;
+
+function loadAiResultSchema(file = AI_RESULT_SCHEMA_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+let committedSchema = null;
+
+/**
+ * The committed schema, read once
+ */
+function defaultSchema() {
+    if (!committedSchema) {
+        committedSchema = loadAiResultSchema();
+    }
+    return committedSchema;
+}
+
+/**
+ * The contract version from the schema $id (urn:...:ai-result:v<version>)
+ */
+function schemaVersion(schema) {
+    const match = /:v(\d+)$/.exec(schema.$id || '');
+    if (!match) {
+        throw new Error(`The AI result schema $id "${schema.$id}" does not end in :v<version>`);
+    }
+
+    return Number(match[1]);
+}
+
+function withoutAnnotations(value) {
+    if (Array.isArray(value)) {
+        return value.map(withoutAnnotations);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !ANNOTATIONS.includes(key))
+            .map(([key, child]) => [key, key === 'properties' ? mapValues(child, withoutAnnotations) : withoutAnnotations(child)]));
+    }
+    return value;
+}
+
+function mapValues(object, transform) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, transform(value)]));
+}
+
+function createAjv(options = {}) {
+    return new Ajv({ allErrors: true, verbose: true, ...options });
+}
+
+/**
+ * One ajv error as a sentence with its JSON pointer
+ *
+ * Self-contained: its source is embedded in the Process AI JSON node.
+ */
+function describeSchemaError(error) {
+    const at = error.instancePath || '(root)';
+    const typeOf = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+    if (error.keyword === 'required') {
+        return `${error.instancePath}/${error.params.missingProperty} is required`;
+    }
+    if (error.keyword === 'type') {
+        return `${at} must be ${error.params.type}, got ${typeOf(error.data)}`;
+    }
+    if (error.keyword === 'minLength' && error.params.limit === 1) {
+        return `${at} must not be empty`;
+    }
+    return `${at} ${error.message}`;
+}
+
+const validators = new Map();
+
+function compiled(schema) {
+    if (!validators.has(schema)) {
+        validators.set(schema, createAjv().compile(withoutAnnotations(schema)));
+    }
+    return validators.get(schema);
+}
+
+/**
+ * Validate a parsed AI result
+ *
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateAiResult(value, schema = defaultSchema()) {
+    const validate = compiled(schema);
+
+    return validate(value)
+        ? { valid: true, errors: [] }
+        : { valid: false, errors: validate.errors.map(describeSchemaError) };
+}
+
+/**
+ * Parse the model's reply text and validate it
+ *
+ * @returns {{valid: boolean, errors: string[], parsed: *}}
+ */
+function parseAiResult(text, schema = defaultSchema()) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, errors: [`Invalid JSON: ${error.message}`], parsed: null };
+    }
+
+    return { ...validateAiResult(parsed, schema), parsed };
+}
+
+/**
+ * ajv standalone validator for the schema with its runtime helpers inlined,
+ * as an expression evaluating to the validate function
+ */
+function standaloneValidator(schema) {
+    const ajv = createAjv({ code: { source: true, lines: true } });
+    let code = standaloneCode(ajv, ajv.compile(withoutAnnotations(schema)));
+
+    code = code.replace(/require\("(ajv\/dist\/runtime\/[\w-]+)"\)\.default/g, (match, runtime) => `(${require(runtime).default.toString()})`);
+    if (/\brequire\(/.test(code)) {
+        throw new Error('The standalone AI result validator still requires a module; the schema uses an unsupported keyword');
+    }
+
+    return `(() => {\n  const module = { exports: {} };\n${code.trim()}\n  return module.exports;\n})()`;
+}
+
+/**
+ * The complete Process AI JSON node code for the schema
+ */
+function processNodeCode(schema = defaultSchema()) {
+    const version = schemaVersion(schema);
+
+    return `// Generated from n8n/validation/ai-result.schema.json (v${version}) by
+// \`node make-tools/ai-result-schema.cjs sync\`. Edit the schema or
+// n8n/lib/ai-result.cjs and re-run sync instead of editing this code.
+const validateAiResult = ${standaloneValidator(schema)};
+
+${describeSchemaError.toString()}
+
+const raw = String($('${AI_NODE}').first().json.text ?? '');
+const taskId = $('Set Variables').first().json.taskId;
+
+let parsed;
+try {
+  parsed = JSON.parse(raw);
+} catch (e) {
+  return [{ json: { task_id: taskId, error: 'AI returned invalid JSON', raw: raw.slice(0, 500) } }];
+}
+
+if (!validateAiResult(parsed)) {
+  const problems = validateAiResult.errors.map(describeSchemaError).join('; ');
+  return [{
+    json: {
+      task_id: taskId,
+      error: \`AI result does not match schema v${version}: \${problems}\`.slice(0, ${MAX_ERROR_LENGTH}),
+      raw: raw.slice(0, 500)
+    }
+  }];
+}
+
+return [{ json: { task_id: taskId, new_script: parsed.new_script, analysis: parsed.analysis } }];
+`;
+}
+
+/**
+ * Bring the workflow's Process AI JSON code in line with the schema
+ *
+ * @returns {{workflow: object, changed: boolean}} A copy of the workflow
+ */
+function syncWorkflow(workflow, schema = defaultSchema()) {
+    const copy = structuredClone(workflow);
+    const node = copy.nodes.find(candidate => candidate.name === PROCESS_NODE);
+    if (!node) {
+        throw new Error(`The workflow has no "${PROCESS_NODE}" node`);
+    }
+
+    const code = processNodeCode(schema);
+    const changed = node.parameters.jsCode !== code;
+    node.parameters.jsCode = code;
+
+    return { workflow: copy, changed };
+}
+
+/**
+ * Every "n8n Callback - Success" request in a Postman collection
+ */
+function successCallbacks(collection) {
+    const found = [];
+    const walk = items => items.forEach(item => {
+        if (item.item) {
+            walk(item.item);
+        } else if (item.name === SUCCESS_CALLBACK_REQUEST) {
+            found.push(item);
+        }
+    });
+    walk(collection.item || []);
+
+    return found;
+}
+
+/**
+ * Schema problems in the success callback bodies of a Postman collection
+ *
+ * @returns {string[]}
+ */
+function checkCollection(collection, schema = defaultSchema()) {
+    const callbacks = successCallbacks(collection);
+    if (callbacks.length === 0) {
+        return [`no "${SUCCESS_CALLBACK_REQUEST}" request`];
+    }
+
+    return callbacks.flatMap(item => {
+        const { errors } = parseAiResult(((item.request || {}).body || {}).raw, schema);
+        return errors.map(error => `${item.name}: ${error}`);
+    });
+}
+
+module.exports = {
+    AI_RESULT_SCHEMA_FILE,
+    PROCESS_NODE,
+    SUCCESS_CALLBACK_REQUEST,
+    loadAiResultSchema,
+    schemaVersion,
+    describeSchemaError,
+    validateAiResult,
+    parseAiResult,
+    standaloneValidator,
+    processNodeCode,
+    syncWorkflow,
+    successCallbacks,
+    checkCollection,
+};
@@ -0,0 +1,133 @@
+/**
+ * n8n Backup Archives
+ *
+ * A backup is one gzipped JSON document holding the exported workflows, the
+ * exported credentials (still encrypted by n8n) and the ids of the workflows
+ * that were active. With a passphrase the archive is additionally encrypted
+ * with AES-256-GCM, using a key derived by scrypt.
+ *
+ * Archive names carry a UTC timestamp, so sorting them by name sorts them by age:
+ *   n8n-backup-20250601T120000.000Z.json.gz        plain
+ *   n8n-backup-20250601T120000.000Z.json.gz.enc    encrypted
+ *   n8n-pre-restore-20250601T120000.000Z.json.gz   state saved before a restore
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ARCHIVE_VERSION = 1;
+const BACKUP_PREFIX = 'n8n-backup';
+const SAFETY_PREFIX = 'n8n-pre-restore';
+const ARCHIVE_PATTERN = /^(n8n-backup|n8n-pre-restore)-(\d{8}T\d{6}\.\d{3}Z)\.json\.gz(\.enc)?$/;
+const MAGIC = Buffer.from('N8NBAK01');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Archive file name for a point in time; `safety` names a pre-restore archive
+ */
+function archiveName(date, encrypted, safety = false) {
+    const stamp = date.toISOString().replace(/[-:]/g, '');
+
+    return `${safety ? SAFETY_PREFIX : BACKUP_PREFIX}-${stamp}.json.gz${encrypted ? '.enc' : ''}`;
+}
+
+/**
+ * Archives in `dir`, oldest first
+ *
+ * @returns {Array<{name: string, file: string, timestamp: string, encrypted: boolean, safety: boolean}>}
+ */
+function listArchives(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .map(name => ({ name, match: name.match(ARCHIVE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => ({
+            name,
+            file: path.join(dir, name),
+            timestamp: match[2],
+            encrypted: Boolean(match[3]),
+            safety: match[1] === SAFETY_PREFIX,
+        }))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Serialize a snapshot, encrypting it when a passphrase is given
+ */
+function encodeArchive(snapshot, passphrase = null) {
+    const compressed = zlib.gzipSync(JSON.stringify({ version: ARCHIVE_VERSION, ...snapshot }));
+
+    if (!passphrase) {
+        return compressed;
+    }
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(compressed), cipher.final()]);
+
+    return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Parse an archive produced by encodeArchive
+ */
+function decodeArchive(buffer, passphrase = null) {
+    let compressed = buffer;
+
+    if (buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        if (!passphrase) {
+            throw new Error('Archive is encrypted; set N8N_BACKUP_PASSPHRASE');
+        }
+
+        let offset = MAGIC.length;
+        const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+        const iv = buffer.subarray(offset, offset += IV_LENGTH);
+        const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+        decipher.setAuthTag(tag);
+
+        try {
+            compressed = Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+        } catch (error) {
+            throw new Error('Cannot decrypt archive: wrong passphrase or corrupted file');
+        }
+    }
+
+    const snapshot = JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+
+    if (snapshot.version !== ARCHIVE_VERSION || !Array.isArray(snapshot.workflows) || !Array.isArray(snapshot.credentials)) {
+        throw new Error(`Unsupported backup archive (version ${snapshot.version})`);
+    }
+
+    return snapshot;
+}
+
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Write an archive without ever leaving a partial file behind
+ */
+function writeArchive(file, buffer) {
+    const tmp = `${file}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tmp, buffer, { mode: 0o600 });
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    archiveName,
+    listArchives,
+    encodeArchive,
+    decodeArchive,
+    writeArchive,
+};
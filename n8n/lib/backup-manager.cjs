@@ -0,0 +1,220 @@
+/**
+ * n8n Backup Manager
+ *
+ * Creates, lists, prunes and restores backup archives (see backup-archive.cjs).
+ *
+ * Restoring validates the whole archive before touching n8n, takes a safety
+ * snapshot of the current state, and rolls back to it when any step fails.
+ * Safety snapshots are pre-restore archives: "latest" and the retention of
+ * regular backups ignore them, so a restore never pushes out a backup.
+ * Afterwards exactly the workflows that were active when the snapshot was
+ * taken are active; every other workflow is deactivated and reported, since
+ * the n8n CLI cannot delete workflows.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const {
+    archiveName,
+    listArchives,
+    encodeArchive,
+    decodeArchive,
+    writeArchive,
+} = require('./backup-archive.cjs');
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, '..', 'backups');
+const DEFAULT_KEEP = 10;
+
+class BackupManager {
+    /**
+     * @param {object} options
+     * @param {import('./n8n-cli.cjs').N8nCli} options.cli
+     * @param {string} [options.dir] Directory holding the archives
+     * @param {string|null} [options.passphrase] Encrypt new archives / decrypt encrypted ones
+     * @param {() => Date} [options.now]
+     * @param {(message: string) => void} [options.log]
+     */
+    constructor({ cli, dir = DEFAULT_BACKUP_DIR, passphrase = null, now = () => new Date(), log = console.log }) {
+        this.cli = cli;
+        this.dir = dir;
+        this.passphrase = passphrase;
+        this.now = now;
+        this.log = log;
+    }
+
+    /**
+     * Snapshot the workflows and credentials currently in n8n
+     */
+    snapshot() {
+        const workflows = this.cli.exportWorkflows(['--all']);
+
+        return {
+            createdAt: this.now().toISOString(),
+            workflows,
+            credentials: this.cli.exportCredentials(['--all']),
+            active: workflows.filter(workflow => workflow.active).map(workflow => String(workflow.id)),
+        };
+    }
+
+    /**
+     * Write a new archive and prune old ones of the same kind down to `keep`
+     *
+     * @param {object} [options]
+     * @param {number|null} [options.keep] Archives to keep; null disables pruning
+     * @param {boolean} [options.safety] Write a pre-restore archive
+     */
+    create({ keep = DEFAULT_KEEP, safety = false } = {}) {
+        const snapshot = this.snapshot();
+        const name = archiveName(new Date(snapshot.createdAt), Boolean(this.passphrase), safety);
+        const file = path.join(this.dir, name);
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        writeArchive(file, encodeArchive(snapshot, this.passphrase));
+
+        this.log(`💾 Wrote ${name}: ${snapshot.workflows.length} workflow(s), ` +
+            `${snapshot.credentials.length} credential(s), ${snapshot.active.length} active`);
+
+        const pruned = keep === null ? [] : this.prune(keep, { safety });
+
+        return { name, file, snapshot, pruned };
+    }
+
+    list() {
+        return listArchives(this.dir);
+    }
+
+    /**
+     * Delete the oldest archives so that at most `keep` remain; regular
+     * backups and pre-restore archives are counted separately
+     */
+    prune(keep, { safety = false } = {}) {
+        if (!Number.isInteger(keep) || keep < 1) {
+            throw new Error(`Retention must keep at least one archive, got ${keep}`);
+        }
+
+        const archives = this.list().filter(archive => archive.safety === safety);
+        const expired = archives.slice(0, Math.max(0, archives.length - keep));
+
+        for (const archive of expired) {
+            fs.unlinkSync(archive.file);
+            this.log(`🗑️ Pruned ${archive.name}`);
+        }
+
+        return expired;
+    }
+
+    /**
+     * Find an archive by "latest" (the newest regular backup), file name, path or timestamp prefix
+     */
+    find(selector) {
+        const archives = this.list();
+
+        if (selector === 'latest') {
+            const backups = archives.filter(archive => !archive.safety);
+            if (backups.length === 0) {
+                throw new Error(`No backups in ${this.dir}`);
+            }
+            return backups[backups.length - 1];
+        }
+
+        if (fs.existsSync(selector) && fs.statSync(selector).isFile()) {
+            return { name: path.basename(selector), file: path.resolve(selector) };
+        }
+
+        const matches = archives.filter(archive => archive.name === selector || archive.timestamp.startsWith(selector));
+
+        if (matches.length !== 1) {
+            throw new Error(matches.length === 0
+                ? `No backup matches "${selector}" in ${this.dir}`
+                : `"${selector}" matches ${matches.length} backups; be more specific`);
+        }
+
+        return matches[0];
+    }
+
+    read(archive) {
+        return decodeArchive(fs.readFileSync(archive.file), this.passphrase);
+    }
+
+    /**
+     * Restore a snapshot, rolling back to the pre-restore state on failure
+     *
+     * @param {string} selector
+     * @param {object} [options]
+     * @param {number|null} [options.keep] Pre-restore archives to keep; null disables pruning
+     * @returns {{archive: object, safety: string, extra: Array<{id: string, name: string}>}}
+     *          `extra`: workflows in n8n that are not in the snapshot
+     */
+    restore(selector, { keep = DEFAULT_KEEP } = {}) {
+        const archive = this.find(selector);
+        const snapshot = this.read(archive);
+
+        this.log(`📦 Restoring ${archive.name} (taken ${snapshot.createdAt}): ` +
+            `${snapshot.workflows.length} workflow(s), ${snapshot.credentials.length} credential(s)`);
+
+        const safety = this.create({ keep, safety: true });
+        let extra;
+
+        try {
+            extra = this.apply(snapshot);
+        } catch (error) {
+            this.log(`⚠️  Restore failed (${error.message}); rolling back to ${safety.name}...`);
+            try {
+                this.apply(safety.snapshot);
+            } catch (rollbackError) {
+                throw new Error(`Restore of ${archive.name} failed: ${error.message}. ` +
+                    `Rolling back to ${safety.name} failed as well: ${rollbackError.message}; restore ${safety.name} by hand`);
+            }
+            throw new Error(`Restore of ${archive.name} failed and was rolled back: ${error.message}`);
+        }
+
+        if (extra.length > 0) {
+            this.log(`⚠️  ${extra.length} workflow(s) are not in ${archive.name} and stay in n8n, deactivated ` +
+                '(the n8n CLI cannot delete workflows; remove them in the editor or with make-tools/n8n-workflow.cjs delete):');
+            extra.forEach(workflow => this.log(`   ${workflow.id} ("${workflow.name}")`));
+        }
+        this.log(`✅ Restored ${archive.name}; pre-restore state saved as ${safety.name}`);
+
+        return { archive, safety: safety.name, extra };
+    }
+
+    /**
+     * Import a snapshot and set activation to match it exactly
+     *
+     * @returns {Array<{id: string, name: string}>} Workflows in n8n that are not in the snapshot
+     */
+    apply(snapshot) {
+        if (snapshot.credentials.length > 0) {
+            this.cli.importCredentials(snapshot.credentials);
+        }
+        if (snapshot.workflows.length > 0) {
+            this.cli.importWorkflows(snapshot.workflows);
+        }
+
+        const active = new Set(snapshot.active);
+        const known = new Set(snapshot.workflows.map(workflow => String(workflow.id)));
+        const extra = [];
+
+        for (const workflow of this.cli.exportWorkflows(['--all'])) {
+            const id = String(workflow.id);
+            const shouldBeActive = active.has(id);
+
+            if (Boolean(workflow.active) !== shouldBeActive) {
+                this.cli.setActive(id, shouldBeActive);
+                this.log(`   ${shouldBeActive ? '▶️  Activated' : '⏸️  Deactivated'} ${id} ("${workflow.name}")`);
+            }
+            if (!known.has(id)) {
+                extra.push({ id, name: workflow.name });
+            }
+        }
+
+        return extra;
+    }
+}
+
+module.exports = {
+    BackupManager,
+    DEFAULT_BACKUP_DIR,
+    DEFAULT_KEEP,
+};
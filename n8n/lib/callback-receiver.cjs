@@ -0,0 +1,389 @@
+/**
+ * Callback Receiver
+ *
+ * A stand-in for Laravel's POST /api/ad-scripts/{task}/result during test
+ * runs. It checks the signature headers exactly like VerifyWebhookSignature
+ * (v2 within the tolerance window and each nonce once, v1 while accepted,
+ * the previous secret until its expiry; see signature.cjs), applies the
+ * ProcessAdScriptResultRequest rules, answers
+ * like ProcessAdScriptResultController, and records every callback - accepted
+ * or not - with its headers and body.
+ *
+ * With `forwardUrl` set it sits in front of Laravel instead: each callback is
+ * recorded, passed on unchanged (body and signature headers) to the same path
+ * under `forwardUrl`, and answered with Laravel's response. Laravel then does
+ * the checking and stores the result, and test scripts can still read what
+ * n8n sent from the receiver.
+ *
+ * Query API, for test scripts in another process:
+ *   GET    /__callbacks                  Every recorded callback (?task=<id> to filter)
+ *   GET    /__callbacks/wait?task=<id>   The first callback for the task, waiting up to
+ *                                        ?timeout=<ms> (default 10000; 408 when none came).
+ *                                        ?after=<callback id> skips older ones.
+ *   DELETE /__callbacks                  Forget everything recorded so far
+ *
+ * The same queries are available in-process (callbacks(), waitFor(), clear())
+ * and through waitForCallback()/listCallbacks() against a running receiver.
+ */
+
+const http = require('http');
+
+const { DEFAULT_TOLERANCE_SECONDS, checkCallback } = require('./signature.cjs');
+
+const DEFAULT_PORT = 8010;
+const DEFAULT_WAIT_MS = 10000;
+
+const RESULT_ROUTE = /^\/api\/ad-scripts\/([^/]+)\/result\/?$/;
+
+/**
+ * ProcessAdScriptResultRequest::rules() and withValidator(), with its messages
+ *
+ * @returns {Object<string, string[]>} Laravel-style errors, empty when valid
+ */
+function validateResultPayload(body) {
+    const errors = {};
+    const add = (field, message) => {
+        errors[field] = [...(errors[field] || []), message];
+    };
+    const present = value => value !== undefined && value !== null;
+
+    if (present(body.new_script)) {
+        if (typeof body.new_script !== 'string') {
+            add('new_script', 'The new script must be a string.');
+        } else if (body.new_script.length > 50000) {
+            add('new_script', 'The new script may not be greater than 50,000 characters.');
+        }
+    }
+
+    if (present(body.analysis)) {
+        if (typeof body.analysis !== 'object') {
+            add('analysis', 'The analysis must be an array.');
+        } else {
+            for (const [key, value] of Object.entries(body.analysis)) {
+                if (typeof value !== 'string') {
+                    add(`analysis.${key}`, 'Each analysis item must be a string.');
+                }
+            }
+        }
+    }
+
+    if (present(body.error)) {
+        if (typeof body.error !== 'string') {
+            add('error', 'The error must be a string.');
+        } else if (body.error.length > 5000) {
+            add('error', 'The error may not be greater than 5,000 characters.');
+        }
+    }
+
+    if (Object.keys(errors).length === 0) {
+        if (!body.new_script && !body.error) {
+            add('payload', 'Either new_script or error must be provided.');
+        }
+        if (body.new_script && body.error) {
+            add('payload', 'Cannot provide both new_script and error in the same request.');
+        }
+    }
+
+    return errors;
+}
+
+class CallbackReceiver {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.secret] N8N_CALLBACK_HMAC_SECRET
+     * @param {string} [options.previousSecret] N8N_CALLBACK_HMAC_PREVIOUS_SECRET
+     * @param {string} [options.previousSecretExpiresAt] N8N_CALLBACK_HMAC_PREVIOUS_SECRET_EXPIRES_AT
+     * @param {boolean} [options.disableAuth] N8N_DISABLE_AUTH: skip signature checks
+     * @param {number} [options.tolerance] N8N_CALLBACK_SIGNATURE_TOLERANCE, in seconds
+     * @param {boolean} [options.acceptV1] N8N_CALLBACK_ACCEPT_V1_SIGNATURES
+     * @param {string} [options.forwardUrl] Laravel's base URL, to pass callbacks on instead of answering them
+     * @param {Function} [options.fetch] Used to forward callbacks
+     * @param {Function} [options.log] Called with a line per callback
+     * @param {Function} [options.now] Clock, for timestamps and the previous secret's expiry
+     */
+    constructor({ secret = null, previousSecret = null, previousSecretExpiresAt = null, disableAuth = false, tolerance = DEFAULT_TOLERANCE_SECONDS, acceptV1 = true, forwardUrl = null, fetch = globalThis.fetch, log = () => {}, now = () => new Date() } = {}) {
+        this.secret = secret;
+        this.previousSecret = previousSecret;
+        this.previousSecretExpiresAt = previousSecretExpiresAt;
+        this.disableAuth = disableAuth;
+        this.tolerance = tolerance;
+        this.acceptV1 = acceptV1;
+        this.forwardUrl = forwardUrl ? forwardUrl.replace(/\/+$/, '') : null;
+        this.fetch = fetch;
+        this.nonces = new Map();
+        this.log = log;
+        this.now = now;
+        this.records = [];
+        this.waiters = new Set();
+        this.nextId = 1;
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:8010
+     */
+    listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(`http://${host}:${this.server.address().port}`));
+        });
+    }
+
+    close() {
+        for (const waiter of this.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(null);
+        }
+        this.waiters.clear();
+        this.server.closeAllConnections();
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Recorded callbacks, optionally only those for one task
+     */
+    callbacks({ task = null, after = 0 } = {}) {
+        return this.records.filter(record => (task === null || record.task === String(task)) && record.id > after);
+    }
+
+    /**
+     * The first callback for a task, waiting for it if none arrived yet
+     *
+     * @returns {Promise<object|null>} null when `timeoutMs` passes first
+     */
+    waitFor(task, { timeoutMs = DEFAULT_WAIT_MS, after = 0 } = {}) {
+        const [existing] = this.callbacks({ task, after });
+        if (existing) {
+            return Promise.resolve(existing);
+        }
+
+        return new Promise(resolve => {
+            const waiter = { task: String(task), after, resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters.delete(waiter);
+                resolve(null);
+            }, timeoutMs);
+            this.waiters.add(waiter);
+        });
+    }
+
+    clear() {
+        this.records = [];
+    }
+
+    async handle(request, response) {
+        const rawBody = await readBody(request);
+        const url = new URL(request.url, 'http://receiver');
+
+        if (url.pathname === '/__callbacks' || url.pathname.startsWith('/__callbacks/')) {
+            return this.query(request.method, url, response);
+        }
+
+        const route = RESULT_ROUTE.exec(url.pathname);
+        if (!route || request.method !== 'POST') {
+            return send(response, 404, { message: `The route ${url.pathname.slice(1)} could not be found.` });
+        }
+
+        const record = {
+            id: this.nextId++,
+            task: decodeURIComponent(route[1]),
+            receivedAt: this.now().toISOString(),
+            method: request.method,
+            path: url.pathname,
+            headers: request.headers,
+            rawBody,
+            body: parseJson(rawBody),
+            signature: null,
+            signatureVersion: null,
+            errors: {},
+            status: null,
+        };
+
+        const [status, body] = this.forwardUrl ? await this.forward(record) : this.respond(record);
+        record.status = status;
+        record.response = body;
+        this.record(record);
+
+        send(response, status, body);
+    }
+
+    /**
+     * The status and body Laravel would answer a callback with
+     */
+    respond(record) {
+        if (this.disableAuth) {
+            record.signature = 'not-checked';
+        } else if (!this.secret) {
+            record.signature = 'not-checked';
+            return [500, { error: 'Callback HMAC secret not configured' }];
+        } else {
+            const check = checkCallback(record.rawBody, record.headers, {
+                secrets: this.previousSecretValid() ? [this.secret, this.previousSecret] : [this.secret],
+                tolerance: this.tolerance,
+                acceptV1: this.acceptV1,
+                now: this.now().getTime(),
+                nonces: this.nonces,
+            });
+
+            record.signatureVersion = check.version;
+            if (!check.valid) {
+                record.signature = check.error === 'Missing webhook signature' ? 'missing' : 'invalid';
+                return [401, { error: check.error }];
+            }
+            record.signature = check.secret === this.secret ? 'valid' : 'previous-secret';
+        }
+
+        record.errors = validateResultPayload(record.body && typeof record.body === 'object' ? record.body : {});
+        const messages = Object.values(record.errors).flat();
+        if (messages.length > 0) {
+            const more = messages.length > 1 ? ` (and ${messages.length - 1} more error${messages.length > 2 ? 's' : ''})` : '';
+            return [422, { message: `${messages[0]}${more}`, errors: record.errors }];
+        }
+
+        const { new_script: newScript, analysis, error } = record.body;
+        const data = {
+            id: record.task,
+            status: error ? 'failed' : 'completed',
+            updated_at: record.receivedAt,
+            was_updated: true,
+            ...(error ? { error_details: error } : { new_script: newScript, analysis: analysis || null }),
+        };
+
+        return [200, { error: false, message: 'Result processed successfully', data, timestamp: record.receivedAt }];
+    }
+
+    /**
+     * Pass a callback on to Laravel and return its status and body
+     */
+    async forward(record) {
+        const target = `${this.forwardUrl}${record.path}`;
+        const headers = Object.fromEntries(Object.entries(record.headers)
+            .filter(([name]) => name === 'content-type' || name === 'accept' || name.startsWith('x-n8n-')));
+
+        record.signature = 'not-checked';
+        record.forwardedTo = target;
+
+        try {
+            const response = await this.fetch(target, { method: 'POST', headers, body: record.rawBody });
+            const text = await response.text();
+            const body = parseJson(text);
+
+            return [response.status, body === null ? { message: text } : body];
+        } catch (error) {
+            return [502, { error: `Could not forward the callback to ${target}: ${error.message}` }];
+        }
+    }
+
+    previousSecretValid() {
+        if (!this.previousSecret || !this.previousSecretExpiresAt) {
+            return false;
+        }
+
+        const expiresAt = new Date(this.previousSecretExpiresAt);
+        return !Number.isNaN(expiresAt.getTime()) && expiresAt > this.now();
+    }
+
+    record(record) {
+        this.records.push(record);
+        this.log(`POST ${record.path} ${record.status} ${record.forwardedTo ? `from ${record.forwardedTo}` : `signature=${record.signature}${record.signatureVersion ? ` (v${record.signatureVersion})` : ''}`}`);
+
+        for (const waiter of this.waiters) {
+            if (waiter.task === record.task && record.id > waiter.after) {
+                clearTimeout(waiter.timer);
+                this.waiters.delete(waiter);
+                waiter.resolve(record);
+            }
+        }
+    }
+
+    async query(method, url, response) {
+        const task = url.searchParams.get('task');
+        const after = Number(url.searchParams.get('after') || 0);
+
+        if (method === 'DELETE' && url.pathname === '/__callbacks') {
+            this.clear();
+            return send(response, 200, { callbacks: [] });
+        }
+        if (method === 'GET' && url.pathname === '/__callbacks') {
+            return send(response, 200, { callbacks: this.callbacks({ task, after }) });
+        }
+        if (method === 'GET' && url.pathname === '/__callbacks/wait') {
+            if (!task) {
+                return send(response, 400, { message: 'wait needs ?task=<id>' });
+            }
+
+            const timeoutMs = Number(url.searchParams.get('timeout') || DEFAULT_WAIT_MS);
+            const callback = await this.waitFor(task, { timeoutMs, after });
+
+            return callback
+                ? send(response, 200, { callback })
+                : send(response, 408, { message: `No callback for task ${task} within ${timeoutMs}ms` });
+        }
+
+        return send(response, 404, { message: `Unknown query endpoint ${method} ${url.pathname}` });
+    }
+}
+
+/**
+ * Wait for a task's callback on a running receiver
+ *
+ * @returns {Promise<object|null>} The recorded callback, or null on timeout
+ */
+async function waitForCallback(baseUrl, task, { timeoutMs = DEFAULT_WAIT_MS, after = 0, fetch = globalThis.fetch } = {}) {
+    const query = new URLSearchParams({ task: String(task), timeout: String(timeoutMs), after: String(after) });
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/__callbacks/wait?${query}`);
+
+    if (response.status === 408) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Callback receiver answered ${response.status}: ${await response.text()}`);
+    }
+
+    return (await response.json()).callback;
+}
+
+/**
+ * Callbacks recorded by a running receiver
+ */
+async function listCallbacks(baseUrl, { task = null, fetch = globalThis.fetch } = {}) {
+    const query = task === null ? '' : `?${new URLSearchParams({ task: String(task) })}`;
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/__callbacks${query}`);
+
+    if (!response.ok) {
+        throw new Error(`Callback receiver answered ${response.status}: ${await response.text()}`);
+    }
+
+    return (await response.json()).callbacks;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, body) {
+    response.writeHead(status, { 'content-type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    CallbackReceiver,
+    validateResultPayload,
+    waitForCallback,
+    listCallbacks,
+};
@@ -0,0 +1,162 @@
+/**
+ * Connection Map Normalizer
+ *
+ * n8n keys `connections` by node *name*, but hand-written or generated
+ * workflows sometimes use node ids, or slugs that match no node at all. This
+ * module resolves every connection source and target against the real node
+ * list, reports edges that cannot be resolved (dangling), finds nodes that no
+ * trigger can reach, and produces a canonical name-keyed connections map.
+ */
+
+/**
+ * Node types that are only documentation and never part of the graph
+ */
+const NON_GRAPH_TYPES = ['n8n-nodes-base.stickyNote'];
+
+/**
+ * Whether a node starts executions (webhooks, error/manual/schedule triggers, ...)
+ */
+function isTrigger(node) {
+    return node.type === 'n8n-nodes-base.webhook' || /trigger$/i.test(node.type);
+}
+
+/**
+ * Normalize the connections of a workflow
+ *
+ * @returns {{
+ *   connections: object,
+ *   resolved: Array<{ref: string, name: string}>,
+ *   dangling: Array<{source: string, target: string, type: string, output: number, reason: string}>,
+ *   unreachable: string[]
+ * }}
+ */
+function normalizeConnections(workflow) {
+    const nodes = workflow.nodes || [];
+    const byName = new Map(nodes.map(node => [node.name, node]));
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const resolved = new Map();
+
+    const resolve = ref => {
+        if (byName.has(ref)) {
+            return ref;
+        }
+        if (byId.has(ref)) {
+            resolved.set(ref, byId.get(ref).name);
+            return byId.get(ref).name;
+        }
+        return null;
+    };
+
+    const edges = new Map();
+    const dangling = [];
+
+    for (const [sourceRef, outputsByType] of Object.entries(workflow.connections || {})) {
+        const source = resolve(sourceRef);
+
+        for (const [type, outputs] of Object.entries(outputsByType || {})) {
+            (outputs || []).forEach((targets, output) => {
+                for (const target of targets || []) {
+                    if (!source) {
+                        dangling.push({ source: sourceRef, target: target.node, type, output, reason: `unknown source node "${sourceRef}"` });
+                        continue;
+                    }
+
+                    const targetName = resolve(target.node);
+                    if (!targetName) {
+                        dangling.push({ source: sourceRef, target: target.node, type, output, reason: `unknown target node "${target.node}"` });
+                        continue;
+                    }
+
+                    addEdge(edges, source, type, output, { node: targetName, type: target.type || type, index: target.index || 0 });
+                }
+            });
+        }
+    }
+
+    const connections = canonicalConnections(nodes, edges);
+
+    return {
+        connections,
+        resolved: [...resolved].map(([ref, name]) => ({ ref, name })),
+        dangling,
+        unreachable: findUnreachable(nodes, connections),
+    };
+}
+
+function addEdge(edges, source, type, output, target) {
+    const key = `${source}\u0000${type}`;
+    if (!edges.has(key)) {
+        edges.set(key, { source, type, outputs: [] });
+    }
+
+    const { outputs } = edges.get(key);
+    while (outputs.length <= output) {
+        outputs.push([]);
+    }
+
+    const exists = outputs[output].some(existing =>
+        existing.node === target.node && existing.type === target.type && existing.index === target.index);
+
+    if (!exists) {
+        outputs[output].push(target);
+    }
+}
+
+/**
+ * Build the name-keyed map with sources in node order and no empty entries
+ */
+function canonicalConnections(nodes, edges) {
+    const connections = {};
+
+    for (const node of nodes) {
+        for (const { source, type, outputs } of edges.values()) {
+            if (source !== node.name || outputs.every(targets => targets.length === 0)) {
+                continue;
+            }
+
+            connections[source] = connections[source] || {};
+            connections[source][type] = outputs;
+        }
+    }
+
+    return connections;
+}
+
+/**
+ * Names of graph nodes that no trigger can reach
+ */
+function findUnreachable(nodes, connections) {
+    const reached = new Set();
+    const queue = nodes.filter(isTrigger).map(node => node.name);
+
+    while (queue.length > 0) {
+        const name = queue.shift();
+        if (reached.has(name)) {
+            continue;
+        }
+        reached.add(name);
+
+        for (const outputs of Object.values(connections[name] || {})) {
+            for (const targets of outputs) {
+                queue.push(...targets.map(target => target.node));
+            }
+        }
+    }
+
+    return nodes
+        .filter(node => !NON_GRAPH_TYPES.includes(node.type) && !reached.has(node.name))
+        .map(node => node.name);
+}
+
+/**
+ * One-line description of a dangling edge
+ */
+function describeDangling(edge) {
+    return `${edge.source} → ${edge.target} (${edge.type} output ${edge.output}): ${edge.reason}`;
+}
+
+module.exports = {
+    normalizeConnections,
+    describeDangling,
+    isTrigger,
+};
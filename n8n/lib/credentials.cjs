@@ -0,0 +1,98 @@
+/**
+ * n8n Credential Definitions
+ *
+ * Builds the credentials the workflow relies on from environment variables
+ * (or a local .env). Secrets only ever travel to n8n through
+ * `n8n import:credentials` or the REST API, both of which encrypt them with
+ * the instance's N8N_ENCRYPTION_KEY; nothing is written to a cleartext
+ * credentials.json.
+ */
+
+/**
+ * Credentials provisioned for the workflow, keyed by their stable id
+ */
+const CREDENTIAL_DEFINITIONS = [
+    {
+        id: 'webhook-auth',
+        name: 'Laravel Webhook Auth',
+        type: 'httpHeaderAuth',
+        description: 'Header Laravel sends with every trigger request',
+        required: ['N8N_AUTH_HEADER_VALUE'],
+        build: env => ({
+            name: env.N8N_AUTH_HEADER_KEY || 'X-Laravel-Trigger-Auth',
+            value: env.N8N_AUTH_HEADER_VALUE,
+        }),
+    },
+    {
+        id: 'openai-credentials',
+        name: 'OpenAI API',
+        type: 'openAiApi',
+        description: 'OpenRouter (OpenAI-compatible) API key used by the AI Agent node',
+        required: ['OPENROUTER_API_KEY'],
+        build: env => ({
+            apiKey: env.OPENROUTER_API_KEY,
+            url: env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+        }),
+    },
+];
+
+/**
+ * Build every credential from `env`
+ *
+ * @returns {{credentials: object[], missing: Array<{id: string, variables: string[]}>}}
+ */
+function buildCredentials(env, definitions = CREDENTIAL_DEFINITIONS) {
+    const credentials = [];
+    const missing = [];
+
+    for (const definition of definitions) {
+        const variables = definition.required.filter(variable => !env[variable]);
+
+        if (variables.length > 0) {
+            missing.push({ id: definition.id, variables });
+            continue;
+        }
+
+        credentials.push({
+            id: definition.id,
+            name: definition.name,
+            type: definition.type,
+            data: definition.build(env),
+        });
+    }
+
+    return { credentials, missing };
+}
+
+/**
+ * Credential ids referenced by the nodes of a workflow
+ */
+function referencedCredentialIds(workflow) {
+    const ids = new Set();
+
+    for (const node of workflow.nodes || []) {
+        for (const ref of Object.values(node.credentials || {})) {
+            if (ref && ref.id) {
+                ids.add(ref.id);
+            }
+        }
+    }
+
+    return [...ids];
+}
+
+/**
+ * Mask a secret for display, keeping just enough to recognise it
+ */
+function maskSecret(value) {
+    const text = String(value);
+
+    return text.length <= 8 ? '********' : `${text.slice(0, 4)}…${text.slice(-2)}`;
+}
+
+module.exports = {
+    CREDENTIAL_DEFINITIONS,
+    buildCredentials,
+    referencedCredentialIds,
+    maskSecret,
+};
@@ -0,0 +1,379 @@
+/**
+ * End-to-end Ad Script Harness
+ *
+ * Drives the real product flow: POST /api/ad-scripts (StoreAdScriptTaskController)
+ * → TriggerN8nWorkflow job → n8n webhook → AI → callback → task COMPLETED or
+ * FAILED. Each case submits a task, polls GET /api/ad-scripts/{task} until it
+ * reports is_final or the case times out, then checks the final status, and
+ * new_script, analysis and error_details from the callback n8n sent.
+ *
+ * The status endpoint is public and only returns status fields, so the result
+ * itself is read from the callback receiver (make-tools/callback-receiver.cjs
+ * --forward <laravel>), which n8n calls instead of Laravel and which passes
+ * every callback on.
+ *
+ * Every case records a timeline, in ms since the submission started:
+ *
+ *   accepted     Laravel answered the POST (202)
+ *   processing   first poll that saw the task processing (the job ran)
+ *   ai_request   the mock AI received the prompt (only with a mock AI URL)
+ *   final        first poll that saw a final status
+ *
+ * and stages derived from it: submit, queue, n8n (job → AI request),
+ * ai_to_final (AI request → final status) and total. Poll-based points are
+ * only as precise as the poll interval.
+ *
+ * With a mock AI URL, each case registers a mock route matching its reference
+ * script and outcome description, which selects the case's `scenario` and
+ * tags the AI request it causes, so the input is submitted unchanged. Cases
+ * run side by side therefore need inputs of their own.
+ */
+
+const crypto = require('crypto');
+
+const { waitForCallback } = require('./callback-receiver.cjs');
+
+const STAGES = [
+    ['submit', null, 'accepted'],
+    ['queue', 'accepted', 'processing'],
+    ['n8n', 'processing', 'ai_request'],
+    ['ai_to_final', 'ai_request', 'final'],
+    ['total', null, 'final'],
+];
+
+/**
+ * Header that bypasses the rate limits in local/testing environments
+ */
+const NO_RATE_LIMIT_HEADERS = { 'X-Disable-Rate-Limiting': 'true' };
+
+/**
+ * How long to wait for the callback once the task reports a final status
+ */
+const CALLBACK_WAIT_MS = 2000;
+
+class E2eHarness {
+    /**
+     * @param {object} options
+     * @param {string} options.appUrl Laravel base URL, e.g. http://localhost:8000
+     * @param {string} [options.mockAiUrl] Mock AI origin, e.g. http://localhost:4010
+     * @param {string} [options.callbackReceiverUrl] Forwarding callback receiver, e.g. http://localhost:8010;
+     *   without it only the final status is checked
+     * @param {boolean} [options.disableRateLimiting] Send X-Disable-Rate-Limiting (honoured in local/testing only)
+     * @param {number} [options.pollIntervalMs]
+     * @param {number} [options.timeoutMs] Default per-case timeout
+     * @param {typeof fetch} [options.fetch]
+     * @param {Function} [options.now] Millisecond clock
+     * @param {Function} [options.sleep]
+     */
+    constructor({ appUrl, mockAiUrl = null, callbackReceiverUrl = null, disableRateLimiting = false, pollIntervalMs = 1000, timeoutMs = 120000, fetch = globalThis.fetch, now = Date.now, sleep = null }) {
+        this.appUrl = appUrl.replace(/\/+$/, '');
+        this.mockAiUrl = mockAiUrl ? mockAiUrl.replace(/\/+$/, '').replace(/\/v1$/, '') : null;
+        this.callbackReceiverUrl = callbackReceiverUrl ? callbackReceiverUrl.replace(/\/+$/, '') : null;
+        this.headers = { Accept: 'application/json', ...(disableRateLimiting ? NO_RATE_LIMIT_HEADERS : {}) };
+        this.pollIntervalMs = pollIntervalMs;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+        this.now = now;
+        this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    /**
+     * Check that Laravel (and the mock AI and callback receiver) answer before running cases
+     *
+     * @returns {Promise<string[]>} Problems; empty when everything is reachable
+     */
+    async preflight() {
+        const problems = [];
+        const check = async (label, url) => {
+            try {
+                const response = await this.fetch(url, { headers: this.headers });
+                if (!response.ok) {
+                    problems.push(`${label} answered ${response.status} at ${url}`);
+                }
+            } catch (error) {
+                problems.push(`${label} is not reachable at ${url} (${error.cause ? error.cause.code || error.cause.message : error.message})`);
+            }
+        };
+
+        await check('Laravel', `${this.appUrl}/api/health-check`);
+        if (this.mockAiUrl) {
+            await check('Mock AI', `${this.mockAiUrl}/__mock/scenarios`);
+        }
+        if (this.callbackReceiverUrl) {
+            await check('Callback receiver', `${this.callbackReceiverUrl}/__callbacks?task=preflight`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Run one case end to end
+     *
+     * @returns {Promise<{name: string, taskId: string|null, status: string|null, task: object|null,
+     *   outcome: object|null, timeline: object, stages: object, failures: string[]}>}
+     */
+    async runCase(testCase) {
+        if (!this.mockAiUrl) {
+            return this.submit(testCase, null);
+        }
+
+        const route = `e2e-${crypto.randomBytes(6).toString('hex')}`;
+        await this.mockAi('PUT', route, {
+            match: [testCase.reference_script.trim(), testCase.outcome_description.trim()],
+            scenario: testCase.scenario || null,
+        });
+
+        try {
+            return await this.submit(testCase, route);
+        } finally {
+            await this.mockAi('DELETE', route).catch(() => {});
+        }
+    }
+
+    /**
+     * Submit a case's task, wait for its final status and check it
+     *
+     * @param {string|null} route Mock AI route that tags the task's AI request
+     */
+    async submit(testCase, route) {
+        const timeoutMs = testCase.timeoutMs || this.timeoutMs;
+        const result = { name: testCase.name, taskId: null, status: null, task: null, outcome: null, timeline: {}, stages: {}, failures: [] };
+        const started = this.now();
+        const mark = point => {
+            if (result.timeline[point] === undefined) {
+                result.timeline[point] = this.now() - started;
+            }
+        };
+
+        const submitted = await this.request('POST', '/api/ad-scripts', {
+            reference_script: testCase.reference_script,
+            outcome_description: testCase.outcome_description,
+        });
+        mark('accepted');
+
+        if (submitted.status !== 202 || !submitted.body.data || !submitted.body.data.id) {
+            result.failures.push(`submission answered ${submitted.status}: ${JSON.stringify(submitted.body)}`);
+            return result;
+        }
+
+        result.taskId = submitted.body.data.id;
+
+        while (this.now() - started < timeoutMs) {
+            const polled = await this.request('GET', `/api/ad-scripts/${result.taskId}`);
+
+            if (polled.status === 200) {
+                result.task = polled.body.data;
+                result.status = result.task.status;
+                if (result.status !== 'pending') {
+                    mark('processing');
+                }
+                if (result.task.is_final) {
+                    mark('final');
+                    break;
+                }
+            } else if (polled.status !== 429) {
+                result.failures.push(`polling answered ${polled.status}: ${JSON.stringify(polled.body)}`);
+                return result;
+            }
+
+            await this.sleep(this.pollIntervalMs);
+        }
+
+        if (route) {
+            const aiRequest = await this.findAiRequest(route);
+            if (aiRequest) {
+                result.timeline.ai_request = Date.parse(aiRequest.receivedAt) - started;
+            }
+        }
+        if (this.callbackReceiverUrl && result.task && result.task.is_final) {
+            result.outcome = await this.findOutcome(result.taskId);
+        }
+
+        result.stages = stagesOf(result.timeline);
+        result.failures.push(...checkExpectations(testCase.expect || {}, result, timeoutMs));
+
+        return result;
+    }
+
+    /**
+     * Run cases with at most `concurrency` in flight
+     */
+    async runCases(cases, { concurrency = 1, onResult = () => {} } = {}) {
+        if (this.mockAiUrl && concurrency > 1) {
+            const inputs = cases.map(testCase => JSON.stringify([testCase.reference_script.trim(), testCase.outcome_description.trim()]));
+            const shared = cases.filter((testCase, index) => inputs.indexOf(inputs[index]) !== index);
+            if (shared.length > 0) {
+                throw new Error(`cases run side by side need inputs of their own for the mock AI to tell them apart: ${shared.map(testCase => testCase.name).join(', ')}`);
+            }
+        }
+
+        const results = new Array(cases.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < cases.length) {
+                const index = next++;
+                try {
+                    results[index] = await this.runCase(cases[index]);
+                } catch (error) {
+                    results[index] = { name: cases[index].name, taskId: null, status: null, task: null, outcome: null, timeline: {}, stages: {}, failures: [error.message] };
+                }
+                onResult(results[index]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, cases.length)) }, worker));
+
+        return results;
+    }
+
+    async findAiRequest(route) {
+        try {
+            const response = await this.fetch(`${this.mockAiUrl}/__mock/requests`);
+            const { requests } = await response.json();
+            return requests.find(request => request.route === route) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * new_script, analysis and error_details from the task's last accepted callback
+     *
+     * @returns {Promise<object|null>} null when the receiver saw no accepted callback
+     */
+    async findOutcome(taskId) {
+        let outcome = null;
+        let after = 0;
+
+        for (;;) {
+            const callback = await waitForCallback(this.callbackReceiverUrl, taskId, { timeoutMs: outcome ? 0 : CALLBACK_WAIT_MS, after, fetch: this.fetch });
+            if (!callback) {
+                return outcome;
+            }
+
+            after = callback.id;
+            if (callback.status >= 200 && callback.status < 300 && callback.body) {
+                outcome = { new_script: callback.body.new_script, analysis: callback.body.analysis, error_details: callback.body.error };
+            }
+        }
+    }
+
+    async mockAi(method, route, body = undefined) {
+        const response = await this.fetch(`${this.mockAiUrl}/__mock/routes/${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            throw new Error(`mock AI answered ${response.status} to ${method} /__mock/routes/${route}: ${await response.text()}`);
+        }
+    }
+
+    async request(method, path, body = undefined) {
+        const response = await this.fetch(`${this.appUrl}${path}`, {
+            method,
+            headers: body === undefined ? this.headers : { ...this.headers, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+
+        try {
+            return { status: response.status, body: JSON.parse(text) };
+        } catch {
+            return { status: response.status, body: text };
+        }
+    }
+}
+
+/**
+ * Stage durations for the timeline points that were observed
+ */
+function stagesOf(timeline) {
+    const stages = {};
+
+    for (const [name, from, to] of STAGES) {
+        const start = from === null ? 0 : timeline[from];
+        if (start !== undefined && timeline[to] !== undefined) {
+            stages[name] = timeline[to] - start;
+        }
+    }
+
+    return stages;
+}
+
+/**
+ * @param {object} expect
+ * @param {string} [expect.status] "completed" or "failed"
+ * @param {boolean} [expect.new_script] A non-empty new_script string
+ * @param {string[]} [expect.analysis_keys] Keys analysis must have, each with a string value
+ * @param {string} [expect.error_matches] Regular expression error_details must match
+ */
+function checkExpectations(expect, result, timeoutMs) {
+    const failures = [];
+    const outcome = result.outcome || {};
+
+    if (!result.task || !result.task.is_final) {
+        failures.push(`no final status within ${timeoutMs}ms (last: ${result.status || 'none'})`);
+        return failures;
+    }
+    if (expect.status && result.status !== expect.status) {
+        failures.push(`status is ${result.status}, expected ${expect.status}` +
+            (outcome.error_details ? ` (error_details: ${outcome.error_details})` : ''));
+        return failures;
+    }
+    if (!result.outcome && (expect.new_script || expect.analysis_keys || expect.error_matches)) {
+        failures.push('no accepted callback at the callback receiver to check new_script, analysis and error_details against');
+        return failures;
+    }
+    if (expect.new_script && (typeof outcome.new_script !== 'string' || outcome.new_script.trim() === '')) {
+        failures.push(`new_script is ${JSON.stringify(outcome.new_script)}, expected a non-empty string`);
+    }
+    if (expect.analysis_keys) {
+        const analysis = outcome.analysis && typeof outcome.analysis === 'object' ? outcome.analysis : null;
+        if (!analysis) {
+            failures.push(`analysis is ${JSON.stringify(outcome.analysis)}, expected an object`);
+        } else {
+            for (const key of expect.analysis_keys) {
+                if (typeof analysis[key] !== 'string') {
+                    failures.push(`analysis.${key} is ${JSON.stringify(analysis[key])}, expected a string`);
+                }
+            }
+        }
+    }
+    if (expect.error_matches && !new RegExp(expect.error_matches).test(outcome.error_details || '')) {
+        failures.push(`error_details ${JSON.stringify(outcome.error_details)} does not match /${expect.error_matches}/`);
+    }
+
+    return failures;
+}
+
+/**
+ * min/median/max per stage over the results that observed it
+ */
+function summarizeStages(results) {
+    const summary = {};
+
+    for (const [name] of STAGES) {
+        const values = results.map(result => result.stages[name]).filter(value => value !== undefined).sort((a, b) => a - b);
+        if (values.length > 0) {
+            summary[name] = {
+                count: values.length,
+                min: values[0],
+                median: values[Math.floor((values.length - 1) / 2)],
+                max: values[values.length - 1],
+            };
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    E2eHarness,
+    STAGES,
+    stagesOf,
+    checkExpectations,
+    summarizeStages,
+};
@@ -0,0 +1,106 @@
+/**
+ * .env File Helpers
+ *
+ * Minimal reader for the Laravel-style .env files used by the tooling:
+ * KEY=value lines, optional quotes, comments and blank lines. Variable
+ * interpolation ("${APP_NAME}") is left as-is.
+ */
+
+const fs = require('fs');
+
+const LINE_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)?\s*$/;
+
+/**
+ * Parse .env contents into an object
+ */
+function parseEnv(text) {
+    const values = {};
+
+    for (const line of text.split(/\r?\n/)) {
+        if (/^\s*(#|$)/.test(line)) {
+            continue;
+        }
+
+        const match = line.match(LINE_PATTERN);
+        if (match) {
+            values[match[1]] = unquote((match[2] || '').trim());
+        }
+    }
+
+    return values;
+}
+
+function unquote(value) {
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+        return quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n').replace(/\\"/g, '"') : quoted[2];
+    }
+
+    // Unquoted values may carry a trailing comment
+    return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Load a .env file; a missing file yields an empty object
+ */
+function loadEnvFile(file) {
+    return fs.existsSync(file) ? parseEnv(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Set variables in .env contents, replacing existing lines in place and
+ * appending new ones; every other line is kept as-is
+ */
+function setEnvValues(text, values) {
+    const lines = text.split('\n');
+    const pending = new Map(Object.entries(values));
+
+    const updated = lines.map(line => {
+        const match = line.match(LINE_PATTERN);
+        if (!match || !pending.has(match[1])) {
+            return line;
+        }
+
+        const value = pending.get(match[1]);
+        pending.delete(match[1]);
+
+        return `${match[1]}=${formatValue(value)}`;
+    });
+
+    if (pending.size > 0) {
+        if (updated[updated.length - 1] === '') {
+            updated.pop();
+        }
+        for (const [key, value] of pending) {
+            updated.push(`${key}=${formatValue(value)}`);
+        }
+        updated.push('');
+    }
+
+    return updated.join('\n');
+}
+
+function formatValue(value) {
+    const text = String(value);
+
+    return /[\s#"'=]/.test(text) ? `"${text.replace(/"/g, '\\"')}"` : text;
+}
+
+/**
+ * Update variables in a .env file atomically (write a sibling, then rename)
+ */
+function updateEnvFile(file, values) {
+    const text = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const mode = fs.existsSync(file) ? fs.statSync(file).mode & 0o777 : 0o600;
+    const tmp = `${file}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tmp, setEnvValues(text, values), { mode });
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    parseEnv,
+    loadEnvFile,
+    setEnvValues,
+    updateEnvFile,
+};
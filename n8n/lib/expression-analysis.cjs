@@ -0,0 +1,553 @@
+/**
+ * Expression Analysis
+ *
+ * Parses the JavaScript embedded in a workflow with acorn: every `{{ }}`
+ * segment of an expression parameter (a string starting with "=") and every
+ * Code node's jsCode. It reports
+ *
+ *   - syntax errors,
+ *   - references to nodes that do not exist ($('Name'), $node['Name'], $items('Name')),
+ *   - reads of fields the source node never produces ($json.x, $input.first().json.x,
+ *     $('Name').item.json.x), where the source's fields are known,
+ *   - reads through a Set node of fields it only passes through instead of defining,
+ *   - whitespace around a single `{{ }}`, which turns its value into a string,
+ *   - reads of $env other than the variables in ALLOWED_ENV: n8n runs with
+ *     N8N_BLOCK_ENV_ACCESS_IN_NODE=false for the Sign Callback node, so this
+ *     is what keeps the rest of its environment out of the workflow.
+ *
+ * The fields a node produces are derived from the graph: Set nodes define
+ * their fields (and pass their input through unless keepOnlySet is on), If
+ * and Respond to Webhook nodes pass their input through, Code nodes produce
+ * the keys of the `json` objects they return when those are literals, and a
+ * few trigger/AI nodes have a fixed output. Anything else is "open" and never
+ * causes a finding.
+ */
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const { normalizeConnections } = require('./connection-map.cjs');
+
+const PARSE_OPTIONS = { ecmaVersion: 'latest', sourceType: 'script', locations: true };
+
+/**
+ * Code node parameters holding a whole function body
+ */
+const CODE_PARAMETERS = ['jsCode', 'functionCode'];
+
+/**
+ * Node types whose output is their input
+ */
+const PASS_THROUGH_TYPES = [
+    'n8n-nodes-base.if',
+    'n8n-nodes-base.filter',
+    'n8n-nodes-base.noOp',
+    'n8n-nodes-base.respondToWebhook',
+    'n8n-nodes-base.wait',
+];
+
+/**
+ * Node types with a fixed set of top-level output fields
+ */
+const FIXED_OUTPUTS = {
+    'n8n-nodes-base.webhook': ['body', 'headers', 'params', 'query', 'webhookUrl', 'executionMode'],
+    'n8n-nodes-base.errorTrigger': ['execution', 'workflow', 'trigger'],
+    'n8n-nodes-base.openAi': ['text', 'message', 'index', 'finish_reason', 'logprobs', 'usage', 'error'],
+};
+
+/**
+ * The only variables the workflow may read from n8n's environment
+ */
+const ALLOWED_ENV = ['N8N_CALLBACK_HMAC_SECRET'];
+
+/**
+ * `.first()`, `.item`, `.all()[0]` ... between a node reference and `.json`
+ */
+const ITEM_ACCESSORS = ['first', 'last', 'item', 'all', 'itemMatching', 'pairedItem'];
+
+/**
+ * Split an expression parameter into its `{{ }}` segments
+ *
+ * Picks, for every `{{`, the first `}}` that closes a parseable expression, so
+ * object literals inside the braces do not end the segment early.
+ *
+ * @returns {{segments: Array<{code: string, offset: number}>, literal: string, error: object|null}}
+ */
+function splitTemplate(template) {
+    const segments = [];
+    let literal = '';
+    let index = 0;
+
+    while (index < template.length) {
+        const open = template.indexOf('{{', index);
+        if (open === -1) {
+            literal += template.slice(index);
+            break;
+        }
+        literal += template.slice(index, open);
+
+        let close = template.indexOf('}}', open + 2);
+        if (close === -1) {
+            return { segments, literal, error: { message: 'Unterminated {{ (missing }})', offset: open } };
+        }
+
+        let firstError = null;
+        while (close !== -1) {
+            const error = parseError(template.slice(open + 2, close), true);
+            if (!error) {
+                break;
+            }
+            firstError = firstError || { close, error };
+            close = template.indexOf('}}', close + 1);
+        }
+
+        if (close === -1) {
+            segments.push({ code: template.slice(open + 2, firstError.close), offset: open + 2 });
+            return {
+                segments,
+                literal,
+                error: { message: firstError.error.message, offset: open + 2 + firstError.error.pos },
+            };
+        }
+
+        segments.push({ code: template.slice(open + 2, close), offset: open + 2 });
+        index = close + 2;
+    }
+
+    return { segments, literal, error: null };
+}
+
+/**
+ * Parse an expression segment or a Code node body
+ */
+function parse(code, isExpression) {
+    if (isExpression) {
+        return acorn.parse(`(${code}\n)`, PARSE_OPTIONS);
+    }
+
+    return acorn.parse(code, { ...PARSE_OPTIONS, allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true });
+}
+
+/**
+ * @returns {{message: string, pos: number, line: number}|null}
+ */
+function parseError(code, isExpression) {
+    try {
+        parse(code, isExpression);
+        return null;
+    } catch (error) {
+        const shift = isExpression ? 1 : 0;
+        return {
+            message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+            pos: Math.max(0, (error.pos || 0) - shift),
+            line: error.loc ? error.loc.line : 1,
+        };
+    }
+}
+
+/**
+ * A string literal argument, or null
+ */
+function literalString(node) {
+    if (!node) {
+        return null;
+    }
+    if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+    }
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+    }
+    return null;
+}
+
+function propertyName(member) {
+    if (!member.computed && member.property.type === 'Identifier') {
+        return member.property.name;
+    }
+    return literalString(member.property);
+}
+
+/**
+ * Node references and field reads in a parsed program
+ *
+ * @returns {{
+ *   nodes: Array<{name: string, line: number}>,
+ *   reads: Array<{source: string|null, path: string[], line: number}>,
+ *   env: Array<{name: string|null, line: number}>,
+ * }} `source` null means the node's own input, `name` null a read of $env as a whole or by a computed name
+ */
+function collectReferences(ast) {
+    const nodes = [];
+    const reads = [];
+    const env = [];
+
+    const nodeReference = expression => {
+        if (expression.type === 'CallExpression' && expression.callee.type === 'Identifier' &&
+            ['$', '$items'].includes(expression.callee.name)) {
+            return literalString(expression.arguments[0]);
+        }
+        if (expression.type === 'MemberExpression' && expression.object.type === 'Identifier' && expression.object.name === '$node') {
+            return propertyName(expression);
+        }
+        return null;
+    };
+
+    walk.full(ast, expression => {
+        const name = nodeReference(expression);
+        if (name !== null) {
+            nodes.push({ name, line: expression.loc.start.line });
+        }
+    });
+
+    walk.ancestor(ast, {
+        Identifier(identifier, state, ancestors) {
+            if (identifier.name === '$env') {
+                const parent = ancestors[ancestors.length - 2];
+                const member = parent && parent.type === 'MemberExpression' && parent.object === identifier;
+                env.push({ name: member ? propertyName(parent) : null, line: identifier.loc.start.line });
+                return;
+            }
+            if (identifier.name !== '$json' && identifier.name !== '$input') {
+                return;
+            }
+            const chain = memberChain(identifier, ancestors);
+            const path = identifier.name === '$json' ? chain.filter(part => !part.endsWith('()') && !part.startsWith('[')) : fieldsAfterJson(chain);
+            if (path && path.length > 0) {
+                reads.push({ source: null, path, line: identifier.loc.start.line });
+            }
+        },
+        CallExpression(call, state, ancestors) {
+            const name = nodeReference(call);
+            if (name === null) {
+                return;
+            }
+            const path = fieldsAfterJson(memberChain(call, ancestors));
+            if (path && path.length > 0) {
+                reads.push({ source: name, path, line: call.loc.start.line });
+            }
+        },
+        MemberExpression(member, state, ancestors) {
+            const name = nodeReference(member);
+            if (name === null) {
+                return;
+            }
+            const path = fieldsAfterJson(memberChain(member, ancestors));
+            if (path && path.length > 0) {
+                reads.push({ source: name, path, line: member.loc.start.line });
+            }
+        },
+    });
+
+    return { nodes, reads, env };
+}
+
+/**
+ * Property names and calls applied to `start`: `$x.a.b()` gives ['a', 'b()']
+ */
+function memberChain(start, ancestors) {
+    const chain = [];
+    let current = start;
+
+    for (let i = ancestors.length - 2; i >= 0; i--) {
+        const parent = ancestors[i];
+
+        if (parent.type === 'ChainExpression') {
+            current = parent;
+            continue;
+        }
+        if (parent.type === 'MemberExpression' && parent.object === current) {
+            const name = propertyName(parent);
+            if (name === null) {
+                chain.push(parent.property.type === 'Literal' ? `[${parent.property.value}]` : '[?]');
+            } else {
+                chain.push(name);
+            }
+            current = parent;
+            continue;
+        }
+        if (parent.type === 'CallExpression' && parent.callee === current && chain.length > 0) {
+            chain[chain.length - 1] += '()';
+            current = parent;
+            continue;
+        }
+        break;
+    }
+
+    return chain;
+}
+
+/**
+ * The fields read after `.json` in an item chain, e.g. ['first()', 'json', 'a'] gives ['a']
+ */
+function fieldsAfterJson(chain) {
+    const json = chain.indexOf('json');
+    if (json === -1) {
+        return null;
+    }
+
+    const accessors = chain.slice(0, json);
+    const known = accessors.every(part => ITEM_ACCESSORS.includes(part.replace(/\(\)$/, '')) || /^\[\d+\]$/.test(part));
+
+    return known ? chain.slice(json + 1).filter(part => !part.endsWith('()') && !part.startsWith('[')) : null;
+}
+
+/**
+ * Keys of the `json` objects a Code node returns (as a list of items or, per
+ * item, a single object), or null when they are not all literals
+ */
+function returnedFields(ast) {
+    const fields = new Set();
+    let returns = 0;
+    let inferable = true;
+
+    walk.recursive(ast, null, {
+        Function() {},
+        ReturnStatement(statement) {
+            const argument = statement.argument;
+            const items = argument && argument.type === 'ArrayExpression' ? argument.elements : [argument];
+
+            returns++;
+            for (const item of items) {
+                const json = item && item.type === 'ObjectExpression'
+                    ? item.properties.find(property => property.type === 'Property' && propertyName({ computed: property.computed, property: property.key }) === 'json')
+                    : null;
+                if (!json || json.value.type !== 'ObjectExpression' || json.value.properties.some(property => property.type !== 'Property')) {
+                    inferable = false;
+                    return;
+                }
+                json.value.properties.forEach(property => fields.add(propertyName({ computed: property.computed, property: property.key })));
+            }
+        },
+    });
+
+    return returns > 0 && inferable && !fields.has(null) ? fields : null;
+}
+
+/**
+ * Every piece of embedded JavaScript in the workflow
+ *
+ * @returns {Array<{node: object, path: string[], code: string, isExpression: boolean, template: string|null}>}
+ */
+function embeddedCode(workflow) {
+    const pieces = [];
+
+    for (const node of workflow.nodes) {
+        const visit = (value, path) => {
+            if (typeof value === 'string') {
+                if (path.length === 1 && CODE_PARAMETERS.includes(path[0]) && isCodeNode(node)) {
+                    pieces.push({ node, path, code: value, isExpression: false, template: null });
+                } else if (value.startsWith('=')) {
+                    pieces.push({ node, path, code: null, isExpression: true, template: value.slice(1) });
+                }
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => visit(child, [...path, key]));
+            }
+        };
+
+        visit(node.parameters || {}, []);
+    }
+
+    return pieces;
+}
+
+function isCodeNode(node) {
+    return ['n8n-nodes-base.code', 'n8n-nodes-base.function', 'n8n-nodes-base.functionItem'].includes(node.type);
+}
+
+/**
+ * Fields defined by a Set node and whether it also passes its input through
+ */
+function setNodeFields(node) {
+    const parameters = node.parameters || {};
+
+    if (parameters.assignments) {
+        return {
+            defined: (parameters.assignments.assignments || []).map(assignment => topLevel(assignment.name)),
+            passThrough: parameters.includeOtherFields === true,
+        };
+    }
+
+    return {
+        defined: Object.values(parameters.values || {}).flat().map(field => topLevel(field.name)),
+        passThrough: parameters.keepOnlySet !== true,
+    };
+}
+
+function topLevel(name) {
+    return String(name).split('.')[0];
+}
+
+/**
+ * Output shape of every node: {fields: Set, open: boolean, defined?: Set}
+ */
+function outputShapes(workflow, connections, codeFields) {
+    const predecessors = new Map(workflow.nodes.map(node => [node.name, []]));
+
+    for (const [source, outputsByType] of Object.entries(connections)) {
+        for (const targets of (outputsByType.main || []).flat()) {
+            predecessors.get(targets.node).push(source);
+        }
+    }
+
+    const byName = new Map(workflow.nodes.map(node => [node.name, node]));
+    const shapes = new Map();
+    const open = { fields: new Set(), open: true };
+
+    const input = (name, seen) => {
+        const sources = predecessors.get(name) || [];
+        if (sources.length === 0) {
+            return open;
+        }
+        return union(sources.map(source => output(source, seen)));
+    };
+
+    const output = (name, seen = new Set()) => {
+        if (shapes.has(name)) {
+            return shapes.get(name);
+        }
+        if (seen.has(name)) {
+            return open;
+        }
+        seen.add(name);
+
+        const node = byName.get(name);
+        let shape = open;
+
+        if (FIXED_OUTPUTS[node.type]) {
+            shape = { fields: new Set(FIXED_OUTPUTS[node.type]), open: false };
+        } else if (PASS_THROUGH_TYPES.includes(node.type)) {
+            shape = input(name, seen);
+        } else if (node.type === 'n8n-nodes-base.set') {
+            const { defined, passThrough } = setNodeFields(node);
+            const upstream = passThrough ? input(name, seen) : { fields: new Set(), open: false };
+            shape = { fields: new Set([...upstream.fields, ...defined]), open: upstream.open, defined: new Set(defined) };
+        } else if (codeFields.has(name)) {
+            shape = { fields: codeFields.get(name), open: false };
+        }
+
+        shapes.set(name, shape);
+
+        return shape;
+    };
+
+    return { output: name => output(name), input: name => input(name, new Set()), predecessors };
+}
+
+function union(shapes) {
+    return {
+        fields: new Set(shapes.flatMap(shape => [...shape.fields])),
+        open: shapes.some(shape => shape.open),
+    };
+}
+
+/**
+ * Defined field that only differs from `wanted` in case and separators
+ */
+function suggest(wanted, fields) {
+    const key = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return [...fields].find(field => key(field) === key(wanted)) || null;
+}
+
+/**
+ * Analyze all embedded JavaScript of a workflow
+ *
+ * @returns {Array<{rule: string, message: string, node: string, path: string[]}>}
+ */
+function analyzeWorkflow(workflow) {
+    const findings = [];
+    const nodeNames = new Set(workflow.nodes.map(node => node.name));
+    const { connections } = normalizeConnections(workflow);
+    const parsed = [];
+    const codeFields = new Map();
+
+    for (const piece of embeddedCode(workflow)) {
+        const report = (rule, message) => findings.push({ rule, message, node: piece.node.name, path: piece.path });
+        const where = piece.path.join('.');
+
+        if (!piece.isExpression) {
+            const error = parseError(piece.code, false);
+            if (error) {
+                report('expressions.syntax', `${where} line ${error.line}: ${error.message}`);
+                continue;
+            }
+            const ast = parse(piece.code, false);
+            parsed.push({ piece, ast });
+
+            const fields = returnedFields(ast);
+            if (fields) {
+                codeFields.set(piece.node.name, fields);
+            }
+            continue;
+        }
+
+        const template = splitTemplate(piece.template);
+
+        if (template.error) {
+            report('expressions.syntax', `${where}: ${template.error.message}`);
+        }
+        if (template.segments.length === 1 && template.literal !== '' && template.literal.trim() === '') {
+            report('expressions.literal-text', `${where}: whitespace around {{ }} makes the value a string; use "={{${template.segments[0].code}}}"`);
+        }
+        if (!template.error) {
+            template.segments.forEach(segment => parsed.push({ piece, ast: parse(segment.code, true) }));
+        }
+    }
+
+    const shapes = outputShapes(workflow, connections, codeFields);
+
+    for (const { piece, ast } of parsed) {
+        const report = (rule, message) => findings.push({ rule, message, node: piece.node.name, path: piece.path });
+        const where = piece.isExpression ? piece.path.join('.') : `${piece.path.join('.')} line`;
+        const references = collectReferences(ast);
+
+        for (const reference of references.nodes.filter(candidate => !nodeNames.has(candidate.name))) {
+            report('expressions.unknown-node', `${where}${piece.isExpression ? '' : ` ${reference.line}`}: no node named "${reference.name}"`);
+        }
+
+        for (const read of references.env.filter(candidate => !ALLOWED_ENV.includes(candidate.name))) {
+            const location = `${where}${piece.isExpression ? '' : ` ${read.line}`}`;
+            report('expressions.env-access', read.name === null
+                ? `${location}: reads $env as a whole; read ${ALLOWED_ENV.map(name => `$env.${name}`).join(', ')} by name`
+                : `${location}: reads $env.${read.name}; only ${ALLOWED_ENV.join(', ')} may be read from n8n's environment`);
+        }
+
+        for (const read of references.reads) {
+            if (read.source !== null && !nodeNames.has(read.source)) {
+                continue;
+            }
+
+            const [field] = read.path;
+            const accessor = read.source === null ? `$json.${read.path.join('.')}` : `$('${read.source}').json.${read.path.join('.')}`;
+            const location = `${where}${piece.isExpression ? '' : ` ${read.line}`}`;
+            const shape = read.source === null ? shapes.input(piece.node.name) : shapes.output(read.source);
+            const origin = read.source === null
+                ? `its input (${(shapes.predecessors.get(piece.node.name) || []).map(name => `"${name}"`).join(', ')})`
+                : `"${read.source}"`;
+
+            if (!shape.open && !shape.fields.has(field)) {
+                const hint = suggest(read.path[read.path.length - 1], shape.fields);
+                report('expressions.unknown-field', `${location}: reads ${accessor}, but ${origin} never sets "${field}"` +
+                    (hint ? `; did you mean "${hint}"?` : ''));
+                continue;
+            }
+
+            if (shape.defined && !shape.defined.has(field)) {
+                const hint = suggest(read.path[read.path.length - 1], shape.defined);
+                report('expressions.passthrough-field', `${location}: reads ${accessor}, which "${read.source}" only passes through; ` +
+                    `it defines ${[...shape.defined].map(name => `"${name}"`).join(', ')}` + (hint ? `; did you mean "${hint}"?` : ''));
+            }
+        }
+    }
+
+    return findings;
+}
+
+module.exports = {
+    ALLOWED_ENV,
+    analyzeWorkflow,
+    splitTemplate,
+    collectReferences,
+    returnedFields,
+    parse,
+};
@@ -0,0 +1,110 @@
+/**
+ * JSON Pointer Locator
+ *
+ * Maps JSON pointers to line/column positions in the original text, so that
+ * findings about a workflow can be shown on the line that holds the value.
+ * Object members are located at their key. The input must be valid JSON.
+ */
+
+/**
+ * Positions of every value in a JSON text, keyed by JSON pointer
+ *
+ * @returns {Map<string, {line: number, column: number}>} 1-based positions
+ */
+function locatePointers(text) {
+    const positions = new Map();
+    let index = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const here = () => ({ line, column: index - lineStart + 1 });
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) {
+            if (text[index] === '\n') {
+                line++;
+                lineStart = index + 1;
+            }
+            index++;
+        }
+    };
+
+    const readString = () => {
+        const start = index;
+        index++;
+        while (text[index] !== '"') {
+            index += text[index] === '\\' ? 2 : 1;
+        }
+        index++;
+        return JSON.parse(text.slice(start, index));
+    };
+
+    const readValue = (pointer, position) => {
+        skipWhitespace();
+        positions.set(pointer, position || here());
+
+        if (text[index] === '{') {
+            index++;
+            skipWhitespace();
+            while (text[index] !== '}') {
+                const keyPosition = here();
+                const key = readString();
+                skipWhitespace();
+                index++; // :
+                readValue(`${pointer}/${escape(key)}`, keyPosition);
+                skipWhitespace();
+                if (text[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                }
+            }
+            index++;
+        } else if (text[index] === '[') {
+            index++;
+            skipWhitespace();
+            for (let item = 0; text[index] !== ']'; item++) {
+                readValue(`${pointer}/${item}`);
+                skipWhitespace();
+                if (text[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                }
+            }
+            index++;
+        } else if (text[index] === '"') {
+            readString();
+        } else {
+            while (index < text.length && !/[\s,\]}]/.test(text[index])) {
+                index++;
+            }
+        }
+    };
+
+    JSON.parse(text);
+    readValue('');
+
+    return positions;
+}
+
+function escape(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Position of `pointer`, or of its closest existing parent when the pointer
+ * names something that is missing
+ */
+function locate(positions, pointer) {
+    let current = pointer;
+
+    while (!positions.has(current)) {
+        current = current.slice(0, Math.max(0, current.lastIndexOf('/')));
+    }
+
+    return positions.get(current);
+}
+
+module.exports = {
+    locatePointers,
+    locate,
+};
@@ -0,0 +1,384 @@
+/**
+ * Mock OpenAI/OpenRouter Server
+ *
+ * Serves the OpenAI-compatible endpoints the AI Agent (OpenRouter) node calls
+ * (chat/completions, completions, models) from scripted scenarios, so the
+ * workflow and its test scripts run without a real LLM key. Paths are matched
+ * by suffix, so /v1/..., /api/v1/... (OpenRouter's layout) and bare paths all
+ * work; point the openai-credentials base URL (OPENROUTER_BASE_URL) at it.
+ *
+ * A scenario is one of:
+ *
+ *   { content, finishReason? }          a completion whose text is `content`
+ *   { status, error, headers? }         an OpenAI-style error response
+ *   { delayMs, ... }                    any of the above, answered late
+ *   { sequence: [name, ...] }           the named scenarios in turn, repeating the last
+ *
+ * The scenario for a request is chosen by, in order: the X-Mock-Scenario
+ * header, a route whose match strings all appear in the prompt, a
+ * `[mock-scenario:<name>]` marker anywhere in the prompt, the scenario set
+ * through PUT /__mock/scenario, and the file's default.
+ *
+ * Routes let a test pick the scenario for the requests its own input causes
+ * without changing that input: register the strings only that input contains
+ * (the reference script, say) and the requests they show up in are answered
+ * with the route's scenario and recorded with the route's id. Each route runs
+ * its own sequences.
+ *
+ * Control endpoints:
+ *   GET    /__mock/scenarios    Scenario names and descriptions, and the active one
+ *   PUT    /__mock/scenario     {"name": "<scenario>"} selects the active scenario
+ *   GET    /__mock/routes       Registered routes
+ *   PUT    /__mock/routes/<id>  {"match": ["<text>", ...], "scenario"?: "<name>"} registers a route
+ *   DELETE /__mock/routes/<id>  Removes it
+ *   GET    /__mock/requests     Requests received so far, with when each arrived
+ *   DELETE /__mock/requests     Forget them and restart every sequence
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_SCENARIO_FILE = path.join(__dirname, '..', 'mock-ai', 'scenarios.json');
+const DEFAULT_PORT = 4010;
+
+const SCENARIO_MARKER = /\[mock-scenario:([\w-]+)\]/;
+const ROUTE_PATH = /^\/__mock\/routes\/([\w.:-]+)$/;
+
+/**
+ * Load and check a scenario file
+ *
+ * @returns {{default: string, scenarios: Object<string, object>}}
+ */
+function loadScenarios(file = DEFAULT_SCENARIO_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = validateScenarios(config);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid scenario file ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return config;
+}
+
+function validateScenarios(config) {
+    const problems = [];
+    const scenarios = (config && config.scenarios) || {};
+    const names = Object.keys(scenarios);
+
+    if (names.length === 0) {
+        problems.push('"scenarios" must define at least one scenario');
+    }
+    if (config && config.default !== undefined && !scenarios[config.default]) {
+        problems.push(`default scenario "${config.default}" is not defined`);
+    }
+
+    for (const [name, scenario] of Object.entries(scenarios)) {
+        if (scenario.sequence) {
+            const unknown = scenario.sequence.filter(step => !scenarios[step] || scenarios[step].sequence);
+            if (scenario.sequence.length === 0 || unknown.length > 0) {
+                problems.push(`${name}: sequence steps must name non-sequence scenarios (${unknown.join(', ') || 'empty'})`);
+            }
+        } else if (typeof scenario.content !== 'string' && !(scenario.status >= 400)) {
+            problems.push(`${name}: needs a "content" string or an error "status"`);
+        }
+    }
+
+    return problems;
+}
+
+class MockAiServer {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.config] Scenario file contents; loaded from `file` when omitted
+     * @param {string} [options.file]
+     * @param {string} [options.scenario] Active scenario (default: the file's default)
+     * @param {Function} [options.log] Called with a line per request
+     */
+    constructor({ config = null, file = DEFAULT_SCENARIO_FILE, scenario = null, log = () => {} } = {}) {
+        this.config = config || loadScenarios(file);
+        this.active = null;
+        this.log = log;
+        this.requests = [];
+        this.routes = new Map();
+        this.sequences = new Map();
+        this.timers = new Set();
+        this.server = http.createServer((request, response) => this.handle(request, response));
+
+        this.setScenario(scenario || this.config.default || Object.keys(this.config.scenarios)[0]);
+    }
+
+    setScenario(name) {
+        if (!this.config.scenarios[name]) {
+            throw new Error(`Unknown scenario "${name}" (available: ${Object.keys(this.config.scenarios).join(', ')})`);
+        }
+        this.active = name;
+    }
+
+    /**
+     * Answer prompts containing every `match` string with `scenario` (default: the active one)
+     */
+    setRoute(id, { match, scenario = null } = {}) {
+        if (!Array.isArray(match) || match.length === 0 || !match.every(text => typeof text === 'string' && text !== '')) {
+            throw new Error(`Route "${id}" needs a non-empty "match" list of non-empty strings`);
+        }
+        if (scenario !== null && !this.config.scenarios[scenario]) {
+            throw new Error(`Unknown scenario "${scenario}" (available: ${Object.keys(this.config.scenarios).join(', ')})`);
+        }
+
+        this.routes.set(id, { id, match, scenario });
+        this.clearSequences(id);
+    }
+
+    deleteRoute(id) {
+        this.clearSequences(id);
+        return this.routes.delete(id);
+    }
+
+    clearSequences(route) {
+        for (const key of this.sequences.keys()) {
+            if (key.startsWith(`${route}/`)) {
+                this.sequences.delete(key);
+            }
+        }
+    }
+
+    reset() {
+        this.requests = [];
+        this.sequences.clear();
+    }
+
+    /**
+     * @returns {Promise<string>} Base URL including /v1
+     */
+    listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                resolve(`http://${host}:${address.port}/v1`);
+            });
+        });
+    }
+
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.server.closeAllConnections();
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(request, response) {
+        try {
+            const body = await readBody(request);
+            const url = new URL(request.url, 'http://mock');
+
+            if (url.pathname.startsWith('/__mock/')) {
+                return this.control(request.method, url.pathname, body, response);
+            }
+            if (request.method === 'GET' && url.pathname.endsWith('/models')) {
+                return send(response, 200, {
+                    object: 'list',
+                    data: Object.keys(this.config.scenarios).map(name => ({ id: `mock/${name}`, object: 'model', owned_by: 'mock' })),
+                });
+            }
+
+            const kind = url.pathname.endsWith('/chat/completions') ? 'chat'
+                : url.pathname.endsWith('/completions') ? 'text' : null;
+
+            if (request.method !== 'POST' || !kind) {
+                return sendError(response, 404, { message: `Unknown endpoint ${request.method} ${url.pathname}`, type: 'invalid_request_error' });
+            }
+            if (!/^Bearer\s+\S+/.test(request.headers.authorization || '')) {
+                return sendError(response, 401, { message: 'No auth credentials found', type: 'invalid_request_error', code: 401 });
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body || '{}');
+            } catch (error) {
+                return sendError(response, 400, { message: `Invalid JSON body: ${error.message}`, type: 'invalid_request_error' });
+            }
+
+            const prompt = kind === 'chat'
+                ? (payload.messages || []).map(message => stringContent(message.content)).join('\n')
+                : stringContent(payload.prompt);
+            const route = this.route(prompt);
+            const name = this.choose(request.headers['x-mock-scenario'], prompt, route);
+            const scenario = this.resolve(name, route);
+
+            this.requests.push({ kind, path: url.pathname, scenario: scenario.name, route: route ? route.id : null, model: payload.model, prompt, body: payload, receivedAt: new Date().toISOString() });
+            this.log(`${request.method} ${url.pathname} model=${payload.model || '-'} scenario=${scenario.name}${route ? ` route=${route.id}` : ''}`);
+
+            await this.delay(scenario.delayMs);
+
+            if (scenario.status >= 400) {
+                return sendError(response, scenario.status, scenario.error || { message: `Mock error ${scenario.status}` }, scenario.headers);
+            }
+
+            return send(response, 200, completion(kind, payload, scenario), scenario.headers);
+        } catch (error) {
+            if (!response.headersSent) {
+                sendError(response, 500, { message: error.message, type: 'mock_error' });
+            }
+        }
+    }
+
+    control(method, pathname, body, response) {
+        if (method === 'GET' && pathname === '/__mock/scenarios') {
+            return send(response, 200, {
+                active: this.active,
+                scenarios: Object.fromEntries(Object.entries(this.config.scenarios)
+                    .map(([name, scenario]) => [name, scenario.description || ''])),
+            });
+        }
+        if (method === 'PUT' && pathname === '/__mock/scenario') {
+            try {
+                this.setScenario(JSON.parse(body || '{}').name);
+            } catch (error) {
+                return sendError(response, 400, { message: error.message, type: 'invalid_request_error' });
+            }
+            this.sequences.clear();
+            return send(response, 200, { active: this.active });
+        }
+        if (method === 'GET' && pathname === '/__mock/routes') {
+            return send(response, 200, { routes: [...this.routes.values()] });
+        }
+
+        const route = ROUTE_PATH.exec(pathname);
+        if (method === 'PUT' && route) {
+            try {
+                this.setRoute(route[1], JSON.parse(body || '{}'));
+            } catch (error) {
+                return sendError(response, 400, { message: error.message, type: 'invalid_request_error' });
+            }
+            return send(response, 200, this.routes.get(route[1]));
+        }
+        if (method === 'DELETE' && route) {
+            if (!this.deleteRoute(route[1])) {
+                return sendError(response, 404, { message: `Unknown route "${route[1]}"` });
+            }
+            return send(response, 200, { deleted: route[1] });
+        }
+        if (method === 'GET' && pathname === '/__mock/requests') {
+            return send(response, 200, { requests: this.requests });
+        }
+        if (method === 'DELETE' && pathname === '/__mock/requests') {
+            this.reset();
+            return send(response, 200, { requests: [] });
+        }
+
+        return sendError(response, 404, { message: `Unknown control endpoint ${method} ${pathname}` });
+    }
+
+    /**
+     * The most recently registered route whose match strings all appear in the prompt
+     */
+    route(prompt) {
+        const routes = [...this.routes.values()].reverse();
+
+        return routes.find(route => route.match.every(text => (prompt || '').includes(text))) || null;
+    }
+
+    /**
+     * Scenario name for a request; unknown header or marker names fall back to the active scenario
+     */
+    choose(header, prompt, route = null) {
+        const marker = SCENARIO_MARKER.exec(prompt || '');
+
+        for (const candidate of [header, route && route.scenario, marker && marker[1]]) {
+            if (candidate && this.config.scenarios[candidate]) {
+                return candidate;
+            }
+        }
+
+        return this.active;
+    }
+
+    /**
+     * The concrete scenario to answer with, advancing sequences (per route)
+     */
+    resolve(name, route = null) {
+        const scenario = this.config.scenarios[name];
+
+        if (!scenario.sequence) {
+            return { ...scenario, name };
+        }
+
+        const key = route ? `${route.id}/${name}` : name;
+        const step = this.sequences.get(key) || 0;
+        this.sequences.set(key, step + 1);
+        const stepName = scenario.sequence[Math.min(step, scenario.sequence.length - 1)];
+
+        return { ...this.config.scenarios[stepName], name: stepName };
+    }
+
+    delay(ms) {
+        if (!ms) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.timers.delete(timer);
+                resolve();
+            }, ms);
+            this.timers.add(timer);
+        });
+    }
+}
+
+/**
+ * OpenAI response body for a content scenario
+ */
+function completion(kind, payload, scenario) {
+    const created = Math.floor(Date.now() / 1000);
+    const promptTokens = Math.ceil(JSON.stringify(payload.messages || payload.prompt || '').length / 4);
+    const completionTokens = Math.ceil(scenario.content.length / 4);
+    const choice = kind === 'chat'
+        ? { index: 0, message: { role: 'assistant', content: scenario.content }, finish_reason: scenario.finishReason || 'stop' }
+        : { index: 0, text: scenario.content, logprobs: null, finish_reason: scenario.finishReason || 'stop' };
+
+    return {
+        id: `mock-${scenario.name}-${created}`,
+        object: kind === 'chat' ? 'chat.completion' : 'text_completion',
+        created,
+        model: payload.model || 'mock',
+        choices: [choice],
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    };
+}
+
+function stringContent(content) {
+    if (Array.isArray(content)) {
+        return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('\n');
+    }
+    return content === undefined || content === null ? '' : String(content);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, body, headers = {}) {
+    response.writeHead(status, { 'content-type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+function sendError(response, status, error, headers = {}) {
+    send(response, status, { error: { code: status, ...error } }, headers);
+}
+
+module.exports = {
+    DEFAULT_SCENARIO_FILE,
+    DEFAULT_PORT,
+    MockAiServer,
+    loadScenarios,
+    validateScenarios,
+};
@@ -0,0 +1,122 @@
+/**
+ * n8n Public REST API Client
+ *
+ * Thin wrapper around the n8n public API (/api/v1). Unlike the CLI, the API
+ * works the same for SQLite and Postgres backed instances and lets n8n clean
+ * up webhooks and executions that belong to a workflow.
+ */
+
+const DEFAULT_API_URL = 'http://localhost:5678/api/v1';
+const PAGE_SIZE = 250;
+
+class N8nApiError extends Error {
+    constructor(message, status = null, body = null) {
+        super(message);
+        this.name = 'N8nApiError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+class N8nApiClient {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.baseUrl] Defaults to N8N_API_URL
+     * @param {string} [options.apiKey] Defaults to N8N_API_KEY
+     * @param {typeof fetch} [options.fetch]
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.N8N_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.N8N_API_KEY;
+        this.fetch = options.fetch || globalThis.fetch;
+
+        if (!this.apiKey) {
+            throw new N8nApiError('N8N_API_KEY is not set; create an API key in n8n under Settings → n8n API');
+        }
+    }
+
+    /**
+     * Send a request and return the decoded JSON response
+     */
+    async request(method, path, body = undefined) {
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: {
+                    'X-N8N-API-KEY': this.apiKey,
+                    'Accept': 'application/json',
+                    ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+            });
+        } catch (error) {
+            throw new N8nApiError(`Cannot reach the n8n API at ${this.baseUrl}: ${error.cause ? error.cause.message : error.message}`);
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = text;
+        }
+
+        if (!response.ok) {
+            const detail = data && data.message ? data.message : response.statusText;
+            throw new N8nApiError(`${method} ${path} failed with HTTP ${response.status}: ${detail}`, response.status, data);
+        }
+
+        return data;
+    }
+
+    /**
+     * List all workflows, following pagination cursors
+     */
+    async listWorkflows() {
+        const workflows = [];
+        let cursor = null;
+
+        do {
+            const query = new URLSearchParams({ limit: String(PAGE_SIZE) });
+            if (cursor) {
+                query.set('cursor', cursor);
+            }
+
+            const page = await this.request('GET', `/workflows?${query}`);
+            workflows.push(...page.data);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return workflows;
+    }
+
+    async getWorkflow(id) {
+        return this.request('GET', `/workflows/${encodeURIComponent(id)}`);
+    }
+
+    async activateWorkflow(id) {
+        return this.request('POST', `/workflows/${encodeURIComponent(id)}/activate`);
+    }
+
+    async deactivateWorkflow(id) {
+        return this.request('POST', `/workflows/${encodeURIComponent(id)}/deactivate`);
+    }
+
+    async deleteWorkflow(id) {
+        return this.request('DELETE', `/workflows/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Create a credential; n8n encrypts `data` and assigns its own id
+     */
+    async createCredential({ name, type, data }) {
+        return this.request('POST', '/credentials', { name, type, data });
+    }
+}
+
+module.exports = {
+    DEFAULT_API_URL,
+    N8nApiClient,
+    N8nApiError,
+};
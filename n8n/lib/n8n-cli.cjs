@@ -0,0 +1,184 @@
+/**
+ * n8n CLI Runner
+ *
+ * Runs n8n CLI commands either inside the docker compose "n8n" service
+ * (the default for host-side tooling) or directly when the n8n binary is
+ * on the PATH, e.g. when the tooling itself runs inside the container.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_EXEC_MODE = 'docker';
+const DEFAULT_SERVICE = 'n8n';
+const CONTAINER_TMP_DIR = '/tmp';
+
+class N8nCli {
+    /**
+     * @param {object} [options]
+     * @param {'docker'|'local'} [options.exec] Where the n8n binary is run
+     * @param {string} [options.service] docker compose service running n8n
+     */
+    constructor(options = {}) {
+        this.exec = options.exec || process.env.N8N_CLI_EXEC || DEFAULT_EXEC_MODE;
+        this.service = options.service || process.env.N8N_COMPOSE_SERVICE || DEFAULT_SERVICE;
+
+        if (!['docker', 'local'].includes(this.exec)) {
+            throw new Error(`Unknown n8n exec mode: ${this.exec} (expected "docker" or "local")`);
+        }
+    }
+
+    /**
+     * Run an n8n CLI command and return its stdout
+     */
+    run(args) {
+        if (this.exec === 'local') {
+            return this.execFile('n8n', args);
+        }
+
+        return this.execFile('docker', ['compose', 'exec', '-T', this.service, 'n8n', ...args]);
+    }
+
+    /**
+     * Execute a binary without a shell so that arguments are never interpolated
+     */
+    execFile(command, args) {
+        return execFileSync(command, args, {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+    }
+
+    /**
+     * Import a workflow object through `n8n import:workflow`
+     */
+    importWorkflow(workflow) {
+        this.importWorkflows([workflow]);
+    }
+
+    /**
+     * Import several workflows in one `n8n import:workflow` run
+     */
+    importWorkflows(workflows) {
+        this.importFile('import:workflow', 'n8n-workflows', workflows);
+    }
+
+    /**
+     * Export a single workflow by id, or null when n8n does not know it
+     */
+    exportWorkflow(id) {
+        return this.exportWorkflows([`--id=${id}`]).find(workflow => workflow.id === id) || null;
+    }
+
+    /**
+     * Run `n8n export:workflow` and return the exported workflows
+     */
+    exportWorkflows(filters) {
+        let output;
+
+        try {
+            output = this.run(['export:workflow', ...filters]);
+        } catch (error) {
+            if (/no workflows found/i.test(`${error.stdout}${error.stderr}`)) {
+                return [];
+            }
+            throw error;
+        }
+
+        const exported = parseJsonOutput(output);
+
+        return Array.isArray(exported) ? exported : [exported];
+    }
+
+    /**
+     * Activate or deactivate a workflow
+     */
+    setActive(id, active) {
+        this.run(['update:workflow', `--id=${id}`, `--active=${active ? 'true' : 'false'}`]);
+    }
+
+    /**
+     * Import credentials through `n8n import:credentials`, which encrypts
+     * their data with the instance's encryption key
+     */
+    importCredentials(credentials) {
+        this.importFile('import:credentials', 'n8n-credentials', credentials);
+    }
+
+    /**
+     * Run `n8n export:credentials`; data stays encrypted unless `--decrypted` is passed
+     */
+    exportCredentials(filters = ['--all']) {
+        let output;
+
+        try {
+            output = this.run(['export:credentials', ...filters]);
+        } catch (error) {
+            if (/no credentials found/i.test(`${error.stdout}${error.stderr}`)) {
+                return [];
+            }
+            throw error;
+        }
+
+        const exported = parseJsonOutput(output);
+
+        return Array.isArray(exported) ? exported : [exported];
+    }
+
+    /**
+     * Write `data` to a temporary file and run an n8n import command on it
+     *
+     * The file may hold cleartext secrets, so it is only readable by its
+     * owner and removed again, both locally and inside the container.
+     */
+    importFile(command, prefix, data) {
+        const localFile = path.join(os.tmpdir(), `${prefix}-${process.pid}-${Date.now()}.json`);
+        fs.writeFileSync(localFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+
+        let input = null;
+        try {
+            input = this.copyIn(localFile);
+            this.run([command, `--input=${input}`]);
+        } finally {
+            fs.unlinkSync(localFile);
+            if (input && this.exec === 'docker') {
+                this.execFile('docker', ['compose', 'exec', '-T', this.service, 'rm', '-f', input]);
+            }
+        }
+    }
+
+    /**
+     * Make a local file readable by the n8n binary and return its path there
+     */
+    copyIn(localFile) {
+        if (this.exec === 'local') {
+            return localFile;
+        }
+
+        const target = `${CONTAINER_TMP_DIR}/${path.basename(localFile)}`;
+        this.execFile('docker', ['compose', 'cp', localFile, `${this.service}:${target}`]);
+
+        return target;
+    }
+}
+
+/**
+ * Parse JSON printed by the n8n CLI, skipping any log lines printed before it
+ */
+function parseJsonOutput(output) {
+    const lines = output.split('\n');
+    const start = lines.findIndex(line => /^\s*[[{]/.test(line));
+
+    if (start === -1) {
+        throw new Error(`n8n CLI did not print JSON: ${output.trim().slice(0, 200)}`);
+    }
+
+    return JSON.parse(lines.slice(start).join('\n'));
+}
+
+module.exports = {
+    N8nCli,
+    parseJsonOutput,
+};
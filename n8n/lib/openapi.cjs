@@ -0,0 +1,491 @@
+/**
+ * OpenAPI Generator
+ *
+ * docs/api/routes.json is the API surface as Laravel registers it, dumped by
+ * `php artisan api:routes-dump`: every route under /api with its middleware
+ * and the rules and messages of its form request. This module turns it into
+ * the OpenAPI 3.1 document docs/api/openapi.json:
+ *
+ *   - form request rules become the request body schema (required, nullable,
+ *     string/array/integer/numeric/boolean, min/max, in, "field.*" items)
+ *   - middleware becomes security and responses: webhook.signature adds the
+ *     X-N8N-* headers and 401, auth:sanctum a bearer token and 401, throttle
+ *     429, a form request 422 and a route parameter 404
+ *   - every required, min and max rule becomes a request body example that
+ *     breaks only that rule, with the status and the messages Laravel answers
+ *     it with (x-expected-status, x-expected-errors)
+ *
+ * The Postman builder turns those examples into requests (a folder.json with
+ * "openapi", see postman-collection.cjs), so the validation edge cases follow
+ * the rules instead of being written by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { unifiedDiff } = require('./text-diff.cjs');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, NONCE_HEADER } = require('./signature.cjs');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_ROUTES_FILE = path.join(REPO_ROOT, 'docs', 'api', 'routes.json');
+const DEFAULT_OPENAPI_FILE = path.join(REPO_ROOT, 'docs', 'api', 'openapi.json');
+
+const OPENAPI_VERSION = '3.1.0';
+const JSON_MEDIA_TYPE = 'application/json';
+
+/**
+ * Laravel type rules and the JSON Schema type they validate
+ */
+const TYPE_RULES = {
+    string: 'string',
+    array: 'array',
+    integer: 'integer',
+    numeric: 'number',
+    boolean: 'boolean',
+};
+
+/**
+ * Size keywords of min/max for each type; Laravel compares string length,
+ * array count and numeric value
+ */
+const SIZE_KEYWORDS = {
+    string: ['minLength', 'maxLength'],
+    array: ['minItems', 'maxItems'],
+    integer: ['minimum', 'maximum'],
+    number: ['minimum', 'maximum'],
+};
+
+const FORMAT_RULES = {
+    email: 'email',
+    url: 'uri',
+    uuid: 'uuid',
+};
+
+const COMPONENTS = {
+    schemas: {
+        ErrorResponse: {
+            type: 'object',
+            required: ['message'],
+            properties: {
+                error: { type: 'boolean', const: true },
+                message: { type: 'string' },
+                type: { type: 'string' },
+            },
+        },
+        ValidationErrorResponse: {
+            type: 'object',
+            required: ['message', 'errors'],
+            properties: {
+                error: { type: 'boolean', const: true },
+                message: { type: 'string', const: 'The given data was invalid.' },
+                type: { type: 'string' },
+                errors: {
+                    type: 'object',
+                    additionalProperties: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        },
+        SignatureErrorResponse: {
+            type: 'object',
+            required: ['error'],
+            properties: {
+                error: {
+                    type: 'string',
+                    examples: ['Missing webhook signature', 'Invalid webhook signature', 'Webhook timestamp outside the tolerance window'],
+                },
+            },
+        },
+    },
+    responses: {
+        ValidationError: { description: 'The body breaks a form request rule', schema: 'ValidationErrorResponse' },
+        InvalidSignature: { description: 'The X-N8N-* signature headers are missing, invalid or expired', schema: 'SignatureErrorResponse' },
+        Unauthenticated: { description: 'No valid Sanctum token', schema: 'ErrorResponse' },
+        NotFound: { description: 'No model matches the route parameter', schema: 'ErrorResponse' },
+        TooManyRequests: { description: 'The rate limiter of the route was exceeded', schema: 'ErrorResponse' },
+    },
+    securitySchemes: {
+        n8nSignature: {
+            type: 'apiKey',
+            in: 'header',
+            name: SIGNATURE_HEADER,
+            description: `HMAC of the body signed with N8N_CALLBACK_HMAC_SECRET (see n8n/README.md, Callback Signatures): "v2=<hex>" over "<timestamp>.<nonce>.<body>" with ${TIMESTAMP_HEADER} and ${NONCE_HEADER}, or "sha256=<hex>" over the body while v1 is accepted.`,
+        },
+        sanctum: { type: 'http', scheme: 'bearer' },
+    },
+};
+
+/**
+ * What each middleware adds to an operation; looked up by the full name
+ * ("auth:sanctum") first, then by the name before the colon ("throttle")
+ */
+const MIDDLEWARE = {
+    'webhook.signature': {
+        security: 'n8nSignature',
+        responses: { 401: 'InvalidSignature' },
+        parameters: [
+            { name: TIMESTAMP_HEADER, in: 'header', required: false, description: 'Unix time the v2 signature was made at; required with v2 signatures', schema: { type: 'string', pattern: '^[0-9]+$' } },
+            { name: NONCE_HEADER, in: 'header', required: false, description: 'Single-use value signed into v2 signatures', schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{0,128}$' } },
+        ],
+    },
+    'auth:sanctum': { security: 'sanctum', responses: { 401: 'Unauthenticated' } },
+    throttle: { responses: { 429: 'TooManyRequests' } },
+};
+
+/**
+ * Text of an exact length for example bodies; never ends in a space, which
+ * Laravel's TrimStrings middleware would remove
+ */
+const FILLER = 'Lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor ';
+
+/**
+ * Length of generated valid strings unless min/max demand another
+ */
+const SAMPLE_LENGTH = 40;
+
+function loadRoutes(file = DEFAULT_ROUTES_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * "max:50000" becomes {name: "max", args: ["50000"]}
+ */
+function parseRule(rule) {
+    const [name, args] = String(rule).split(/:(.*)/s);
+    return { name, args: args === undefined ? [] : args.split(',') };
+}
+
+function sampleText(length) {
+    const text = FILLER.repeat(Math.ceil(length / FILLER.length)).slice(0, length);
+    return text.replace(/ $/, '.');
+}
+
+/**
+ * JSON Schema of one field from its rules
+ *
+ * The rules are kept as x-laravel-rules; min/max only constrain a field
+ * whose type rule says what they measure.
+ */
+function fieldSchema(rules) {
+    const parsed = rules.map(parseRule);
+    const schema = {};
+
+    const typeRule = parsed.find(rule => TYPE_RULES[rule.name]);
+    const type = typeRule ? TYPE_RULES[typeRule.name] : undefined;
+    if (type) {
+        schema.type = parsed.some(rule => rule.name === 'nullable') ? [type, 'null'] : type;
+    }
+
+    for (const { name, args } of parsed) {
+        const [minKeyword, maxKeyword] = SIZE_KEYWORDS[type] || [];
+        if (name === 'min' && minKeyword) {
+            schema[minKeyword] = Number(args[0]);
+        } else if (name === 'max' && maxKeyword) {
+            schema[maxKeyword] = Number(args[0]);
+        } else if (name === 'in') {
+            schema.enum = args;
+        } else if (FORMAT_RULES[name]) {
+            schema.format = FORMAT_RULES[name];
+        }
+    }
+
+    schema['x-laravel-rules'] = rules;
+    return schema;
+}
+
+/**
+ * Request body schema from form request rules
+ *
+ * "analysis.*" describes the items of "analysis"; "a.b" a property of "a".
+ */
+function bodySchema(rules) {
+    const root = { type: 'object', properties: {} };
+
+    const ensure = (parent, key) => {
+        if (key === '*') {
+            parent.items = parent.items || {};
+            return parent.items;
+        }
+        parent.properties = parent.properties || {};
+        parent.properties[key] = parent.properties[key] || {};
+        return parent.properties[key];
+    };
+
+    for (const [field, fieldRules] of Object.entries(rules)) {
+        const keys = field.split('.');
+        const parent = keys.slice(0, -1).reduce(ensure, root);
+        const last = keys[keys.length - 1];
+        const target = ensure(parent, last);
+        Object.assign(target, fieldSchema(fieldRules));
+
+        if (last !== '*' && fieldRules.map(parseRule).some(rule => rule.name === 'required')) {
+            parent.required = [...(parent.required || []), last];
+        }
+    }
+
+    return root;
+}
+
+/**
+ * A value the schema accepts, used for the fields an example does not break
+ */
+function validValue(schema) {
+    const types = [].concat(schema.type || 'string');
+    if (schema.enum) {
+        return schema.enum[0];
+    }
+    if (types.includes('array')) {
+        return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => validValue(schema.items || {}));
+    }
+    if (types.includes('integer') || types.includes('number')) {
+        return Math.max(schema.minimum ?? 1, Math.min(schema.maximum ?? 1, 1));
+    }
+    if (types.includes('boolean')) {
+        return true;
+    }
+    return sampleText(Math.min(Math.max(schema.minLength || 0, SAMPLE_LENGTH), schema.maxLength ?? Infinity));
+}
+
+/**
+ * A value one step past a min/max keyword of a field
+ */
+function outOfRange(schema, keyword) {
+    const limit = schema[keyword];
+    const beyond = keyword.startsWith('min') ? limit - 1 : limit + 1;
+
+    switch (keyword) {
+        case 'minLength':
+        case 'maxLength':
+            return sampleText(beyond);
+        case 'minItems':
+        case 'maxItems':
+            return Array.from({ length: beyond }, () => validValue(schema.items || {}));
+        default:
+            return beyond;
+    }
+}
+
+/**
+ * Request body examples that each break exactly one rule
+ *
+ * Below-min cases that would send an empty string or array are skipped:
+ * Laravel reads an empty string as null and answers with the required or
+ * nullable rule instead of min.
+ */
+function validationExamples(schema, messages = {}) {
+    const required = schema.required || [];
+    const base = Object.fromEntries(required.map(field => [field, validValue(schema.properties[field])]));
+    const message = key => (Object.prototype.hasOwnProperty.call(messages, key) ? messages[key] : null);
+    const examples = {};
+
+    if (required.length > 0) {
+        examples['missing-required'] = {
+            summary: `missing ${required.join(', ')}`,
+            value: {},
+            'x-expected-status': 422,
+            'x-expected-errors': Object.fromEntries(required.map(field => [field, message(`${field}.required`)])),
+        };
+    }
+
+    for (const [field, property] of Object.entries(schema.properties)) {
+        for (const keyword of ['minLength', 'minItems', 'minimum', 'maxLength', 'maxItems', 'maximum']) {
+            if (property[keyword] === undefined || (keyword !== 'minimum' && keyword.startsWith('min') && property[keyword] < 2)) {
+                continue;
+            }
+
+            const rule = keyword.startsWith('min') ? 'min' : 'max';
+            examples[`${field}-${rule === 'min' ? 'below-min' : 'above-max'}`] = {
+                summary: `${field} ${rule === 'min' ? 'below' : 'above'} ${rule}:${property[keyword]}`,
+                value: { ...base, [field]: outOfRange(property, keyword) },
+                'x-expected-status': 422,
+                'x-expected-errors': { [field]: message(`${field}.${rule}`) },
+            };
+        }
+    }
+
+    return examples;
+}
+
+function middlewareEffect(name) {
+    return MIDDLEWARE[name] || MIDDLEWARE[name.split(':')[0]] || null;
+}
+
+function pascalCase(text) {
+    return text.split(/[^A-Za-z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * "App\...\StoreAdScriptTaskController@__invoke" becomes storeAdScriptTask;
+ * closures are named after the method and path (getHealthCheck)
+ */
+function operationId(route, method, apiPath) {
+    const [controller, action] = route.action.split('@');
+    const name = controller === 'Closure'
+        ? `${method}${pascalCase(apiPath.replace(/\{[^}]+\}/g, ''))}`
+        : controller.split('\\').pop().replace(/Controller$/, '') + (action && action !== '__invoke' ? pascalCase(action) : '');
+
+    return name[0].toLowerCase() + name.slice(1);
+}
+
+function responseRef(name) {
+    return { $ref: `#/components/responses/${name}` };
+}
+
+function buildOperation(route, method, apiPath) {
+    const operation = { operationId: operationId(route, method, apiPath) };
+    const parameters = route.parameters.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+    const responses = { '2XX': { description: 'Success' } };
+    const security = [];
+
+    if (route.parameters.length > 0) {
+        responses[404] = responseRef('NotFound');
+    }
+
+    for (const name of route.middleware) {
+        const effect = middlewareEffect(name);
+        if (!effect) {
+            continue;
+        }
+        if (effect.security) {
+            security.push({ [effect.security]: [] });
+        }
+        parameters.push(...(effect.parameters || []));
+        for (const [status, response] of Object.entries(effect.responses || {})) {
+            responses[status] = responseRef(response);
+        }
+    }
+
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+    if (security.length > 0) {
+        operation.security = security;
+    }
+
+    if (route.request) {
+        const schema = bodySchema(route.request.rules);
+        operation.requestBody = {
+            required: true,
+            description: `Validated by ${route.request.class}`,
+            content: { [JSON_MEDIA_TYPE]: { schema, examples: validationExamples(schema, route.request.messages) } },
+        };
+        responses[422] = responseRef('ValidationError');
+    }
+
+    operation.responses = responses;
+    operation['x-laravel-action'] = route.action;
+    operation['x-laravel-middleware'] = route.middleware;
+
+    return operation;
+}
+
+/**
+ * The components the operations refer to
+ */
+function usedComponents(paths) {
+    const operations = Object.values(paths).flatMap(methods => Object.values(methods));
+    const responses = [...new Set(operations.flatMap(operation => Object.values(operation.responses)
+        .filter(response => response.$ref)
+        .map(response => response.$ref.split('/').pop())))].sort();
+    const schemes = [...new Set(operations.flatMap(operation => (operation.security || []).flatMap(Object.keys)))].sort();
+    const schemas = [...new Set(responses.map(name => COMPONENTS.responses[name].schema))].sort();
+
+    return {
+        schemas: Object.fromEntries(schemas.map(name => [name, COMPONENTS.schemas[name]])),
+        responses: Object.fromEntries(responses.map(name => {
+            const { description, schema } = COMPONENTS.responses[name];
+            return [name, { description, content: { [JSON_MEDIA_TYPE]: { schema: { $ref: `#/components/schemas/${schema}` } } } }];
+        })),
+        securitySchemes: Object.fromEntries(schemes.map(name => [name, COMPONENTS.securitySchemes[name]])),
+    };
+}
+
+/**
+ * The OpenAPI document for a route dump
+ */
+function buildOpenApi(routes = loadRoutes()) {
+    const prefix = routes.prefix ? `/${routes.prefix}` : '';
+    const paths = {};
+
+    for (const route of routes.routes) {
+        const apiPath = `/${route.uri}`.slice(prefix.length) || '/';
+        for (const method of route.methods.map(name => name.toLowerCase())) {
+            paths[apiPath] = paths[apiPath] || {};
+            paths[apiPath][method] = buildOperation(route, method, apiPath);
+        }
+    }
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'Ad Script Refactor API',
+            version: '1.0.0',
+            description: 'Generated by `node make-tools/openapi.cjs build` from docs/api/routes.json (`php artisan api:routes-dump`); do not edit by hand.',
+        },
+        servers: [{ url: `http://localhost:8000${prefix}` }],
+        paths,
+        components: usedComponents(paths),
+    };
+}
+
+/**
+ * Every request body example of a document, in path order
+ *
+ * @returns {Array<{path: string, method: string, operation: object, name: string, example: object}>}
+ */
+function bodyExamples(document) {
+    return Object.entries(document.paths).flatMap(([apiPath, methods]) => Object.entries(methods).flatMap(([method, operation]) => {
+        const media = ((operation.requestBody || {}).content || {})[JSON_MEDIA_TYPE];
+        return Object.entries((media && media.examples) || {}).map(([name, example]) => ({ path: apiPath, method, operation, name, example }));
+    }));
+}
+
+/**
+ * The document file content, formatted as it is committed
+ */
+function renderOpenApi(document) {
+    return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Compare the committed document with what the route dump generates
+ *
+ * @returns {{changed: boolean, diff: string}}
+ */
+function compareOpenApi(file = DEFAULT_OPENAPI_FILE, routesFile = DEFAULT_ROUTES_FILE) {
+    const generated = renderOpenApi(buildOpenApi(loadRoutes(routesFile)));
+    const committed = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const diff = unifiedDiff(committed, generated, { fromLabel: `${path.basename(file)} (committed)`, toLabel: `${path.basename(file)} (generated)` });
+
+    return { changed: diff !== '', diff };
+}
+
+/**
+ * Write the generated document when it differs from the file
+ *
+ * @returns {{changed: boolean}}
+ */
+function writeOpenApi(file = DEFAULT_OPENAPI_FILE, routesFile = DEFAULT_ROUTES_FILE) {
+    const generated = renderOpenApi(buildOpenApi(loadRoutes(routesFile)));
+    const changed = !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== generated;
+    if (changed) {
+        fs.writeFileSync(file, generated);
+    }
+
+    return { changed };
+}
+
+module.exports = {
+    DEFAULT_ROUTES_FILE,
+    DEFAULT_OPENAPI_FILE,
+    loadRoutes,
+    parseRule,
+    sampleText,
+    fieldSchema,
+    bodySchema,
+    validationExamples,
+    buildOpenApi,
+    bodyExamples,
+    renderOpenApi,
+    compareOpenApi,
+    writeOpenApi,
+};
@@ -0,0 +1,424 @@
+/**
+ * Postman Collection Builder
+ *
+ * The API collection is generated from small source files in postman/src
+ * instead of being edited as one large JSON document:
+ *
+ *   postman/src/collection.json          info, variables and collection events
+ *   postman/src/scripts/<name>.js        scripts shared by several requests
+ *   postman/src/<NN-folder>/folder.json  {name, description}
+ *   postman/src/<NN-folder>/<NN-request>/
+ *       request.json    {name, description, method, url, header, ...}
+ *       body.json       JSON body (written with 4-space indentation)
+ *       body.txt        raw body, used verbatim
+ *       prerequest.js   pre-request script
+ *       test.js         test script
+ *
+ * Folders and requests are ordered by directory name, hence the numeric
+ * prefixes. request.json may name shared scripts ("prerequest": "sign-callback"
+ * or a list of names); they run in order, before the request's own script
+ * file. Besides postman/src/scripts, a name can refer to a library generated
+ * from n8n/lib ("n8n-signature" defines n8nSignature, see signature.cjs).
+ * Instead of a body file request.json may take the body from the first
+ * example of a JSON Schema ("bodyExample": path from the repository root),
+ * which keeps fixtures such as the success callback in line with the
+ * contract they exercise.
+ *
+ * A folder.json with "openapi" (path from the repository root) gets one
+ * request per request body example of that OpenAPI document (see
+ * openapi.cjs), with a test for the status and errors the example expects.
+ * Strings longer than LONG_STRING_LENGTH (the max-length examples) are not
+ * stored: the body holds a placeholder, and a pre-request script puts a
+ * string of the same length back before the request is signed.
+ * "pathVariables" maps route parameters to Postman values, and "security"
+ * maps a security scheme to the shared scripts and headers of the requests
+ * that use it:
+ *
+ *   {"name": "...", "openapi": "docs/api/openapi.json",
+ *    "pathVariables": {"task": "{{created_task_id}}"},
+ *    "security": {"n8nSignature": {"prerequest": ["n8n-signature", "sign-callback"], "header": [...]}}}
+ *
+ * Per-rule validation requests come only from that folder; the request
+ * directories cover the flows an example cannot, such as signing modes and
+ * checks made after the form request rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { unifiedDiff } = require('./text-diff.cjs');
+const { bodyExamples } = require('./openapi.cjs');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_SOURCE_DIR = path.join(REPO_ROOT, 'postman', 'src');
+const DEFAULT_COLLECTION_FILE = path.join(REPO_ROOT, 'postman', 'Ad_Script_Refactor_API.postman_collection.json');
+
+const SCRIPTS_DIR = 'scripts';
+const SCRIPT_EVENTS = ['prerequest', 'test'];
+const BODY_SOURCES = ['body.json', 'body.txt', 'bodyExample'];
+
+/**
+ * How scripts/sign-callback.js signs a callback request, declared per request
+ * in the collection variable signingModeVariable(name)
+ */
+const SIGNING_MODES = ['valid', 'missing', 'tampered-body', 'wrong-secret', 'expired-timestamp'];
+
+function signingModeVariable(requestName) {
+    return `signing_mode:${requestName}`;
+}
+
+/**
+ * Shared scripts generated from the JS libraries instead of read from files
+ */
+const SCRIPT_LIBRARIES = {
+    'n8n-signature': () => require('./signature.cjs').cryptoJsSource(),
+};
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.relative(REPO_ROOT, file)}: ${error.message}`);
+    }
+}
+
+/**
+ * Script text as Postman stores it: one array entry per line
+ */
+function scriptLines(text) {
+    return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Split a raw Postman URL into the structured form the app exports
+ *
+ * "{{base_url}}/ad-scripts?page=2" becomes host ["{{base_url}}"],
+ * path ["ad-scripts"] and query [{key: "page", value: "2"}].
+ */
+function parseUrl(raw) {
+    const url = { raw };
+    let rest = raw;
+
+    const protocol = /^([a-z][a-z0-9+.-]*):\/\//i.exec(rest);
+    if (protocol) {
+        url.protocol = protocol[1];
+        rest = rest.slice(protocol[0].length);
+    }
+
+    const [address, query] = rest.split(/\?(.*)/s);
+    const [hostAndPort, ...segments] = address.split('/');
+    const [host, port] = protocol ? hostAndPort.split(':') : [hostAndPort];
+
+    url.host = protocol ? host.split('.') : [host];
+    if (port) {
+        url.port = port;
+    }
+    if (segments.length > 0) {
+        url.path = segments;
+    }
+    if (query !== undefined) {
+        url.query = query.split('&').filter(Boolean).map(pair => {
+            const [key, value = null] = pair.split(/=(.*)/s);
+            return { key, value };
+        });
+    }
+
+    return url;
+}
+
+/**
+ * Subdirectories of a source directory, in collection order
+ */
+function entries(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== SCRIPTS_DIR)
+        .map(entry => path.join(dir, entry.name))
+        .sort();
+}
+
+function sharedScript(sourceDir, name, owner) {
+    if (Object.prototype.hasOwnProperty.call(SCRIPT_LIBRARIES, name)) {
+        return SCRIPT_LIBRARIES[name]();
+    }
+
+    const file = path.join(sourceDir, SCRIPTS_DIR, `${name}.js`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`${path.relative(REPO_ROOT, owner)}: shared script "${name}" not found at ${path.relative(REPO_ROOT, file)}`);
+    }
+    return fs.readFileSync(file, 'utf8');
+}
+
+function buildEvents(dir, spec, sourceDir) {
+    const events = [];
+
+    for (const listen of SCRIPT_EVENTS) {
+        const parts = [].concat(spec[listen] || []).map(name => sharedScript(sourceDir, name, dir));
+        const local = path.join(dir, `${listen}.js`);
+        if (fs.existsSync(local)) {
+            parts.push(fs.readFileSync(local, 'utf8'));
+        }
+
+        const text = parts.map(part => part.replace(/\n$/, '')).join('\n\n');
+        if (text) {
+            events.push({ listen, script: { exec: scriptLines(text), type: 'text/javascript' } });
+        }
+    }
+
+    return events;
+}
+
+function buildBody(dir, spec) {
+    const present = BODY_SOURCES.filter(source => source === 'bodyExample' ? spec.bodyExample : fs.existsSync(path.join(dir, source)));
+    if (present.length > 1) {
+        throw new Error(`${path.relative(REPO_ROOT, dir)}: more than one body source (${present.join(', ')})`);
+    }
+
+    switch (present[0]) {
+        case 'body.json':
+            return { mode: 'raw', raw: JSON.stringify(readJson(path.join(dir, 'body.json')), null, 4), options: { raw: { language: 'json' } } };
+        case 'body.txt':
+            return { mode: 'raw', raw: fs.readFileSync(path.join(dir, 'body.txt'), 'utf8').replace(/\n$/, '') };
+        case 'bodyExample': {
+            const [example] = readJson(path.join(REPO_ROOT, spec.bodyExample)).examples || [];
+            if (example === undefined) {
+                throw new Error(`${path.relative(REPO_ROOT, dir)}: ${spec.bodyExample} has no example to use as the body`);
+            }
+            return { mode: 'raw', raw: JSON.stringify(example, null, 4), options: { raw: { language: 'json' } } };
+        }
+        default:
+            return undefined;
+    }
+}
+
+function buildRequest(dir, sourceDir) {
+    const spec = readJson(path.join(dir, 'request.json'));
+    for (const field of ['name', 'method', 'url']) {
+        if (!spec[field]) {
+            throw new Error(`${path.relative(REPO_ROOT, dir)}/request.json: "${field}" is required`);
+        }
+    }
+
+    const item = { name: spec.name };
+    const events = buildEvents(dir, spec, sourceDir);
+    if (events.length > 0) {
+        item.event = events;
+    }
+
+    const request = { method: spec.method, header: spec.header || [] };
+    const body = buildBody(dir, spec);
+    if (body) {
+        request.body = body;
+    }
+    request.url = parseUrl(spec.url);
+    if (spec.description) {
+        request.description = spec.description;
+    }
+
+    item.request = request;
+    item.response = [];
+
+    return item;
+}
+
+/**
+ * Example strings longer than this are built by a pre-request script
+ */
+const LONG_STRING_LENGTH = 1000;
+
+const JSON_HEADERS = [
+    { key: 'Content-Type', value: 'application/json' },
+    { key: 'Accept', value: 'application/json' },
+];
+
+/**
+ * Test script asserting the status and validation errors an example expects
+ */
+function exampleTestScript(example) {
+    const status = example['x-expected-status'];
+    const errors = Object.entries(example['x-expected-errors'] || {});
+    const lines = [
+        `pm.test(${JSON.stringify(`Status code is ${status}`)}, function () {`,
+        `    pm.response.to.have.status(${status});`,
+        '});',
+    ];
+
+    if (errors.length > 0) {
+        lines.push(
+            '',
+            `pm.test(${JSON.stringify(`Rejects ${errors.map(([field]) => field).join(', ')}`)}, function () {`,
+            '    const jsonData = pm.response.json();',
+        );
+        for (const [field, message] of errors) {
+            lines.push(`    pm.expect(jsonData.errors).to.have.property(${JSON.stringify(field)});`);
+            if (message !== null) {
+                lines.push(`    pm.expect(jsonData.errors[${JSON.stringify(field)}]).to.include(${JSON.stringify(message)});`);
+            }
+        }
+        lines.push('});');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Raw body of an example with its long strings left out, and the script that
+ * builds them (null when there are none)
+ */
+function exampleBody(value) {
+    const long = value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.entries(value).filter(([, field]) => typeof field === 'string' && field.length > LONG_STRING_LENGTH)
+        : [];
+    if (long.length === 0) {
+        return { raw: JSON.stringify(value, null, 4), script: null };
+    }
+
+    const stored = { ...value };
+    for (const [field, text] of long) {
+        stored[field] = `<${text.length} characters, built by the pre-request script>`;
+    }
+
+    const script = [
+        '// Long example strings are built here instead of being stored in the collection',
+        'const exampleBody = JSON.parse(pm.request.body.raw);',
+        ...long.map(([field, text]) => `exampleBody[${JSON.stringify(field)}] = "a".repeat(${text.length});`),
+        'pm.request.body.update(JSON.stringify(exampleBody, null, 4));',
+    ].join('\n');
+
+    return { raw: JSON.stringify(stored, null, 4), script };
+}
+
+/**
+ * Requests for the request body examples of an OpenAPI document
+ */
+function openApiItems(dir, folder, sourceDir) {
+    const document = readJson(path.resolve(REPO_ROOT, folder.openapi));
+    const pathVariables = folder.pathVariables || {};
+    const security = folder.security || {};
+
+    return bodyExamples(document).map(({ path: apiPath, method, operation, name, example }) => {
+        const url = apiPath.replace(/\{([^}]+)\}/g, (placeholder, parameter) => {
+            if (!Object.prototype.hasOwnProperty.call(pathVariables, parameter)) {
+                throw new Error(`${path.relative(REPO_ROOT, dir)}/folder.json: no "pathVariables" value for {${parameter}} of ${method.toUpperCase()} ${apiPath}`);
+            }
+            return pathVariables[parameter];
+        });
+        const schemes = (operation.security || []).flatMap(Object.keys).map(scheme => {
+            if (!security[scheme]) {
+                throw new Error(`${path.relative(REPO_ROOT, dir)}/folder.json: no "security" entry for ${scheme}, used by ${operation.operationId}`);
+            }
+            return security[scheme];
+        });
+
+        const prerequest = schemes.flatMap(scheme => [].concat(scheme.prerequest || []));
+        const events = buildEvents(dir, { prerequest }, sourceDir).filter(event => event.listen === 'prerequest');
+        const body = exampleBody(example.value);
+        if (body.script) {
+            const [before] = events;
+            const exec = [...scriptLines(body.script), ...(before ? ['', ...before.script.exec] : [])];
+            events.splice(0, events.length, { listen: 'prerequest', script: { exec, type: 'text/javascript' } });
+        }
+        events.push({ listen: 'test', script: { exec: scriptLines(exampleTestScript(example)), type: 'text/javascript' } });
+
+        return {
+            name: `${method.toUpperCase()} ${apiPath} - ${example.summary}`,
+            event: events,
+            request: {
+                method: method.toUpperCase(),
+                header: [...JSON_HEADERS, ...schemes.flatMap(scheme => scheme.header || [])],
+                body: { mode: 'raw', raw: body.raw, options: { raw: { language: 'json' } } },
+                url: parseUrl(`{{base_url}}${url}`),
+                description: `Generated from the "${name}" example of ${operation.operationId} in ${folder.openapi}.`,
+            },
+            response: [],
+        };
+    });
+}
+
+function buildItems(dir, sourceDir) {
+    const items = entries(dir).map(entry => {
+        if (fs.existsSync(path.join(entry, 'request.json'))) {
+            return buildRequest(entry, sourceDir);
+        }
+        if (fs.existsSync(path.join(entry, 'folder.json'))) {
+            const folder = readJson(path.join(entry, 'folder.json'));
+            const { name, description } = folder;
+            const items = folder.openapi ? openApiItems(entry, folder, sourceDir) : buildItems(entry, sourceDir);
+            return { name, ...(description ? { description } : {}), item: items };
+        }
+        throw new Error(`${path.relative(REPO_ROOT, entry)}: neither a request (request.json) nor a folder (folder.json)`);
+    });
+
+    const seen = new Set();
+    for (const item of items) {
+        if (seen.has(item.name)) {
+            throw new Error(`${path.relative(REPO_ROOT, dir)}: duplicate name "${item.name}"`);
+        }
+        seen.add(item.name);
+    }
+
+    return items;
+}
+
+/**
+ * Build the collection object from a source directory
+ */
+function buildCollection(sourceDir = DEFAULT_SOURCE_DIR) {
+    const { info, event, variable } = readJson(path.join(sourceDir, 'collection.json'));
+
+    const collection = { info, item: buildItems(sourceDir, sourceDir) };
+    if (event) {
+        collection.event = event;
+    }
+    if (variable) {
+        collection.variable = variable;
+    }
+
+    return collection;
+}
+
+/**
+ * The collection file content, formatted as it is committed
+ */
+function renderCollection(collection) {
+    return `${JSON.stringify(collection, null, 2)}\n`;
+}
+
+/**
+ * Compare a committed collection with what its sources generate
+ *
+ * @returns {{changed: boolean, diff: string}}
+ */
+function compareCollection(file = DEFAULT_COLLECTION_FILE, sourceDir = DEFAULT_SOURCE_DIR) {
+    const generated = renderCollection(buildCollection(sourceDir));
+    const committed = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const diff = unifiedDiff(committed, generated, { fromLabel: `${path.basename(file)} (committed)`, toLabel: `${path.basename(file)} (generated)` });
+
+    return { changed: diff !== '', diff };
+}
+
+/**
+ * Write the generated collection when it differs from the file
+ *
+ * @returns {{changed: boolean}}
+ */
+function writeCollection(file = DEFAULT_COLLECTION_FILE, sourceDir = DEFAULT_SOURCE_DIR) {
+    const generated = renderCollection(buildCollection(sourceDir));
+    const changed = !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== generated;
+    if (changed) {
+        fs.writeFileSync(file, generated);
+    }
+
+    return { changed };
+}
+
+module.exports = {
+    DEFAULT_SOURCE_DIR,
+    DEFAULT_COLLECTION_FILE,
+    SIGNING_MODES,
+    signingModeVariable,
+    parseUrl,
+    buildCollection,
+    renderCollection,
+    compareCollection,
+    writeCollection,
+};
@@ -0,0 +1,232 @@
+/**
+ * Prompt Regression Harness
+ *
+ * Renders the AI Agent node's prompt straight from the workflow file for a
+ * set of fixture inputs, and replays recorded model responses through the
+ * Process AI JSON node. Both run the real workflow in the simulator, so the
+ * prompt is the one the Webhook → Set Variables → AI Agent path produces. No
+ * copy of the template is kept anywhere.
+ *
+ * The results are compared with golden files (snapshots):
+ *
+ *   <snapshots>/prompts/<input>.txt     rendered prompt per fixture input
+ *   <snapshots>/replays/<response>.json Process AI JSON output per recorded response
+ *
+ * A prompt or parsing change without a snapshot update fails the check.
+ * `update` rewrites the snapshots after an intentional change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { WorkflowSimulator } = require('./workflow-simulator.cjs');
+const { unifiedDiff } = require('./text-diff.cjs');
+
+const DEFAULT_INPUTS_FILE = path.join(__dirname, '..', 'tests', 'fixtures', 'prompt-inputs.json');
+const DEFAULT_RESPONSES_FILE = path.join(__dirname, '..', 'tests', 'fixtures', 'prompt-responses.json');
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', 'tests', 'snapshots');
+
+const AI_NODE_TYPE = 'n8n-nodes-base.openAi';
+const PROCESS_NODE = 'Process AI JSON';
+
+/**
+ * Task id sent with every fixture, so snapshots don't depend on the run
+ */
+const FIXTURE_TASK_ID = 'prompt-regression';
+
+/**
+ * Snapshot file name for a fixture name
+ */
+function slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * The enabled AI Agent (openAi) node and its raw prompt expression
+ */
+function promptTemplate(workflow) {
+    const nodes = workflow.nodes.filter(node => node.type === AI_NODE_TYPE && !node.disabled);
+    if (nodes.length !== 1) {
+        throw new Error(`Expected one enabled ${AI_NODE_TYPE} node, found ${nodes.length}`);
+    }
+
+    return { node: nodes[0].name, template: (nodes[0].parameters || {}).prompt || '' };
+}
+
+/**
+ * Run the workflow for one input with the given model reply
+ */
+async function simulate(workflow, input, reply) {
+    const prompts = [];
+    const simulator = new WorkflowSimulator(workflow, {
+        openAi: request => {
+            prompts.push(request.prompt);
+            return reply;
+        },
+    });
+
+    const run = await simulator.run({
+        body: { task_id: FIXTURE_TASK_ID, reference_script: input.referenceScript, outcome_description: input.outcomeDescription },
+    });
+
+    if (prompts.length === 0) {
+        const where = run.error ? `failed at "${run.error.node}": ${run.error.message}` : `stopped after "${run.executed.at(-1)}"`;
+        throw new Error(`"${input.name}" never reached the AI node (${where})`);
+    }
+
+    return { prompt: prompts[0], run };
+}
+
+/**
+ * The prompt the AI Agent node sends for an input
+ *
+ * @param {object} workflow
+ * @param {{name: string, outcomeDescription: string, referenceScript: string}} input
+ * @returns {Promise<string>}
+ */
+async function renderPrompt(workflow, input) {
+    return (await simulate(workflow, input, '')).prompt;
+}
+
+/**
+ * What Process AI JSON makes of a model reply
+ *
+ * @param {object} workflow
+ * @param {{name: string, outcomeDescription: string, referenceScript: string}} input Input the reply answers
+ * @param {string} text The model's reply
+ * @returns {Promise<object>} Process AI JSON's output item
+ */
+async function replayResponse(workflow, input, text) {
+    const { run } = await simulate(workflow, input, text);
+    const items = run.runData[PROCESS_NODE];
+
+    if (!items) {
+        const where = run.error ? `"${run.error.node}" failed: ${run.error.message}` : `ran ${run.executed.join(' → ')}`;
+        throw new Error(`"${PROCESS_NODE}" did not run (${where})`);
+    }
+
+    return items[0].json;
+}
+
+/**
+ * Load the fixture inputs and recorded responses
+ *
+ * @returns {{inputs: object[], responses: object[]}}
+ */
+function loadFixtures({ inputsFile = DEFAULT_INPUTS_FILE, responsesFile = DEFAULT_RESPONSES_FILE } = {}) {
+    const { inputs } = JSON.parse(fs.readFileSync(inputsFile, 'utf8'));
+    const { responses } = JSON.parse(fs.readFileSync(responsesFile, 'utf8'));
+
+    for (const list of [inputs, responses]) {
+        const seen = new Set();
+        for (const { name } of list) {
+            if (seen.has(slug(name))) {
+                throw new Error(`Duplicate fixture name "${name}"`);
+            }
+            seen.add(slug(name));
+        }
+    }
+    for (const response of responses) {
+        if (!inputs.some(input => input.name === response.input)) {
+            throw new Error(`Recorded response "${response.name}" answers unknown input "${response.input}"`);
+        }
+    }
+
+    return { inputs, responses };
+}
+
+/**
+ * Render every fixture: the expected content of every snapshot file
+ *
+ * @returns {Promise<Map<string, string>>} Path relative to the snapshot dir → content
+ */
+async function renderSnapshots(workflow, { inputs, responses }) {
+    const snapshots = new Map();
+
+    for (const input of inputs) {
+        snapshots.set(`prompts/${slug(input.name)}.txt`, `${await renderPrompt(workflow, input)}\n`);
+    }
+    for (const response of responses) {
+        const input = inputs.find(candidate => candidate.name === response.input);
+        const output = await replayResponse(workflow, input, response.text);
+        snapshots.set(`replays/${slug(response.name)}.json`, `${JSON.stringify(output, null, 2)}\n`);
+    }
+
+    return snapshots;
+}
+
+function snapshotFiles(dir) {
+    return ['prompts', 'replays'].flatMap(sub => {
+        const subDir = path.join(dir, sub);
+        return fs.existsSync(subDir) ? fs.readdirSync(subDir).sort().map(file => `${sub}/${file}`) : [];
+    });
+}
+
+/**
+ * Compare the rendered fixtures with the snapshot files
+ *
+ * @returns {Promise<Array<{file: string, status: 'match'|'changed'|'missing'|'obsolete', diff: string}>>}
+ */
+async function checkSnapshots(workflow, fixtures, dir = DEFAULT_SNAPSHOT_DIR) {
+    return compareSnapshots(await renderSnapshots(workflow, fixtures), dir);
+}
+
+function compareSnapshots(expected, dir) {
+    const results = [];
+
+    for (const [file, content] of expected) {
+        const target = path.join(dir, file);
+        if (!fs.existsSync(target)) {
+            results.push({ file, status: 'missing', diff: '' });
+            continue;
+        }
+
+        const diff = unifiedDiff(fs.readFileSync(target, 'utf8'), content, { fromLabel: `${file} (snapshot)`, toLabel: `${file} (workflow)` });
+        results.push({ file, status: diff ? 'changed' : 'match', diff });
+    }
+
+    for (const file of snapshotFiles(dir)) {
+        if (!expected.has(file)) {
+            results.push({ file, status: 'obsolete', diff: '' });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Rewrite the snapshot files from the workflow and delete obsolete ones
+ *
+ * @returns {Promise<Array<{file: string, status: 'match'|'changed'|'missing'|'obsolete'}>>} What changed on disk
+ */
+async function updateSnapshots(workflow, fixtures, dir = DEFAULT_SNAPSHOT_DIR) {
+    const expected = await renderSnapshots(workflow, fixtures);
+    const results = compareSnapshots(expected, dir);
+
+    for (const { file, status } of results) {
+        const target = path.join(dir, file);
+        if (status === 'obsolete') {
+            fs.unlinkSync(target);
+        } else if (status !== 'match') {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, expected.get(file));
+        }
+    }
+
+    return results.filter(result => result.status !== 'match');
+}
+
+module.exports = {
+    DEFAULT_INPUTS_FILE,
+    DEFAULT_RESPONSES_FILE,
+    DEFAULT_SNAPSHOT_DIR,
+    FIXTURE_TASK_ID,
+    slug,
+    promptTemplate,
+    renderPrompt,
+    replayResponse,
+    loadFixtures,
+    renderSnapshots,
+    checkSnapshots,
+    updateSnapshots,
+};
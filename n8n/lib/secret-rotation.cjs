@@ -0,0 +1,304 @@
+/**
+ * Secret Rotation
+ *
+ * Rotates the two secrets shared by Laravel and n8n: the X-Laravel-Trigger-Auth
+ * header value (N8N_AUTH_HEADER_VALUE, credential webhook-auth, checked by the
+ * Webhook Trigger) and the callback HMAC secret (N8N_CALLBACK_HMAC_SECRET).
+ * The Sign Callback node reads the HMAC secret from n8n's environment, not
+ * from a credential, so n8n is recreated to pick it up.
+ *
+ * Laravel's .env is updated first and both old values stay valid for the
+ * grace window:
+ *
+ *   - N8N_CALLBACK_HMAC_PREVIOUS_SECRET: Laravel accepts callbacks signed
+ *     with it, so callbacks signed before n8n switched still go through;
+ *   - N8N_AUTH_HEADER_PREVIOUS_VALUE: n8n's Header Auth credential holds a
+ *     single value, so the window is on the sending side. HttpN8nClient
+ *     retries a trigger rejected with 401/403 with the previous value until
+ *     n8n holds the new one.
+ *
+ * The rotation ends with a round trip: callbacks posted to a probe task
+ * (artisan n8n:probe-task, deleted afterwards), starting with one signed by
+ * n8n itself, and triggers with the new, a wrong and the previous header,
+ * sent with an empty body that the workflow answers without calling the AI.
+ * When a step after the .env update fails, the previous values are restored
+ * in Laravel and n8n before the error is reported.
+ */
+
+const { buildCredentials } = require('./credentials.cjs');
+const { loadEnvFile, updateEnvFile } = require('./env-file.cjs');
+const { signCallback, checkCallback, generateSecret } = require('./signature.cjs');
+
+const ROTATED_CREDENTIALS = ['webhook-auth'];
+
+class SecretRotator {
+    /**
+     * @param {object} options
+     * @param {string} options.envFile Laravel .env to update
+     * @param {import('./n8n-cli.cjs').N8nCli} options.cli
+     * @param {string} options.appUrl Base URL of the Laravel app, e.g. http://localhost:8000
+     * @param {string} options.triggerUrl The workflow's webhook as reachable from here
+     * @param {number} [options.graceMinutes] How long the old values stay valid; 0 disables the grace window
+     * @param {() => void} [options.reloadLaravel] Make Laravel pick up the new .env (config cache, queue workers)
+     * @param {() => string} options.createProbeTask Create the task the round-trip callbacks are posted to, return its id
+     * @param {(id: string) => void} options.deleteProbeTask
+     * @param {(() => void)|null} [options.recreateN8n] Restart n8n with the new .env; null when it cannot be done from here
+     * @param {((payload: object) => {body: string, headers: object})|null} [options.signWithN8n] Run the Sign Callback code inside n8n
+     * @param {typeof fetch} [options.fetch]
+     * @param {() => Date} [options.now]
+     * @param {() => string} [options.generate]
+     * @param {(message: string) => void} [options.log]
+     */
+    constructor({
+        envFile,
+        cli,
+        appUrl,
+        triggerUrl,
+        graceMinutes = 60,
+        reloadLaravel = () => {},
+        createProbeTask,
+        deleteProbeTask,
+        recreateN8n = null,
+        signWithN8n = null,
+        fetch = globalThis.fetch,
+        now = () => new Date(),
+        generate = generateSecret,
+        log = console.log,
+    }) {
+        this.envFile = envFile;
+        this.cli = cli;
+        this.appUrl = appUrl.replace(/\/+$/, '');
+        this.triggerUrl = triggerUrl;
+        this.graceMinutes = graceMinutes;
+        this.reloadLaravel = reloadLaravel;
+        this.createProbeTask = createProbeTask;
+        this.deleteProbeTask = deleteProbeTask;
+        this.recreateN8n = recreateN8n;
+        this.signWithN8n = signWithN8n;
+        this.fetch = fetch;
+        this.now = now;
+        this.generate = generate;
+        this.log = log;
+    }
+
+    /**
+     * New .env values for a rotation of `current`
+     */
+    nextValues(current) {
+        const expiresAt = new Date(this.now().getTime() + this.graceMinutes * 60000).toISOString();
+        const keep = name => this.graceMinutes > 0 && Boolean(current[name]);
+
+        return {
+            N8N_AUTH_HEADER_VALUE: this.generate(),
+            N8N_AUTH_HEADER_PREVIOUS_VALUE: keep('N8N_AUTH_HEADER_VALUE') ? current.N8N_AUTH_HEADER_VALUE : '',
+            N8N_AUTH_HEADER_PREVIOUS_VALUE_EXPIRES_AT: keep('N8N_AUTH_HEADER_VALUE') ? expiresAt : '',
+            N8N_CALLBACK_HMAC_SECRET: this.generate(),
+            N8N_CALLBACK_HMAC_PREVIOUS_SECRET: keep('N8N_CALLBACK_HMAC_SECRET') ? current.N8N_CALLBACK_HMAC_SECRET : '',
+            N8N_CALLBACK_HMAC_PREVIOUS_SECRET_EXPIRES_AT: keep('N8N_CALLBACK_HMAC_SECRET') ? expiresAt : '',
+        };
+    }
+
+    /**
+     * Rotate both secrets and confirm the result with a round trip; on
+     * failure, put the previous values back
+     */
+    async rotate() {
+        const current = loadEnvFile(this.envFile);
+        const values = this.nextValues(current);
+        const previous = Object.fromEntries(Object.keys(values).map(name => [name, current[name] || '']));
+
+        this.log(`🔄 Updating ${this.envFile}...`);
+        updateEnvFile(this.envFile, values);
+        this.reloadLaravel();
+
+        try {
+            this.applyToN8n({ ...current, ...values });
+
+            await this.roundTrip({
+                secret: values.N8N_CALLBACK_HMAC_SECRET,
+                previousSecret: current.N8N_CALLBACK_HMAC_SECRET || null,
+                graceOpen: values.N8N_CALLBACK_HMAC_PREVIOUS_SECRET !== '',
+                header: { name: current.N8N_AUTH_HEADER_KEY || 'X-Laravel-Trigger-Auth', value: values.N8N_AUTH_HEADER_VALUE },
+                previousHeaderValue: current.N8N_AUTH_HEADER_VALUE || null,
+            });
+        } catch (error) {
+            this.log(`❌ ${error.message}`);
+            this.restore(previous, current, error);
+            throw error;
+        }
+
+        return {
+            graceEndsAt: values.N8N_CALLBACK_HMAC_PREVIOUS_SECRET_EXPIRES_AT || values.N8N_AUTH_HEADER_PREVIOUS_VALUE_EXPIRES_AT || null,
+        };
+    }
+
+    /**
+     * Import the rotated credentials and restart n8n with the .env they came from
+     */
+    applyToN8n(env) {
+        this.log(`🔄 Updating n8n credential ${ROTATED_CREDENTIALS.join(', ')}...`);
+        const credentials = buildCredentials(env).credentials.filter(credential => ROTATED_CREDENTIALS.includes(credential.id));
+        this.cli.importCredentials(credentials);
+        this.verifyN8nCredentials(credentials);
+
+        if (this.recreateN8n) {
+            this.log('🔄 Recreating n8n so that it signs callbacks with the HMAC secret in the .env...');
+            this.recreateN8n();
+        } else {
+            this.log('⚠️  Restart n8n yourself: it signs callbacks with N8N_CALLBACK_HMAC_SECRET from its environment');
+        }
+    }
+
+    /**
+     * Write the values from before the rotation back to the .env and n8n
+     *
+     * @throws {Error} When the restore fails too; the message names both failures
+     */
+    restore(previous, current, cause) {
+        this.log('↩️  Restoring the previous secrets...');
+
+        try {
+            updateEnvFile(this.envFile, previous);
+            this.reloadLaravel();
+            this.applyToN8n(current);
+        } catch (error) {
+            throw new Error(`${cause.message}. Restoring the previous secrets failed as well: ${error.message}; ` +
+                `check ${this.envFile} and the n8n credential ${ROTATED_CREDENTIALS.join(', ')} by hand`);
+        }
+        this.log('   ✅ previous secrets restored');
+    }
+
+    /**
+     * Check that n8n now holds the rotated values, without printing them
+     */
+    verifyN8nCredentials(expected) {
+        for (const credential of expected) {
+            const [stored] = this.cli.exportCredentials([`--id=${credential.id}`, '--decrypted']);
+
+            if (!stored || !stored.data || stored.data.value !== credential.data.value) {
+                throw new Error(`n8n credential ${credential.id} does not hold the rotated value`);
+            }
+            this.log(`   ✅ n8n credential ${credential.id} rotated`);
+        }
+    }
+
+    /**
+     * Check callbacks against Laravel and triggers against n8n
+     */
+    async roundTrip({ secret, previousSecret, graceOpen, header, previousHeaderValue }) {
+        const taskId = this.createProbeTask();
+
+        try {
+            await this.callbackChecks(taskId, { secret, previousSecret, graceOpen });
+        } finally {
+            this.deleteProbeTask(taskId);
+        }
+
+        await this.triggerChecks(header, previousHeaderValue);
+    }
+
+    /**
+     * Post callbacks to the probe task signed by n8n, with a wrong and with
+     * the previous secret, and check which of them Laravel accepts. The body
+     * is empty, so an accepted signature ends in a 422 validation error and
+     * the task is never changed.
+     */
+    async callbackChecks(taskId, { secret, previousSecret, graceOpen }) {
+        this.log(`🔁 Signed callbacks against ${this.appUrl}...`);
+
+        const callback = JSON.stringify({});
+        const url = `${this.appUrl}/api/ad-scripts/${taskId}/result`;
+        const sign = key => signCallback(callback, key, { timestamp: Math.floor(this.now().getTime() / 1000) });
+
+        if (this.signWithN8n) {
+            const signed = this.signWithN8n({});
+            if (!checkCallback(signed.body, signed.headers, { secrets: [secret], now: this.now().getTime() }).valid) {
+                throw new Error('n8n does not sign callbacks with the new N8N_CALLBACK_HMAC_SECRET; was it recreated with the updated .env?');
+            }
+
+            const withN8nSignature = await this.post(url, signed.body, signed.headers);
+            if (withN8nSignature.status !== 422) {
+                throw new Error(`Laravel did not accept a callback signed by n8n (HTTP ${withN8nSignature.status}, expected 422); is the .env change loaded?`);
+            }
+            this.log('   ✅ callback signed by n8n with the new secret accepted');
+        } else {
+            const withNewSecret = await this.post(url, callback, sign(secret));
+            if (withNewSecret.status !== 422) {
+                throw new Error(`Laravel did not accept a callback signed with the new secret (HTTP ${withNewSecret.status}, expected 422); is the .env change loaded?`);
+            }
+            this.log('   ✅ callback signed with the new secret accepted (signed here: n8n could not be asked to sign)');
+        }
+
+        const withWrongSecret = await this.post(url, callback, sign(this.generate()));
+        if (withWrongSecret.status !== 401) {
+            throw new Error(`Laravel accepted a callback signed with a wrong secret (HTTP ${withWrongSecret.status}); is N8N_DISABLE_AUTH set?`);
+        }
+        this.log('   ✅ callback signed with a wrong secret rejected');
+
+        if (previousSecret) {
+            const withPrevious = await this.post(url, callback, sign(previousSecret));
+            const accepted = withPrevious.status === 422;
+
+            if (accepted !== graceOpen || ![401, 422].includes(withPrevious.status)) {
+                throw new Error(`Callback signed with the previous secret got HTTP ${withPrevious.status}, ` +
+                    `expected it to be ${graceOpen ? 'accepted during the grace window (422)' : 'rejected (401)'}`);
+            }
+            this.log(`   ✅ callback signed with the previous secret ${graceOpen ? 'accepted during the grace window' : 'rejected'}`);
+        }
+    }
+
+    /**
+     * Trigger the workflow with the new, a wrong and the previous header.
+     * The body is empty, so the workflow answers with its input validation
+     * error and neither calls the AI nor sends a callback.
+     */
+    async triggerChecks(header, previousHeaderValue) {
+        this.log(`🔁 Trigger auth against ${this.triggerUrl}...`);
+
+        const trigger = value => this.post(this.triggerUrl, '{}', { [header.name]: value });
+
+        const withNewValue = await trigger(header.value);
+        if (withNewValue.status >= 400) {
+            throw new Error(`n8n rejected a trigger with the new ${header.name} (HTTP ${withNewValue.status}); is the workflow active at ${this.triggerUrl}?`);
+        }
+        this.log(`   ✅ trigger with the new ${header.name} accepted`);
+
+        const rejected = [[this.generate(), 'a wrong'], [previousHeaderValue, 'the previous']]
+            .filter(([value]) => value && value !== header.value);
+
+        for (const [value, label] of rejected) {
+            const response = await trigger(value);
+            if (![401, 403].includes(response.status)) {
+                throw new Error(`n8n accepted a trigger with ${label} ${header.name} (HTTP ${response.status}, expected 401/403); ` +
+                    'does the Webhook Trigger use header auth with the webhook-auth credential?');
+            }
+            this.log(`   ✅ trigger with ${label} ${header.name} rejected`);
+        }
+    }
+
+    async post(url, body, extraHeaders = {}) {
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...extraHeaders };
+
+        let response;
+        try {
+            response = await this.fetch(url, { method: 'POST', headers, body });
+        } catch (error) {
+            throw new Error(`Cannot reach ${new URL(url).origin}: ${error.cause ? error.cause.message : error.message}`);
+        }
+
+        const text = await response.text();
+        let parsed = null;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            parsed = null;
+        }
+
+        return { status: response.status, body: parsed };
+    }
+}
+
+module.exports = {
+    SecretRotator,
+    ROTATED_CREDENTIALS,
+};
@@ -0,0 +1,370 @@
+/**
+ * Callback Signatures
+ *
+ * Signs callback bodies the way VerifyWebhookSignature checks them. Two
+ * schemes share the X-N8N-Signature header:
+ *
+ *   v2  "v2=" + hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>", with the
+ *       Unix timestamp in X-N8N-Timestamp and the optional nonce (up to 128
+ *       letters, digits, "-" and "_"; empty when absent) in X-N8N-Nonce. Laravel only
+ *       accepts it within a tolerance window and each nonce once, so a
+ *       captured callback cannot be replayed later.
+ *   v1  "sha256=" + hex HMAC-SHA256 of the raw body. Still accepted while
+ *       N8N_CALLBACK_ACCEPT_V1_SIGNATURES is true, during the migration.
+ *
+ * Every signer sends v2.
+ *
+ * The signing and verifying logic is written once, in createSigner(), and is
+ * serialized into the places that cannot require this file:
+ *
+ *   - cryptoJsSource(): a CryptoJS build for Postman sandboxes, added to the
+ *     collection as the "n8n-signature" script library
+ *   - callbackNodeCode(): the workflow's "Sign Callback" Code node, which
+ *     uses Node's crypto module inside n8n
+ *   - callbackNodeScript(): the same node code as a `node -e` script, so the
+ *     secret rotation can have the n8n container sign a callback
+ *
+ * tests/fixtures/webhook-signatures.json holds the vectors every build and
+ * the PHP middleware are tested against.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNATURE_HEADER = 'X-N8N-Signature';
+const TIMESTAMP_HEADER = 'X-N8N-Timestamp';
+const NONCE_HEADER = 'X-N8N-Nonce';
+
+/**
+ * Seconds a v2 timestamp may differ from the receiver's clock (N8N_CALLBACK_SIGNATURE_TOLERANCE)
+ */
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const SIGN_NODE = 'Sign Callback';
+const VECTORS_FILE = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'webhook-signatures.json');
+
+/**
+ * Fields of a result or error item that make up the callback body, in order
+ */
+const CALLBACK_FIELDS = ['error', 'raw', 'new_script', 'analysis'];
+
+/**
+ * HMAC backends for signerSource(): Node's crypto module (n8n) and CryptoJS (Postman)
+ */
+const NODE_HMAC = "(body, secret) => require('crypto').createHmac('sha256', secret).update(body).digest('hex')";
+const CRYPTOJS_HMAC = '(body, secret) => CryptoJS.HmacSHA256(body, secret).toString(CryptoJS.enc.Hex)';
+
+/**
+ * Sign and verify on top of any hex HMAC-SHA256 implementation
+ *
+ * Must stay free of references to this module: it is also run from its
+ * source text in Postman and in n8n.
+ */
+function createSigner(hmacSha256Hex) {
+    // Every character is compared, so the time taken does not reveal how much of a guess was right
+    function equal(expected, actual) {
+        let difference = expected.length ^ actual.length;
+        for (let index = 0; index < expected.length; index++) {
+            difference |= expected.charCodeAt(index) ^ actual.charCodeAt(index);
+        }
+
+        return difference === 0;
+    }
+
+    function sign(body, secret) {
+        return 'sha256=' + hmacSha256Hex(body, secret);
+    }
+
+    function verify(body, signature, secret) {
+        return typeof signature === 'string' && Boolean(secret) && equal(sign(body, secret), signature);
+    }
+
+    function signV2(body, secret, timestamp, nonce = '') {
+        return 'v2=' + hmacSha256Hex(timestamp + '.' + nonce + '.' + body, secret);
+    }
+
+    // A malformed timestamp or nonce could shift the "." separators, so it never verifies
+    function verifyV2(body, signature, secret, timestamp, nonce = '') {
+        return typeof signature === 'string' && Boolean(secret) &&
+            /^[0-9]+$/.test(String(timestamp)) && /^[A-Za-z0-9_-]{0,128}$/.test(nonce) &&
+            equal(signV2(body, secret, timestamp, nonce), signature);
+    }
+
+    // The v2 headers for a body, stamped with the current time unless a timestamp is given
+    function headers(body, secret, nonce = '', timestamp = Math.floor(Date.now() / 1000)) {
+        const signed = {
+            'X-N8N-Signature': signV2(body, secret, timestamp, nonce),
+            'X-N8N-Timestamp': String(timestamp),
+        };
+        if (nonce) {
+            signed['X-N8N-Nonce'] = nonce;
+        }
+
+        return signed;
+    }
+
+    return { sign, verify, signV2, verifyV2, headers };
+}
+
+/**
+ * createSigner() on Node's crypto module
+ */
+const nodeSigner = createSigner((body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex'));
+
+/**
+ * v1 signature header value for a raw body
+ */
+function signPayload(body, secret) {
+    return nodeSigner.sign(body, secret);
+}
+
+/**
+ * Constant-time check of a v1 signature header value against a raw body
+ */
+function verifySignature(body, signature, secret) {
+    return nodeSigner.verify(body, signature, secret);
+}
+
+/**
+ * Random secret suitable for the trigger header or the HMAC key
+ */
+function generateSecret(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * v2 signature headers for a callback body, with a fresh nonce
+ *
+ * @param {object} [options]
+ * @param {number} [options.timestamp] Unix seconds (default: now)
+ * @param {string} [options.nonce] Default: 16 random bytes as hex; '' for none
+ * @returns {Object<string, string>}
+ */
+function signCallback(body, secret, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') } = {}) {
+    return nodeSigner.headers(body, secret, nonce, timestamp);
+}
+
+/**
+ * Judge a callback's signature headers the way VerifyWebhookSignature does
+ *
+ * v2 signatures must carry a timestamp within `tolerance` seconds of `now`
+ * and a nonce that is not in `nonces`; accepted nonces are added to it with
+ * their expiry (a Map, pruned here). v1 signatures pass only with `acceptV1`.
+ * The first of `secrets` that matches is reported, so callers can tell the
+ * current secret from the previous one.
+ *
+ * @param {string} body Raw body
+ * @param {Object<string, string>} headers Request headers, any letter case
+ * @param {object} options
+ * @param {string[]} options.secrets Secrets to try, in order
+ * @param {number} [options.tolerance]
+ * @param {boolean} [options.acceptV1]
+ * @param {number} [options.now] Milliseconds since the epoch
+ * @param {Map<string, number>} [options.nonces]
+ * @returns {{valid: boolean, version: number|null, secret: string|null, error: string|null}}
+ */
+function checkCallback(body, headers, { secrets, tolerance = DEFAULT_TOLERANCE_SECONDS, acceptV1 = true, now = Date.now(), nonces = new Map() }) {
+    const header = name => {
+        const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+        return key === undefined ? '' : String(headers[key]);
+    };
+    const reject = (version, error) => ({ valid: false, version, secret: null, error });
+
+    const signature = header(SIGNATURE_HEADER);
+    if (!signature) {
+        return reject(null, 'Missing webhook signature');
+    }
+
+    if (!signature.startsWith('v2=')) {
+        if (!acceptV1) {
+            return reject(1, 'Webhook signature v1 is no longer accepted');
+        }
+        const secret = secrets.find(candidate => nodeSigner.verify(body, signature, candidate));
+        return secret ? { valid: true, version: 1, secret, error: null } : reject(1, 'Invalid webhook signature');
+    }
+
+    const timestamp = header(TIMESTAMP_HEADER);
+    const nonce = header(NONCE_HEADER);
+    if (!timestamp) {
+        return reject(2, 'Missing webhook timestamp');
+    }
+    if (!/^[0-9]+$/.test(timestamp) || Math.abs(now / 1000 - Number(timestamp)) > tolerance) {
+        return reject(2, 'Webhook timestamp outside the tolerance window');
+    }
+
+    const secret = secrets.find(candidate => nodeSigner.verifyV2(body, signature, candidate, timestamp, nonce));
+    if (!secret) {
+        return reject(2, 'Invalid webhook signature');
+    }
+
+    if (nonce) {
+        for (const [seen, expiresAt] of nonces) {
+            if (expiresAt <= now) {
+                nonces.delete(seen);
+            }
+        }
+        if (nonces.has(nonce)) {
+            return reject(2, 'Webhook nonce already used');
+        }
+        nonces.set(nonce, now + 2 * tolerance * 1000);
+    }
+
+    return { valid: true, version: 2, secret, error: null };
+}
+
+/**
+ * Source of an expression evaluating to {sign, verify} for an HMAC backend
+ */
+function signerSource(hmacSource) {
+    return `(${createSigner.toString()})(${hmacSource})`;
+}
+
+/**
+ * Postman sandbox build: defines `n8nSignature` with sign and verify
+ */
+function cryptoJsSource() {
+    return [
+        '// Generated from n8n/lib/signature.cjs: n8nSignature.headers(body, secret, nonce)',
+        '// returns the v2 signature headers; sign/verify (v1) and signV2/verifyV2 use CryptoJS.',
+        `const n8nSignature = ${signerSource(CRYPTOJS_HMAC)};`,
+    ].join('\n');
+}
+
+/**
+ * Code of the workflow's Sign Callback node
+ *
+ * The node serializes the callback body once and signs exactly that text;
+ * Callback to Laravel sends it unchanged, as a raw body, with the v2
+ * signature headers. Without N8N_CALLBACK_HMAC_SECRET the node fails instead
+ * of sending an unsigned callback.
+ */
+function callbackNodeCode() {
+    return `// Generated from n8n/lib/signature.cjs by \`node make-tools/webhook-signature.cjs sync\`.
+// Needs NODE_FUNCTION_ALLOW_BUILTIN=crypto and N8N_CALLBACK_HMAC_SECRET in n8n's environment.
+const signer = ${signerSource(NODE_HMAC)};
+const secret = $env.N8N_CALLBACK_HMAC_SECRET;
+if (!secret) {
+  throw new Error('N8N_CALLBACK_HMAC_SECRET is not set in the n8n environment: refusing to send an unsigned callback');
+}
+
+return $input.all().map(item => {
+  const payload = {};
+  for (const field of ${JSON.stringify(CALLBACK_FIELDS)}) {
+    if (item.json[field] !== undefined) {
+      payload[field] = item.json[field];
+    }
+  }
+
+  const body = JSON.stringify(payload);
+  const nonce = require('crypto').randomBytes(16).toString('hex');
+  return { json: { body, headers: signer.headers(body, secret, nonce) } };
+});`;
+}
+
+/**
+ * Sign Callback as a standalone `node -e` script
+ *
+ * Runs callbackNodeCode() unchanged on one item, the JSON in the first
+ * script argument, with $env backed by process.env, and prints the item
+ * it returns: {"body": ..., "headers": {...}}. Run inside the n8n container
+ * it signs with the secret n8n itself would use.
+ */
+function callbackNodeScript() {
+    return [
+        'const $env = process.env;',
+        'const $input = { all: () => [{ json: JSON.parse(process.argv[1]) }] };',
+        `const [item] = (() => {\n${callbackNodeCode()}\n})();`,
+        'process.stdout.write(JSON.stringify(item.json));',
+    ].join('\n');
+}
+
+/**
+ * Bring the workflow's Sign Callback code in line with this module
+ *
+ * @returns {{workflow: object, changed: boolean}} A copy of the workflow
+ */
+function syncWorkflow(workflow) {
+    const copy = structuredClone(workflow);
+    const node = copy.nodes.find(candidate => candidate.name === SIGN_NODE);
+    if (!node) {
+        throw new Error(`The workflow has no "${SIGN_NODE}" node`);
+    }
+
+    const code = callbackNodeCode();
+    const changed = node.parameters.jsCode !== code;
+    node.parameters.jsCode = code;
+
+    return { workflow: copy, changed };
+}
+
+/**
+ * The cross-language test vectors: {v1: {valid, invalid}, v2: {valid, invalid}}
+ */
+function loadVectors(file = VECTORS_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Vectors a signer gets wrong, as messages
+ *
+ * v2 vectors fix their timestamp, so only the HMAC is checked here; the
+ * tolerance window is up to the receiver.
+ *
+ * @param {{sign: Function, verify: Function, signV2: Function, verifyV2: Function}} signer
+ * @returns {string[]}
+ */
+function checkVectors(signer, vectors = loadVectors()) {
+    const failures = [];
+    const schemes = {
+        v1: {
+            sign: vector => signer.sign(vector.body, vector.secret),
+            verify: vector => signer.verify(vector.body, vector.signature, vector.secret),
+        },
+        v2: {
+            sign: vector => signer.signV2(vector.body, vector.secret, vector.timestamp, vector.nonce),
+            verify: vector => signer.verifyV2(vector.body, vector.signature, vector.secret, vector.timestamp, vector.nonce),
+        },
+    };
+
+    for (const [version, scheme] of Object.entries(schemes)) {
+        for (const vector of vectors[version].valid) {
+            const signature = scheme.sign(vector);
+            if (signature !== vector.signature) {
+                failures.push(`${version} ${vector.name}: signed as ${signature}, expected ${vector.signature}`);
+            } else if (!scheme.verify(vector)) {
+                failures.push(`${version} ${vector.name}: valid signature rejected`);
+            }
+        }
+        for (const vector of vectors[version].invalid) {
+            if (scheme.verify(vector)) {
+                failures.push(`${version} ${vector.name}: invalid signature accepted`);
+            }
+        }
+    }
+
+    return failures;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    NONCE_HEADER,
+    DEFAULT_TOLERANCE_SECONDS,
+    SIGN_NODE,
+    VECTORS_FILE,
+    NODE_HMAC,
+    createSigner,
+    nodeSigner,
+    signPayload,
+    verifySignature,
+    generateSecret,
+    signCallback,
+    checkCallback,
+    signerSource,
+    cryptoJsSource,
+    callbackNodeCode,
+    callbackNodeScript,
+    syncWorkflow,
+    loadVectors,
+    checkVectors,
+};
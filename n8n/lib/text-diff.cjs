@@ -0,0 +1,96 @@
+/**
+ * Minimal Line Diff
+ *
+ * Produces a unified-style diff between two texts. Workflow files are a few
+ * hundred lines at most, so a plain LCS table is fast enough.
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Compute the edit script between two arrays of lines
+ *
+ * @returns {Array<{op: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(before, after) {
+    const rows = before.length;
+    const cols = after.length;
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lcs[i][j] = before[i] === after[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const edits = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < rows && j < cols) {
+        if (before[i] === after[j]) {
+            edits.push({ op: ' ', line: before[i++] });
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            edits.push({ op: '-', line: before[i++] });
+        } else {
+            edits.push({ op: '+', line: after[j++] });
+        }
+    }
+    while (i < rows) {
+        edits.push({ op: '-', line: before[i++] });
+    }
+    while (j < cols) {
+        edits.push({ op: '+', line: after[j++] });
+    }
+
+    return edits;
+}
+
+/**
+ * Render a unified diff of two texts, or an empty string when they match
+ */
+function unifiedDiff(beforeText, afterText, { fromLabel = 'before', toLabel = 'after' } = {}) {
+    const edits = diffLines(beforeText.split('\n'), afterText.split('\n'));
+
+    if (edits.every(edit => edit.op === ' ')) {
+        return '';
+    }
+
+    const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    let lastPrinted = -1;
+
+    edits.forEach((edit, index) => {
+        if (edit.op === ' ') {
+            return;
+        }
+
+        const start = Math.max(index - CONTEXT_LINES, lastPrinted + 1);
+        if (start > lastPrinted + 1 && lastPrinted !== -1) {
+            output.push('@@');
+        }
+        for (let k = start; k < index; k++) {
+            output.push(` ${edits[k].line}`);
+        }
+        output.push(`${edit.op}${edit.line}`);
+        lastPrinted = index;
+
+        const nextChange = edits.findIndex((next, k) => k > index && next.op !== ' ');
+        const contextEnd = nextChange === -1
+            ? Math.min(edits.length - 1, index + CONTEXT_LINES)
+            : Math.min(nextChange - 1, index + CONTEXT_LINES);
+        for (let k = index + 1; k <= contextEnd; k++) {
+            output.push(` ${edits[k].line}`);
+            lastPrinted = k;
+        }
+    });
+
+    return output.join('\n');
+}
+
+module.exports = {
+    diffLines,
+    unifiedDiff,
+};
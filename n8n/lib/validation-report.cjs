@@ -0,0 +1,164 @@
+/**
+ * Workflow Validation Reports
+ *
+ * Machine-readable renderings of validator findings for CI:
+ *
+ *   json   findings plus a summary, one object per finding
+ *   junit  one test case per rule; error findings fail it, warnings are
+ *          written to system-out, disabled rules are skipped
+ *   sarif  SARIF 2.1.0 for code-scanning annotations on the workflow file
+ *
+ * Every finding carries its rule id, severity, node name, the JSON pointer of
+ * the value it is about and the line of that value in the workflow file.
+ */
+
+const { locatePointers, locate } = require('./json-locator.cjs');
+
+const FORMATS = ['text', 'json', 'junit', 'sarif'];
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Findings with the line/column of their pointer in `text`
+ */
+function locateFindings(findings, text) {
+    const positions = locatePointers(text);
+
+    return findings.map(finding => ({ ...finding, ...locate(positions, finding.pointer) }));
+}
+
+function summarize(findings) {
+    return {
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length,
+        info: findings.filter(finding => finding.severity === 'info').length,
+    };
+}
+
+/**
+ * @param {object} report
+ * @param {string} report.file Workflow path relative to the repository root
+ * @param {string} report.text Workflow file contents
+ * @param {Array<object>} report.rules WorkflowValidator#describeRules()
+ * @param {Array<object>} report.findings WorkflowValidator#validate()
+ */
+function formatJson({ file, text, rules, findings }) {
+    const located = locateFindings(findings, text);
+
+    return `${JSON.stringify({
+        file,
+        passed: summarize(findings).errors === 0,
+        summary: summarize(findings),
+        rules: rules.filter(rule => !rule.disabled).map(rule => rule.id),
+        disabled: rules.filter(rule => rule.disabled).map(rule => rule.id),
+        findings: located.map(({ rule, severity, message, node, pointer, line, column }) => ({
+            rule, severity, message, node, pointer, line, column,
+        })),
+    }, null, 2)}\n`;
+}
+
+function formatJunit({ file, text, rules, findings }) {
+    const located = locateFindings(findings, text);
+    const summary = summarize(findings);
+    const failing = new Set(located.filter(finding => finding.severity === 'error').map(finding => finding.rule));
+    const skipped = rules.filter(rule => rule.disabled).length;
+
+    const cases = rules.map(rule => {
+        const ruleFindings = located.filter(finding => finding.rule === rule.id);
+        const lines = ruleFindings.map(finding => `${file}:${finding.line} ${finding.pointer || '/'} ${finding.message}`);
+        const attributes = `classname="${xml(file)}" name="${xml(`${rule.id}: ${rule.description}`)}" file="${xml(file)}"`;
+
+        if (rule.disabled) {
+            return `    <testcase ${attributes}>\n      <skipped message="disabled"/>\n    </testcase>`;
+        }
+        if (failing.has(rule.id)) {
+            return `    <testcase ${attributes}>\n` +
+                `      <failure type="${rule.severity}" message="${xml(ruleFindings[0].message)}">${xml(lines.join('\n'))}</failure>\n` +
+                '    </testcase>';
+        }
+        if (lines.length > 0) {
+            return `    <testcase ${attributes}>\n      <system-out>${xml(lines.map(line => `${rule.severity}: ${line}`).join('\n'))}</system-out>\n    </testcase>`;
+        }
+        return `    <testcase ${attributes}/>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="n8n workflow validation" tests="${rules.length}" failures="${failing.size}" errors="0" skipped="${skipped}">`,
+        `  <testsuite name="${xml(file)}" tests="${rules.length}" failures="${failing.size}" errors="0" skipped="${skipped}">`,
+        '    <properties>',
+        `      <property name="warnings" value="${summary.warnings}"/>`,
+        `      <property name="info" value="${summary.info}"/>`,
+        '    </properties>',
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
+
+function formatSarif({ file, text, rules, findings }) {
+    const located = locateFindings(findings, text);
+    const active = rules.filter(rule => !rule.disabled);
+    const ruleIndex = new Map(active.map((rule, index) => [rule.id, index]));
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'n8n-workflow-validator',
+                    rules: active.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: rule.description },
+                        defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+                    })),
+                },
+            },
+            results: located.map(finding => ({
+                ruleId: finding.rule,
+                ruleIndex: ruleIndex.get(finding.rule),
+                level: SARIF_LEVELS[finding.severity],
+                message: { text: finding.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: file },
+                        region: { startLine: finding.line, startColumn: finding.column },
+                    },
+                    logicalLocations: [{
+                        name: finding.node || 'workflow',
+                        fullyQualifiedName: finding.pointer || '/',
+                        kind: finding.node ? 'object' : 'module',
+                    }],
+                }],
+                properties: { node: finding.node, pointer: finding.pointer },
+            })),
+        }],
+    };
+
+    return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+function xml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const formatters = {
+    json: formatJson,
+    junit: formatJunit,
+    sarif: formatSarif,
+};
+
+module.exports = {
+    FORMATS,
+    formatters,
+    formatJson,
+    formatJunit,
+    formatSarif,
+    locateFindings,
+};
@@ -0,0 +1,229 @@
+/**
+ * Workflow Drift Detection
+ *
+ * Compares the committed workflow with the live one in n8n after removing
+ * what n8n changes on its own or what only affects the editor: node
+ * positions, node UUIDs and webhook ids, versionId, meta (instanceId) and
+ * pinned data. Nodes are matched by name and connections are compared as
+ * resolved edges, so the result is a semantic diff per node and per
+ * connection rather than a text diff of two JSON exports.
+ */
+
+const { normalizeConnections } = require('./connection-map.cjs');
+const { stableStringify, workflowTags } = require('./workflow-file.cjs');
+
+/**
+ * Node fields that carry no behaviour
+ */
+const VOLATILE_NODE_FIELDS = ['id', 'position', 'webhookId'];
+
+/**
+ * Workflow fields compared besides nodes and connections
+ */
+const WORKFLOW_FIELDS = ['name', 'active', 'settings'];
+
+/**
+ * Reduce a node to the fields that define its behaviour
+ */
+function normalizeNode(node) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(node)) {
+        if (!VOLATILE_NODE_FIELDS.includes(key)) {
+            normalized[key] = value;
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Connections as sorted "Source[type output] → Target[index]" strings
+ */
+function connectionEdges(workflow) {
+    const edges = [];
+
+    for (const [source, outputsByType] of Object.entries(normalizeConnections(workflow).connections)) {
+        for (const [type, outputs] of Object.entries(outputsByType)) {
+            outputs.forEach((targets, output) => {
+                for (const target of targets) {
+                    edges.push(`${source}[${type} ${output}] → ${target.node}[${target.index}]`);
+                }
+            });
+        }
+    }
+
+    return edges.sort();
+}
+
+/**
+ * Field-level differences between two values
+ *
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+function diffValues(before, after, path = '') {
+    if (stableStringify(before) === stableStringify(after)) {
+        return [];
+    }
+
+    const bothObjects = isObject(before) && isObject(after);
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+
+    if (!bothObjects && !bothArrays) {
+        return [{ path: path || '(value)', before, after }];
+    }
+
+    const keys = bothArrays
+        ? [...Array(Math.max(before.length, after.length)).keys()]
+        : [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return keys.flatMap(key => diffValues(before[key], after[key], path === '' ? String(key) : `${path}.${key}`));
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Semantic differences from the committed workflow to the live one
+ */
+function detectDrift(committed, live) {
+    const committedNodes = new Map((committed.nodes || []).map(node => [node.name, normalizeNode(node)]));
+    const liveNodes = new Map((live.nodes || []).map(node => [node.name, normalizeNode(node)]));
+
+    const nodes = {
+        added: [...liveNodes.keys()].filter(name => !committedNodes.has(name)),
+        removed: [...committedNodes.keys()].filter(name => !liveNodes.has(name)),
+        changed: [...committedNodes.keys()]
+            .filter(name => liveNodes.has(name))
+            .map(name => ({ name, fields: diffValues(committedNodes.get(name), liveNodes.get(name)) }))
+            .filter(change => change.fields.length > 0),
+    };
+
+    const committedEdges = connectionEdges(committed);
+    const liveEdges = connectionEdges(live);
+
+    const connections = {
+        added: liveEdges.filter(edge => !committedEdges.includes(edge)),
+        removed: committedEdges.filter(edge => !liveEdges.includes(edge)),
+    };
+
+    const workflow = WORKFLOW_FIELDS.flatMap(field => diffValues(committed[field], live[field], field));
+
+    return { nodes, connections, workflow };
+}
+
+/**
+ * Whether a drift report contains any difference
+ */
+function hasDrift(report) {
+    return report.nodes.added.length + report.nodes.removed.length + report.nodes.changed.length +
+        report.connections.added.length + report.connections.removed.length + report.workflow.length > 0;
+}
+
+/**
+ * Human-readable drift report; "+" exists only in n8n, "-" only in the file
+ */
+function formatDrift(report) {
+    const lines = [];
+    const field = ({ path, before, after }) => `      ${path}: ${describe(before)} → ${describe(after)}`;
+
+    if (report.nodes.added.length + report.nodes.removed.length + report.nodes.changed.length > 0) {
+        lines.push('Nodes:');
+        report.nodes.added.forEach(name => lines.push(`  + ${name} (only in n8n)`));
+        report.nodes.removed.forEach(name => lines.push(`  - ${name} (only in the file)`));
+        report.nodes.changed.forEach(change => {
+            lines.push(`  ~ ${change.name}`);
+            change.fields.forEach(difference => lines.push(field(difference)));
+        });
+    }
+
+    if (report.connections.added.length + report.connections.removed.length > 0) {
+        lines.push('Connections:');
+        report.connections.added.forEach(edge => lines.push(`  + ${edge}`));
+        report.connections.removed.forEach(edge => lines.push(`  - ${edge}`));
+    }
+
+    if (report.workflow.length > 0) {
+        lines.push('Workflow:');
+        report.workflow.forEach(difference => lines.push(field(difference)));
+    }
+
+    return lines.join('\n');
+}
+
+function describe(value) {
+    if (value === undefined) {
+        return '(unset)';
+    }
+
+    const text = JSON.stringify(value);
+
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * The live workflow in the committed file's canonical form
+ *
+ * Keeps the file's stable workflow id, versionId and meta, and the node ids
+ * and webhook ids of nodes that still exist under the same name, so that
+ * pulling an unchanged workflow produces no git diff. Connections are
+ * written name-keyed in node order.
+ */
+function canonicalizeLive(live, committed) {
+    const committedByName = new Map((committed.nodes || []).map(node => [node.name, node]));
+    const liveByName = new Map((live.nodes || []).map(node => [node.name, node]));
+
+    const ordered = [
+        ...(committed.nodes || []).filter(node => liveByName.has(node.name)).map(node => liveByName.get(node.name)),
+        ...(live.nodes || []).filter(node => !committedByName.has(node.name)),
+    ];
+
+    const nodes = ordered.map(node => canonicalNode(node, committedByName.get(node.name)));
+    const sameTags = stableStringify(workflowTags(live).sort()) === stableStringify(workflowTags(committed).sort());
+
+    return {
+        name: live.name,
+        nodes,
+        pinData: committed.pinData || {},
+        connections: normalizeConnections({ ...live, nodes }).connections,
+        active: Boolean(live.active),
+        settings: live.settings || {},
+        versionId: committed.versionId,
+        meta: committed.meta,
+        id: committed.id,
+        tags: sameTags ? committed.tags || [] : (live.tags || []).map(tag => (typeof tag === 'string' ? tag : { id: tag.id, name: tag.name })),
+    };
+}
+
+function canonicalNode(node, committedNode) {
+    const { parameters, id, name, type, typeVersion, position, webhookId, credentials, ...rest } = node;
+    const canonical = {
+        parameters: parameters || {},
+        id: committedNode ? committedNode.id : id,
+        name,
+        type,
+        typeVersion,
+        position,
+    };
+
+    if (webhookId !== undefined) {
+        canonical.webhookId = committedNode && committedNode.webhookId ? committedNode.webhookId : webhookId;
+    }
+    if (credentials !== undefined) {
+        canonical.credentials = credentials;
+    }
+
+    return { ...canonical, ...rest };
+}
+
+module.exports = {
+    VOLATILE_NODE_FIELDS,
+    normalizeNode,
+    connectionEdges,
+    diffValues,
+    detectDrift,
+    hasDrift,
+    formatDrift,
+    canonicalizeLive,
+};
@@ -0,0 +1,99 @@
+/**
+ * Workflow File Helpers
+ *
+ * Loads the committed workflow JSON (the source of truth for provisioning)
+ * and reduces workflows to the fields that describe their behaviour.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKFLOW_FILE = path.join(__dirname, '..', 'workflows', 'ad-script-workflow.json');
+
+/**
+ * Fields that define what a workflow does. Everything else (timestamps,
+ * sharing, statistics) is bookkeeping added by n8n.
+ */
+const COMPARABLE_FIELDS = ['name', 'nodes', 'connections', 'settings'];
+
+/**
+ * Load and parse a workflow JSON file
+ */
+function loadWorkflow(file = DEFAULT_WORKFLOW_FILE) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Workflow file not found: ${file}`);
+    }
+
+    let workflow;
+    try {
+        workflow = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse workflow JSON ${file}: ${error.message}`);
+    }
+
+    if (!workflow.id) {
+        throw new Error(`Workflow ${file} has no "id"; a stable id is required for provisioning`);
+    }
+
+    return workflow;
+}
+
+/**
+ * Reduce a workflow to its comparable fields
+ */
+function comparableWorkflow(workflow) {
+    const comparable = {};
+
+    for (const field of COMPARABLE_FIELDS) {
+        comparable[field] = workflow[field] === undefined ? null : workflow[field];
+    }
+
+    return comparable;
+}
+
+/**
+ * JSON.stringify with object keys sorted, so that key order never counts
+ * as a difference between the file and what n8n exports
+ */
+function stableStringify(value, indent = 2) {
+    return JSON.stringify(sortKeys(value), null, indent);
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = sortKeys(value[key]);
+            return sorted;
+        }, {});
+    }
+
+    return value;
+}
+
+/**
+ * Whether two workflows behave the same
+ */
+function workflowsEqual(a, b) {
+    return stableStringify(comparableWorkflow(a)) === stableStringify(comparableWorkflow(b));
+}
+
+/**
+ * Tag names of a workflow; n8n exports tags as objects, files may use strings
+ */
+function workflowTags(workflow) {
+    return (workflow.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name));
+}
+
+module.exports = {
+    DEFAULT_WORKFLOW_FILE,
+    COMPARABLE_FIELDS,
+    loadWorkflow,
+    comparableWorkflow,
+    stableStringify,
+    workflowsEqual,
+    workflowTags,
+};
@@ -0,0 +1,150 @@
+/**
+ * Workflow Listing
+ *
+ * Lists the workflows known to n8n as `{id, name, active, tags}` objects.
+ * `n8n export:workflow --all` is preferred because it prints structured JSON
+ * (including tags); when the installed n8n does not know that command or its
+ * flags, the `n8n list:workflow` text output is parsed instead, in which case
+ * tags are not available. Any other export failure is passed on.
+ */
+
+const { parseJsonOutput } = require('./n8n-cli.cjs');
+const { workflowTags } = require('./workflow-file.cjs');
+
+/**
+ * Workflow ids are numeric (n8n 0.x), nanoids (n8n 1.x) or custom slugs
+ */
+const WORKFLOW_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * How the n8n CLI (oclif) reports a command or flag it does not know
+ */
+const UNSUPPORTED_PATTERN = /command \S+ not found|unknown command|nonexistent flags?|unexpected arguments?|unknown (flag|option)/i;
+
+/**
+ * List workflows through the n8n CLI
+ *
+ * @param {import('./n8n-cli.cjs').N8nCli} cli
+ * @returns {Array<{id: string, name: string, active: boolean, tags: string[]}>}
+ */
+function listWorkflows(cli) {
+    let exported;
+
+    try {
+        exported = cli.exportWorkflows(['--all']);
+    } catch (error) {
+        if (!isUnsupported(error)) {
+            throw error;
+        }
+        return listWorkflowsFromText(cli);
+    }
+
+    return exported.map(summarizeWorkflow);
+}
+
+/**
+ * Whether a CLI error means the command or one of its flags is not supported
+ */
+function isUnsupported(error) {
+    return UNSUPPORTED_PATTERN.test(`${error.message}\n${error.stdout || ''}\n${error.stderr || ''}`);
+}
+
+/**
+ * Fallback listing based on `n8n list:workflow`
+ */
+function listWorkflowsFromText(cli) {
+    const activeIds = parseIdOutput(cli.run(['list:workflow', '--active=true', '--onlyId']));
+
+    return parseListOutput(cli.run(['list:workflow']), activeIds);
+}
+
+/**
+ * Reduce an exported workflow to its summary
+ */
+function summarizeWorkflow(workflow) {
+    return {
+        id: String(workflow.id),
+        name: workflow.name,
+        active: Boolean(workflow.active),
+        tags: workflowTags(workflow),
+    };
+}
+
+/**
+ * Parse `n8n export:workflow --all` output
+ */
+function parseExportOutput(output) {
+    const exported = parseJsonOutput(output);
+
+    return (Array.isArray(exported) ? exported : [exported]).map(summarizeWorkflow);
+}
+
+/**
+ * Parse `n8n list:workflow` output ("<id>|<name>" per line)
+ *
+ * Log lines printed by n8n before the listing (settings, deprecation and
+ * permission warnings) are skipped. Only the first "|" separates the id, so
+ * names that contain "|" survive intact.
+ *
+ * @param {string} output
+ * @param {string[]|null} activeIds Ids reported by `--active=true`; null when unknown
+ */
+function parseListOutput(output, activeIds = null) {
+    const workflows = [];
+
+    for (const line of output.split('\n')) {
+        const separator = line.indexOf('|');
+        if (separator === -1) {
+            continue;
+        }
+
+        const id = line.slice(0, separator).trim();
+        const name = line.slice(separator + 1).trim();
+
+        if (!WORKFLOW_ID_PATTERN.test(id) || id.toLowerCase() === 'id') {
+            continue;
+        }
+
+        workflows.push({
+            id,
+            name,
+            active: activeIds ? activeIds.includes(id) : null,
+            tags: [],
+        });
+    }
+
+    return workflows;
+}
+
+/**
+ * Parse `n8n list:workflow --onlyId` output
+ */
+function parseIdOutput(output) {
+    return output.split('\n')
+        .map(line => line.trim())
+        .filter(line => WORKFLOW_ID_PATTERN.test(line));
+}
+
+/**
+ * Workflows whose name is exactly `name`
+ */
+function findByName(workflows, name) {
+    return workflows.filter(workflow => workflow.name === name);
+}
+
+/**
+ * Workflows carrying `tag`
+ */
+function findByTag(workflows, tag) {
+    return workflows.filter(workflow => workflow.tags.includes(tag));
+}
+
+module.exports = {
+    listWorkflows,
+    summarizeWorkflow,
+    parseExportOutput,
+    parseListOutput,
+    parseIdOutput,
+    findByName,
+    findByTag,
+};
@@ -0,0 +1,175 @@
+/**
+ * Workflow Profiles
+ *
+ * Renders the committed workflow for a deployment profile (n8n/profiles/*.json).
+ * A profile supplies the values that differ between environments: the Laravel
+ * callback base URL, the webhook path, the model and its sampling settings,
+ * and the credential references. Values are written into the nodes that own
+ * them, so the rendered workflow stays importable as-is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+/**
+ * Set Variables field holding the base URL of the Laravel callback
+ */
+const CALLBACK_BASE_FIELD = 'laravelCallbackUrlBase';
+
+/**
+ * Names of the bundled profiles
+ */
+function listProfiles(dir = PROFILES_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+/**
+ * Load a profile by name (from n8n/profiles) or by path
+ */
+function loadProfile(nameOrPath, dir = PROFILES_DIR) {
+    const file = nameOrPath.endsWith('.json') ? path.resolve(nameOrPath) : path.join(dir, `${nameOrPath}.json`);
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown profile "${nameOrPath}"; available: ${listProfiles(dir).join(', ')}`);
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse profile ${file}: ${error.message}`);
+    }
+
+    const problems = validateProfile(profile);
+    if (problems.length > 0) {
+        throw new Error(`Invalid profile ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return { name: path.basename(file, '.json'), ...profile };
+}
+
+/**
+ * List what is wrong with a profile; empty when it is usable
+ */
+function validateProfile(profile) {
+    const problems = [];
+
+    if (!isHttpUrl(profile.callbackBaseUrl)) {
+        problems.push('callbackBaseUrl must be an http(s) URL');
+    } else if (profile.callbackBaseUrl.endsWith('/')) {
+        problems.push('callbackBaseUrl must not end with "/"');
+    }
+
+    if (typeof profile.webhookPath !== 'string' || !/^[A-Za-z0-9_/-]+$/.test(profile.webhookPath)) {
+        problems.push('webhookPath must be a non-empty path without a leading URL');
+    }
+
+    if (typeof profile.model !== 'string' || profile.model === '') {
+        problems.push('model must be a non-empty string');
+    }
+
+    if (typeof profile.temperature !== 'number' || profile.temperature < 0 || profile.temperature > 2) {
+        problems.push('temperature must be a number between 0 and 2');
+    }
+
+    if (!Number.isInteger(profile.maxTokens) || profile.maxTokens <= 0) {
+        problems.push('maxTokens must be a positive integer');
+    }
+
+    for (const [type, ref] of Object.entries(profile.credentials || {})) {
+        if (!ref || typeof ref.id !== 'string' || typeof ref.name !== 'string') {
+            problems.push(`credentials.${type} must have a string "id" and "name"`);
+        }
+    }
+
+    return problems;
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Render a workflow for a profile; the input workflow is left untouched
+ *
+ * @throws {Error} When a node the profile targets cannot be found
+ */
+function renderWorkflow(workflow, profile) {
+    const rendered = structuredClone(workflow);
+
+    renderWebhookPath(rendered, profile);
+    renderCallbackBaseUrl(rendered, profile);
+    renderModel(rendered, profile);
+    renderCredentials(rendered, profile);
+
+    return rendered;
+}
+
+function nodesOfType(workflow, type) {
+    const nodes = workflow.nodes.filter(node => node.type === type);
+
+    if (nodes.length === 0) {
+        throw new Error(`Workflow "${workflow.name}" has no ${type} node to render`);
+    }
+
+    return nodes;
+}
+
+function renderWebhookPath(workflow, profile) {
+    for (const node of nodesOfType(workflow, 'n8n-nodes-base.webhook')) {
+        node.parameters.path = profile.webhookPath;
+    }
+}
+
+function renderCallbackBaseUrl(workflow, profile) {
+    const fields = nodesOfType(workflow, 'n8n-nodes-base.set')
+        .flatMap(node => ((node.parameters.values || {}).string || []))
+        .filter(field => field.name === CALLBACK_BASE_FIELD);
+
+    if (fields.length === 0) {
+        throw new Error(`Workflow "${workflow.name}" has no Set field "${CALLBACK_BASE_FIELD}" to render`);
+    }
+
+    for (const field of fields) {
+        field.value = `={{ '${profile.callbackBaseUrl.replace(/'/g, "\\'")}' }}`;
+    }
+}
+
+function renderModel(workflow, profile) {
+    for (const node of nodesOfType(workflow, 'n8n-nodes-base.openAi')) {
+        node.parameters.model = profile.model;
+        node.parameters.options = {
+            ...node.parameters.options,
+            temperature: profile.temperature,
+            maxTokens: profile.maxTokens,
+        };
+    }
+}
+
+function renderCredentials(workflow, profile) {
+    for (const node of workflow.nodes) {
+        for (const type of Object.keys(node.credentials || {})) {
+            const ref = (profile.credentials || {})[type];
+            if (ref) {
+                node.credentials[type] = { id: ref.id, name: ref.name };
+            }
+        }
+    }
+}
+
+module.exports = {
+    PROFILES_DIR,
+    listProfiles,
+    loadProfile,
+    validateProfile,
+    renderWorkflow,
+};
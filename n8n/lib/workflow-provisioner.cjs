@@ -0,0 +1,195 @@
+/**
+ * Workflow Provisioner
+ *
+ * Converges an n8n instance to the committed workflow JSON. The live
+ * workflow is found by the file's stable `id`, or by a tag when n8n holds
+ * it under another id, and is only re-imported when it actually differs.
+ * Workflows whose connections reference missing nodes are not imported
+ * unless forced.
+ */
+
+const { normalizeConnections, describeDangling } = require('./connection-map.cjs');
+const { comparableWorkflow, stableStringify, workflowsEqual } = require('./workflow-file.cjs');
+const { listWorkflows, findByTag } = require('./workflow-list.cjs');
+const { unifiedDiff } = require('./text-diff.cjs');
+
+class WorkflowProvisioner {
+    /**
+     * @param {object} options
+     * @param {import('./n8n-cli.cjs').N8nCli} options.cli
+     * @param {object} options.workflow Desired workflow (parsed JSON)
+     * @param {string} [options.tag] Tag identifying the workflow when its id differs
+     * @param {boolean} [options.force] Import even when connections are dangling
+     * @param {(message: string) => void} [options.log]
+     */
+    constructor({ cli, workflow, tag = null, force = false, log = console.log }) {
+        this.cli = cli;
+        this.workflow = workflow;
+        this.tag = tag;
+        this.force = force;
+        this.log = log;
+    }
+
+    /**
+     * Find the live counterpart of the desired workflow
+     *
+     * @returns {{workflow: object, matchedBy: 'id'|'tag'}|null}
+     */
+    findLive() {
+        const byId = this.cli.exportWorkflow(this.workflow.id);
+        if (byId) {
+            return { workflow: byId, matchedBy: 'id' };
+        }
+
+        if (!this.tag) {
+            return null;
+        }
+
+        const tagged = findByTag(listWorkflows(this.cli), this.tag);
+
+        if (tagged.length > 1) {
+            const ids = tagged.map(workflow => workflow.id).join(', ');
+            throw new Error(`Tag "${this.tag}" matches ${tagged.length} workflows (${ids}); remove the duplicates first`);
+        }
+
+        const byTag = tagged.length === 1 ? this.cli.exportWorkflow(tagged[0].id) : null;
+
+        return byTag ? { workflow: byTag, matchedBy: 'tag' } : null;
+    }
+
+    /**
+     * Work out what is needed to converge n8n to the desired workflow
+     *
+     * @returns {{
+     *   outcome: 'create'|'update'|'skip',
+     *   matchedBy: 'id'|'tag'|null,
+     *   targetId: string,
+     *   steps: Array<{action: 'import'|'activate'|'deactivate', reason: string}>
+     * }}
+     */
+    plan(live = this.findLive()) {
+        const steps = [];
+        let outcome;
+
+        if (!live) {
+            outcome = 'create';
+            steps.push({ action: 'import', reason: 'workflow does not exist in n8n' });
+        } else if (!workflowsEqual(live.workflow, this.workflow)) {
+            outcome = 'update';
+            steps.push({ action: 'import', reason: `live workflow (matched by ${live.matchedBy}) differs from the file` });
+        } else {
+            outcome = 'skip';
+        }
+
+        // n8n deactivates workflows on import, so an imported workflow starts inactive
+        const currentlyActive = outcome === 'skip' && Boolean(live.workflow.active);
+
+        if (this.workflow.active && !currentlyActive) {
+            steps.push({ action: 'activate', reason: 'committed workflow is marked active' });
+        } else if (!this.workflow.active && currentlyActive) {
+            steps.push({ action: 'deactivate', reason: 'committed workflow is marked inactive' });
+        }
+
+        return {
+            outcome,
+            matchedBy: live ? live.matchedBy : null,
+            targetId: live ? live.workflow.id : this.workflow.id,
+            steps,
+        };
+    }
+
+    /**
+     * Id of the live workflow `apply` would update, or the file's id when
+     * none matches; `prune` keeps this one
+     */
+    targetId() {
+        const live = this.findLive();
+        return live ? live.workflow.id : this.workflow.id;
+    }
+
+    /**
+     * Execute the plan and return it
+     */
+    apply() {
+        const plan = this.plan();
+
+        if (plan.steps.some(step => step.action === 'import')) {
+            this.checkConnections();
+        }
+
+        for (const step of plan.steps) {
+            this.log(`▶️  ${step.action}: ${step.reason}`);
+            this.runStep(step, plan.targetId);
+        }
+
+        return plan;
+    }
+
+    /**
+     * Refuse to import a workflow whose connections reference missing nodes
+     */
+    checkConnections() {
+        const { dangling } = normalizeConnections(this.workflow);
+
+        if (dangling.length === 0) {
+            return;
+        }
+
+        const details = dangling.map(edge => `  - ${describeDangling(edge)}`).join('\n');
+
+        if (!this.force) {
+            throw new Error(`Workflow has ${dangling.length} dangling connection(s); fix them (connections --write) or pass --force:\n${details}`);
+        }
+
+        this.log(`⚠️  Importing despite ${dangling.length} dangling connection(s) (--force):\n${details}`);
+    }
+
+    /**
+     * Run a single plan step against n8n
+     */
+    runStep(step, targetId) {
+        switch (step.action) {
+            case 'import':
+                // Importing under the live id updates that workflow in place
+                this.cli.importWorkflow({ ...this.workflow, id: targetId });
+                break;
+            case 'activate':
+                this.cli.setActive(targetId, true);
+                break;
+            case 'deactivate':
+                this.cli.setActive(targetId, false);
+                break;
+            default:
+                throw new Error(`Unknown plan step: ${step.action}`);
+        }
+    }
+
+    /**
+     * Unified diff between the live workflow and the desired one
+     */
+    diff(live = this.findLive()) {
+        const before = live ? stableStringify(comparableWorkflow(live.workflow)) : '';
+        const after = stableStringify(comparableWorkflow(this.workflow));
+
+        return unifiedDiff(before, after, {
+            fromLabel: live ? `n8n:${live.workflow.id}` : 'n8n:(missing)',
+            toLabel: `file:${this.workflow.id}`,
+        });
+    }
+
+    /**
+     * Activate or deactivate the live workflow in n8n and return its id
+     */
+    setActive(active) {
+        const live = this.findLive();
+        const id = live ? live.workflow.id : this.workflow.id;
+
+        this.cli.setActive(id, active);
+
+        return id;
+    }
+}
+
+module.exports = {
+    WorkflowProvisioner,
+};
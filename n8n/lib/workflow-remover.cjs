@@ -0,0 +1,102 @@
+/**
+ * Workflow Remover
+ *
+ * Deletes workflows through the n8n REST API. Only workflows matching the
+ * configured name and/or tag filter can be removed; anything else is refused so
+ * that a typo in an id can never delete an unrelated workflow. Active
+ * workflows are deactivated before they are deleted.
+ */
+
+const { findByName, findByTag, summarizeWorkflow } = require('./workflow-list.cjs');
+
+class WorkflowRemover {
+    /**
+     * @param {object} options
+     * @param {import('./n8n-api.cjs').N8nApiClient} options.api
+     * @param {{name?: string|null, tag?: string|null}} options.filter
+     * @param {boolean} [options.dryRun]
+     * @param {(message: string) => void} [options.log]
+     */
+    constructor({ api, filter, dryRun = false, log = console.log }) {
+        if (!filter || (!filter.name && !filter.tag)) {
+            throw new Error('Refusing to delete workflows without a name or tag filter');
+        }
+
+        this.api = api;
+        this.filter = filter;
+        this.dryRun = dryRun;
+        this.log = log;
+    }
+
+    /**
+     * Workflows in n8n that match the filter
+     */
+    async candidates() {
+        const workflows = (await this.api.listWorkflows()).map(summarizeWorkflow);
+
+        const byName = this.filter.name ? findByName(workflows, this.filter.name) : workflows;
+
+        return this.filter.tag ? findByTag(byName, this.filter.tag) : byName;
+    }
+
+    /**
+     * Delete the given workflow ids; every id must match the filter
+     *
+     * @returns {Promise<Array<{id: string, name: string, active: boolean}>>} Removed (or, in dry-run, removable) workflows
+     */
+    async remove(ids) {
+        const candidates = await this.candidates();
+        const refused = ids.filter(id => !candidates.some(workflow => workflow.id === id));
+
+        if (refused.length > 0) {
+            throw new Error(`Refusing to delete ${refused.join(', ')}: not found or not matching ${this.describeFilter()}`);
+        }
+
+        return this.removeAll(candidates.filter(workflow => ids.includes(workflow.id)));
+    }
+
+    /**
+     * Delete every workflow matching the filter except `keepId`
+     */
+    async prune(keepId) {
+        const duplicates = (await this.candidates()).filter(workflow => workflow.id !== keepId);
+
+        return this.removeAll(duplicates);
+    }
+
+    async removeAll(workflows) {
+        for (const workflow of workflows) {
+            await this.removeOne(workflow);
+        }
+
+        return workflows;
+    }
+
+    async removeOne(workflow) {
+        const label = `${workflow.id} ("${workflow.name}")`;
+
+        if (this.dryRun) {
+            this.log(`🔎 Would ${workflow.active ? 'deactivate and ' : ''}delete workflow ${label}`);
+            return;
+        }
+
+        if (workflow.active) {
+            this.log(`🔌 Deactivating workflow ${label}...`);
+            await this.api.deactivateWorkflow(workflow.id);
+        }
+
+        this.log(`🗑️ Deleting workflow ${label}...`);
+        await this.api.deleteWorkflow(workflow.id);
+    }
+
+    describeFilter() {
+        return [
+            this.filter.name ? `name "${this.filter.name}"` : null,
+            this.filter.tag ? `tag "${this.filter.tag}"` : null,
+        ].filter(Boolean).join(' and ');
+    }
+}
+
+module.exports = {
+    WorkflowRemover,
+};
@@ -0,0 +1,671 @@
+/**
+ * Workflow Simulator
+ *
+ * Runs a workflow file offline by interpreting the node types the ad script
+ * workflow uses: webhook, set, if, code, respondToWebhook, httpRequest,
+ * openAi and errorTrigger. Items flow along the connections like in n8n,
+ * expressions and Code nodes are evaluated in a vm sandbox with n8n-style
+ * helpers ($json, $input, $('Node'), $node, $items), and the two nodes that
+ * talk to the outside world are stubbed:
+ *
+ *   openAi       ({node, model, prompt, options}) => text | {text} | throws
+ *   httpRequest  ({node, method, url, headers, body}) => {status, body} | throws
+ *                (body is a string for a raw body, as sent)
+ *
+ * The result holds the webhook response and every outgoing HTTP request (the
+ * Laravel callback), so each branch can be tested without n8n or an AI call.
+ *
+ * `env` is what expressions and Code nodes see as $env, and Code nodes can
+ * require the builtin modules in `allowBuiltin`, like NODE_FUNCTION_ALLOW_BUILTIN
+ * in docker-compose.yml. With `credentials` (data by credential id) a Webhook
+ * Trigger using header auth answers a missing or wrong header with n8n's 403
+ * before the workflow runs; without it the header is not checked.
+ *
+ * When a node fails, the failure is recorded and the workflow's own Error
+ * Trigger nodes run as a separate error execution, as they would when the
+ * workflow is its own error workflow. A webhook that has not answered by then
+ * gets n8n's 500 response.
+ */
+
+const vm = require('vm');
+
+const { normalizeConnections } = require('./connection-map.cjs');
+const { splitTemplate } = require('./expression-analysis.cjs');
+
+/**
+ * Wall-clock limit for the synchronous part of a Code node or expression
+ */
+const SANDBOX_TIMEOUT_MS = 1000;
+
+/**
+ * Upper bound on node executions, against connection loops
+ */
+const MAX_STEPS = 500;
+
+const WORKFLOW_ERROR_RESPONSE = { status: 500, body: { message: 'Error in workflow' } };
+const WEBHOOK_AUTH_ERROR_RESPONSE = { status: 403, body: 'Authorization data is wrong!' };
+
+class NodeExecutionError extends Error {
+    constructor(node, message) {
+        super(message);
+        this.name = 'NodeExecutionError';
+        this.node = node;
+    }
+}
+
+class WorkflowSimulator {
+    /**
+     * @param {object} workflow Workflow export (e.g. n8n/workflows/ad-script-workflow.json)
+     * @param {object} [stubs]
+     * @param {Function} [stubs.openAi]
+     * @param {Function} [stubs.httpRequest]
+     * @param {object} [stubs.env] $env, e.g. {N8N_CALLBACK_HMAC_SECRET: '...'}
+     * @param {string[]} [stubs.allowBuiltin] Builtin modules Code nodes may require
+     * @param {object|null} [stubs.credentials] Credential data by id, e.g. {'webhook-auth': {name, value}}
+     */
+    constructor(workflow, { openAi = null, httpRequest = null, env = {}, allowBuiltin = ['crypto'], credentials = null } = {}) {
+        this.workflow = workflow;
+        this.env = env;
+        this.credentials = credentials;
+        this.allowBuiltin = allowBuiltin;
+        this.stubs = {
+            openAi: openAi || (({ node }) => {
+                throw new Error(`No openAi stub for "${node}"`);
+            }),
+            httpRequest: httpRequest || (() => ({ status: 200, body: {} })),
+        };
+        this.connections = normalizeConnections(workflow).connections;
+        this.nodes = new Map(workflow.nodes.map(node => [node.name, node]));
+    }
+
+    /**
+     * Simulate a webhook call
+     *
+     * @param {object} request
+     * @param {object} [request.body]
+     * @param {object} [request.headers]
+     * @param {object} [request.query]
+     * @returns {Promise<{
+     *   response: {status: number, body: *, node: string|null}|null,
+     *   callbacks: Array<{node: string, method: string, url: string, headers: object, body: *, response: *}>,
+     *   executed: string[],
+     *   error: {node: string, message: string}|null,
+     *   errorExecution: object|null,
+     * }>}
+     */
+    async run({ body = {}, headers = {}, query = {} } = {}) {
+        const trigger = this.workflow.nodes.find(node => node.type === 'n8n-nodes-base.webhook' && !node.disabled);
+        if (!trigger) {
+            throw new Error('The workflow has no webhook trigger');
+        }
+
+        const webhookItem = {
+            headers: { 'content-type': 'application/json', ...lowerCaseKeys(headers) },
+            params: {},
+            query,
+            body,
+            webhookUrl: `http://localhost:5678/webhook/${(trigger.parameters || {}).path || ''}`,
+            executionMode: 'production',
+        };
+
+        if (!this.webhookAuthorized(trigger, webhookItem.headers)) {
+            return {
+                response: { ...WEBHOOK_AUTH_ERROR_RESPONSE, node: null },
+                callbacks: [],
+                executed: [],
+                error: null,
+                errorExecution: null,
+            };
+        }
+
+        const execution = await this.execute(trigger, [{ json: webhookItem }]);
+        const result = { ...execution, errorExecution: null };
+
+        if ((trigger.parameters || {}).responseMode !== 'responseNode' && !execution.error) {
+            result.response = { status: 200, body: { message: 'Workflow was started' }, node: null };
+        }
+
+        if (execution.error) {
+            if (!result.response) {
+                result.response = { ...WORKFLOW_ERROR_RESPONSE, node: null };
+            }
+            result.errorExecution = await this.runErrorTriggers(execution);
+        }
+
+        return result;
+    }
+
+    /**
+     * Header auth of the webhook trigger, checked like n8n does before the workflow starts
+     */
+    webhookAuthorized(trigger, headers) {
+        const parameters = trigger.parameters || {};
+        if (parameters.authentication !== 'headerAuth' || !this.credentials) {
+            return true;
+        }
+
+        const reference = (trigger.credentials || {}).httpHeaderAuth;
+        const credential = reference ? this.credentials[reference.id] : null;
+        if (!credential) {
+            throw new Error(`No data for the header auth credential of "${trigger.name}"`);
+        }
+
+        return headers[credential.name.toLowerCase()] === credential.value;
+    }
+
+    async runErrorTriggers(failed) {
+        const triggers = this.workflow.nodes.filter(node => node.type === 'n8n-nodes-base.errorTrigger' && !node.disabled);
+        if (triggers.length === 0) {
+            return null;
+        }
+
+        const errorItem = {
+            execution: {
+                id: 'simulated',
+                mode: 'webhook',
+                lastNodeExecuted: failed.error.node,
+                error: { message: failed.error.message, node: { name: failed.error.node } },
+            },
+            workflow: { id: this.workflow.id, name: this.workflow.name },
+        };
+
+        const runs = [];
+        for (const trigger of triggers) {
+            runs.push(await this.execute(trigger, [{ json: errorItem }]));
+        }
+
+        return {
+            executed: runs.flatMap(run => run.executed),
+            response: runs.map(run => run.response).find(Boolean) || null,
+            callbacks: runs.flatMap(run => run.callbacks),
+            error: runs.map(run => run.error).find(Boolean) || null,
+        };
+    }
+
+    /**
+     * Run from a start node until no node has pending input
+     */
+    async execute(start, items) {
+        const state = {
+            runData: new Map([[start.name, items]]),
+            executed: [start.name],
+            response: null,
+            callbacks: [],
+            error: null,
+        };
+
+        const stack = this.downstream(start.name, [items]).reverse();
+        let steps = 0;
+
+        while (stack.length > 0) {
+            if (++steps > MAX_STEPS) {
+                throw new Error(`Stopped after ${MAX_STEPS} node executions; does the workflow loop?`);
+            }
+
+            const { node, items: input } = stack.pop();
+
+            let outputs;
+            try {
+                outputs = await this.runNode(node, input, state);
+            } catch (error) {
+                state.executed.push(node.name);
+                if (continuesOnFail(node)) {
+                    outputs = [[{ json: { error: error.message } }]];
+                } else {
+                    state.error = { node: node.name, message: error.message };
+                    break;
+                }
+            }
+
+            state.executed.push(node.name);
+            state.runData.set(node.name, outputs.flat());
+            stack.push(...this.downstream(node.name, outputs).reverse());
+        }
+
+        return {
+            response: state.response,
+            callbacks: state.callbacks,
+            executed: [...new Set(state.executed)],
+            runData: Object.fromEntries(state.runData),
+            error: state.error,
+        };
+    }
+
+    /**
+     * Pending executions for the nodes connected to `name`'s non-empty outputs
+     */
+    downstream(name, outputs) {
+        const pending = [];
+        const main = ((this.connections[name] || {}).main) || [];
+
+        outputs.forEach((items, output) => {
+            if (items.length === 0) {
+                return;
+            }
+            for (const target of main[output] || []) {
+                const node = this.nodes.get(target.node);
+                pending.push({ node, items: structuredClone(items) });
+            }
+        });
+
+        return pending;
+    }
+
+    /**
+     * @returns {Promise<Array<Array<{json: object}>>>} Items per output
+     */
+    async runNode(node, items, state) {
+        if (node.disabled) {
+            return [items];
+        }
+
+        const handler = NODE_HANDLERS[node.type];
+        if (!handler) {
+            throw new NodeExecutionError(node.name, `The simulator does not support node type ${node.type}`);
+        }
+
+        return handler.call(this, node, items, state);
+    }
+
+    /**
+     * Sandbox globals for a node processing `items`
+     */
+    context(node, items, state, itemIndex = 0) {
+        const nodeData = name => {
+            if (!this.nodes.has(name)) {
+                throw new Error(`Referenced node "${name}" doesn't exist`);
+            }
+            if (!state.runData.has(name)) {
+                throw new Error(`Referenced node "${name}" has not been executed`);
+            }
+            return state.runData.get(name);
+        };
+
+        const accessor = list => ({
+            first: () => list[0],
+            last: () => list[list.length - 1],
+            all: () => list,
+            itemMatching: index => list[index] || list[0],
+            get item() {
+                return list[itemIndex] || list[0];
+            },
+        });
+
+        const current = items[itemIndex] || { json: {} };
+
+        return {
+            $json: current.json,
+            $input: accessor(items),
+            $: name => accessor(nodeData(name)),
+            $items: name => nodeData(name),
+            $node: new Proxy({}, {
+                get: (target, name) => ({ json: (nodeData(String(name))[0] || { json: {} }).json }),
+            }),
+            $workflow: { id: this.workflow.id, name: this.workflow.name, active: Boolean(this.workflow.active) },
+            $execution: { id: 'simulated', mode: 'production' },
+            $now: new Date(),
+            $itemIndex: itemIndex,
+            $env: { ...this.env },
+            console: { log() {}, warn() {}, error() {} },
+        };
+    }
+
+    /**
+     * `require` inside Code nodes: only the allowed builtin modules, as in n8n
+     */
+    requireBuiltin(name) {
+        if (!this.allowBuiltin.includes(name)) {
+            throw new Error(`Cannot find module '${name}' [not allowed by NODE_FUNCTION_ALLOW_BUILTIN]`);
+        }
+        return require(name);
+    }
+
+    /**
+     * Resolve a parameter: "=" strings are expressions, anything else is literal
+     */
+    evaluate(value, node, items, state, itemIndex = 0) {
+        if (Array.isArray(value)) {
+            return value.map(entry => this.evaluate(entry, node, items, state, itemIndex));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .map(([key, entry]) => [key, this.evaluate(entry, node, items, state, itemIndex)]));
+        }
+        if (typeof value !== 'string' || !value.startsWith('=')) {
+            return value;
+        }
+
+        const template = splitTemplate(value.slice(1));
+        if (template.error) {
+            throw new NodeExecutionError(node.name, `Invalid expression: ${template.error.message}`);
+        }
+
+        const context = vm.createContext(this.context(node, items, state, itemIndex));
+        const run = code => {
+            try {
+                return new vm.Script(`(${code}\n)`).runInContext(context, { timeout: SANDBOX_TIMEOUT_MS });
+            } catch (error) {
+                throw new NodeExecutionError(node.name, `Expression {{${code}}} failed: ${error.message}`);
+            }
+        };
+
+        if (template.segments.length === 1 && template.literal === '') {
+            return fromSandbox(run(template.segments[0].code));
+        }
+
+        const source = value.slice(1);
+        let text = '';
+        let index = 0;
+        for (const segment of template.segments) {
+            text += source.slice(index, segment.offset - 2) + stringify(fromSandbox(run(segment.code)));
+            index = segment.offset + segment.code.length + 2;
+        }
+
+        return text + source.slice(index);
+    }
+}
+
+/**
+ * Node type implementations, called with the simulator as `this`
+ */
+const NODE_HANDLERS = {
+    'n8n-nodes-base.webhook'(node, items) {
+        return [items];
+    },
+
+    'n8n-nodes-base.errorTrigger'(node, items) {
+        return [items];
+    },
+
+    'n8n-nodes-base.set'(node, items, state) {
+        const parameters = node.parameters || {};
+        const dotNotation = (parameters.options || {}).dotNotation !== false;
+
+        return [items.map((item, index) => {
+            const json = parameters.keepOnlySet ? {} : structuredClone(item.json);
+
+            for (const [type, fields] of Object.entries(parameters.values || {})) {
+                for (const field of fields || []) {
+                    const value = convert(type, this.evaluate(field.value, node, items, state, index));
+                    setField(json, field.name, value, dotNotation);
+                }
+            }
+
+            return { json };
+        })];
+    },
+
+    'n8n-nodes-base.if'(node, items, state) {
+        const parameters = node.parameters || {};
+        const matches = [];
+        const rest = [];
+
+        items.forEach((item, index) => {
+            const results = Object.entries(parameters.conditions || {}).flatMap(([type, conditions]) =>
+                (conditions || []).map(condition => compare(
+                    type,
+                    condition.operation || 'equal',
+                    this.evaluate(condition.value1, node, items, state, index),
+                    this.evaluate(condition.value2, node, items, state, index),
+                )));
+
+            const passed = parameters.combineOperation === 'any' ? results.some(Boolean) : results.every(Boolean);
+            (passed ? matches : rest).push(item);
+        });
+
+        return [matches, rest];
+    },
+
+    async 'n8n-nodes-base.code'(node, items, state) {
+        const parameters = node.parameters || {};
+        const perItem = parameters.mode === 'runOnceForEachItem';
+        const run = async index => {
+            const context = vm.createContext({ ...this.context(node, items, state, index), require: name => this.requireBuiltin(name) });
+            try {
+                const script = new vm.Script(`(async () => {\n${parameters.jsCode || ''}\n})()`);
+                return fromSandbox(await script.runInContext(context, { timeout: SANDBOX_TIMEOUT_MS }));
+            } catch (error) {
+                throw new NodeExecutionError(node.name, `Code node failed: ${error.message}`);
+            }
+        };
+
+        if (!perItem) {
+            return [toItems(await run(0), node)];
+        }
+
+        const output = [];
+        for (let index = 0; index < items.length; index++) {
+            output.push(...toItems(await run(index), node));
+        }
+        return [output];
+    },
+
+    'n8n-nodes-base.respondToWebhook'(node, items, state) {
+        const parameters = node.parameters || {};
+        const options = parameters.options || {};
+        let body;
+
+        switch (parameters.respondWith || 'firstIncomingItem') {
+            case 'json': {
+                const value = this.evaluate(parameters.responseBody, node, items, state);
+                try {
+                    body = typeof value === 'string' ? JSON.parse(value) : value;
+                } catch (error) {
+                    throw new NodeExecutionError(node.name, `Invalid JSON in 'Response Body' field: ${error.message}`);
+                }
+                break;
+            }
+            case 'text':
+                body = String(this.evaluate(parameters.responseBody, node, items, state));
+                break;
+            case 'noData':
+                body = '';
+                break;
+            default:
+                body = (items[0] || { json: {} }).json;
+        }
+
+        if (!state.response) {
+            state.response = { status: options.responseCode || 200, body, node: node.name };
+        }
+
+        return [items];
+    },
+
+    async 'n8n-nodes-base.openAi'(node, items, state) {
+        const parameters = node.parameters || {};
+        const output = [];
+
+        for (let index = 0; index < items.length; index++) {
+            const request = {
+                node: node.name,
+                model: this.evaluate(parameters.model, node, items, state, index),
+                prompt: this.evaluate(parameters.prompt, node, items, state, index),
+                options: this.evaluate(parameters.options || {}, node, items, state, index),
+            };
+
+            const reply = await this.stubs.openAi(request);
+            output.push({ json: typeof reply === 'string' ? { text: reply } : reply });
+        }
+
+        return [output];
+    },
+
+    async 'n8n-nodes-base.httpRequest'(node, items, state) {
+        const parameters = node.parameters || {};
+        const output = [];
+
+        for (let index = 0; index < items.length; index++) {
+            const parameterList = (group, key = 'parameter') => Object.fromEntries(((parameters[group] || {})[key] || [])
+                .map(entry => [entry.name, this.evaluate(entry.value, node, items, state, index)]));
+            const parameterJson = name => {
+                const value = this.evaluate(parameters[name] || '{}', node, items, state, index);
+                try {
+                    return typeof value === 'string' ? JSON.parse(value) : value;
+                } catch (error) {
+                    throw new NodeExecutionError(node.name, `JSON parameter need to be an valid JSON (${name})`);
+                }
+            };
+
+            // Version 3 and later: a raw body is sent as the evaluated string, unchanged
+            const payload = () => {
+                const headers = !parameters.sendHeaders ? {}
+                    : parameters.specifyHeaders === 'json' ? parameterJson('jsonHeaders') : parameterList('headerParameters', 'parameters');
+
+                if (!parameters.sendBody) {
+                    return { headers, body: undefined };
+                }
+                if (parameters.contentType === 'raw') {
+                    return {
+                        headers: { 'content-type': parameters.rawContentType, ...headers },
+                        body: String(this.evaluate(parameters.body, node, items, state, index)),
+                    };
+                }
+                const body = parameters.specifyBody === 'json' ? parameterJson('jsonBody') : parameterList('bodyParameters', 'parameters');
+                return { headers, body: JSON.parse(JSON.stringify(body)) };
+            };
+
+            const request = {
+                node: node.name,
+                method: parameters.requestMethod || parameters.method || 'GET',
+                url: this.evaluate(parameters.url, node, items, state, index),
+                ...(node.typeVersion >= 3 ? payload() : {
+                    headers: parameters.jsonParameters ? parameterJson('headerParametersJson') : parameterList('headerParametersUi'),
+                    body: JSON.parse(JSON.stringify(parameters.jsonParameters ? parameterJson('bodyParametersJson') : parameterList('bodyParametersUi'))),
+                }),
+                credentials: node.credentials || null,
+            };
+
+            const response = await this.stubs.httpRequest(request);
+            const status = response && response.status ? response.status : 200;
+
+            state.callbacks.push({ ...request, response: { status, body: response ? response.body : undefined } });
+
+            if (status >= 400) {
+                throw new NodeExecutionError(node.name, `Request failed with status code ${status}`);
+            }
+
+            const body = response ? response.body : {};
+            output.push({ json: body && typeof body === 'object' ? body : { data: body } });
+        }
+
+        return [output];
+    },
+};
+
+function continuesOnFail(node) {
+    return node.continueOnFail === true || ['continueRegularOutput', 'continueErrorOutput'].includes(node.onError);
+}
+
+/**
+ * Copy a value out of the sandbox realm so it compares and serializes like local data
+ */
+function fromSandbox(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function toItems(result, node) {
+    const list = Array.isArray(result) ? result : [result];
+
+    return list.map(entry => {
+        if (!entry || typeof entry !== 'object') {
+            throw new NodeExecutionError(node.name, 'Code doesn\'t return items properly: expected objects');
+        }
+        return entry.json && typeof entry.json === 'object' ? { json: entry.json } : { json: entry };
+    });
+}
+
+function stringify(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function convert(type, value) {
+    switch (type) {
+        case 'number':
+            return Number(value);
+        case 'boolean':
+            return value === 'false' ? false : Boolean(value);
+        case 'json':
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        default:
+            return value === undefined || value === null ? '' : String(value);
+    }
+}
+
+function setField(json, name, value, dotNotation) {
+    if (!dotNotation || !name.includes('.')) {
+        json[name] = value;
+        return;
+    }
+
+    const keys = name.split('.');
+    let target = json;
+    for (const key of keys.slice(0, -1)) {
+        if (!target[key] || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * IF node (v1) comparison
+ */
+function compare(type, operation, value1, value2) {
+    const empty = [undefined, null, ''].includes(value1);
+
+    switch (operation) {
+        case 'isEmpty':
+            return empty;
+        case 'isNotEmpty':
+            return !empty;
+        case 'notEqual':
+            return normalize(type, value1) !== normalize(type, value2);
+        case 'contains':
+            return String(value1 ?? '').includes(String(value2 ?? ''));
+        case 'notContains':
+            return !String(value1 ?? '').includes(String(value2 ?? ''));
+        case 'startsWith':
+            return String(value1 ?? '').startsWith(String(value2 ?? ''));
+        case 'endsWith':
+            return String(value1 ?? '').endsWith(String(value2 ?? ''));
+        case 'regex':
+            return new RegExp(value2).test(String(value1 ?? ''));
+        case 'notRegex':
+            return !new RegExp(value2).test(String(value1 ?? ''));
+        case 'smaller':
+            return Number(value1) < Number(value2);
+        case 'smallerEqual':
+            return Number(value1) <= Number(value2);
+        case 'larger':
+            return Number(value1) > Number(value2);
+        case 'largerEqual':
+            return Number(value1) >= Number(value2);
+        default:
+            return normalize(type, value1) === normalize(type, value2);
+    }
+}
+
+function normalize(type, value) {
+    if (type === 'boolean') {
+        return value === 'false' ? false : Boolean(value);
+    }
+    if (type === 'number') {
+        return Number(value);
+    }
+    return value;
+}
+
+function lowerCaseKeys(object) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+module.exports = {
+    WorkflowSimulator,
+    NodeExecutionError,
+    NODE_HANDLERS,
+};
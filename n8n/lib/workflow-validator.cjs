@@ -0,0 +1,528 @@
+/**
+ * Workflow Validator
+ *
+ * Checks a workflow file against a rules file (n8n/validation/rules.json):
+ *
+ *   roles        nodes the workflow needs, found by type, parameters and
+ *                their place in the graph rather than by id or name
+ *   credentials  credential ids the nodes of a role must reference
+ *   settings     recommended workflow settings
+ *
+ * plus built-in rules for the structure (JSON schema, unique node names,
+ * connection targets, reachability) and for the embedded JavaScript (see
+ * expression-analysis.cjs). Every rule has an id and a severity; any id can be
+ * disabled in the rules file or per run.
+ *
+ * A role with `after` only matches nodes connected from a node of that role,
+ * optionally only from one `output` (0 is the true branch of an If).
+ *
+ * Matchers used by `where`, `requires` and `expected`:
+ *   "value"                      equality (strings, numbers, booleans, lists)
+ *   { "equals": {...} }          deep equality, for objects
+ *   { "exists": true }           the field is set (false: it is not)
+ *   { "contains": "x" | [...] }  string (or JSON of an object) contains every value
+ *   { "matches": "regex" }       string matches the regular expression
+ *   { "oneOf": [...] }           equals one of the values
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const { normalizeConnections } = require('./connection-map.cjs');
+const { analyzeWorkflow } = require('./expression-analysis.cjs');
+const { stableStringify } = require('./workflow-file.cjs');
+
+const VALIDATION_DIR = path.join(__dirname, '..', 'validation');
+const DEFAULT_RULES_FILE = path.join(VALIDATION_DIR, 'rules.json');
+const WORKFLOW_SCHEMA_FILE = path.join(VALIDATION_DIR, 'workflow.schema.json');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const MATCHERS = ['equals', 'exists', 'contains', 'matches', 'oneOf'];
+
+/**
+ * Rules that need no configuration
+ */
+const BUILTIN_RULES = {
+    'workflow.schema': { severity: 'error', description: 'The file matches workflow.schema.json' },
+    'nodes.unique-names': { severity: 'error', description: 'Node names are unique (connections refer to nodes by name)' },
+    'connections.dangling': { severity: 'error', description: 'Every connection starts and ends at an existing node' },
+    'connections.unreachable': { severity: 'warning', description: 'Every node can be reached from a trigger' },
+    'expressions.syntax': { severity: 'error', description: 'Expressions and Code node JavaScript parse' },
+    'expressions.unknown-node': { severity: 'error', description: 'Expressions only reference existing nodes' },
+    'expressions.unknown-field': { severity: 'error', description: 'Expressions only read fields their source node sets' },
+    'expressions.passthrough-field': { severity: 'warning', description: 'Reads through a Set node use the fields it defines' },
+    'expressions.literal-text': { severity: 'warning', description: 'No stray whitespace around a single {{ }}' },
+    'expressions.env-access': { severity: 'error', description: 'Only the allowed variables are read from n8n\'s environment' },
+};
+
+/**
+ * Load and check a rules file
+ */
+function loadRules(file = DEFAULT_RULES_FILE) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Rules file not found: ${file}`);
+    }
+
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse rules file ${file}: ${error.message}`);
+    }
+
+    const normalized = {
+        disabled: rules.disabled || [],
+        roles: rules.roles || [],
+        credentials: rules.credentials || [],
+        settings: rules.settings || [],
+    };
+
+    const problems = validateRules(normalized);
+    if (problems.length > 0) {
+        throw new Error(`Invalid rules file ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return normalized;
+}
+
+/**
+ * List what is wrong with a rules object; empty when it is usable
+ */
+function validateRules(rules) {
+    const problems = [];
+    const ids = new Set(Object.keys(BUILTIN_RULES));
+    const roleIds = new Set(rules.roles.map(role => role.id));
+
+    for (const rule of [...rules.roles, ...rules.credentials, ...rules.settings]) {
+        if (typeof rule.id !== 'string' || rule.id === '') {
+            problems.push(`every rule needs an "id" (got ${JSON.stringify(rule).slice(0, 60)})`);
+            continue;
+        }
+        if (!SEVERITIES.includes(rule.severity)) {
+            problems.push(`${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+        if (ids.has(rule.id)) {
+            problems.push(`${rule.id}: duplicate rule id`);
+        }
+        ids.add(rule.id);
+    }
+
+    for (const role of rules.roles) {
+        const types = [].concat(role.type);
+        if (types.length === 0 || types.some(type => typeof type !== 'string' || type === '')) {
+            problems.push(`${role.id}: type must be a node type or a list of node types`);
+        }
+        if (role.after !== undefined && !roleIds.has(role.after)) {
+            problems.push(`${role.id}: "after" refers to unknown role ${role.after}`);
+        }
+        if (role.output !== undefined && (role.after === undefined || !Number.isInteger(role.output) || role.output < 0)) {
+            problems.push(`${role.id}: "output" needs "after" and an output index (0 is the true branch of an If)`);
+        }
+        if (role.count !== undefined) {
+            const { min = 1, max = Infinity } = role.count;
+            if (!Number.isInteger(min) || min < 0 || (max !== Infinity && (!Number.isInteger(max) || max < min))) {
+                problems.push(`${role.id}: count needs whole numbers with min <= max`);
+            }
+        }
+        for (const field of ['where', 'requires']) {
+            for (const [fieldPath, matcher] of Object.entries(role[field] || {})) {
+                problems.push(...matcherProblems(matcher).map(problem => `${role.id}: ${field} ${fieldPath} ${problem}`));
+            }
+        }
+    }
+
+    for (const rule of rules.credentials) {
+        if (typeof rule.credential !== 'string' || typeof rule.type !== 'string') {
+            problems.push(`${rule.id}: "credential" (id) and "type" must be strings`);
+        }
+        if (rule.role !== undefined && !roleIds.has(rule.role)) {
+            problems.push(`${rule.id}: "role" refers to unknown role ${rule.role}`);
+        }
+    }
+
+    for (const rule of rules.settings) {
+        if (typeof rule.setting !== 'string' || rule.expected === undefined) {
+            problems.push(`${rule.id}: needs a "setting" name and an "expected" value`);
+        } else {
+            problems.push(...matcherProblems(rule.expected).map(problem => `${rule.id}: expected ${problem}`));
+        }
+    }
+
+    if (!Array.isArray(rules.disabled)) {
+        problems.push('disabled must be a list of rule ids');
+    } else {
+        for (const id of rules.disabled.filter(id => !ids.has(id))) {
+            problems.push(`disabled: unknown rule id ${id}`);
+        }
+    }
+
+    return problems;
+}
+
+function matcherProblems(matcher) {
+    if (!isMatcher(matcher)) {
+        return [];
+    }
+
+    const [name] = Object.keys(matcher);
+    const value = matcher[name];
+
+    if (Object.keys(matcher).length !== 1 || !MATCHERS.includes(name)) {
+        return [`must use exactly one of ${MATCHERS.join(', ')}`];
+    }
+    if (name === 'matches') {
+        try {
+            new RegExp(value);
+        } catch (error) {
+            return [`has an invalid regular expression: ${error.message}`];
+        }
+    }
+    if (name === 'oneOf' && !Array.isArray(value)) {
+        return ['oneOf needs a list'];
+    }
+
+    return [];
+}
+
+function isMatcher(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Why `value` fails `matcher`, or null when it passes
+ */
+function mismatch(value, matcher) {
+    if (!isMatcher(matcher) || 'equals' in matcher) {
+        const expected = isMatcher(matcher) ? matcher.equals : matcher;
+
+        return stableStringify(value) === stableStringify(expected)
+            ? null
+            : `is ${describe(value)}, expected ${describe(expected)}`;
+    }
+
+    if ('exists' in matcher) {
+        return (value !== undefined) === matcher.exists ? null : (matcher.exists ? 'is not set' : `must not be set (is ${describe(value)})`);
+    }
+    if ('contains' in matcher) {
+        const text = typeof value === 'string' ? value : (value === undefined ? '' : JSON.stringify(value));
+        const missing = [].concat(matcher.contains).filter(part => !text.includes(part));
+        return missing.length === 0 ? null : `does not contain ${missing.map(describe).join(', ')}`;
+    }
+    if ('matches' in matcher) {
+        return typeof value === 'string' && new RegExp(matcher.matches).test(value)
+            ? null
+            : `is ${describe(value)}, expected to match /${matcher.matches}/`;
+    }
+
+    return matcher.oneOf.some(option => stableStringify(option) === stableStringify(value))
+        ? null
+        : `is ${describe(value)}, expected one of ${matcher.oneOf.map(describe).join(', ')}`;
+}
+
+function describe(value) {
+    if (value === undefined) {
+        return '(unset)';
+    }
+
+    const text = JSON.stringify(value);
+
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function valueAt(object, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * RFC 6901 JSON pointer for a list of keys
+ */
+function jsonPointer(...segments) {
+    return segments
+        .map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+        .join('');
+}
+
+class WorkflowValidator {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.rules] Result of loadRules()
+     * @param {string[]} [options.disabled] Rule ids to skip in addition to the rules file's list
+     */
+    constructor({ rules = loadRules(), disabled = [] } = {}) {
+        const problems = validateRules({ ...rules, disabled: [...rules.disabled, ...disabled] });
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+
+        this.rules = rules;
+        this.disabled = new Set([...rules.disabled, ...disabled]);
+    }
+
+    /**
+     * Every configured rule with its severity and a one-line description
+     *
+     * @returns {Array<{id: string, severity: string, description: string, disabled: boolean}>}
+     */
+    describeRules() {
+        return [
+            ...Object.entries(BUILTIN_RULES).map(([id, rule]) => ({ id, ...rule })),
+            ...this.rules.roles.map(rule => ({ id: rule.id, severity: rule.severity, description: rule.purpose })),
+            ...this.rules.credentials.map(rule => ({
+                id: rule.id,
+                severity: rule.severity,
+                description: rule.description || `${rule.type} credential "${rule.credential}"`,
+            })),
+            ...this.rules.settings.map(rule => ({ id: rule.id, severity: rule.severity, description: `Recommended settings.${rule.setting}` })),
+        ].map(rule => ({ ...rule, disabled: this.disabled.has(rule.id) }));
+    }
+
+    /**
+     * Ids of every rule that will run
+     */
+    ruleIds() {
+        return this.describeRules().filter(rule => !rule.disabled).map(rule => rule.id);
+    }
+
+    /**
+     * Check a workflow; findings are ordered by rule
+     *
+     * @returns {Array<{rule: string, severity: string, message: string, node: string|null, pointer: string}>}
+     */
+    validate(workflow) {
+        this.findings = [];
+        this.workflow = workflow;
+
+        this.checkSchema();
+
+        if (!Array.isArray(workflow.nodes) || !isMatcher(workflow.connections)) {
+            return this.findings;
+        }
+
+        this.checkUniqueNames();
+        this.checkConnections();
+        this.checkExpressions();
+
+        const members = this.resolveRoles();
+        this.checkRoles(members);
+        this.checkCredentials(members);
+        this.checkSettings();
+
+        return this.findings;
+    }
+
+    report(rule, severity, message, { node = null, pointer = '' } = {}) {
+        if (!this.disabled.has(rule)) {
+            this.findings.push({ rule, severity, message, node, pointer });
+        }
+    }
+
+    /**
+     * @param {object} node
+     * @param {string|string[]} [fieldPath] Dotted path or list of keys inside the node
+     */
+    nodePointer(node, fieldPath = []) {
+        const keys = Array.isArray(fieldPath) ? fieldPath : fieldPath.split('.');
+        return jsonPointer('nodes', this.workflow.nodes.indexOf(node), ...keys);
+    }
+
+    checkSchema() {
+        const validate = schemaValidator();
+
+        if (validate(this.workflow)) {
+            return;
+        }
+
+        for (const error of validate.errors) {
+            const index = error.instancePath.match(/^\/nodes\/(\d+)/);
+            const node = index && this.workflow.nodes[Number(index[1])];
+
+            this.report('workflow.schema', BUILTIN_RULES['workflow.schema'].severity,
+                `${error.instancePath || '(workflow)'} ${error.message}`,
+                { node: node && node.name ? node.name : null, pointer: error.instancePath });
+        }
+    }
+
+    checkUniqueNames() {
+        const seen = new Set();
+
+        for (const node of this.workflow.nodes) {
+            if (seen.has(node.name)) {
+                this.report('nodes.unique-names', BUILTIN_RULES['nodes.unique-names'].severity,
+                    `Node name "${node.name}" is used more than once`,
+                    { node: node.name, pointer: this.nodePointer(node, 'name') });
+            }
+            seen.add(node.name);
+        }
+    }
+
+    checkConnections() {
+        const report = normalizeConnections(this.workflow);
+
+        for (const edge of report.dangling) {
+            this.report('connections.dangling', BUILTIN_RULES['connections.dangling'].severity,
+                `${edge.source} → ${edge.target}: ${edge.reason}`,
+                { node: null, pointer: jsonPointer('connections', edge.source) });
+        }
+
+        for (const name of report.unreachable) {
+            const node = this.workflow.nodes.find(candidate => candidate.name === name);
+
+            this.report('connections.unreachable', BUILTIN_RULES['connections.unreachable'].severity,
+                `Node "${name}" cannot be reached from any trigger`,
+                { node: name, pointer: this.nodePointer(node) });
+        }
+
+        this.connections = report.connections;
+    }
+
+    checkExpressions() {
+        for (const finding of analyzeWorkflow(this.workflow)) {
+            const node = this.workflow.nodes.find(candidate => candidate.name === finding.node);
+
+            this.report(finding.rule, BUILTIN_RULES[finding.rule].severity, `"${finding.node}" ${finding.message}`,
+                { node: finding.node, pointer: this.nodePointer(node, ['parameters', ...finding.path]) });
+        }
+    }
+
+    /**
+     * Nodes filling each role, keyed by role id
+     */
+    resolveRoles() {
+        const predecessors = new Map();
+
+        for (const [source, outputsByType] of Object.entries(this.connections)) {
+            for (const outputs of Object.values(outputsByType)) {
+                outputs.forEach((targets, output) => {
+                    for (const target of targets) {
+                        if (!predecessors.has(target.node)) {
+                            predecessors.set(target.node, []);
+                        }
+                        predecessors.get(target.node).push({ source, output });
+                    }
+                });
+            }
+        }
+
+        const roles = new Map(this.rules.roles.map(role => [role.id, role]));
+        const members = new Map();
+
+        const resolve = (id, seen = new Set()) => {
+            if (members.has(id)) {
+                return members.get(id);
+            }
+            if (seen.has(id)) {
+                throw new Error(`Role ${id} is part of an "after" cycle`);
+            }
+            seen.add(id);
+
+            const role = roles.get(id);
+            const types = [].concat(role.type);
+            let nodes = this.workflow.nodes.filter(node => types.includes(node.type) &&
+                Object.entries(role.where || {}).every(([fieldPath, matcher]) => mismatch(valueAt(node, fieldPath), matcher) === null));
+
+            if (role.after) {
+                const previous = new Set(resolve(role.after, seen).map(node => node.name));
+                nodes = nodes.filter(node => (predecessors.get(node.name) || []).some(edge =>
+                    previous.has(edge.source) && (role.output === undefined || edge.output === role.output)));
+            }
+
+            members.set(id, nodes);
+
+            return nodes;
+        };
+
+        for (const role of this.rules.roles) {
+            resolve(role.id);
+        }
+
+        return members;
+    }
+
+    checkRoles(members) {
+        for (const role of this.rules.roles) {
+            const nodes = members.get(role.id);
+            const { min = 1, max = Infinity } = role.count || {};
+
+            if (nodes.length < min) {
+                const after = role.after ? ` following ${role.after}` : '';
+                this.report(role.id, role.severity,
+                    `Expected ${min === 1 ? 'a' : `at least ${min}`} ${[].concat(role.type).join(' or ')} node${after}: ${role.purpose}`,
+                    { pointer: jsonPointer('nodes') });
+            }
+
+            if (nodes.length > max) {
+                this.report(role.id, role.severity,
+                    `Expected at most ${max} node(s) for "${role.purpose}", found ${nodes.map(node => `"${node.name}"`).join(', ')}`,
+                    { node: nodes[max].name, pointer: this.nodePointer(nodes[max]) });
+            }
+
+            for (const node of nodes) {
+                for (const [fieldPath, matcher] of Object.entries(role.requires || {})) {
+                    const problem = mismatch(valueAt(node, fieldPath), matcher);
+                    if (problem) {
+                        this.report(role.id, role.severity, `"${node.name}" ${fieldPath} ${problem}`,
+                            { node: node.name, pointer: this.nodePointer(node, fieldPath) });
+                    }
+                }
+            }
+        }
+    }
+
+    checkCredentials(members) {
+        for (const rule of this.rules.credentials) {
+            const uses = node => valueAt(node, `credentials.${rule.type}.id`) === rule.credential;
+            const purpose = rule.description ? ` (${rule.description})` : '';
+
+            if (!rule.role) {
+                if (!this.workflow.nodes.some(uses)) {
+                    this.report(rule.id, rule.severity, `No node uses ${rule.type} credential "${rule.credential}"${purpose}`,
+                        { pointer: jsonPointer('nodes') });
+                }
+                continue;
+            }
+
+            for (const node of members.get(rule.role).filter(candidate => !uses(candidate))) {
+                const current = valueAt(node, `credentials.${rule.type}.id`);
+                this.report(rule.id, rule.severity,
+                    `"${node.name}" should use ${rule.type} credential "${rule.credential}"` +
+                    `${current ? `, uses "${current}"` : ''}${purpose}`,
+                    { node: node.name, pointer: this.nodePointer(node, `credentials.${rule.type}`) });
+            }
+        }
+    }
+
+    checkSettings() {
+        for (const rule of this.rules.settings) {
+            const problem = mismatch(valueAt(this.workflow.settings || {}, rule.setting), rule.expected);
+
+            if (problem) {
+                this.report(rule.id, rule.severity, `settings.${rule.setting} ${problem}`,
+                    { pointer: jsonPointer('settings', ...rule.setting.split('.')) });
+            }
+        }
+    }
+}
+
+let compiledSchema = null;
+
+function schemaValidator() {
+    if (!compiledSchema) {
+        const ajv = new Ajv({ allErrors: true });
+        compiledSchema = ajv.compile(JSON.parse(fs.readFileSync(WORKFLOW_SCHEMA_FILE, 'utf8')));
+    }
+
+    return compiledSchema;
+}
+
+module.exports = {
+    WorkflowValidator,
+    BUILTIN_RULES,
+    DEFAULT_RULES_FILE,
+    WORKFLOW_SCHEMA_FILE,
+    SEVERITIES,
+    loadRules,
+    validateRules,
+    mismatch,
+    jsonPointer,
+};
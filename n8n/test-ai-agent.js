@@ -5,8 +5,16 @@
  * 1. Process ad script refactoring requests
  * 2. Return properly formatted JSON responses
  * 3. Handle various input scenarios
+ *
+ * Responses are checked against the shared AI result schema
+ * (validation/ai-result.schema.json).
  */
 
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { parseAiResult } = require('./lib/ai-result.cjs');
+
 const testCases = [
   {
     name: "Basic JavaScript Modernization",
@@ -23,8 +31,7 @@ var result = oldFunction();
 console.log(result);
       `.trim(),
       outcome_description: "Modernize to use const/let and arrow functions"
-    },
-    expectedFields: ["new_script", "analysis"]
+    }
   },
   {
     name: "Performance Optimization",
@@ -44,8 +51,7 @@ function processArray(arr) {
 }
       `.trim(),
       outcome_description: "Optimize for better performance and reduce time complexity"
-    },
-    expectedFields: ["new_script", "analysis"]
+    }
   },
   {
     name: "Error Handling Enhancement",
@@ -60,75 +66,55 @@ function fetchData(url) {
 }
       `.trim(),
       outcome_description: "Add proper error handling and make it asynchronous"
-    },
-    expectedFields: ["new_script", "analysis"]
+    }
   }
 ];
 
-/**
- * Validate AI response format
- */
-function validateResponse(response, testCase) {
-  const errors = [];
-  
-  try {
-    const parsed = JSON.parse(response);
-    
-    // Check required fields
-    testCase.expectedFields.forEach(field => {
-      if (!parsed.hasOwnProperty(field)) {
-        errors.push(`Missing required field: ${field}`);
-      }
-    });
-    
-    // Validate new_script
-    if (parsed.new_script && typeof parsed.new_script !== 'string') {
-      errors.push('new_script must be a string');
-    }
-    
-    // Validate analysis structure
-    if (parsed.analysis) {
-      const requiredAnalysisFields = [
-        'improvements',
-        'performance_impact', 
-        'maintainability',
-        'potential_issues',
-        'recommendations'
-      ];
-      
-      requiredAnalysisFields.forEach(field => {
-        if (!parsed.analysis.hasOwnProperty(field)) {
-          errors.push(`Missing analysis field: ${field}`);
-        }
-      });
-      
-      // Check array fields
-      if (parsed.analysis.improvements && !Array.isArray(parsed.analysis.improvements)) {
-        errors.push('analysis.improvements must be an array');
-      }
-      
-      if (parsed.analysis.potential_issues && !Array.isArray(parsed.analysis.potential_issues)) {
-        errors.push('analysis.potential_issues must be an array');
+const sampleResponses = [
+  {
+    name: "Valid Response",
+    response: JSON.stringify({
+      new_script: "Fresh coffee at your door before your alarm goes off. Subscribe today and never run out.",
+      analysis: {
+        improvements_made: "Led with the benefit and added a clear call to action",
+        tone_analysis: "Warm and convenient",
+        target_audience_fit: "Speaks to busy commuters",
+        length_compliance: "Two short sentences",
+        persuasiveness_enhancements: "Removes a daily hassle and ends with a direct call to action",
+        potential_issues: "Assumes a delivery window before breakfast",
+        recommendations: "Test a version with a first-month discount"
       }
-      
-      if (parsed.analysis.recommendations && !Array.isArray(parsed.analysis.recommendations)) {
-        errors.push('analysis.recommendations must be an array');
+    })
+  },
+  {
+    name: "Invalid Response - Missing Field",
+    response: JSON.stringify({
+      new_script: "Fresh coffee, delivered."
+      // Missing analysis field
+    })
+  },
+  {
+    name: "Invalid Response - Wrong Type",
+    response: JSON.stringify({
+      new_script: 123, // Should be string
+      analysis: {
+        improvements_made: ["Shorter"], // Should be string
+        tone_analysis: "Good",
+        target_audience_fit: "Good",
+        length_compliance: "Yes",
+        persuasiveness_enhancements: "Better",
+        potential_issues: "None",
+        recommendations: "None"
       }
-    }
-    
-    return {
-      valid: errors.length === 0,
-      errors,
-      parsed
-    };
-    
-  } catch (e) {
-    return {
-      valid: false,
-      errors: [`Invalid JSON: ${e.message}`],
-      parsed: null
-    };
+    })
   }
+];
+
+/**
+ * Validate AI response format against the AI result schema
+ */
+function validateResponse(response) {
+  return parseAiResult(response);
 }
 
 /**
@@ -201,47 +187,11 @@ function testResponseFormat() {
   console.log('🔍 Testing Response Format Validation');
   console.log('=' .repeat(60));
   
-  const sampleResponses = [
-    {
-      name: "Valid Response",
-      response: JSON.stringify({
-        new_script: "const modernFunction = () => { const x = 1; const y = 2; return x + y; };",
-        analysis: {
-          improvements: ["Converted to arrow function", "Used const instead of var"],
-          performance_impact: "Minimal performance impact, improved readability",
-          maintainability: "Better code structure and modern syntax",
-          potential_issues: ["None identified"],
-          recommendations: ["Consider adding JSDoc comments"]
-        }
-      })
-    },
-    {
-      name: "Invalid Response - Missing Field",
-      response: JSON.stringify({
-        new_script: "const modernFunction = () => { return 1 + 2; };"
-        // Missing analysis field
-      })
-    },
-    {
-      name: "Invalid Response - Wrong Type",
-      response: JSON.stringify({
-        new_script: 123, // Should be string
-        analysis: {
-          improvements: "Not an array", // Should be array
-          performance_impact: "Good",
-          maintainability: "Better",
-          potential_issues: [],
-          recommendations: []
-        }
-      })
-    }
-  ];
-  
   sampleResponses.forEach(sample => {
     console.log(`📋 ${sample.name}`);
     console.log('-'.repeat(40));
     
-    const validation = validateResponse(sample.response, { expectedFields: ["new_script", "analysis"] });
+    const validation = validateResponse(sample.response);
     
     if (validation.valid) {
       console.log('✅ Response format is valid');
@@ -255,6 +205,63 @@ function testResponseFormat() {
   });
 }
 
+/**
+ * Call the OpenAI-compatible endpoint directly, bypassing n8n
+ *
+ * Against the mock server (make mock-ai) the X-Mock-Scenario header picks the
+ * scripted response; a real OpenRouter endpoint ignores it.
+ */
+async function testAiEndpoint(baseUrl, apiKey, scenario) {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
+      'X-Mock-Scenario': scenario
+    },
+    body: JSON.stringify({
+      model: 'anthropic/claude-3.7-sonnet',
+      messages: [{ role: 'user', content: testCases[0].payload.outcome_description }]
+    })
+  });
+
+  if (!response.ok) {
+    return { success: false, error: `HTTP ${response.status}: ${response.statusText}` };
+  }
+
+  const result = await response.json();
+  return {
+    success: true,
+    finishReason: result.choices[0].finish_reason,
+    validation: validateResponse(result.choices[0].message.content)
+  };
+}
+
+/**
+ * Run every mock scenario through the response validation
+ */
+async function runEndpointTests() {
+  const baseUrl = process.env.OPENROUTER_BASE_URL || 'http://localhost:4010/v1';
+  const apiKey = process.env.OPENROUTER_API_KEY || 'sk-mock-key-for-testing-not-real';
+  const scenarios = ['valid', 'fenced', 'truncated', 'wrong-types', 'prose', 'rate-limit', 'server-error'];
+
+  console.log(`🤖 Testing AI endpoint ${baseUrl}`);
+  console.log('=' .repeat(60));
+
+  for (const scenario of scenarios) {
+    const result = await testAiEndpoint(baseUrl, apiKey, scenario);
+
+    if (!result.success) {
+      console.log(`❌ ${scenario}: ${result.error}`);
+    } else if (result.validation.valid) {
+      console.log(`✅ ${scenario}: response format is valid (finish_reason: ${result.finishReason})`);
+    } else {
+      console.log(`❌ ${scenario}: ${result.validation.errors.join('; ')} (finish_reason: ${result.finishReason})`);
+    }
+  }
+  console.log('');
+}
+
 // Export functions for use in other contexts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -262,7 +269,9 @@ if (typeof module !== 'undefined' && module.exports) {
     validateResponse,
     testWebhook,
     runTests,
-    testResponseFormat
+    testResponseFormat,
+    testAiEndpoint,
+    runEndpointTests
   };
 }
 
@@ -270,47 +279,11 @@ if (typeof module !== 'undefined' && module.exports) {
 console.log('🔍 Testing Response Format Validation');
 console.log('='.repeat(60));
 
-const sampleResponses = [
-  {
-    name: "Valid Response",
-    response: JSON.stringify({
-      new_script: "const modernFunction = () => { const x = 1; const y = 2; return x + y; };",
-      analysis: {
-        improvements: ["Converted to arrow function", "Used const instead of var"],
-        performance_impact: "Minimal performance impact, improved readability",
-        maintainability: "Better code structure and modern syntax",
-        potential_issues: ["None identified"],
-        recommendations: ["Consider adding JSDoc comments"]
-      }
-    })
-  },
-  {
-    name: "Invalid Response - Missing Field",
-    response: JSON.stringify({
-      new_script: "const modernFunction = () => { return 1 + 2; };"
-      // Missing analysis field
-    })
-  },
-  {
-    name: "Invalid Response - Wrong Type",
-    response: JSON.stringify({
-      new_script: 123, // Should be string
-      analysis: {
-        improvements: "Not an array", // Should be array
-        performance_impact: "Good",
-        maintainability: "Better",
-        potential_issues: [],
-        recommendations: []
-      }
-    })
-  }
-];
-
 sampleResponses.forEach(sample => {
   console.log(`📋 ${sample.name}`);
   console.log('-'.repeat(40));
   
-  const validation = validateResponse(sample.response, { expectedFields: ["new_script", "analysis"] });
+  const validation = validateResponse(sample.response);
   
   if (validation.valid) {
     console.log('✅ Response format is valid');
@@ -325,8 +298,14 @@ sampleResponses.forEach(sample => {
 
 console.log('💡 To run webhook tests, set RUN_WEBHOOK_TESTS=true environment variable');
 console.log('   Example: RUN_WEBHOOK_TESTS=true node n8n/test-ai-agent.js');
+console.log('💡 To check the AI endpoint (e.g. make mock-ai), set RUN_ENDPOINT_TESTS=true');
+console.log('   Example: RUN_ENDPOINT_TESTS=true OPENROUTER_BASE_URL=http://localhost:4010/v1 node n8n/test-ai-agent.js');
 
 // Run webhook tests if environment is configured
 if (process.env.RUN_WEBHOOK_TESTS === 'true') {
   runTests().catch(console.error);
+}
+
+if (process.env.RUN_ENDPOINT_TESTS === 'true') {
+  runEndpointTests().catch(console.error);
 } 
\ No newline at end of file
@@ -5,135 +5,53 @@
  * 1. Respond in valid JSON format
  * 2. Include the required new_script and analysis fields
  * 3. Structure the analysis object with the expected properties
+ *
+ * Responses are checked against the shared AI result schema
+ * (validation/ai-result.schema.json).
  */
 
-const sampleInputs = [
-  {
-    name: "Social Media Ad Copy",
-    outcomeDescription: "Rewrite this for a younger audience (18-25), make it sound trendy and exciting for social media. Emphasize limited-time offers and the 'cool factor'. Keep it short, under 140 characters. Tone: Playful and urgent.",
-    referenceScript: "Our current summer sale slogan: 'Big Summer Blowout! Everything Must Go!' - it feels a bit dated."
-  },
-  {
-    name: "Professional Email Marketing",
-    outcomeDescription: "Transform this into professional email marketing copy for B2B clients. Focus on ROI, efficiency, and business value. Keep it concise but informative. Tone: Professional and persuasive.",
-    referenceScript: "Hey everyone! Check out our awesome new productivity tool - it's really cool and will make your work easier!"
-  },
-  {
-    name: "Product Description",
-    outcomeDescription: "Create compelling product description copy that highlights benefits over features. Target busy parents looking for convenience. Include emotional appeal and practical benefits. Tone: Warm and helpful.",
-    referenceScript: "This vacuum cleaner has 1200W motor, HEPA filter, and 2L dust capacity."
-  }
-];
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { parseAiResult } = require('./lib/ai-result.cjs');
+const { loadFixtures, renderPrompt, replayResponse } = require('./lib/prompt-harness.cjs');
+const { loadWorkflow } = require('./lib/workflow-file.cjs');
 
 /**
- * Generate the complete prompt as it would appear in n8n
+ * Fixture inputs and recorded responses shared with the prompt regression
+ * snapshots (make-tools/prompt-regression.cjs)
  */
-function generatePrompt(outcomeDescription, referenceScript) {
-  return `You are an expert advertising copy specialist. Your task is to refactor the provided advertising script according to the given outcome description.
+const { inputs: sampleInputs, responses: sampleResponses } = loadFixtures();
 
-IMPORTANT: You must respond with ONLY a valid JSON object in this exact format:
-{
-  "new_script": "your refactored advertising script here",
-  "analysis": {
-    "improvements_made": "description of what you improved",
-    "tone_analysis": "analysis of the tone and style",
-    "target_audience_fit": "how well it fits the target audience",
-    "length_compliance": "whether length requirements were met",
-    "persuasiveness_enhancements": "how persuasiveness was improved",
-    "potential_issues": "any potential concerns or limitations",
-    "recommendations": "additional suggestions for improvement"
-  }
-}
+const workflow = loadWorkflow();
 
-Requirements: ${outcomeDescription}
-
-Original Script to Refactor:
-\`\`\`
-${referenceScript}
-\`\`\`
-
-Remember: Respond ONLY with the JSON object, no additional text or markdown formatting.`;
+/**
+ * Generate the complete prompt as it would appear in n8n, rendered from the
+ * AI Agent node in workflows/ad-script-workflow.json
+ */
+async function generatePrompt(outcomeDescription, referenceScript) {
+  return renderPrompt(workflow, { name: 'Ad hoc', outcomeDescription, referenceScript });
 }
 
 /**
- * Validate AI response format
+ * Validate AI response format against the AI result schema
  */
 function validateResponse(response) {
-  const errors = [];
-  
-  try {
-    const parsed = JSON.parse(response);
-    
-    // Check required top-level fields
-    if (!parsed.hasOwnProperty('new_script')) {
-      errors.push('Missing required field: new_script');
-    }
-    
-    if (!parsed.hasOwnProperty('analysis')) {
-      errors.push('Missing required field: analysis');
-    }
-    
-    // Validate new_script
-    if (parsed.new_script !== undefined && typeof parsed.new_script !== 'string') {
-      errors.push('new_script must be a string');
-    }
-    
-    if (parsed.new_script !== undefined && parsed.new_script.length === 0) {
-      errors.push('new_script cannot be empty');
-    }
-    
-    // Validate analysis structure
-    if (parsed.analysis) {
-      if (typeof parsed.analysis !== 'object' || Array.isArray(parsed.analysis)) {
-        errors.push('analysis must be an object');
-      } else {
-        const expectedAnalysisFields = [
-          'improvements_made',
-          'tone_analysis',
-          'target_audience_fit',
-          'length_compliance',
-          'persuasiveness_enhancements',
-          'potential_issues',
-          'recommendations'
-        ];
-        
-        expectedAnalysisFields.forEach(field => {
-          if (!parsed.analysis.hasOwnProperty(field)) {
-            errors.push(`Missing analysis field: ${field}`);
-          } else if (typeof parsed.analysis[field] !== 'string') {
-            errors.push(`analysis.${field} must be a string`);
-          }
-        });
-      }
-    }
-    
-    return {
-      valid: errors.length === 0,
-      errors,
-      parsed
-    };
-    
-  } catch (e) {
-    return {
-      valid: false,
-      errors: [`Invalid JSON: ${e.message}`],
-      parsed: null
-    };
-  }
+  return parseAiResult(response);
 }
 
 /**
  * Test the prompt generation for all sample inputs
  */
-function testPromptGeneration() {
+async function testPromptGeneration() {
   console.log('🔍 Testing Improved AI Prompt Generation');
   console.log('=' .repeat(80));
   
-  sampleInputs.forEach((sample, index) => {
+  for (const [index, sample] of sampleInputs.entries()) {
     console.log(`\n📋 Test Case ${index + 1}: ${sample.name}`);
     console.log('-'.repeat(60));
     
-    const prompt = generatePrompt(sample.outcomeDescription, sample.referenceScript);
+    const prompt = await generatePrompt(sample.outcomeDescription, sample.referenceScript);
     
     console.log('Generated Prompt:');
     console.log(prompt);
@@ -150,68 +68,21 @@ function testPromptGeneration() {
     console.log(`📝 Contains format instructions: ${hasFormatInstructions ? '✅' : '❌'}`);
     console.log(`📋 Contains requirements: ${hasRequirements ? '✅' : '❌'}`);
     console.log(`📄 Contains original script: ${hasOriginalScript ? '✅' : '❌'}`);
-  });
+  }
 }
 
 /**
  * Test response validation with sample responses
  */
-function testResponseValidation() {
+async function testResponseValidation() {
   console.log('\n\n🔍 Testing Response Format Validation');
   console.log('=' .repeat(80));
   
-  const sampleResponses = [
-    {
-      name: "Valid Response",
-      response: JSON.stringify({
-        new_script: "🌟 Summer Deals Alert! Grab the hottest discounts before they're gone! Limited time only! #SummerSale #DealAlert",
-        analysis: {
-          improvements_made: "Added emojis, trending hashtags, and urgency language to appeal to younger audience",
-          tone_analysis: "Transformed from formal to casual, trendy, and urgent",
-          target_audience_fit: "High fit for 18-25 demographic with emoji usage and social media language",
-          length_compliance: "Kept under 140 characters as requested",
-          persuasiveness_enhancements: "Added FOMO with 'before they're gone' and visual appeal with emojis",
-          potential_issues: "Emojis may not display consistently across all platforms",
-          recommendations: "A/B test with different emoji combinations and consider platform-specific versions"
-        }
-      })
-    },
-    {
-      name: "Missing new_script",
-      response: JSON.stringify({
-        analysis: {
-          improvements_made: "Some improvements",
-          tone_analysis: "Good tone",
-          target_audience_fit: "Fits well",
-          length_compliance: "Compliant",
-          persuasiveness_enhancements: "Enhanced",
-          potential_issues: "None",
-          recommendations: "Keep testing"
-        }
-      })
-    },
-    {
-      name: "Missing analysis fields",
-      response: JSON.stringify({
-        new_script: "Great new script here",
-        analysis: {
-          improvements_made: "Some improvements",
-          tone_analysis: "Good tone"
-          // Missing other required fields
-        }
-      })
-    },
-    {
-      name: "Invalid JSON",
-      response: "This is not JSON at all, just plain text response"
-    }
-  ];
-  
-  sampleResponses.forEach(sample => {
+  for (const sample of sampleResponses) {
     console.log(`\n📋 ${sample.name}`);
     console.log('-'.repeat(40));
     
-    const validation = validateResponse(sample.response);
+    const validation = validateResponse(sample.text);
     
     if (validation.valid) {
       console.log('✅ Response format is valid');
@@ -222,13 +93,19 @@ function testResponseValidation() {
         console.log(`   • ${error}`);
       });
     }
-  });
+
+    const input = sampleInputs.find(candidate => candidate.name === sample.input);
+    const processed = await replayResponse(workflow, input, sample.text);
+    console.log(processed.error
+      ? `🔁 Process AI JSON: fails the task (${processed.error})`
+      : '🔁 Process AI JSON: completes the task');
+  }
 }
 
 /**
  * Main execution
  */
-function main() {
+async function main() {
   console.log('🚀 Testing Improved AI Prompt Configuration');
   console.log('📅 Date:', new Date().toISOString());
   console.log('\nThis script validates that our improved prompt includes:');
@@ -237,8 +114,8 @@ function main() {
   console.log('- All expected analysis sub-fields');
   console.log('- Emphasis on JSON-only responses');
   
-  testPromptGeneration();
-  testResponseValidation();
+  await testPromptGeneration();
+  await testResponseValidation();
   
   console.log('\n\n🎉 Testing completed!');
   console.log('\nNext steps:');
@@ -248,10 +125,14 @@ function main() {
 }
 
 // Run the tests immediately
-main();
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
 
 export {
   generatePrompt,
   validateResponse,
-  sampleInputs
+  sampleInputs,
+  sampleResponses
 }; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * n8n Workflow Error Handling Suite
+ *
+ * Triggers the live Ad Script Refactor workflow with valid and broken input
+ * and checks the webhook response and, when CALLBACK_RECEIVER_URL points at a
+ * running callback receiver, what the workflow posted back for the task.
+ *
+ *   yarn test:n8n                          spec output + postman/n8n_error_handling_junit.xml
+ *   yarn test:n8n:tap                      TAP output
+ *   N8N_TEST_CONCURRENCY=4 yarn test:n8n   run the cases in parallel
+ *   N8N_WEBHOOK_AUTH=on yarn test:n8n      run the trigger-auth cases even if the workflow JSON has no header auth
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateAiResult } = require('../lib/ai-result.cjs');
+const { config, uniqueTaskId, fixture, triggerWorkflow, taskCallback } = require('./helpers.cjs');
+
+/**
+ * How long a case that must not call back waits before concluding it didn't
+ */
+const NO_CALLBACK_WAIT_MS = 5000;
+
+/**
+ * Cases that run the AI get longer than the default timeout
+ */
+const AI_TIMEOUT_MS = Math.max(config.timeoutMs, 120000);
+
+const SMALL_SCRIPT = `function trackClick(element) {
+  var data = { element: element.tagName, timestamp: new Date().getTime() };
+  fetch('/track', { method: 'POST', body: JSON.stringify(data) });
+}`;
+
+const OUTCOME = 'Optimize this tracking script for better performance';
+
+const expectations = {
+    validationError(response) {
+        assert.equal(response.status, 200, `unexpected status, body: ${JSON.stringify(response.body)}`);
+        assert.match(String(response.body.error), /Input validation failed/);
+    },
+
+    processing(response, taskId) {
+        assert.equal(response.status, 200, `unexpected status, body: ${JSON.stringify(response.body)}`);
+        assert.deepEqual(response.body, { status: 'processing', message: 'Request received', task_id: taskId });
+    },
+
+    rejected(response) {
+        assert.ok(response.status >= 400, `expected an error status, got ${response.status}: ${JSON.stringify(response.body)}`);
+    },
+
+    unauthorized(response) {
+        assert.ok([401, 403].includes(response.status),
+            `expected 401/403, got ${response.status}; does the Webhook Trigger use header auth (credential webhook-auth)?`);
+    },
+};
+
+const callbackChecks = {
+    async none(taskId) {
+        const callback = await taskCallback(taskId, { timeoutMs: NO_CALLBACK_WAIT_MS });
+        assert.equal(callback, null, `unexpected callback: ${JSON.stringify(callback && callback.body)}`);
+    },
+
+    async result(taskId, timeoutMs) {
+        const callback = await taskCallback(taskId, { timeoutMs });
+        assert.ok(callback, `no callback for ${taskId}`);
+        assert.ok(['valid', 'previous-secret', 'not-checked'].includes(callback.signature),
+            `the callback signature was ${callback.signature}; is N8N_CALLBACK_HMAC_SECRET the same for n8n and the receiver?`);
+
+        const { new_script: newScript, analysis, error } = callback.body || {};
+        if (error !== undefined && error !== null) {
+            assert.equal(typeof error, 'string');
+            assert.equal(newScript, undefined, 'callback carries both error and new_script');
+        } else {
+            assert.deepEqual(validateAiResult({ new_script: newScript, analysis }).errors, [], 'the result must match the AI result schema');
+        }
+    },
+};
+
+/**
+ * body(taskId) builds the request; `raw` bodies are sent as is
+ */
+const cases = [
+    {
+        name: 'missing task_id gets the validation error',
+        body: () => ({ reference_script: SMALL_SCRIPT, outcome_description: OUTCOME }),
+        expect: 'validationError',
+    },
+    {
+        name: 'missing reference_script gets the validation error and no callback',
+        body: taskId => ({ task_id: taskId, outcome_description: OUTCOME }),
+        expect: 'validationError',
+        callback: 'none',
+    },
+    {
+        name: 'missing outcome_description gets the validation error and no callback',
+        body: taskId => ({ task_id: taskId, reference_script: SMALL_SCRIPT }),
+        expect: 'validationError',
+        callback: 'none',
+    },
+    {
+        name: 'empty required fields get the validation error',
+        body: () => ({ task_id: '', reference_script: '', outcome_description: OUTCOME }),
+        expect: 'validationError',
+    },
+    {
+        name: 'a valid request is acknowledged and calls back with a result',
+        body: taskId => ({ task_id: taskId, reference_script: SMALL_SCRIPT, outcome_description: OUTCOME }),
+        expect: 'processing',
+        callback: 'result',
+        timeoutMs: AI_TIMEOUT_MS,
+    },
+    {
+        name: 'a large script is acknowledged and calls back with a result',
+        body: taskId => ({
+            task_id: taskId,
+            reference_script: fixture('large-script.js'),
+            outcome_description: 'Optimize this large advertising tracking script for better performance and maintainability',
+        }),
+        expect: 'processing',
+        callback: 'result',
+        timeoutMs: AI_TIMEOUT_MS,
+    },
+    {
+        name: 'a body that is not JSON is rejected without a callback',
+        raw: taskId => `{"task_id": "${taskId}", "reference_script": "console.log('test');", invalid_json}`,
+        expect: 'rejected',
+        callback: 'none',
+    },
+    {
+        name: 'a missing trigger auth header is rejected',
+        body: taskId => ({ task_id: taskId, reference_script: SMALL_SCRIPT, outcome_description: OUTCOME }),
+        auth: 'missing',
+        expect: 'unauthorized',
+        callback: 'none',
+        requiresAuth: true,
+    },
+    {
+        name: 'a wrong trigger auth header is rejected',
+        body: taskId => ({ task_id: taskId, reference_script: SMALL_SCRIPT, outcome_description: OUTCOME }),
+        auth: 'invalid',
+        expect: 'unauthorized',
+        callback: 'none',
+        requiresAuth: true,
+    },
+];
+
+function skipReason(testCase) {
+    if (!config.webhookAuth) {
+        return testCase.requiresAuth ? 'the Webhook Trigger has no header auth (N8N_WEBHOOK_AUTH)' : false;
+    }
+    if (!testCase.requiresAuth && !config.authValue) {
+        return `no ${config.authHeader} value (N8N_AUTH_HEADER_VALUE)`;
+    }
+    return false;
+}
+
+describe(`n8n workflow error handling (${config.webhookUrl})`, { concurrency: config.concurrency }, () => {
+    for (const testCase of cases) {
+        const timeoutMs = testCase.timeoutMs || config.timeoutMs;
+        const checksCallback = testCase.callback && config.callbackReceiverUrl;
+        const budget = timeoutMs + (checksCallback ? (testCase.callback === 'none' ? NO_CALLBACK_WAIT_MS : timeoutMs) : 0);
+
+        test(testCase.name, { timeout: budget, skip: skipReason(testCase) }, async () => {
+            const taskId = uniqueTaskId('error-handling');
+            const request = testCase.raw ? testCase.raw(taskId) : testCase.body(taskId);
+
+            const response = await triggerWorkflow(request, { auth: testCase.auth, timeoutMs });
+            expectations[testCase.expect](response, taskId);
+
+            if (checksCallback) {
+                await callbackChecks[testCase.callback](taskId, timeoutMs);
+            }
+        });
+    }
+});
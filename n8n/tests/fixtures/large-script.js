@@ -0,0 +1,123 @@
+// Large advertising script for testing
+(function() {
+  var config = {
+    apiEndpoint: 'https://api.example.com/track',
+    retryAttempts: 3,
+    timeout: 5000,
+    batchSize: 100
+  };
+  
+  var eventQueue = [];
+  var isProcessing = false;
+  
+  function trackEvent(eventType, data) {
+    eventQueue.push({
+      type: eventType,
+      data: data,
+      timestamp: Date.now(),
+      sessionId: getSessionId(),
+      userId: getUserId()
+    });
+    
+    if (eventQueue.length >= config.batchSize) {
+      processBatch();
+    }
+  }
+  
+  function processBatch() {
+    if (isProcessing || eventQueue.length === 0) return;
+    
+    isProcessing = true;
+    var batch = eventQueue.splice(0, config.batchSize);
+    
+    sendBatch(batch, 0);
+  }
+  
+  function sendBatch(batch, attempt) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('POST', config.apiEndpoint);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.timeout = config.timeout;
+    
+    xhr.onload = function() {
+      if (xhr.status === 200) {
+        isProcessing = false;
+        if (eventQueue.length > 0) {
+          setTimeout(processBatch, 100);
+        }
+      } else {
+        handleError(batch, attempt);
+      }
+    };
+    
+    xhr.onerror = function() {
+      handleError(batch, attempt);
+    };
+    
+    xhr.ontimeout = function() {
+      handleError(batch, attempt);
+    };
+    
+    xhr.send(JSON.stringify(batch));
+  }
+  
+  function handleError(batch, attempt) {
+    if (attempt < config.retryAttempts) {
+      setTimeout(function() {
+        sendBatch(batch, attempt + 1);
+      }, Math.pow(2, attempt) * 1000);
+    } else {
+      console.error('Failed to send batch after', config.retryAttempts, 'attempts');
+      isProcessing = false;
+    }
+  }
+  
+  function getSessionId() {
+    return sessionStorage.getItem('sessionId') || generateId();
+  }
+  
+  function getUserId() {
+    return localStorage.getItem('userId') || 'anonymous';
+  }
+  
+  function generateId() {
+    return Math.random().toString(36).substr(2, 9);
+  }
+  
+  // Auto-track page views
+  trackEvent('pageview', {
+    url: window.location.href,
+    title: document.title,
+    referrer: document.referrer
+  });
+  
+  // Track clicks
+  document.addEventListener('click', function(e) {
+    trackEvent('click', {
+      element: e.target.tagName,
+      id: e.target.id,
+      className: e.target.className,
+      text: e.target.textContent.substr(0, 100)
+    });
+  });
+  
+  // Track form submissions
+  document.addEventListener('submit', function(e) {
+    trackEvent('form_submit', {
+      formId: e.target.id,
+      action: e.target.action,
+      method: e.target.method
+    });
+  });
+  
+  // Process queue on page unload
+  window.addEventListener('beforeunload', function() {
+    if (eventQueue.length > 0) {
+      processBatch();
+    }
+  });
+  
+  // Periodic processing
+  setInterval(processBatch, 10000);
+  
+})();
@@ -0,0 +1,122 @@
+/**
+ * Shared helpers for the n8n workflow test suites
+ *
+ * Configuration comes from the environment, falling back to the project .env:
+ *
+ *   N8N_WEBHOOK_URL         Webhook to trigger (default: the test webhook on localhost:5678)
+ *   N8N_AUTH_HEADER_KEY     Trigger auth header (default: X-Laravel-Trigger-Auth)
+ *   N8N_AUTH_HEADER_VALUE   Its value, as Laravel sends it
+ *   N8N_WEBHOOK_AUTH        "on" or "off": whether the webhook checks the header auth
+ *                           (default: whether the Webhook Trigger in the committed
+ *                           workflow JSON has credentials); with "off" no header is sent
+ *   CALLBACK_RECEIVER_URL   Running callback receiver (make callback-receiver); callback
+ *                           assertions are skipped without it
+ *   N8N_TEST_TIMEOUT_MS     Default per-test timeout (default: 30000)
+ *   N8N_TEST_CONCURRENCY    Tests run at once (default: 1)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { waitForCallback } = require('../lib/callback-receiver.cjs');
+const { loadEnvFile } = require('../lib/env-file.cjs');
+const { loadWorkflow } = require('../lib/workflow-file.cjs');
+
+const env = { ...loadEnvFile(path.join(__dirname, '..', '..', '.env')) };
+for (const [key, value] of Object.entries(process.env)) {
+    if (value !== '') {
+        env[key] = value;
+    }
+}
+
+/**
+ * Whether the committed workflow's Webhook Trigger checks the header auth
+ */
+function workflowHasWebhookAuth() {
+    return loadWorkflow().nodes
+        .filter(node => node.type === 'n8n-nodes-base.webhook' && !node.disabled)
+        .some(node => Boolean(node.credentials && node.credentials.httpHeaderAuth));
+}
+
+const config = {
+    webhookUrl: env.N8N_WEBHOOK_URL || 'http://localhost:5678/webhook-test/ad-script-refactor-openrouter',
+    authHeader: env.N8N_AUTH_HEADER_KEY || 'X-Laravel-Trigger-Auth',
+    authValue: env.N8N_AUTH_HEADER_VALUE || '',
+    webhookAuth: env.N8N_WEBHOOK_AUTH ? env.N8N_WEBHOOK_AUTH !== 'off' : workflowHasWebhookAuth(),
+    callbackReceiverUrl: env.CALLBACK_RECEIVER_URL || null,
+    timeoutMs: Number(env.N8N_TEST_TIMEOUT_MS || 30000),
+    concurrency: Math.max(1, Number(env.N8N_TEST_CONCURRENCY || 1)),
+};
+
+/**
+ * Task id that stays unique when suites run in parallel or repeatedly
+ */
+function uniqueTaskId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Read a file from n8n/tests/fixtures
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * POST to the workflow webhook
+ *
+ * @param {object|string} body Object sent as JSON, or a raw string sent as is
+ * @param {object} [options]
+ * @param {'valid'|'missing'|'invalid'} [options.auth] Which trigger auth header to send
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{status: number, body: *, durationMs: number}>}
+ */
+async function triggerWorkflow(body, { auth = 'valid', timeoutMs = config.timeoutMs } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (auth === 'valid' && config.webhookAuth) {
+        headers[config.authHeader] = config.authValue;
+    } else if (auth === 'invalid') {
+        headers[config.authHeader] = `invalid-${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    const started = Date.now();
+    const response = await fetch(config.webhookUrl, {
+        method: 'POST',
+        headers,
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+    });
+    const text = await response.text();
+
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        // Not JSON (n8n error pages); keep the text
+    }
+
+    return { status: response.status, body: parsed, durationMs: Date.now() - started };
+}
+
+/**
+ * The callback the workflow sent for a task, or null when none arrived in time
+ *
+ * Resolves to undefined when no callback receiver is configured.
+ */
+async function taskCallback(taskId, { timeoutMs = config.timeoutMs } = {}) {
+    if (!config.callbackReceiverUrl) {
+        return undefined;
+    }
+
+    return waitForCallback(config.callbackReceiverUrl, taskId, { timeoutMs });
+}
+
+module.exports = {
+    config,
+    uniqueTaskId,
+    fixture,
+    triggerWorkflow,
+    taskCallback,
+};
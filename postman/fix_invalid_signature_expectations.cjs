@@ -1,60 +0,0 @@
-const fs = require('fs');
-
-// Read the final fixed collection
-const collectionPath = './Ad_Script_Refactor_API_final_fixed.postman_collection.json';
-const outputPath = './Ad_Script_Refactor_API_complete.postman_collection.json';
-
-const collection = JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
-
-// Function to fix the invalid signature test expectations
-function fixInvalidSignatureExpectations(items) {
-    items.forEach(item => {
-        if (item.name === 'n8n Callback - Invalid Signature' && item.event) {
-            const testEvent = item.event.find(e => e.listen === 'test');
-            if (testEvent && testEvent.script && testEvent.script.exec) {
-                // Update the test script to handle both scenarios
-                const newTestScript = [
-                    "// This test's expectation depends on N8N_DISABLE_AUTH in Laravel .env",
-                    "// If N8N_DISABLE_AUTH=true, expect 200 or 422 (if task already completed)",
-                    "// If N8N_DISABLE_AUTH=false, expect 401",
-                    "if (pm.environment.get(\"N8N_DISABLE_AUTH_IS_TRUE\") === \"true\") {",
-                    "    pm.test(\"Status code is 200 OK or 422 (auth disabled)\", function () {",
-                    "        pm.expect([200, 422]).to.include(pm.response.code);",
-                    "    });",
-                    "    pm.test(\"Response is valid JSON (auth disabled)\", function () {",
-                    "        const jsonData = pm.response.json();",
-                    "        pm.expect(jsonData).to.be.an('object');",
-                    "        // If 422, it's because task was already completed - this is expected",
-                    "        if (pm.response.code === 422) {",
-                    "            console.log('Task already completed - validation error expected');",
-                    "        }",
-                    "    });",
-                    "} else {",
-                    "    pm.test(\"Status code is 401 Unauthorized (auth enabled)\", function () {",
-                    "        pm.response.to.have.status(401);",
-                    "    });",
-                    "    pm.test(\"Response indicates invalid signature (auth enabled)\", function () {",
-                    "        const jsonData = pm.response.json();",
-                    "        pm.expect(jsonData).to.have.property('error', 'Invalid webhook signature');",
-                    "    });",
-                    "}",
-                    "console.log('Note: When auth is disabled, 422 is acceptable if task is already completed.');"
-                ];
-                
-                testEvent.script.exec = newTestScript;
-                console.log('Updated invalid signature test expectations to handle completed tasks');
-            }
-        }
-        
-        if (item.item) {
-            fixInvalidSignatureExpectations(item.item);
-        }
-    });
-}
-
-// Process all items in the collection
-fixInvalidSignatureExpectations(collection.item);
-
-// Write the complete collection
-fs.writeFileSync(outputPath, JSON.stringify(collection, null, 2));
-console.log('Complete collection saved to:', outputPath); 
\ No newline at end of file
@@ -0,0 +1,23 @@
+pm.test("Status code is 202 Accepted", function () {
+    pm.response.to.have.status(202);
+});
+
+pm.test("Response has correct structure for task creation", function () {
+    const jsonData = pm.response.json();
+    pm.expect(jsonData).to.have.property('message');
+    pm.expect(jsonData).to.have.property('data');
+    pm.expect(jsonData.data).to.have.property('id');
+    pm.expect(jsonData.data.status === 'pending' || jsonData.data.status === 'processing').to.be.true;
+    pm.expect(jsonData.data).to.have.property('created_at');
+});
+
+pm.test("Task ID is a valid UUID and set as env variable", function () {
+    const jsonData = pm.response.json();
+    const taskId = jsonData.data.id;
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    pm.expect(taskId).to.match(uuidRegex);
+    if (taskId) {
+        pm.environment.set("created_task_id", taskId);
+        console.log("Set environment variable 'created_task_id' to: " + taskId);
+    }
+});
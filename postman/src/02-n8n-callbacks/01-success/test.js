@@ -0,0 +1,13 @@
+pm.test("Status code is 200 OK", function () {
+    pm.response.to.have.status(200);
+});
+
+pm.test("Response indicates task completed successfully", function () {
+    const jsonData = pm.response.json();
+    pm.expect(jsonData.data).to.have.property('status', 'completed');
+    pm.expect(jsonData.data).to.have.property('was_updated', true);
+    pm.expect(jsonData.data).to.have.property('new_script');
+    pm.expect(jsonData.data).to.have.property('analysis');
+    pm.expect(jsonData.data.new_script).to.be.a('string');
+    pm.expect(jsonData.data.analysis).to.be.an('object');
+});
@@ -0,0 +1,37 @@
+// Create a separate task for the failure test; sign-callback has already signed the body
+const createTaskRequest = {
+    url: pm.environment.get('base_url') + '/ad-scripts',
+    method: 'POST',
+    header: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+    },
+    body: {
+        mode: 'raw',
+        raw: JSON.stringify({
+            reference_script: 'This is an ad script that will simulate a processing failure.',
+            outcome_description: 'Intentionally cause a failure in n8n for testing purposes.'
+        })
+    }
+};
+
+pm.sendRequest(createTaskRequest, function (err, res) {
+    if (err) {
+        console.error('Error creating task for failure test:', err);
+        pm.environment.set('error_test_task_id', 'TASK_CREATION_FAILED');
+    } else {
+        try {
+            const jsonData = res.json();
+            if (jsonData && jsonData.data && jsonData.data.id) {
+                pm.environment.set('error_test_task_id', jsonData.data.id);
+                console.log('Created error test task with ID:', jsonData.data.id);
+            } else {
+                console.error('Invalid response when creating task for failure test:', jsonData);
+                pm.environment.set('error_test_task_id', 'TASK_CREATION_INVALID_RESPONSE');
+            }
+        } catch (e) {
+            console.error('Error parsing response for failure test task creation:', e);
+            pm.environment.set('error_test_task_id', 'TASK_CREATION_PARSE_ERROR');
+        }
+    }
+});
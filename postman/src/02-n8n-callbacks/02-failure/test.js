@@ -0,0 +1,11 @@
+pm.test("Status code is 200 OK (callback received)", function () {
+    pm.response.to.have.status(200);
+});
+
+pm.test("Response indicates task failed", function () {
+    const jsonData = pm.response.json();
+    pm.expect(jsonData.data).to.have.property('status', 'failed');
+    pm.expect(jsonData.data).to.have.property('was_updated', true);
+    pm.expect(jsonData.data).to.have.property('error_details');
+    pm.expect(jsonData.data.error_details).to.be.a('string');
+});
@@ -0,0 +1,8 @@
+pm.test("Status code is 422 Unprocessable Entity", function () {
+    pm.response.to.have.status(422);
+});
+pm.test("Response indicates payload validation error", function () {
+    const jsonData = pm.response.json();
+    pm.expect(jsonData.errors).to.have.property('payload');
+    pm.expect(jsonData.errors.payload[0]).to.include('Either new_script or error must be provided');
+});
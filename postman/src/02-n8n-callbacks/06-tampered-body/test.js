@@ -0,0 +1,8 @@
+pm.test("Status code is 401 Unauthorized", function () {
+    pm.response.to.have.status(401);
+});
+
+pm.test("Response rejects a body changed after signing", function () {
+    const jsonData = pm.response.json();
+    pm.expect(jsonData).to.have.property('error', 'Invalid webhook signature');
+});
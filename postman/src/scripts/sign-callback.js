@@ -0,0 +1,54 @@
+// Signs an n8n callback request in the mode declared by the collection
+// variable "signing_mode:<request name>" (written by postman/update_scripts.js):
+//   valid              v2 headers over the body with n8n_callback_hmac_secret
+//   missing            no signature headers at all
+//   tampered-body      signed over a different body than the one sent
+//   wrong-secret       signed with a secret Laravel does not know
+//   expired-timestamp  valid signature, timestamp older than n8n_signature_tolerance
+// Modes that need the real secret throw when it is not configured, so a
+// misconfigured run fails instead of sending a signature Laravel rejects.
+const requestName = pm.info.requestName;
+const mode = pm.variables.get(`signing_mode:${requestName}`);
+const requestBody = (pm.request.body && pm.request.body.raw) || "";
+const secret = pm.variables.get("n8n_callback_hmac_secret");
+
+const placeholderSecrets = ["{{N8N_CALLBACK_HMAC_SECRET_CI}}", "{{N8N_CALLBACK_HMAC_SECRET}}", "your-local-hmac-secret", "your-n8n-callback-hmac-secret-here"];
+const hasSecret = Boolean(secret) && secret.trim() !== "" && !placeholderSecrets.includes(secret);
+const nonce = pm.variables.replaceIn("{{$guid}}");
+
+function requireSecret() {
+    if (!hasSecret) {
+        throw new Error(`[${requestName}] signing mode "${mode}" needs n8n_callback_hmac_secret, which is not set or is a placeholder`);
+    }
+    return secret;
+}
+
+const signers = {
+    "valid": () => n8nSignature.headers(requestBody, requireSecret(), nonce),
+    "missing": () => null,
+    "tampered-body": () => n8nSignature.headers(requestBody + " ", hasSecret ? secret : "postman-secret", nonce),
+    "wrong-secret": () => n8nSignature.headers(requestBody, (hasSecret ? secret : "postman-secret") + "-wrong", nonce),
+    "expired-timestamp": () => {
+        const tolerance = Number(pm.variables.get("n8n_signature_tolerance") || 300);
+        return n8nSignature.headers(requestBody, requireSecret(), nonce, Math.floor(Date.now() / 1000) - tolerance - 60);
+    },
+};
+
+if (!mode) {
+    throw new Error(`[${requestName}] no signing mode: set the collection variable "signing_mode:${requestName}" to one of ${Object.keys(signers).join(", ")}`);
+}
+if (!Object.prototype.hasOwnProperty.call(signers, mode)) {
+    throw new Error(`[${requestName}] unknown signing mode "${mode}", expected one of ${Object.keys(signers).join(", ")}`);
+}
+
+const headers = signers[mode]();
+if (headers === null) {
+    ["X-N8N-Signature", "X-N8N-Timestamp", "X-N8N-Nonce"].forEach(name => pm.request.headers.remove(name));
+    ["hmac_signature", "hmac_timestamp", "hmac_nonce"].forEach(name => pm.environment.set(name, ""));
+    console.log(`[${requestName}] Signing mode "missing": sending no signature headers`);
+} else {
+    pm.environment.set("hmac_signature", headers["X-N8N-Signature"]);
+    pm.environment.set("hmac_timestamp", headers["X-N8N-Timestamp"]);
+    pm.environment.set("hmac_nonce", headers["X-N8N-Nonce"]);
+    console.log(`[${requestName}] Signing mode "${mode}": ${headers["X-N8N-Signature"].substring(0, 12)}... at ${headers["X-N8N-Timestamp"]}`);
+}
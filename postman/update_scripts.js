@@ -1,54 +1,113 @@
-// Simple script to update Postman pre-request scripts
+// Wire every n8n callback request to the shared signing scripts with its signing mode, then rebuild the collection
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 
+const require = createRequire(import.meta.url);
+const { DEFAULT_SOURCE_DIR, SIGNING_MODES, buildCollection, signingModeVariable, writeCollection } = require('../n8n/lib/postman-collection.cjs');
+
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const collectionFile = path.join(__dirname, 'Ad_Script_Refactor_API.postman_collection.json');
-const collection = JSON.parse(fs.readFileSync(collectionFile, 'utf8'));
+const sharedScripts = ['n8n-signature', 'sign-callback'];
+const callbackUrl = /\/ad-scripts\/[^/]+\/result$/;
+const signatureHeaders = [
+  { key: 'X-N8N-Signature', value: '{{hmac_signature}}' },
+  { key: 'X-N8N-Timestamp', value: '{{hmac_timestamp}}' },
+  { key: 'X-N8N-Nonce', value: '{{hmac_nonce}}' }
+];
 
-// Read the improved script
-const improvedScript = fs.readFileSync(path.join(__dirname, 'improved_prerequest_script.js'), 'utf8');
+// Mode for a request without a declared one, from its name; anything else expects a valid signature
+const modesByName = [
+  [/missing signature/i, 'missing'],
+  [/tampered/i, 'tampered-body'],
+  [/invalid signature|wrong secret/i, 'wrong-secret'],
+  [/expired/i, 'expired-timestamp']
+];
+
+function requestDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const child = path.join(dir, entry.name);
+      return fs.existsSync(path.join(child, 'request.json')) ? [child] : requestDirs(child);
+    });
+}
 
-// Find n8n callbacks folder
-const n8nCallbacksFolder = collection.item.find(folder => folder.name === 'n8n Callbacks (Simulated)');
+const collectionFile = path.join(DEFAULT_SOURCE_DIR, 'collection.json');
+const collectionSource = JSON.parse(fs.readFileSync(collectionFile, 'utf8'));
+const declared = new Map(collectionSource.variable.map(variable => [variable.key, variable]));
 
-if (!n8nCallbacksFolder) {
-  console.error('Could not find n8n Callbacks folder!');
-  process.exit(1);
+// The declared mode of a request, or the one its name suggests
+function signingMode(name) {
+  const variable = declared.get(signingModeVariable(name));
+  const [, inferred = 'valid'] = modesByName.find(([pattern]) => pattern.test(name)) || [];
+  const mode = variable ? variable.value : inferred;
+  if (!SIGNING_MODES.includes(mode)) {
+    console.error(`${name}: unknown signing mode "${mode}", expected one of ${SIGNING_MODES.join(', ')}`);
+    process.exit(1);
+  }
+  return mode;
 }
 
-// List of request names to update
-const requestsToUpdate = [
-  'n8n Callback - Failure',
-  'n8n Callback - Validation Error (e.g., missing new_script and error)'
-];
+function requests(items) {
+  return items.flatMap(item => (item.item ? requests(item.item) : [item]));
+}
 
-// Count of updates
 let updateCount = 0;
+const modes = [];
+
+for (const dir of requestDirs(DEFAULT_SOURCE_DIR)) {
+  const requestFile = path.join(dir, 'request.json');
+  const spec = JSON.parse(fs.readFileSync(requestFile, 'utf8'));
+  if (!callbackUrl.test(spec.url)) {
+    continue;
+  }
+
+  modes.push([spec.name, signingMode(spec.name)]);
+
+  const before = JSON.stringify(spec);
+  spec.prerequest = sharedScripts;
+  spec.header = [
+    ...(spec.header || []).filter(header => !signatureHeaders.some(signature => signature.key === header.key)),
+    ...signatureHeaders
+  ];
+  if (JSON.stringify(spec) !== before) {
+    fs.writeFileSync(requestFile, JSON.stringify(spec, null, 4) + '\n');
+    updateCount++;
+    console.log(`Updated signing scripts and headers for: ${spec.name}`);
+  }
+}
 
-// Update pre-request scripts in those requests
-n8nCallbacksFolder.item.forEach(request => {
-  if (requestsToUpdate.includes(request.name)) {
-    // Find the pre-request script event
-    const prereqEvent = request.event?.find(evt => evt.listen === 'prerequest');
-    
-    if (prereqEvent && prereqEvent.script) {
-      // Update the script
-      prereqEvent.script.exec = improvedScript.split('\n');
-      updateCount++;
-      console.log(`Updated pre-request script for: ${request.name}`);
-    }
+// Requests generated from docs/api/openapi.json get their scripts and headers from
+// their folder.json; they only need a declared mode
+for (const item of requests(buildCollection().item)) {
+  if (callbackUrl.test(item.request.url.raw) && !modes.some(([name]) => name === item.name)) {
+    modes.push([item.name, signingMode(item.name)]);
   }
-});
+}
+
+// Declare one mode per callback request and drop the modes of requests that are gone
+const variables = collectionSource.variable.filter(variable => !variable.key.startsWith(signingModeVariable('')));
+for (const [name, mode] of modes) {
+  variables.push({
+    key: signingModeVariable(name),
+    value: mode,
+    type: 'string',
+    description: `Signing mode of "${name}" (scripts/sign-callback.js): ${SIGNING_MODES.join(', ')}.`
+  });
+}
+const variablesChanged = JSON.stringify(variables) !== JSON.stringify(collectionSource.variable);
+if (variablesChanged) {
+  collectionSource.variable = variables;
+  fs.writeFileSync(collectionFile, JSON.stringify(collectionSource, null, 4) + '\n');
+}
 
-if (updateCount === 0) {
-  console.log('No scripts were updated! Check request names.');
-} else {
-  // Write back the updated collection
-  fs.writeFileSync(collectionFile, JSON.stringify(collection, null, 2));
-  console.log(`Successfully updated ${updateCount} pre-request scripts.`);
+const { changed } = writeCollection();
+for (const [name, mode] of modes) {
+  console.log(`  ${mode.padEnd(17)} ${name}`);
 }
+console.log(`Updated ${updateCount} request sources${variablesChanged ? ' and the signing modes' : ''}; collection ${changed ? 'rebuilt' : 'unchanged'} (${path.relative(__dirname, collectionFile)}).`);
@@ -1,6 +1,7 @@
 <?php
 
 use App\Http\Controllers\Api\ProcessAdScriptResultController;
+use App\Http\Controllers\Api\ShowAdScriptTaskController;
 use App\Http\Controllers\Api\StoreAdScriptTaskController;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
@@ -23,6 +24,9 @@
 Route::post('/ad-scripts', StoreAdScriptTaskController::class)
     ->middleware(['throttle:ad-script-submission']);
 
+Route::get('/ad-scripts/{task}', ShowAdScriptTaskController::class)
+    ->middleware(['throttle:api']);
+
 Route::post('/ad-scripts/{task}/result', ProcessAdScriptResultController::class)
     ->middleware(['webhook.signature', 'throttle:result-processing']);
 
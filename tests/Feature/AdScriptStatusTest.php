@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\AdScriptTask;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+use Tests\Traits\TestsRateLimiting;
+
+class AdScriptStatusTest extends TestCase
+{
+    use RefreshDatabase;
+    use TestsRateLimiting;
+
+    public function test_it_returns_a_pending_task_without_results(): void
+    {
+        $task = AdScriptTask::factory()->create();
+
+        $response = $this->getJson("/api/ad-scripts/{$task->id}", $this->getNoRateLimitHeaders());
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'message' => 'Ad script task retrieved',
+                'data' => [
+                    'id' => $task->id,
+                    'status' => 'pending',
+                    'is_final' => false,
+                ],
+            ])
+            ->assertJsonMissingPath('data.new_script')
+            ->assertJsonMissingPath('data.error_details');
+    }
+
+    public function test_it_does_not_expose_the_result_of_a_completed_task(): void
+    {
+        $task = AdScriptTask::factory()->completed()->create();
+
+        $response = $this->getJson("/api/ad-scripts/{$task->id}", $this->getNoRateLimitHeaders());
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'data' => [
+                    'status' => 'completed',
+                    'is_final' => true,
+                ],
+            ])
+            ->assertJsonMissingPath('data.new_script')
+            ->assertJsonMissingPath('data.analysis');
+    }
+
+    public function test_it_does_not_expose_the_error_of_a_failed_task(): void
+    {
+        $task = AdScriptTask::factory()->failed()->create();
+
+        $response = $this->getJson("/api/ad-scripts/{$task->id}", $this->getNoRateLimitHeaders());
+
+        $response->assertStatus(200)
+            ->assertJson([
+                'data' => [
+                    'status' => 'failed',
+                    'is_final' => true,
+                ],
+            ])
+            ->assertJsonMissingPath('data.error_details');
+    }
+
+    public function test_it_returns_404_for_an_unknown_task(): void
+    {
+        $response = $this->getJson('/api/ad-scripts/' . Str::uuid(), $this->getNoRateLimitHeaders());
+
+        $response->assertStatus(404);
+    }
+}
@@ -0,0 +1,90 @@
+<?php
+
+namespace Tests\Unit\Console\Commands;
+
+use App\Http\Requests\ProcessAdScriptResultRequest;
+use App\Http\Requests\StoreAdScriptTaskRequest;
+use Illuminate\Support\Facades\File;
+use Tests\TestCase;
+
+class ApiRoutesDumpCommandTest extends TestCase
+{
+    protected string $outputPath;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->outputPath = storage_path('framework/testing/api-routes.json');
+        File::ensureDirectoryExists(dirname($this->outputPath));
+    }
+
+    protected function tearDown(): void
+    {
+        File::delete($this->outputPath);
+
+        parent::tearDown();
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function dump(): array
+    {
+        $this->artisan('api:routes-dump', ['--output' => $this->outputPath])
+            ->expectsOutputToContain('routes to '.$this->outputPath)
+            ->assertExitCode(0);
+
+        return json_decode(File::get($this->outputPath), true, 512, JSON_THROW_ON_ERROR);
+    }
+
+    /**
+     * @param  array<string, mixed>  $dump
+     * @return array<string, mixed>
+     */
+    private function route(array $dump, string $method, string $uri): array
+    {
+        foreach ($dump['routes'] as $route) {
+            if ($route['uri'] === $uri && in_array($method, $route['methods'], true)) {
+                return $route;
+            }
+        }
+
+        $this->fail("{$method} {$uri} is not in the dump");
+    }
+
+    public function test_dumps_api_routes_with_their_form_request_rules(): void
+    {
+        $dump = $this->dump();
+
+        $store = $this->route($dump, 'POST', 'api/ad-scripts');
+        $this->assertSame(StoreAdScriptTaskRequest::class, $store['request']['class']);
+        $this->assertSame(['required', 'string', 'min:5', 'max:1000'], $store['request']['rules']['outcome_description']);
+        $this->assertSame('The outcome description must be at least 5 characters.', $store['request']['messages']['outcome_description.min']);
+
+        $result = $this->route($dump, 'POST', 'api/ad-scripts/{task}/result');
+        $this->assertSame(ProcessAdScriptResultRequest::class, $result['request']['class']);
+        $this->assertSame(['task'], $result['parameters']);
+        $this->assertContains('webhook.signature', $result['middleware']);
+
+        $healthCheck = $this->route($dump, 'GET', 'api/health-check');
+        $this->assertSame('Closure', $healthCheck['action']);
+        $this->assertNull($healthCheck['request']);
+
+        foreach ($dump['routes'] as $route) {
+            $this->assertStringStartsWith('api/', $route['uri']);
+            $this->assertNotContains('HEAD', $route['methods']);
+        }
+    }
+
+    public function test_committed_dump_matches_the_registered_routes(): void
+    {
+        $committed = json_decode(File::get(base_path('docs/api/routes.json')), true, 512, JSON_THROW_ON_ERROR);
+
+        $this->assertSame(
+            $this->dump(),
+            $committed,
+            'docs/api/routes.json is out of date: run `php artisan api:routes-dump --output=docs/api/routes.json` and `node make-tools/openapi.cjs build`'
+        );
+    }
+}
@@ -0,0 +1,53 @@
+<?php
+
+namespace Tests\Unit\Console\Commands;
+
+use App\Console\Commands\CallbackProbeTaskCommand;
+use App\Enums\TaskStatus;
+use App\Jobs\TriggerN8nWorkflow;
+use App\Models\AdScriptTask;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Artisan;
+use Illuminate\Support\Facades\Queue;
+use Tests\TestCase;
+
+class CallbackProbeTaskCommandTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_creates_a_final_probe_task_without_dispatching_the_workflow(): void
+    {
+        Queue::fake();
+
+        $this->assertSame(0, Artisan::call('n8n:probe-task'));
+        $id = trim(Artisan::output());
+
+        $this->assertSame(TaskStatus::FAILED, AdScriptTask::findOrFail($id)->status);
+        Queue::assertNotPushed(TriggerN8nWorkflow::class);
+    }
+
+    public function test_replaces_probe_tasks_left_behind_by_an_interrupted_run(): void
+    {
+        Artisan::call('n8n:probe-task');
+        $leftBehind = trim(Artisan::output());
+
+        Artisan::call('n8n:probe-task');
+        $current = trim(Artisan::output());
+
+        $this->assertNotSame($leftBehind, $current);
+        $this->assertSame([$current], AdScriptTask::where('reference_script', CallbackProbeTaskCommand::PROBE_SCRIPT)->pluck('id')->all());
+    }
+
+    public function test_deletes_a_probe_task_but_never_a_real_one(): void
+    {
+        Artisan::call('n8n:probe-task');
+        $probe = trim(Artisan::output());
+        $real = AdScriptTask::factory()->create();
+
+        $this->assertSame(0, Artisan::call('n8n:probe-task', ['--delete' => $probe]));
+        $this->assertNull(AdScriptTask::find($probe));
+
+        $this->assertSame(1, Artisan::call('n8n:probe-task', ['--delete' => $real->id]));
+        $this->assertNotNull(AdScriptTask::find($real->id));
+    }
+}
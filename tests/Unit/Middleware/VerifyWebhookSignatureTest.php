@@ -5,6 +5,9 @@
 use App\Http\Middleware\VerifyWebhookSignature;
 use Illuminate\Http\Request;
 use Illuminate\Http\Response;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Cache;
+use Symfony\Component\HttpFoundation\Response as SymfonyResponse;
 use Tests\TestCase;
 
 class VerifyWebhookSignatureTest extends TestCase
@@ -338,4 +341,277 @@ public function test_middleware_passes_when_auth_disabled(): void
         // Reset config for other tests
         config(['services.n8n.disable_auth' => false]);
     }
+
+    public function test_middleware_passes_with_previous_secret_during_grace_window(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        $signature = 'sha256=' . hash_hmac('sha256', $payload, 'old-secret');
+
+        config([
+            'services.n8n.callback_hmac_secret' => 'new-secret',
+            'services.n8n.callback_hmac_previous_secret' => 'old-secret',
+            'services.n8n.callback_hmac_previous_secret_expires_at' => now()->addHour()->toIso8601String(),
+        ]);
+
+        $request = Request::create('/test', 'POST', [], [], [], [], $payload);
+        $request->headers->set('X-N8N-Signature', $signature);
+
+        $nextCalled = false;
+        $next = function ($request) use (&$nextCalled) {
+            $nextCalled = true;
+
+            return response()->json(['success' => true]);
+        };
+
+        // Act
+        $response = $this->middleware->handle($request, $next);
+
+        // Assert
+        $this->assertTrue($nextCalled);
+        $this->assertEquals(200, $response->getStatusCode());
+    }
+
+    public function test_middleware_fails_with_previous_secret_after_grace_window(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        $signature = 'sha256=' . hash_hmac('sha256', $payload, 'old-secret');
+
+        config([
+            'services.n8n.callback_hmac_secret' => 'new-secret',
+            'services.n8n.callback_hmac_previous_secret' => 'old-secret',
+            'services.n8n.callback_hmac_previous_secret_expires_at' => now()->subMinute()->toIso8601String(),
+        ]);
+
+        $request = Request::create('/test', 'POST', [], [], [], [], $payload);
+        $request->headers->set('X-N8N-Signature', $signature);
+
+        $nextCalled = false;
+        $next = function ($request) use (&$nextCalled) {
+            $nextCalled = true;
+
+            return response()->json(['success' => true]);
+        };
+
+        // Act
+        $response = $this->middleware->handle($request, $next);
+
+        // Assert
+        $this->assertFalse($nextCalled);
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $response->getStatusCode());
+    }
+
+    public function test_middleware_ignores_previous_secret_without_expiry(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        $signature = 'sha256=' . hash_hmac('sha256', $payload, 'old-secret');
+
+        config([
+            'services.n8n.callback_hmac_secret' => 'new-secret',
+            'services.n8n.callback_hmac_previous_secret' => 'old-secret',
+            'services.n8n.callback_hmac_previous_secret_expires_at' => null,
+        ]);
+
+        $request = Request::create('/test', 'POST', [], [], [], [], $payload);
+        $request->headers->set('X-N8N-Signature', $signature);
+
+        $next = function ($request) {
+            return response()->json(['success' => true]);
+        };
+
+        // Act
+        $response = $this->middleware->handle($request, $next);
+
+        // Assert
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $response->getStatusCode());
+    }
+
+    public function test_middleware_accepts_every_valid_shared_vector(): void
+    {
+        $vectors = $this->signatureVectors();
+
+        foreach ($vectors['v1']['valid'] as $vector) {
+            $response = $this->handleSigned($vector['secret'], $vector['body'], ['X-N8N-Signature' => $vector['signature']]);
+
+            $this->assertEquals(200, $response->getStatusCode(), 'v1 ' . $vector['name']);
+        }
+
+        foreach ($vectors['v2']['valid'] as $vector) {
+            // Several vectors share a nonce; each one is a first use
+            Cache::flush();
+            $this->travelTo(Carbon::createFromTimestamp((int) $vector['timestamp']));
+
+            $response = $this->handleSigned($vector['secret'], $vector['body'], $this->v2Headers($vector));
+
+            $this->assertEquals(200, $response->getStatusCode(), 'v2 ' . $vector['name']);
+        }
+    }
+
+    public function test_middleware_rejects_every_invalid_shared_vector(): void
+    {
+        $vectors = $this->signatureVectors();
+
+        foreach ($vectors['v1']['invalid'] as $vector) {
+            $response = $this->handleSigned($vector['secret'], $vector['body'], ['X-N8N-Signature' => $vector['signature']]);
+
+            $this->assertEquals(Response::HTTP_UNAUTHORIZED, $response->getStatusCode(), 'v1 ' . $vector['name']);
+        }
+
+        foreach ($vectors['v2']['invalid'] as $vector) {
+            $this->travelTo(Carbon::createFromTimestamp(ctype_digit($vector['timestamp']) ? (int) $vector['timestamp'] : 1760000000));
+
+            $response = $this->handleSigned($vector['secret'], $vector['body'], $this->v2Headers($vector));
+
+            $this->assertEquals(Response::HTTP_UNAUTHORIZED, $response->getStatusCode(), 'v2 ' . $vector['name']);
+        }
+    }
+
+    public function test_middleware_rejects_v2_timestamps_outside_the_tolerance_window(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        config(['services.n8n.callback_signature_tolerance' => 60]);
+        $this->travelTo(Carbon::createFromTimestamp(1760000000));
+
+        // Act
+        $inside = $this->handleSigned('test-secret', $payload, $this->signV2($payload, 'test-secret', 1760000000 - 60));
+        $before = $this->handleSigned('test-secret', $payload, $this->signV2($payload, 'test-secret', 1760000000 - 61));
+        $after = $this->handleSigned('test-secret', $payload, $this->signV2($payload, 'test-secret', 1760000000 + 61));
+
+        // Assert
+        $this->assertEquals(200, $inside->getStatusCode());
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $before->getStatusCode());
+        $this->assertEquals('Webhook timestamp outside the tolerance window', json_decode((string) $before->getContent(), true)['error']);
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $after->getStatusCode());
+    }
+
+    public function test_middleware_rejects_v2_signature_without_timestamp(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        $headers = $this->signV2($payload, 'test-secret', now()->getTimestamp());
+        unset($headers['X-N8N-Timestamp']);
+
+        // Act
+        $response = $this->handleSigned('test-secret', $payload, $headers);
+
+        // Assert
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $response->getStatusCode());
+        $this->assertEquals('Missing webhook timestamp', json_decode((string) $response->getContent(), true)['error']);
+    }
+
+    public function test_middleware_rejects_replayed_v2_nonce(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        $headers = $this->signV2($payload, 'test-secret', now()->getTimestamp(), 'nonce-1');
+
+        // Act
+        $first = $this->handleSigned('test-secret', $payload, $headers);
+        $replayed = $this->handleSigned('test-secret', $payload, $headers);
+        $otherNonce = $this->handleSigned('test-secret', $payload, $this->signV2($payload, 'test-secret', now()->getTimestamp(), 'nonce-2'));
+
+        // Assert
+        $this->assertEquals(200, $first->getStatusCode());
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $replayed->getStatusCode());
+        $this->assertEquals('Webhook nonce already used', json_decode((string) $replayed->getContent(), true)['error']);
+        $this->assertEquals(200, $otherNonce->getStatusCode());
+    }
+
+    public function test_middleware_accepts_v2_signature_with_previous_secret_during_grace_window(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+
+        config([
+            'services.n8n.callback_hmac_previous_secret' => 'old-secret',
+            'services.n8n.callback_hmac_previous_secret_expires_at' => now()->addMinutes(30)->toIso8601String(),
+        ]);
+
+        // Act
+        $response = $this->handleSigned('new-secret', $payload, $this->signV2($payload, 'old-secret', now()->getTimestamp(), 'nonce-1'));
+
+        // Assert
+        $this->assertEquals(200, $response->getStatusCode());
+    }
+
+    public function test_middleware_rejects_v1_signature_when_disabled(): void
+    {
+        // Arrange
+        $payload = '{"test": "data"}';
+        config(['services.n8n.callback_accept_v1_signatures' => false]);
+
+        // Act
+        $v1 = $this->handleSigned('test-secret', $payload, ['X-N8N-Signature' => 'sha256=' . hash_hmac('sha256', $payload, 'test-secret')]);
+        $v2 = $this->handleSigned('test-secret', $payload, $this->signV2($payload, 'test-secret', now()->getTimestamp()));
+
+        // Assert
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $v1->getStatusCode());
+        $this->assertEquals('Webhook signature v1 is no longer accepted', json_decode((string) $v1->getContent(), true)['error']);
+        $this->assertEquals(200, $v2->getStatusCode());
+    }
+
+    /**
+     * Run the middleware on a POST with the given body and headers.
+     *
+     * @param  array<string, string>  $headers
+     */
+    private function handleSigned(string $secret, string $payload, array $headers): SymfonyResponse
+    {
+        config(['services.n8n.callback_hmac_secret' => $secret]);
+
+        $request = Request::create('/test', 'POST', [], [], [], [], $payload);
+        foreach ($headers as $name => $value) {
+            $request->headers->set($name, $value);
+        }
+
+        return $this->middleware->handle($request, function ($request) {
+            return response()->json(['success' => true]);
+        });
+    }
+
+    /**
+     * The v2 headers n8n/lib/signature.cjs sends for a body.
+     *
+     * @return array<string, string>
+     */
+    private function signV2(string $payload, string $secret, int $timestamp, string $nonce = ''): array
+    {
+        return array_filter([
+            'X-N8N-Signature' => 'v2=' . hash_hmac('sha256', $timestamp . '.' . $nonce . '.' . $payload, $secret),
+            'X-N8N-Timestamp' => (string) $timestamp,
+            'X-N8N-Nonce' => $nonce,
+        ], fn (string $value): bool => $value !== '');
+    }
+
+    /**
+     * @param  array{signature: string, timestamp: string, nonce: string}  $vector
+     * @return array<string, string>
+     */
+    private function v2Headers(array $vector): array
+    {
+        return array_filter([
+            'X-N8N-Signature' => $vector['signature'],
+            'X-N8N-Timestamp' => $vector['timestamp'],
+            'X-N8N-Nonce' => $vector['nonce'],
+        ], fn (string $value): bool => $value !== '');
+    }
+
+    /**
+     * The vectors the JS signers are tested against (n8n/lib/signature.cjs).
+     *
+     * @return array<string, array{valid: array<int, array<string, string>>, invalid: array<int, array<string, string>>}>
+     */
+    private function signatureVectors(): array
+    {
+        $contents = file_get_contents(dirname(__DIR__, 2) . '/fixtures/webhook-signatures.json');
+        $this->assertIsString($contents);
+
+        $vectors = json_decode($contents, true, 512, JSON_THROW_ON_ERROR);
+        $this->assertIsArray($vectors);
+
+        return $vectors;
+    }
 }
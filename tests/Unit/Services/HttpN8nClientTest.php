@@ -433,6 +433,83 @@ public function test_trigger_workflow_succeeds_after_retries(): void
         $this->assertEquals($expectedResponse, $result);
     }
 
+    /**
+     * A RequestException carrying an HTTP status, as Guzzle throws for a 4xx answer.
+     */
+    private function httpStatusException(int $status, string $body): RequestException
+    {
+        $mockResponse = \Mockery::mock(\Psr\Http\Message\ResponseInterface::class);
+        $mockResponse->shouldReceive('getStatusCode')->andReturn($status);
+        $mockResponse->shouldReceive('getBody->getContents')->andReturn($body);
+
+        return new RequestException('HTTP '.$status, new Request('POST', $this->testWebhookUrl), $mockResponse);
+    }
+
+    public function test_trigger_workflow_falls_back_to_the_previous_auth_header_during_its_grace_window(): void
+    {
+        config([
+            'services.n8n.integration_test_mode' => true,
+            'services.n8n.auth_header_previous_value' => 'previous-secret',
+            'services.n8n.auth_header_previous_value_expires_at' => now()->addHour()->toIso8601String(),
+        ]);
+
+        $payload = new N8nWebhookPayload('task-123', 'test script', 'test description');
+        $sentWith = fn (string $value) => Mockery::on(fn ($options) => $options['headers'][$this->testAuthHeaderKey] === $value);
+
+        $this->mockHttpClient
+            ->shouldReceive('post')
+            ->once()
+            ->with($this->testWebhookUrl, $sentWith($this->testAuthHeaderValue))
+            ->andThrow($this->httpStatusException(403, 'Authorization data is wrong!'));
+
+        $this->mockHttpClient
+            ->shouldReceive('post')
+            ->once()
+            ->with($this->testWebhookUrl, $sentWith('previous-secret'))
+            ->andReturn(new Response(200, [], '{"success": true}'));
+
+        $client = new HttpN8nClient(
+            httpClient: $this->mockHttpClient,
+            webhookUrl: $this->testWebhookUrl,
+            authHeaderKey: $this->testAuthHeaderKey,
+            authHeaderValue: $this->testAuthHeaderValue,
+            retryAttempts: 1,
+            retryDelays: [0]
+        );
+
+        $this->assertTrue($client->triggerWorkflow($payload)['success']);
+    }
+
+    public function test_trigger_workflow_does_not_send_the_previous_auth_header_after_its_grace_window(): void
+    {
+        config([
+            'services.n8n.integration_test_mode' => true,
+            'services.n8n.auth_header_previous_value' => 'previous-secret',
+            'services.n8n.auth_header_previous_value_expires_at' => now()->subMinute()->toIso8601String(),
+        ]);
+
+        $payload = new N8nWebhookPayload('task-123', 'test script', 'test description');
+
+        $this->mockHttpClient
+            ->shouldReceive('post')
+            ->twice()
+            ->with($this->testWebhookUrl, Mockery::on(fn ($options) => $options['headers'][$this->testAuthHeaderKey] === $this->testAuthHeaderValue))
+            ->andThrow($this->httpStatusException(403, 'Authorization data is wrong!'));
+
+        $client = new HttpN8nClient(
+            httpClient: $this->mockHttpClient,
+            webhookUrl: $this->testWebhookUrl,
+            authHeaderKey: $this->testAuthHeaderKey,
+            authHeaderValue: $this->testAuthHeaderValue,
+            retryAttempts: 2,
+            retryDelays: [0, 0]
+        );
+
+        $this->expectException(N8nClientException::class);
+        $this->expectExceptionMessage('N8n webhook returned HTTP 403: Authorization data is wrong!');
+        $client->triggerWorkflow($payload);
+    }
+
     public function test_is_available_returns_true_for_successful_response(): void
     {
         // Expect a GET request with our health check configuration
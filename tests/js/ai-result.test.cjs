@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const aiResult = require('../../n8n/lib/ai-result.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const COLLECTION = require('../../postman/Ad_Script_Refactor_API.postman_collection.json');
+
+const schema = aiResult.loadAiResultSchema();
+const [EXAMPLE] = schema.examples;
+
+function withAnalysis(changes) {
+    return { ...EXAMPLE, analysis: { ...EXAMPLE.analysis, ...changes } };
+}
+
+test('the schema is versioned and its example is a valid result', () => {
+    assert.equal(aiResult.schemaVersion(schema), 1);
+    assert.deepEqual(aiResult.validateAiResult(EXAMPLE), { valid: true, errors: [] });
+    assert.throws(() => aiResult.schemaVersion({ $id: 'ai-result' }), /does not end in :v<version>/);
+});
+
+test('reports every problem with the JSON pointer of the value', () => {
+    const result = { new_script: '', analysis: withAnalysis({ tone_analysis: ['Upbeat'], recommendations: undefined, extra: null }).analysis };
+
+    assert.deepEqual(aiResult.validateAiResult(JSON.parse(JSON.stringify(result))).errors, [
+        '/new_script must not be empty',
+        '/analysis/recommendations is required',
+        '/analysis/extra must be string, got null',
+        '/analysis/tone_analysis must be string, got array',
+    ]);
+    assert.deepEqual(aiResult.validateAiResult([]).errors, ['(root) must be object, got array']);
+    assert.deepEqual(aiResult.validateAiResult({ analysis: 'fine' }).errors, [
+        '/new_script is required',
+        '/analysis must be object, got string',
+    ]);
+});
+
+test('parses reply text before validating it', () => {
+    assert.deepEqual(aiResult.parseAiResult(JSON.stringify(EXAMPLE)), { valid: true, errors: [], parsed: EXAMPLE });
+
+    const prose = aiResult.parseAiResult('Here is your script!');
+    assert.equal(prose.valid, false);
+    assert.match(prose.errors[0], /^Invalid JSON: /);
+    assert.equal(prose.parsed, null);
+});
+
+test('the generated validator agrees with the shared one without requiring modules', () => {
+    const source = aiResult.standaloneValidator(schema);
+    assert.doesNotMatch(source, /\brequire\(/);
+
+    const validate = vm.runInNewContext(source);
+    const describe = vm.runInNewContext(`(${aiResult.describeSchemaError.toString()})`);
+    const samples = [EXAMPLE, withAnalysis({ improvements_made: 3 }), { new_script: 'x'.repeat(50001), analysis: EXAMPLE.analysis }, {}];
+
+    for (const sample of samples) {
+        const valid = validate(sample);
+        assert.deepEqual(valid ? [] : [...validate.errors].map(describe), aiResult.validateAiResult(sample).errors);
+    }
+});
+
+test('the committed Process AI JSON node and Postman fixtures are generated from the schema', () => {
+    assert.equal(aiResult.syncWorkflow(loadWorkflow()).changed, false,
+        'run `node make-tools/ai-result-schema.cjs sync` after changing the schema');
+    assert.deepEqual(aiResult.checkCollection(COLLECTION), []);
+});
+
+test('sync rewrites stale node code and check reports stale callback fixtures', () => {
+    const workflow = loadWorkflow();
+    workflow.nodes.find(node => node.name === aiResult.PROCESS_NODE).parameters.jsCode = 'return [];';
+
+    const synced = aiResult.syncWorkflow(workflow);
+    assert.equal(synced.changed, true);
+    assert.equal(synced.workflow.nodes.find(node => node.name === aiResult.PROCESS_NODE).parameters.jsCode, aiResult.processNodeCode());
+    assert.equal(workflow.nodes.find(node => node.name === aiResult.PROCESS_NODE).parameters.jsCode, 'return [];');
+
+    const collection = {
+        item: [{
+            name: 'n8n Callbacks',
+            item: [{ name: aiResult.SUCCESS_CALLBACK_REQUEST, request: { body: { raw: JSON.stringify({ new_script: 'x', analysis: { improvements_made: ['a'] } }) } } }],
+        }],
+    };
+    assert.deepEqual(aiResult.checkCollection(collection).slice(0, 2), [
+        'n8n Callback - Success: /analysis/tone_analysis is required',
+        'n8n Callback - Success: /analysis/target_audience_fit is required',
+    ]);
+    assert.deepEqual(aiResult.checkCollection({ item: [] }), ['no "n8n Callback - Success" request']);
+});
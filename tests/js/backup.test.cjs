@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { archiveName, listArchives, encodeArchive, decodeArchive } = require('../../n8n/lib/backup-archive.cjs');
+const { BackupManager } = require('../../n8n/lib/backup-manager.cjs');
+
+const tempDirs = [];
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-backup-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function fakeCli(workflows, credentials = []) {
+    const state = {
+        workflows: workflows.map(workflow => ({ ...workflow })),
+        credentials: [...credentials],
+    };
+
+    return {
+        state,
+        calls: [],
+        failImports: 0,
+        exportWorkflows() {
+            return state.workflows.map(workflow => ({ ...workflow }));
+        },
+        exportCredentials() {
+            return [...state.credentials];
+        },
+        importWorkflows(imported) {
+            this.calls.push(['importWorkflows', imported.map(workflow => workflow.id)]);
+            if (this.failImports > 0) {
+                this.failImports--;
+                throw new Error('import:workflow exited with code 1');
+            }
+            for (const workflow of imported) {
+                state.workflows = state.workflows.filter(existing => existing.id !== workflow.id);
+                // n8n deactivates workflows on import
+                state.workflows.push({ ...workflow, active: false });
+            }
+        },
+        importCredentials(imported) {
+            this.calls.push(['importCredentials', imported.map(credential => credential.id)]);
+        },
+        setActive(id, active) {
+            this.calls.push(['setActive', id, active]);
+            state.workflows.find(workflow => workflow.id === id).active = active;
+        },
+    };
+}
+
+let tick = 0;
+function clock() {
+    return () => new Date(Date.UTC(2025, 5, 1, 12, 0, tick++));
+}
+
+const snapshot = {
+    createdAt: '2025-06-01T12:00:00.000Z',
+    workflows: [{ id: 'a', name: 'A', active: true }],
+    credentials: [{ id: 'webhook-auth', data: 'U2FsdGVkX1...' }],
+    active: ['a'],
+};
+
+test('archives round-trip with and without a passphrase', () => {
+    assert.deepEqual(decodeArchive(encodeArchive(snapshot)), { version: 1, ...snapshot });
+    assert.deepEqual(decodeArchive(encodeArchive(snapshot, 'secret'), 'secret'), { version: 1, ...snapshot });
+});
+
+test('encrypted archives need the right passphrase', () => {
+    const encrypted = encodeArchive(snapshot, 'secret');
+
+    assert.ok(!encrypted.includes(Buffer.from('webhook-auth')));
+    assert.throws(() => decodeArchive(encrypted), /set N8N_BACKUP_PASSPHRASE/);
+    assert.throws(() => decodeArchive(encrypted, 'wrong'), /wrong passphrase/);
+});
+
+test('lists archives oldest first and ignores other files', () => {
+    const dir = tempDir();
+    const later = archiveName(new Date('2025-06-02T00:00:00.000Z'), true);
+    const earlier = archiveName(new Date('2025-06-01T00:00:00.000Z'), false);
+    [later, earlier, 'notes.txt'].forEach(name => fs.writeFileSync(path.join(dir, name), ''));
+
+    assert.deepEqual(listArchives(dir).map(archive => archive.name), [earlier, later]);
+});
+
+test('create prunes the oldest archives beyond the retention count', () => {
+    const dir = tempDir();
+    const manager = new BackupManager({ cli: fakeCli(snapshot.workflows), dir, now: clock(), log: () => {} });
+
+    const names = [1, 2, 3].map(() => manager.create({ keep: 2 }).name);
+
+    assert.deepEqual(manager.list().map(archive => archive.name), names.slice(1));
+});
+
+test('restore reactivates exactly the workflows active at snapshot time', () => {
+    const dir = tempDir();
+    const cli = fakeCli([
+        { id: 'a', name: 'A', active: true },
+        { id: 'b', name: 'B', active: false },
+    ]);
+    const manager = new BackupManager({ cli, dir, now: clock(), log: () => {} });
+    const { name } = manager.create();
+
+    // After the snapshot: A is switched off, B on, and a new workflow C appears
+    cli.state.workflows = [
+        { id: 'a', name: 'A', active: false },
+        { id: 'b', name: 'B', active: true },
+        { id: 'c', name: 'C', active: true },
+    ];
+
+    const { extra } = manager.restore(name.slice('n8n-backup-'.length, 'n8n-backup-'.length + 15));
+
+    assert.deepEqual(cli.state.workflows.map(({ id, active }) => [id, active]).sort(), [['a', true], ['b', false], ['c', false]]);
+    assert.deepEqual(extra, [{ id: 'c', name: 'C' }]);
+});
+
+test('pre-restore archives are never "latest" and do not count against the backups', () => {
+    const dir = tempDir();
+    const cli = fakeCli([{ id: 'a', name: 'A', active: true }]);
+    const manager = new BackupManager({ cli, dir, now: clock(), log: () => {} });
+    const backup = manager.create({ keep: 1 }).name;
+
+    const { safety } = manager.restore('latest', { keep: 1 });
+    manager.restore('latest', { keep: 1 });
+
+    const archives = manager.list();
+    assert.match(safety, /^n8n-pre-restore-\d{8}T\d{6}\.\d{3}Z\.json\.gz$/);
+    assert.deepEqual(archives.filter(archive => !archive.safety).map(archive => archive.name), [backup]);
+    assert.equal(archives.filter(archive => archive.safety).length, 1);
+    assert.equal(manager.find('latest').name, backup);
+});
+
+test('a failed restore rolls back to the pre-restore state', () => {
+    const dir = tempDir();
+    const cli = fakeCli([{ id: 'a', name: 'A', active: false }]);
+    const manager = new BackupManager({ cli, dir, now: clock(), log: () => {} });
+    manager.create();
+
+    cli.state.workflows = [{ id: 'a', name: 'A v2', active: true }];
+    cli.failImports = 1;
+
+    assert.throws(() => manager.restore('latest'), /failed and was rolled back: import:workflow exited/);
+    assert.deepEqual(cli.state.workflows, [{ id: 'a', name: 'A v2', active: true }]);
+});
+
+test('a failed rollback reports both errors and the pre-restore archive', () => {
+    const dir = tempDir();
+    const cli = fakeCli([{ id: 'a', name: 'A', active: false }]);
+    const manager = new BackupManager({ cli, dir, now: clock(), log: () => {} });
+    manager.create();
+    cli.failImports = 2;
+
+    assert.throws(() => manager.restore('latest'),
+        /^Error: Restore of n8n-backup-\S+ failed: import:workflow exited with code 1\. Rolling back to (n8n-pre-restore-\S+) failed as well: import:workflow exited with code 1; restore \1 by hand$/);
+});
+
+test('restore refuses an ambiguous snapshot selector', () => {
+    const dir = tempDir();
+    const manager = new BackupManager({ cli: fakeCli([]), dir, now: clock(), log: () => {} });
+    manager.create();
+    manager.create();
+
+    assert.throws(() => manager.restore('2025'), /matches 2 backups/);
+});
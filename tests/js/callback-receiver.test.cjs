@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CallbackReceiver, validateResultPayload, waitForCallback, listCallbacks } = require('../../n8n/lib/callback-receiver.cjs');
+const { signCallback, signPayload } = require('../../n8n/lib/signature.cjs');
+
+const SECRET = 'receiver-test-secret';
+
+async function withReceiver(options, callback) {
+    const receiver = new CallbackReceiver({ secret: SECRET, ...options });
+    const baseUrl = await receiver.listen(0);
+
+    try {
+        return await callback(baseUrl, receiver);
+    } finally {
+        await receiver.close();
+    }
+}
+
+/**
+ * Post a callback with v2 headers, or with `headers` as given (null for none)
+ */
+function post(baseUrl, task, payload, { secret = SECRET, timestamp = undefined, headers: signed = undefined } = {}) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    Object.assign(headers, signed === undefined ? signCallback(body, secret, timestamp === undefined ? {} : { timestamp }) : signed);
+
+    return fetch(`${baseUrl}/api/ad-scripts/${task}/result`, { method: 'POST', headers, body });
+}
+
+test('accepts correctly signed callbacks and answers like the Laravel controller', async () => {
+    await withReceiver({}, async (baseUrl, receiver) => {
+        const response = await post(baseUrl, 42, { new_script: 'const a = 1;', analysis: { summary: 'const' } });
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.error, false);
+        assert.equal(body.message, 'Result processed successfully');
+        assert.deepEqual({ ...body.data, updated_at: null }, {
+            id: '42', status: 'completed', updated_at: null, was_updated: true, new_script: 'const a = 1;', analysis: { summary: 'const' },
+        });
+
+        const [callback] = receiver.callbacks({ task: 42 });
+        assert.equal(callback.signature, 'valid');
+        assert.equal(callback.headers['content-type'], 'application/json');
+        assert.deepEqual(callback.body.analysis, { summary: 'const' });
+
+        const failed = await (await post(baseUrl, 43, { error: 'AI returned invalid JSON' })).json();
+        assert.deepEqual([failed.data.status, failed.data.error_details], ['failed', 'AI returned invalid JSON']);
+    });
+});
+
+test('rejects missing and wrong signatures with the middleware responses, but still records them', async () => {
+    await withReceiver({}, async (baseUrl, receiver) => {
+        const missing = await post(baseUrl, 1, { error: 'x' }, { headers: null });
+        assert.equal(missing.status, 401);
+        assert.deepEqual(await missing.json(), { error: 'Missing webhook signature' });
+
+        const wrong = await post(baseUrl, 1, { error: 'x' }, { secret: 'other-secret' });
+        assert.deepEqual([wrong.status, await wrong.json()], [401, { error: 'Invalid webhook signature' }]);
+
+        const body = JSON.stringify({ error: 'x' });
+        const tampered = await post(baseUrl, 1, JSON.stringify({ error: 'y' }), { headers: signCallback(body, SECRET) });
+        assert.equal(tampered.status, 401);
+
+        assert.deepEqual(receiver.callbacks({ task: 1 }).map(callback => callback.signature), ['missing', 'invalid', 'invalid']);
+    });
+
+    await withReceiver({ secret: null }, async baseUrl => {
+        const response = await post(baseUrl, 1, { error: 'x' }, { secret: 'anything' });
+        assert.deepEqual([response.status, await response.json()], [500, { error: 'Callback HMAC secret not configured' }]);
+    });
+});
+
+test('accepts the previous secret only until it expires', async () => {
+    const options = {
+        previousSecret: 'old-secret',
+        previousSecretExpiresAt: '2030-01-01T00:00:00Z',
+        now: () => new Date('2029-12-31T23:00:00Z'),
+    };
+
+    await withReceiver(options, async (baseUrl, receiver) => {
+        const before = Date.parse('2029-12-31T23:00:00Z') / 1000;
+        assert.equal((await post(baseUrl, 1, { error: 'x' }, { secret: 'old-secret', timestamp: before })).status, 200);
+        assert.equal(receiver.callbacks()[0].signature, 'previous-secret');
+
+        receiver.now = () => new Date('2030-01-01T00:00:01Z');
+        const after = Date.parse('2030-01-01T00:00:01Z') / 1000;
+        assert.equal((await post(baseUrl, 1, { error: 'x' }, { secret: 'old-secret', timestamp: after })).status, 401);
+    });
+});
+
+test('rejects stale timestamps, reused nonces and, once disabled, v1 signatures', async () => {
+    await withReceiver({ tolerance: 60 }, async (baseUrl, receiver) => {
+        const body = JSON.stringify({ error: 'x' });
+        const stale = await post(baseUrl, 1, body, { timestamp: Math.floor(Date.now() / 1000) - 61 });
+        assert.deepEqual([stale.status, await stale.json()], [401, { error: 'Webhook timestamp outside the tolerance window' }]);
+
+        const headers = signCallback(body, SECRET);
+        assert.equal((await post(baseUrl, 1, body, { headers })).status, 200);
+        const replayed = await post(baseUrl, 1, body, { headers });
+        assert.deepEqual([replayed.status, await replayed.json()], [401, { error: 'Webhook nonce already used' }]);
+
+        assert.equal((await post(baseUrl, 1, body, { headers: { 'X-N8N-Signature': signPayload(body, SECRET) } })).status, 200);
+        assert.deepEqual(receiver.callbacks().map(callback => [callback.signature, callback.signatureVersion]), [
+            ['invalid', 2], ['valid', 2], ['invalid', 2], ['valid', 1],
+        ]);
+    });
+
+    await withReceiver({ acceptV1: false }, async baseUrl => {
+        const body = JSON.stringify({ error: 'x' });
+        const v1 = await post(baseUrl, 1, body, { headers: { 'X-N8N-Signature': signPayload(body, SECRET) } });
+        assert.deepEqual([v1.status, await v1.json()], [401, { error: 'Webhook signature v1 is no longer accepted' }]);
+    });
+});
+
+test('applies the ProcessAdScriptResultRequest rules', async () => {
+    assert.deepEqual(validateResultPayload({ new_script: 'x', analysis: { improvements: ['a'], tone: 'ok' } }), {
+        'analysis.improvements': ['Each analysis item must be a string.'],
+    });
+    assert.deepEqual(validateResultPayload({}), { payload: ['Either new_script or error must be provided.'] });
+    assert.deepEqual(validateResultPayload({ new_script: 'x', error: 'y' }), {
+        payload: ['Cannot provide both new_script and error in the same request.'],
+    });
+    assert.deepEqual(validateResultPayload({ new_script: 5, error: 'e'.repeat(5001) }), {
+        new_script: ['The new script must be a string.'],
+        error: ['The error may not be greater than 5,000 characters.'],
+    });
+
+    await withReceiver({}, async baseUrl => {
+        const response = await post(baseUrl, 7, { new_script: 'x', analysis: { improvements: ['a'] } });
+        const body = await response.json();
+
+        assert.equal(response.status, 422);
+        assert.equal(body.message, 'Each analysis item must be a string.');
+    });
+});
+
+test('waits for the callback of a task through the query API', async () => {
+    await withReceiver({ disableAuth: true }, async (baseUrl, receiver) => {
+        const waiting = waitForCallback(baseUrl, 'task-9', { timeoutMs: 2000 });
+        await post(baseUrl, 'task-8', { error: 'other task' }, { headers: null });
+        await post(baseUrl, 'task-9', { new_script: 'done' }, { headers: null });
+
+        const callback = await waiting;
+        assert.equal(callback.task, 'task-9');
+        assert.equal(callback.signature, 'not-checked');
+        assert.equal(callback.body.new_script, 'done');
+
+        assert.equal(await waitForCallback(baseUrl, 'task-9', { timeoutMs: 50, after: callback.id }), null);
+        assert.deepEqual((await listCallbacks(baseUrl)).map(record => record.task), ['task-8', 'task-9']);
+
+        await fetch(`${baseUrl}/__callbacks`, { method: 'DELETE' });
+        assert.deepEqual(receiver.callbacks(), []);
+    });
+});
+
+test('forwards callbacks to Laravel with their signature and answers with its response', async () => {
+    await withReceiver({}, async laravelUrl => {
+        await withReceiver({ secret: null, forwardUrl: `${laravelUrl}/` }, async (baseUrl, receiver) => {
+            const accepted = await post(baseUrl, 7, { new_script: 'const b = 2;' });
+            assert.equal(accepted.status, 200);
+            assert.equal((await accepted.json()).data.new_script, 'const b = 2;');
+
+            const unsigned = await post(baseUrl, 7, { new_script: 'x' }, { headers: null });
+            assert.equal(unsigned.status, 401);
+
+            const [first, second] = receiver.callbacks({ task: 7 });
+            assert.equal(first.forwardedTo, `${laravelUrl}/api/ad-scripts/7/result`);
+            assert.equal(first.signature, 'not-checked');
+            assert.deepEqual([first.status, second.status], [200, 401]);
+            assert.equal(second.response.error, 'Missing webhook signature');
+        });
+    });
+
+    const unreachable = async () => {
+        throw new Error('connect ECONNREFUSED');
+    };
+    await withReceiver({ forwardUrl: 'http://laravel.invalid', fetch: unreachable }, async baseUrl => {
+        const response = await post(baseUrl, 8, { new_script: 'x' });
+        assert.equal(response.status, 502);
+        assert.match((await response.json()).error, /http:\/\/laravel\.invalid\/api\/ad-scripts\/8\/result: connect ECONNREFUSED/);
+    });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeConnections } = require('../../n8n/lib/connection-map.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const nodes = [
+    { id: 'webhook-trigger', name: 'Webhook Trigger', type: 'n8n-nodes-base.webhook' },
+    { id: 'b2', name: 'Set Variables', type: 'n8n-nodes-base.set' },
+    { id: 'c3', name: 'Callback to Laravel', type: 'n8n-nodes-base.httpRequest' },
+    { id: 'd4', name: 'Orphan', type: 'n8n-nodes-base.code' },
+    { id: 'e5', name: 'Note', type: 'n8n-nodes-base.stickyNote' },
+];
+
+function edge(node, index = 0) {
+    return { node, type: 'main', index };
+}
+
+test('resolves node ids to names and merges them with name-keyed entries', () => {
+    const report = normalizeConnections({
+        nodes,
+        connections: {
+            'Set Variables': { main: [[edge('c3')]] },
+            'webhook-trigger': { main: [[edge('Set Variables')]] },
+            'Webhook Trigger': { main: [[edge('b2')]] },
+        },
+    });
+
+    assert.deepEqual(report.connections, {
+        'Webhook Trigger': { main: [[edge('Set Variables')]] },
+        'Set Variables': { main: [[edge('Callback to Laravel')]] },
+    });
+    assert.deepEqual(report.resolved.map(({ ref }) => ref).sort(), ['b2', 'c3', 'webhook-trigger']);
+    assert.deepEqual(report.dangling, []);
+});
+
+test('drops and reports edges to or from missing nodes', () => {
+    const report = normalizeConnections({
+        nodes,
+        connections: {
+            'Webhook Trigger': { main: [[edge('Set Variables'), edge('merge-results', 2)]] },
+            'global-error': { main: [[edge('Callback to Laravel')]] },
+        },
+    });
+
+    assert.deepEqual(report.connections, { 'Webhook Trigger': { main: [[edge('Set Variables')]] } });
+    assert.deepEqual(report.dangling.map(({ source, target }) => [source, target]), [
+        ['Webhook Trigger', 'merge-results'],
+        ['global-error', 'Callback to Laravel'],
+    ]);
+});
+
+test('keeps output positions so a false branch stays on output 1', () => {
+    const report = normalizeConnections({
+        nodes,
+        connections: { 'Webhook Trigger': { main: [[], [edge('Set Variables')]] } },
+    });
+
+    assert.deepEqual(report.connections['Webhook Trigger'].main, [[], [edge('Set Variables')]]);
+});
+
+test('finds nodes no trigger reaches, ignoring sticky notes', () => {
+    const report = normalizeConnections({
+        nodes,
+        connections: {
+            'Webhook Trigger': { main: [[edge('Set Variables')]] },
+            'Set Variables': { main: [[edge('Callback to Laravel')]] },
+        },
+    });
+
+    assert.deepEqual(report.unreachable, ['Orphan']);
+});
+
+test('the committed workflow is canonical', () => {
+    const workflow = loadWorkflow();
+    const report = normalizeConnections(workflow);
+
+    assert.deepEqual(report.dangling, []);
+    assert.deepEqual(report.resolved, []);
+    assert.deepEqual(report.unreachable, []);
+    assert.deepEqual(report.connections, workflow.connections);
+});
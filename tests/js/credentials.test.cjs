@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCredentials, referencedCredentialIds, maskSecret } = require('../../n8n/lib/credentials.cjs');
+const { parseEnv } = require('../../n8n/lib/env-file.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const env = {
+    N8N_AUTH_HEADER_VALUE: 'trigger-secret',
+    OPENROUTER_API_KEY: 'sk-or-v1-123',
+};
+
+test('builds every credential under its stable id', () => {
+    const { credentials, missing } = buildCredentials(env);
+
+    assert.deepEqual(missing, []);
+    assert.deepEqual(credentials.map(credential => credential.id), ['webhook-auth', 'openai-credentials']);
+    assert.deepEqual(credentials[0].data, { name: 'X-Laravel-Trigger-Auth', value: 'trigger-secret' });
+    assert.deepEqual(credentials[1].data, { apiKey: 'sk-or-v1-123', url: 'https://openrouter.ai/api/v1' });
+});
+
+test('reports the variables a credential is missing instead of building it', () => {
+    const { credentials, missing } = buildCredentials({ ...env, OPENROUTER_API_KEY: '' });
+
+    assert.ok(!credentials.some(credential => credential.id === 'openai-credentials'));
+    assert.deepEqual(missing, [{ id: 'openai-credentials', variables: ['OPENROUTER_API_KEY'] }]);
+});
+
+test('the committed workflow only references provisioned credentials', () => {
+    const provisioned = buildCredentials(env).credentials.map(credential => credential.id);
+
+    for (const id of referencedCredentialIds(loadWorkflow())) {
+        assert.ok(provisioned.includes(id), `${id} is not provisioned`);
+    }
+});
+
+test('masks secrets for display', () => {
+    assert.equal(maskSecret('short'), '********');
+    assert.equal(maskSecret('a-very-strong-static-secret'), 'a-ve…et');
+});
+
+test('parses .env files the way Laravel writes them', () => {
+    const values = parseEnv([
+        '# N8n Configuration',
+        'N8N_AUTH_HEADER_KEY=X-Laravel-Trigger-Auth',
+        'N8N_AUTH_HEADER_VALUE="quoted value"',
+        "APP_NAME='Ad Script'",
+        'N8N_DISABLE_AUTH=false # bypass in dev',
+        'EMPTY=',
+        '',
+        'export OPENROUTER_API_KEY=sk-or',
+    ].join('\n'));
+
+    assert.deepEqual(values, {
+        N8N_AUTH_HEADER_KEY: 'X-Laravel-Trigger-Auth',
+        N8N_AUTH_HEADER_VALUE: 'quoted value',
+        APP_NAME: 'Ad Script',
+        N8N_DISABLE_AUTH: 'false',
+        EMPTY: '',
+        OPENROUTER_API_KEY: 'sk-or',
+    });
+});
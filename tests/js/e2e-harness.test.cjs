@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { E2eHarness, checkExpectations, stagesOf, summarizeStages } = require('../../n8n/lib/e2e-harness.cjs');
+
+const APP_URL = 'http://laravel.test';
+const MOCK_AI_URL = 'http://mock-ai.test';
+const RECEIVER_URL = 'http://receiver.test';
+
+function json(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * A scripted Laravel + mock AI + callback receiver behind a fake fetch and a
+ * fake clock: each poll returns the next of `polls` (the last one repeats),
+ * each sleep advances the clock, and the receiver holds `callbacks` for task-1
+ */
+function fakeStack({ polls, submitStatus = 202, aiReceivedAfterMs = null, callbacks = [] }) {
+    const clock = { now: 1_000_000 };
+    const calls = [];
+    const routes = new Map();
+    let pollIndex = 0;
+
+    const fetch = async (url, init = {}) => {
+        const method = init.method || 'GET';
+        calls.push({ method, url, headers: init.headers, body: init.body });
+        const { pathname } = new URL(url);
+
+        if (method === 'POST' && pathname === '/api/ad-scripts') {
+            clock.now += 50;
+            return json(submitStatus, submitStatus === 202 ? { data: { id: 'task-1', status: 'pending' } } : { message: 'nope' });
+        }
+        if (method === 'GET' && pathname === '/api/ad-scripts/task-1') {
+            const data = polls[Math.min(pollIndex++, polls.length - 1)];
+            return json(200, { error: false, data: { id: 'task-1', ...data } });
+        }
+        if (pathname.startsWith('/__mock/routes/')) {
+            const id = pathname.split('/').pop();
+            if (method === 'PUT') {
+                routes.set(id, JSON.parse(init.body));
+            } else {
+                routes.delete(id);
+            }
+            return json(200, {});
+        }
+        if (pathname === '/__mock/requests') {
+            const [route] = calls.filter(call => call.method === 'PUT').map(call => call.url.split('/').pop());
+            const requests = aiReceivedAfterMs === null ? [] : [
+                { route: null, receivedAt: new Date(0).toISOString() },
+                { route, receivedAt: new Date(1_000_000 + aiReceivedAfterMs).toISOString() },
+            ];
+            return json(200, { requests });
+        }
+        if (pathname === '/__callbacks/wait') {
+            const query = new URL(url).searchParams;
+            const callback = callbacks.find(record => query.get('task') === 'task-1' && record.id > Number(query.get('after')));
+            return callback ? json(200, { callback }) : json(408, {});
+        }
+        if (pathname === '/api/health-check' || pathname === '/__mock/scenarios' || pathname === '/__callbacks') {
+            return json(200, {});
+        }
+        throw new Error(`unexpected ${method} ${url}`);
+    };
+
+    return { fetch, calls, clock, routes, now: () => clock.now, sleep: async ms => { clock.now += ms; } };
+}
+
+function harnessFor(stack, options = {}) {
+    return new E2eHarness({
+        appUrl: `${APP_URL}/`,
+        mockAiUrl: `${MOCK_AI_URL}/v1`,
+        callbackReceiverUrl: RECEIVER_URL,
+        pollIntervalMs: 1000,
+        timeoutMs: 10000,
+        fetch: stack.fetch,
+        now: stack.now,
+        sleep: stack.sleep,
+        ...options,
+    });
+}
+
+const COMPLETED_CALLBACK = {
+    id: 3,
+    task: 'task-1',
+    status: 200,
+    body: { new_script: 'Fresh copy', analysis: { improvements_made: 'Shorter', tone_analysis: 'Upbeat' } },
+};
+
+test('routes the scenario through the mock, polls until is_final, reads the result from the callback and times every stage', async () => {
+    const stack = fakeStack({
+        polls: [{ status: 'pending', is_final: false }, { status: 'processing', is_final: false }, { status: 'processing', is_final: false }, { status: 'completed', is_final: true }],
+        aiReceivedAfterMs: 1500,
+        callbacks: [{ id: 2, task: 'task-1', status: 401, body: { new_script: 'unsigned' } }, COMPLETED_CALLBACK],
+    });
+
+    const result = await harnessFor(stack).runCase({
+        name: 'valid',
+        scenario: 'valid',
+        reference_script: 'Buy now\n',
+        outcome_description: 'Make it friendlier',
+        expect: { status: 'completed', new_script: true, analysis_keys: ['improvements_made', 'tone_analysis'] },
+    });
+
+    assert.deepEqual(result.failures, []);
+    assert.equal(result.taskId, 'task-1');
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(result.outcome, { new_script: 'Fresh copy', analysis: COMPLETED_CALLBACK.body.analysis, error_details: undefined });
+    assert.deepEqual(result.timeline, { accepted: 50, processing: 1050, final: 3050, ai_request: 1500 });
+    assert.deepEqual(result.stages, { submit: 50, queue: 1000, n8n: 450, ai_to_final: 1550, total: 3050 });
+
+    const [register, submit] = stack.calls;
+    assert.match(register.url, new RegExp(`^${MOCK_AI_URL}/__mock/routes/e2e-[0-9a-f]{12}$`));
+    assert.deepEqual(JSON.parse(register.body), { match: ['Buy now', 'Make it friendlier'], scenario: 'valid' });
+    assert.equal(submit.url, `${APP_URL}/api/ad-scripts`);
+    assert.deepEqual(JSON.parse(submit.body), { reference_script: 'Buy now\n', outcome_description: 'Make it friendlier' });
+    assert.equal(submit.headers['X-Disable-Rate-Limiting'], undefined);
+    assert.deepEqual(stack.calls.at(-1), { method: 'DELETE', url: register.url, headers: { 'Content-Type': 'application/json' }, body: undefined });
+    assert.equal(stack.routes.size, 0);
+});
+
+test('sends the rate limiting bypass only when asked', async () => {
+    const stack = fakeStack({ polls: [{ status: 'completed', is_final: true }] });
+
+    await harnessFor(stack, { mockAiUrl: null, disableRateLimiting: true }).runCase({ name: 'bypass', reference_script: 'a', outcome_description: 'b' });
+
+    assert.ok(stack.calls.filter(call => call.url.startsWith(APP_URL)).every(call => call.headers['X-Disable-Rate-Limiting'] === 'true'));
+});
+
+test('refuses to run cases with the same input side by side against the mock AI', async () => {
+    const stack = fakeStack({ polls: [{ status: 'completed', is_final: true }] });
+    const cases = [{ name: 'one', reference_script: 'a', outcome_description: 'b' }, { name: 'two', reference_script: 'a ', outcome_description: 'b' }];
+
+    await assert.rejects(harnessFor(stack).runCases(cases, { concurrency: 2 }), /inputs of their own .*: two$/);
+    assert.equal((await harnessFor(stack).runCases(cases)).length, 2);
+});
+
+test('reports wrong final states, bad results and timeouts as failures', async () => {
+    const failed = fakeStack({
+        polls: [{ status: 'failed', is_final: true }],
+        callbacks: [{ id: 1, task: 'task-1', status: 200, body: { error: 'AI returned invalid JSON' } }],
+    });
+    const result = await harnessFor(failed).runCase({ name: 'expects success', reference_script: 'a', outcome_description: 'b', expect: { status: 'completed' } });
+    assert.deepEqual(result.failures, ['status is failed, expected completed (error_details: AI returned invalid JSON)']);
+
+    const stuck = fakeStack({ polls: [{ status: 'processing', is_final: false }] });
+    const timedOut = await harnessFor(stuck, { mockAiUrl: null }).runCase({ name: 'stuck', reference_script: 'a', outcome_description: 'b', timeoutMs: 3000 });
+    assert.deepEqual(timedOut.failures, ['no final status within 3000ms (last: processing)']);
+    assert.deepEqual(timedOut.stages, { submit: 50, queue: 0 });
+
+    const unchecked = fakeStack({ polls: [{ status: 'completed', is_final: true }] });
+    const noCallback = await harnessFor(unchecked, { callbackReceiverUrl: null }).runCase({ name: 'no receiver', reference_script: 'a', outcome_description: 'b', expect: { status: 'completed', new_script: true } });
+    assert.deepEqual(noCallback.failures, ['no accepted callback at the callback receiver to check new_script, analysis and error_details against']);
+
+    const rejected = await harnessFor(fakeStack({ polls: [], submitStatus: 422 })).runCase({ name: 'rejected', reference_script: 'a', outcome_description: 'b' });
+    assert.deepEqual(rejected.failures, ['submission answered 422: {"message":"nope"}']);
+
+    assert.deepEqual(checkExpectations(
+        { new_script: true, analysis_keys: ['tone_analysis', 'recommendations'], error_matches: 'never' },
+        { status: 'completed', task: { is_final: true }, outcome: { new_script: ' ', analysis: { tone_analysis: ['not', 'a', 'string'] } } },
+        1000,
+    ), [
+        'new_script is " ", expected a non-empty string',
+        'analysis.tone_analysis is ["not","a","string"], expected a string',
+        'analysis.recommendations is undefined, expected a string',
+        'error_details undefined does not match /never/',
+    ]);
+});
+
+test('summarizes stages over the cases that observed them', () => {
+    const results = [{ stages: stagesOf({ accepted: 10, processing: 30, final: 100 }) }, { stages: { submit: 20 } }, { stages: { submit: 40 } }];
+
+    assert.deepEqual(summarizeStages(results), {
+        submit: { count: 3, min: 10, median: 20, max: 40 },
+        queue: { count: 1, min: 20, median: 20, max: 20 },
+        total: { count: 1, min: 100, median: 100, max: 100 },
+    });
+});
+
+test('preflight names the services that are not reachable', async () => {
+    const fetch = async url => {
+        if (url.startsWith(MOCK_AI_URL)) {
+            throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+        }
+        return json(503, {});
+    };
+
+    assert.deepEqual(await new E2eHarness({ appUrl: APP_URL, mockAiUrl: MOCK_AI_URL, callbackReceiverUrl: RECEIVER_URL, fetch }).preflight(), [
+        `Laravel answered 503 at ${APP_URL}/api/health-check`,
+        `Mock AI is not reachable at ${MOCK_AI_URL}/__mock/scenarios (ECONNREFUSED)`,
+        `Callback receiver answered 503 at ${RECEIVER_URL}/__callbacks?task=preflight`,
+    ]);
+});
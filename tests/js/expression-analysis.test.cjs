@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeWorkflow, splitTemplate, returnedFields, parse } = require('../../n8n/lib/expression-analysis.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+function node(workflow, name) {
+    return workflow.nodes.find(candidate => candidate.name === name);
+}
+
+function messages(findings, rule) {
+    return findings.filter(finding => finding.rule === rule).map(finding => `${finding.node}: ${finding.message}`);
+}
+
+test('the committed workflow has no expression findings', () => {
+    assert.deepEqual(analyzeWorkflow(loadWorkflow()), []);
+});
+
+test('splits templates without ending a segment inside an object literal', () => {
+    const template = splitTemplate(' {{ {"a": {"b": 1}} }} and {{ $json.x }}');
+
+    assert.deepEqual(template.segments.map(segment => segment.code), [' {"a": {"b": 1}} ', ' $json.x ']);
+    assert.equal(template.literal, '  and ');
+    assert.equal(template.error, null);
+    assert.match(splitTemplate('{{ $json.x').error.message, /Unterminated/);
+});
+
+test('reports syntax errors in expressions and Code nodes', () => {
+    const workflow = loadWorkflow();
+    node(workflow, 'Respond to Webhook').parameters.responseBody = '={{ {"status": "processing", } } }}';
+    node(workflow, 'Format Global Error').parameters.jsCode = "const a = 1;\nreturn [{json: {error: 'x'}}";
+
+    assert.deepEqual(messages(analyzeWorkflow(workflow), 'expressions.syntax'), [
+        'Respond to Webhook: responseBody: Unexpected token',
+        'Format Global Error: jsCode line 2: Unexpected token',
+    ]);
+});
+
+test('reports references to nodes that do not exist', () => {
+    const workflow = loadWorkflow();
+    node(workflow, 'Callback to Laravel').parameters.url = "={{ $('Set Vars').item.json.laravelCallbackUrlBase }}/api/ad-scripts/{{ $node[\"Set Variables\"].json.taskId }}/result";
+    node(workflow, 'Format Global Error').parameters.jsCode = "const items = $items('Webhook');\nreturn [{json: {error: 'x'}}];";
+
+    assert.deepEqual(messages(analyzeWorkflow(workflow), 'expressions.unknown-node'), [
+        'Callback to Laravel: url: no node named "Set Vars"',
+        'Format Global Error: jsCode line 1: no node named "Webhook"',
+    ]);
+});
+
+test('cross-checks field reads against what the source node sets', () => {
+    const workflow = loadWorkflow();
+    node(workflow, 'Format AI Error').parameters.jsCode = 'return [{json:{task_id:$json.taskId,error:$json?.error?.message}}];';
+    node(workflow, 'Process AI JSON').parameters.jsCode = node(workflow, 'Process AI JSON').parameters.jsCode
+        .split("$('Set Variables').first().json.taskId").join("$('Set Variables').first().json.body.task_id");
+    node(workflow, 'Sign Callback').parameters.jsCode = 'return [{json:{body:JSON.stringify($json),headers:{}}}];';
+    node(workflow, 'Callback to Laravel').parameters.body = '={{ $json.rawBody }}';
+
+    const findings = analyzeWorkflow(workflow);
+
+    assert.deepEqual(messages(findings, 'expressions.unknown-field'), [
+        'Format AI Error: jsCode line 1: reads $json.taskId, but its input ("AI response ok?") never sets "taskId"',
+        'Callback to Laravel: body: reads $json.rawBody, but its input ("Sign Callback") never sets "rawBody"',
+    ]);
+    assert.equal(messages(findings, 'expressions.passthrough-field').length, 1);
+    assert.match(messages(findings, 'expressions.passthrough-field')[0],
+        /^Process AI JSON: jsCode line \d+: reads \$\('Set Variables'\)\.json\.body\.task_id, which "Set Variables" only passes through; it defines "taskId", .*; did you mean "taskId"\?$/);
+});
+
+test('flags whitespace around a single {{ }}', () => {
+    const workflow = loadWorkflow();
+    node(workflow, 'Respond to Webhook1').parameters.responseBody = '=  {{ JSON.stringify($json) }}';
+
+    assert.deepEqual(messages(analyzeWorkflow(workflow), 'expressions.literal-text'), [
+        'Respond to Webhook1: responseBody: whitespace around {{ }} makes the value a string; use "={{ JSON.stringify($json) }}"',
+    ]);
+});
+
+test('flags $env reads other than the allowed variables', () => {
+    const workflow = loadWorkflow();
+    node(workflow, 'Respond to Webhook1').parameters.responseBody = '={{ $env.N8N_BASIC_AUTH_PASSWORD }}';
+    node(workflow, 'Format Validation Error').parameters.jsCode = "const secret = $env['N8N_CALLBACK_HMAC_SECRET'];\nreturn [{ json: { env: JSON.stringify($env) } }];";
+
+    assert.deepEqual(messages(analyzeWorkflow(workflow), 'expressions.env-access'), [
+        'Format Validation Error: jsCode line 2: reads $env as a whole; read $env.N8N_CALLBACK_HMAC_SECRET by name',
+        "Respond to Webhook1: responseBody: reads $env.N8N_BASIC_AUTH_PASSWORD; only N8N_CALLBACK_HMAC_SECRET may be read from n8n's environment",
+    ]);
+});
+
+test('infers Code node output fields only from literal returns', () => {
+    const fields = code => {
+        const result = returnedFields(parse(code, false));
+        return result && [...result].sort();
+    };
+
+    assert.deepEqual(fields("if (x) { return [{json: {a: 1}}]; }\nreturn [{json: {b: 2, 'c': 3}}];"), ['a', 'b', 'c']);
+    assert.deepEqual(fields('return {json: {a: 1}};'), ['a']);
+    assert.deepEqual(fields('const f = () => { return 1; };\nreturn [{json: {a: f()}}];'), ['a']);
+    assert.equal(fields('return $input.all();'), null);
+    assert.equal(fields('return [{json: {...$json, a: 1}}];'), null);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MockAiServer, loadScenarios, validateScenarios } = require('../../n8n/lib/mock-ai-server.cjs');
+
+const AUTH = { 'Content-Type': 'application/json', Authorization: 'Bearer sk-mock' };
+
+async function withServer(options, callback) {
+    const server = new MockAiServer(options);
+    const baseUrl = await server.listen(0);
+
+    try {
+        return await callback(baseUrl, server);
+    } finally {
+        await server.close();
+    }
+}
+
+function chat(baseUrl, content, headers = {}) {
+    return fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: { ...AUTH, ...headers },
+        body: JSON.stringify({ model: 'anthropic/claude-3.7-sonnet', messages: [{ role: 'user', content }] }),
+    });
+}
+
+test('the committed scenario file is valid and covers the failure modes', () => {
+    const config = loadScenarios();
+
+    for (const name of ['valid', 'fenced', 'truncated', 'wrong-types', 'rate-limit', 'server-error', 'slow']) {
+        assert.ok(config.scenarios[name], `missing scenario ${name}`);
+    }
+    assert.deepEqual(validateScenarios({ default: 'nope', scenarios: { a: {}, b: { sequence: ['c'] } } }), [
+        'default scenario "nope" is not defined',
+        'a: needs a "content" string or an error "status"',
+        'b: sequence steps must name non-sequence scenarios (c)',
+    ]);
+});
+
+test('answers chat and text completions with the active scenario', async () => {
+    await withServer({}, async baseUrl => {
+        const chatResult = await (await chat(baseUrl, 'Refactor this')).json();
+        assert.equal(chatResult.object, 'chat.completion');
+        assert.equal(chatResult.model, 'anthropic/claude-3.7-sonnet');
+        assert.equal(typeof JSON.parse(chatResult.choices[0].message.content).new_script, 'string');
+
+        const response = await fetch(`${baseUrl.replace(/\/v1$/, '/api/v1')}/completions`, {
+            method: 'POST',
+            headers: AUTH,
+            body: JSON.stringify({ model: 'x', prompt: 'Refactor this' }),
+        });
+        const textResult = await response.json();
+        assert.equal(textResult.object, 'text_completion');
+        assert.ok(JSON.parse(textResult.choices[0].text).analysis);
+    });
+});
+
+test('picks the scenario from the header, a prompt marker or the control endpoint', async () => {
+    await withServer({}, async (baseUrl, server) => {
+        const fenced = await (await chat(baseUrl, 'x', { 'X-Mock-Scenario': 'fenced' })).json();
+        assert.match(fenced.choices[0].message.content, /^Here is the refactored script:\n\n```json\n\{/);
+
+        const truncated = await (await chat(baseUrl, 'Shorten it [mock-scenario:truncated]')).json();
+        assert.equal(truncated.choices[0].finish_reason, 'length');
+        assert.throws(() => JSON.parse(truncated.choices[0].message.content));
+
+        const origin = baseUrl.replace(/\/v1$/, '');
+        const selected = await fetch(`${origin}/__mock/scenario`, { method: 'PUT', body: JSON.stringify({ name: 'wrong-types' }) });
+        assert.deepEqual(await selected.json(), { active: 'wrong-types' });
+        const wrong = await (await chat(baseUrl, 'x')).json();
+        assert.equal(typeof JSON.parse(wrong.choices[0].message.content).new_script, 'number');
+
+        const unknown = await fetch(`${origin}/__mock/scenario`, { method: 'PUT', body: JSON.stringify({ name: 'nope' }) });
+        assert.equal(unknown.status, 400);
+
+        assert.deepEqual(server.requests.map(request => request.scenario), ['fenced', 'truncated', 'wrong-types']);
+        assert.equal(server.requests[1].prompt, 'Shorten it [mock-scenario:truncated]');
+    });
+});
+
+test('returns OpenAI-style errors for rate limits, server errors and missing keys', async () => {
+    await withServer({}, async baseUrl => {
+        const limited = await chat(baseUrl, 'x', { 'X-Mock-Scenario': 'rate-limit' });
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get('retry-after'), '20');
+        assert.equal((await limited.json()).error.type, 'rate_limit_exceeded');
+
+        assert.equal((await chat(baseUrl, 'x', { 'X-Mock-Scenario': 'server-error' })).status, 500);
+
+        const anonymous = await fetch(`${baseUrl}/chat/completions`, { method: 'POST', body: '{}' });
+        assert.equal(anonymous.status, 401);
+    });
+});
+
+test('sequences advance per request and delays hold the response back', async () => {
+    const config = {
+        default: 'flaky',
+        scenarios: {
+            ok: { content: '{}' },
+            late: { content: '{}', delayMs: 150 },
+            limited: { status: 429, error: { message: 'slow down' } },
+            flaky: { sequence: ['limited', 'ok'] },
+        },
+    };
+
+    await withServer({ config }, async baseUrl => {
+        const statuses = [];
+        for (let attempt = 0; attempt < 3; attempt++) {
+            statuses.push((await chat(baseUrl, 'x')).status);
+        }
+        assert.deepEqual(statuses, [429, 200, 200]);
+
+        const started = Date.now();
+        await chat(baseUrl, 'x', { 'X-Mock-Scenario': 'late' });
+        assert.ok(Date.now() - started >= 140);
+    });
+});
+
+test('routes pick the scenario for prompts holding their strings and keep their own sequences', async () => {
+    const config = {
+        default: 'ok',
+        scenarios: {
+            ok: { content: '{"new_script": "ok"}' },
+            limited: { status: 429, error: { message: 'slow down' } },
+            flaky: { sequence: ['limited', 'ok'] },
+        },
+    };
+
+    await withServer({ config }, async (baseUrl, server) => {
+        const origin = baseUrl.replace(/\/v1$/, '');
+        const put = (id, body) => fetch(`${origin}/__mock/routes/${id}`, { method: 'PUT', body: JSON.stringify(body) });
+
+        assert.deepEqual(await (await put('case-a', { match: ['script A', 'outcome A'], scenario: 'flaky' })).json(),
+            { id: 'case-a', match: ['script A', 'outcome A'], scenario: 'flaky' });
+        await put('case-b', { match: ['script B'], scenario: 'flaky' });
+        assert.equal((await put('bad', { match: [] })).status, 400);
+        assert.equal((await put('bad', { match: ['x'], scenario: 'nope' })).status, 400);
+
+        const statuses = [];
+        for (const prompt of ['script A / outcome A', 'script B', 'script A / outcome A', 'script A only']) {
+            statuses.push((await chat(baseUrl, prompt)).status);
+        }
+        assert.deepEqual(statuses, [429, 429, 200, 200]);
+        assert.deepEqual(server.requests.map(request => request.route), ['case-a', 'case-b', 'case-a', null]);
+
+        assert.equal((await fetch(`${origin}/__mock/routes/case-a`, { method: 'DELETE' })).status, 200);
+        assert.equal((await fetch(`${origin}/__mock/routes/case-a`, { method: 'DELETE' })).status, 404);
+        assert.equal((await chat(baseUrl, 'script A / outcome A')).status, 200);
+        assert.deepEqual((await (await fetch(`${origin}/__mock/routes`)).json()).routes.map(route => route.id), ['case-b']);
+    });
+});
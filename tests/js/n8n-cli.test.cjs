@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { N8nCli, parseJsonOutput } = require('../../n8n/lib/n8n-cli.cjs');
+
+/**
+ * N8nCli that records its commands instead of running them, and what the
+ * copied file held at the time
+ */
+function recordingCli(exec) {
+    const cli = new N8nCli({ exec, service: 'n8n' });
+    cli.calls = [];
+    cli.imported = [];
+    cli.execFile = (command, args) => {
+        cli.calls.push([command, ...args]);
+        const input = args.find(arg => arg.startsWith('--input='));
+        if (exec === 'local' && input) {
+            cli.imported.push(JSON.parse(fs.readFileSync(input.slice('--input='.length), 'utf8')));
+        }
+        if (args[1] === 'cp') {
+            cli.imported.push(JSON.parse(fs.readFileSync(args[2], 'utf8')));
+        }
+        return '';
+    };
+    return cli;
+}
+
+test('importWorkflow imports a one-workflow list', () => {
+    const cli = recordingCli('local');
+
+    cli.importWorkflow({ id: 'w1', name: 'One' });
+
+    assert.deepEqual(cli.imported, [[{ id: 'w1', name: 'One' }]]);
+    assert.equal(cli.calls.length, 1);
+    assert.equal(cli.calls[0][1], 'import:workflow');
+    assert.equal(fs.existsSync(cli.calls[0][2].slice('--input='.length)), false);
+});
+
+test('imports remove the temporary file locally and inside the container', () => {
+    for (const [method, command] of [['importWorkflows', 'import:workflow'], ['importCredentials', 'import:credentials']]) {
+        const cli = recordingCli('docker');
+
+        cli[method]([{ id: 'x' }]);
+
+        const [copy, run, remove] = cli.calls;
+        const localFile = copy[3];
+        const target = copy[4].replace('n8n:', '');
+        assert.deepEqual(cli.imported, [[{ id: 'x' }]]);
+        assert.deepEqual(run, ['docker', 'compose', 'exec', '-T', 'n8n', 'n8n', command, `--input=${target}`]);
+        assert.deepEqual(remove, ['docker', 'compose', 'exec', '-T', 'n8n', 'rm', '-f', target]);
+        assert.equal(fs.existsSync(localFile), false);
+    }
+});
+
+test('the container copy is removed when the import fails', () => {
+    const cli = recordingCli('docker');
+    const record = cli.execFile;
+    cli.execFile = (command, args) => {
+        record(command, args);
+        if (args.includes('import:workflow')) {
+            throw new Error('import failed');
+        }
+        return '';
+    };
+
+    assert.throws(() => cli.importWorkflows([{ id: 'x' }]), /import failed/);
+    assert.deepEqual(cli.calls.at(-1).slice(-3), ['rm', '-f', cli.calls[0][4].replace('n8n:', '')]);
+});
+
+test('parseJsonOutput skips log lines before the JSON', () => {
+    assert.deepEqual(parseJsonOutput('Loading...\n[{"id": "1"}]\n'), [{ id: '1' }]);
+    assert.throws(() => parseJsonOutput('nothing here'), /did not print JSON/);
+});
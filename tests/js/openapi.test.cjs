@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Ajv = require('ajv');
+
+const openapi = require('../../n8n/lib/openapi.cjs');
+const postman = require('../../n8n/lib/postman-collection.cjs');
+
+const document = openapi.buildOpenApi();
+
+function bodyOf(apiPath, method = 'post') {
+    return document.paths[apiPath][method].requestBody.content['application/json'];
+}
+
+test('the committed OpenAPI document is generated from docs/api/routes.json', () => {
+    const { changed, diff } = openapi.compareOpenApi();
+    assert.equal(changed, false, `${diff}\nrun \`node make-tools/openapi.cjs build\` after php artisan api:routes-dump`);
+});
+
+test('describes the ad script, callback and health check routes from their middleware and rules', () => {
+    assert.equal(document.openapi, '3.1.0');
+
+    const store = document.paths['/ad-scripts'].post;
+    assert.equal(store.operationId, 'storeAdScriptTask');
+    assert.deepEqual(bodyOf('/ad-scripts').schema.required, ['reference_script', 'outcome_description']);
+    assert.deepEqual(Object.keys(store.responses).sort(), ['2XX', '422', '429']);
+
+    const result = document.paths['/ad-scripts/{task}/result'].post;
+    assert.equal(result.operationId, 'processAdScriptResult');
+    assert.deepEqual(result.security, [{ n8nSignature: [] }]);
+    assert.deepEqual(result.parameters.map(parameter => `${parameter.in}:${parameter.name}`), ['path:task', 'header:X-N8N-Timestamp', 'header:X-N8N-Nonce']);
+    assert.deepEqual(result.responses[401], { $ref: '#/components/responses/InvalidSignature' });
+    assert.deepEqual(bodyOf('/ad-scripts/{task}/result').schema.properties.analysis.items.type, 'string');
+
+    const healthCheck = document.paths['/health-check'].get;
+    assert.equal(healthCheck.operationId, 'getHealthCheck');
+    assert.deepEqual(healthCheck.responses, { '2XX': { description: 'Success' } });
+
+    assert.deepEqual(Object.keys(document.components.securitySchemes).sort(), ['n8nSignature', 'sanctum']);
+});
+
+test('turns rules into JSON Schema keywords by type', () => {
+    assert.deepEqual(openapi.parseRule('in:a,b'), { name: 'in', args: ['a', 'b'] });
+    assert.deepEqual(openapi.fieldSchema(['nullable', 'string', 'max:5000']), {
+        type: ['string', 'null'],
+        maxLength: 5000,
+        'x-laravel-rules': ['nullable', 'string', 'max:5000'],
+    });
+    assert.deepEqual(openapi.fieldSchema(['array', 'min:1']), { type: 'array', minItems: 1, 'x-laravel-rules': ['array', 'min:1'] });
+    assert.deepEqual(openapi.fieldSchema(['integer', 'max:9']), { type: 'integer', maximum: 9, 'x-laravel-rules': ['integer', 'max:9'] });
+    assert.deepEqual(openapi.fieldSchema(['min:3', 'in:a,b']), { enum: ['a', 'b'], 'x-laravel-rules': ['min:3', 'in:a,b'] });
+
+    const schema = openapi.bodySchema({ 'meta.tags': ['required', 'array'], 'meta.tags.*': ['string'], name: ['required', 'string'] });
+    assert.deepEqual(schema.required, ['name']);
+    assert.deepEqual(schema.properties.meta.required, ['tags']);
+    assert.equal(schema.properties.meta.properties.tags.items.type, 'string');
+});
+
+test('each body example breaks exactly the rule it is named after', () => {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+
+    for (const { path: apiPath, name, example } of openapi.bodyExamples(document)) {
+        const validate = ajv.compile(bodyOf(apiPath).schema);
+        assert.equal(validate(example.value), false, name);
+
+        const fields = validate.errors.map(error => error.params.missingProperty || error.instancePath.slice(1));
+        assert.deepEqual([...new Set(fields)].sort(), Object.keys(example['x-expected-errors']).sort(), name);
+        assert.equal(example['x-expected-status'], 422);
+    }
+
+    const { examples } = bodyOf('/ad-scripts');
+    assert.deepEqual(Object.keys(examples), [
+        'missing-required',
+        'reference_script-below-min',
+        'reference_script-above-max',
+        'outcome_description-below-min',
+        'outcome_description-above-max',
+    ]);
+    assert.equal(examples['outcome_description-below-min'].value.outcome_description.length, 4);
+    assert.equal(examples['outcome_description-below-min']['x-expected-errors'].outcome_description, 'The outcome description must be at least 5 characters.');
+    assert.equal(examples['reference_script-above-max'].value.reference_script.length, 10001);
+    assert.deepEqual(Object.keys(bodyOf('/ad-scripts/{task}/result').examples), ['new_script-above-max', 'error-above-max']);
+});
+
+test('skips below-min examples Laravel would read as an empty value', () => {
+    const schema = openapi.bodySchema({ title: ['required', 'string', 'min:1', 'max:3'] });
+    assert.deepEqual(Object.keys(openapi.validationExamples(schema)), ['missing-required', 'title-above-max']);
+    assert.equal(openapi.validationExamples(schema)['missing-required']['x-expected-errors'].title, null);
+});
+
+test('generated example text has the exact length and no trailing space', () => {
+    for (const length of [4, 9, 26, 79, 80, 1001]) {
+        const text = openapi.sampleText(length);
+        assert.equal(text.length, length);
+        assert.doesNotMatch(text, /\s$/);
+    }
+});
+
+test('the Postman collection has one signed or plain request per body example', () => {
+    const folder = postman.buildCollection().item.find(item => item.name === 'Validation Edge Cases');
+    const examples = openapi.bodyExamples(JSON.parse(require('fs').readFileSync(openapi.DEFAULT_OPENAPI_FILE, 'utf8')));
+
+    const lengthOf = value => Object.fromEntries(Object.entries(value).map(([field, text]) => [field, typeof text === 'string' ? text.length : text]));
+    assert.deepEqual(folder.item.map(item => {
+        const body = JSON.parse(item.request.body.raw);
+        const exec = item.event[0].script.exec;
+        for (const [field, text] of Object.entries(body)) {
+            const built = /^<(\d+) characters, built by the pre-request script>$/.exec(text);
+            if (built) {
+                assert.ok(exec.includes(`exampleBody[${JSON.stringify(field)}] = "a".repeat(${built[1]});`), `${item.name}: ${field}`);
+                body[field] = 'a'.repeat(Number(built[1]));
+            }
+        }
+        return lengthOf(body);
+    }), examples.map(({ example }) => lengthOf(example.value)));
+    for (const item of folder.item) {
+        const signed = item.request.url.raw.endsWith('/result');
+        assert.equal(item.request.header.some(header => header.key === 'X-N8N-Signature'), signed, item.name);
+        assert.equal(item.event[0].listen === 'prerequest', signed || item.request.body.raw.includes('built by the pre-request script'), item.name);
+    }
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const postman = require('../../n8n/lib/postman-collection.cjs');
+const { loadAiResultSchema } = require('../../n8n/lib/ai-result.cjs');
+
+function writeSources(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-src-'));
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return dir;
+}
+
+const COLLECTION_SOURCE = {
+    'collection.json': { info: { name: 'Sample' }, variable: [{ key: 'base_url', value: 'http://localhost:8000/api' }] },
+};
+
+function request(name, extra = {}) {
+    return { name, method: 'POST', url: '{{base_url}}/ad-scripts', ...extra };
+}
+
+test('the committed collection is generated from postman/src', () => {
+    const { changed, diff } = postman.compareCollection();
+    assert.equal(changed, false, `${diff}\nrun \`node make-tools/postman-collection.cjs build\` after editing postman/src`);
+});
+
+test('the success callback body is the AI result schema example', () => {
+    const collection = postman.buildCollection();
+    const success = collection.item.flatMap(folder => folder.item).find(item => item.name === 'n8n Callback - Success');
+
+    assert.deepEqual(JSON.parse(success.request.body.raw), loadAiResultSchema().examples[0]);
+});
+
+test('builds folders and requests in directory order with bodies, scripts and parsed URLs', t => {
+    const dir = writeSources({
+        ...COLLECTION_SOURCE,
+        'scripts/sign.js': 'pm.environment.set("hmac_signature", "x");\n',
+        '02-callbacks/folder.json': { name: 'Callbacks' },
+        '02-callbacks/01-result/request.json': request('Result', { url: '{{base_url}}/ad-scripts/{{id}}/result?debug=1', prerequest: 'sign' }),
+        '02-callbacks/01-result/body.txt': 'not json\n',
+        '01-tasks/folder.json': { name: 'Tasks', description: 'Task endpoints' },
+        '01-tasks/02-invalid/request.json': request('Invalid'),
+        '01-tasks/02-invalid/body.json': '{"reference_script": "short"}',
+        '01-tasks/01-create/request.json': request('Create', { header: [{ key: 'Accept', value: 'application/json' }] }),
+        '01-tasks/01-create/test.js': 'pm.test("ok", function () {\n    pm.response.to.have.status(202);\n});\n',
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const collection = postman.buildCollection(dir);
+
+    assert.deepEqual(Object.keys(collection), ['info', 'item', 'variable']);
+    assert.deepEqual(collection.item.map(folder => [folder.name, folder.item.map(item => item.name)]), [
+        ['Tasks', ['Create', 'Invalid']],
+        ['Callbacks', ['Result']],
+    ]);
+
+    const [create, invalid] = collection.item[0].item;
+    assert.deepEqual(create.event, [{ listen: 'test', script: { exec: ['pm.test("ok", function () {', '    pm.response.to.have.status(202);', '});'], type: 'text/javascript' } }]);
+    assert.equal(create.request.body, undefined);
+    assert.equal(invalid.request.body.raw, '{\n    "reference_script": "short"\n}');
+
+    const [result] = collection.item[1].item;
+    assert.deepEqual(result.event[0].script.exec, ['pm.environment.set("hmac_signature", "x");']);
+    assert.deepEqual(result.request.body, { mode: 'raw', raw: 'not json' });
+    assert.deepEqual(result.request.url, {
+        raw: '{{base_url}}/ad-scripts/{{id}}/result?debug=1',
+        host: ['{{base_url}}'],
+        path: ['ad-scripts', '{{id}}', 'result'],
+        query: [{ key: 'debug', value: '1' }],
+    });
+});
+
+test('runs shared scripts and libraries in order before the request script', t => {
+    const dir = writeSources({
+        ...COLLECTION_SOURCE,
+        'scripts/sign.js': 'pm.environment.set("hmac_signature", n8nSignature.sign(pm.request.body.raw, "s"));\n',
+        '01-a/request.json': request('A', { prerequest: ['n8n-signature', 'sign'] }),
+        '01-a/prerequest.js': 'console.log("signed");\n',
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const [item] = postman.buildCollection(dir).item;
+    const exec = item.event[0].script.exec.join('\n');
+
+    assert.ok(exec.startsWith(require('../../n8n/lib/signature.cjs').cryptoJsSource()));
+    assert.ok(exec.endsWith('\n\npm.environment.set("hmac_signature", n8nSignature.sign(pm.request.body.raw, "s"));\n\nconsole.log("signed");'));
+});
+
+test('parses absolute URLs into protocol, host, port and path', () => {
+    assert.deepEqual(postman.parseUrl('http://localhost:8000/api/health-check'), {
+        raw: 'http://localhost:8000/api/health-check',
+        protocol: 'http',
+        host: ['localhost'],
+        port: '8000',
+        path: ['api', 'health-check'],
+    });
+});
+
+test('rejects ambiguous or incomplete sources', t => {
+    const cases = [
+        [{ '01-a/request.json': request('A'), '01-a/body.json': '{}', '01-a/body.txt': 'x' }, /more than one body source \(body\.json, body\.txt\)/],
+        [{ '01-a/request.json': request('A', { prerequest: 'nope' }) }, /shared script "nope" not found/],
+        [{ '01-a/request.json': { name: 'A', method: 'GET' } }, /"url" is required/],
+        [{ '01-a/request.json': request('A'), '02-b/request.json': request('A') }, /duplicate name "A"/],
+        [{ '01-a/notes.md': 'x' }, /neither a request \(request\.json\) nor a folder/],
+    ];
+
+    for (const [files, error] of cases) {
+        const dir = writeSources({ ...COLLECTION_SOURCE, ...files });
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        assert.throws(() => postman.buildCollection(dir), error);
+    }
+});
+
+test('check reports a diff until build rewrites the collection', t => {
+    const dir = writeSources({ ...COLLECTION_SOURCE, '01-a/request.json': request('A') });
+    const file = path.join(dir, 'collection.out.json');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    fs.writeFileSync(file, '{}\n');
+    const stale = postman.compareCollection(file, dir);
+    assert.equal(stale.changed, true);
+    assert.match(stale.diff, /^-\{\}$/m);
+
+    assert.deepEqual(postman.writeCollection(file, dir), { changed: true });
+    assert.deepEqual(postman.compareCollection(file, dir), { changed: false, diff: '' });
+    assert.deepEqual(postman.writeCollection(file, dir), { changed: false });
+    assert.equal(fs.readFileSync(file, 'utf8'), postman.renderCollection(postman.buildCollection(dir)));
+});
+
+test('generates a folder of requests from the body examples of an OpenAPI document', t => {
+    const { buildOpenApi } = require('../../n8n/lib/openapi.cjs');
+    const document = buildOpenApi({
+        prefix: 'api',
+        routes: [{
+            methods: ['POST'],
+            uri: 'api/ad-scripts/{task}/result',
+            action: 'App\\Http\\Controllers\\Api\\ProcessAdScriptResultController@__invoke',
+            parameters: ['task'],
+            middleware: ['api', 'webhook.signature'],
+            request: { class: 'App\\Http\\Requests\\ProcessAdScriptResultRequest', rules: { error: ['nullable', 'string', 'max:5'] }, messages: { 'error.max': 'Too long.' } },
+        }],
+    });
+    const folder = {
+        name: 'Edge Cases',
+        openapi: 'openapi.json',
+        pathVariables: { task: '{{id}}' },
+        security: { n8nSignature: { prerequest: 'sign', header: [{ key: 'X-N8N-Signature', value: '{{hmac_signature}}' }] } },
+    };
+    const dir = writeSources({
+        ...COLLECTION_SOURCE,
+        'scripts/sign.js': 'pm.environment.set("hmac_signature", "x");\n',
+        'openapi.json': document,
+        '01-edge/folder.json': folder,
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    folder.openapi = path.join(dir, 'openapi.json');
+    fs.writeFileSync(path.join(dir, '01-edge/folder.json'), JSON.stringify(folder));
+
+    const [{ item: [item] }] = postman.buildCollection(dir).item;
+
+    assert.equal(item.name, 'POST /ad-scripts/{task}/result - error above max:5');
+    assert.equal(item.request.url.raw, '{{base_url}}/ad-scripts/{{id}}/result');
+    assert.deepEqual(JSON.parse(item.request.body.raw), { error: 'Lorem.' });
+    assert.deepEqual(item.request.header.map(header => header.key), ['Content-Type', 'Accept', 'X-N8N-Signature']);
+    assert.deepEqual(item.event.map(event => event.listen), ['prerequest', 'test']);
+    assert.deepEqual(item.event[0].script.exec, ['pm.environment.set("hmac_signature", "x");']);
+    assert.deepEqual(item.event[1].script.exec, [
+        'pm.test("Status code is 422", function () {',
+        '    pm.response.to.have.status(422);',
+        '});',
+        '',
+        'pm.test("Rejects error", function () {',
+        '    const jsonData = pm.response.json();',
+        '    pm.expect(jsonData.errors).to.have.property("error");',
+        '    pm.expect(jsonData.errors["error"]).to.include("Too long.");',
+        '});',
+    ]);
+
+    for (const [key, error] of [['pathVariables', /no "pathVariables" value for \{task\}/], ['security', /no "security" entry for n8nSignature/]]) {
+        fs.writeFileSync(path.join(dir, '01-edge/folder.json'), JSON.stringify({ ...folder, [key]: {} }));
+        assert.throws(() => postman.buildCollection(dir), error);
+    }
+});
+
+test('builds the long strings of OpenAPI examples in a pre-request script before signing', t => {
+    const { buildOpenApi } = require('../../n8n/lib/openapi.cjs');
+    const document = buildOpenApi({
+        prefix: 'api',
+        routes: [{
+            methods: ['POST'],
+            uri: 'api/ad-scripts/{task}/result',
+            action: 'App\\Http\\Controllers\\Api\\ProcessAdScriptResultController@__invoke',
+            parameters: ['task'],
+            middleware: ['api', 'webhook.signature'],
+            request: { class: 'App\\Http\\Requests\\ProcessAdScriptResultRequest', rules: { error: ['nullable', 'string', 'max:1500'] }, messages: {} },
+        }],
+    });
+    const dir = writeSources({
+        ...COLLECTION_SOURCE,
+        'scripts/sign.js': 'pm.environment.set("hmac_signature", pm.request.body.raw.length);\n',
+        'openapi.json': document,
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, '01-edge'));
+    fs.writeFileSync(path.join(dir, '01-edge/folder.json'), JSON.stringify({
+        name: 'Edge Cases',
+        openapi: path.join(dir, 'openapi.json'),
+        pathVariables: { task: '{{id}}' },
+        security: { n8nSignature: { prerequest: 'sign' } },
+    }));
+
+    const [{ item: [item] }] = postman.buildCollection(dir).item;
+
+    assert.deepEqual(JSON.parse(item.request.body.raw), { error: '<1501 characters, built by the pre-request script>' });
+    assert.deepEqual(item.event.map(event => event.listen), ['prerequest', 'test']);
+
+    const environment = {};
+    const pm = {
+        request: { body: { raw: item.request.body.raw, update(raw) { this.raw = raw; } } },
+        environment: { set: (key, value) => { environment[key] = value; } },
+    };
+    new Function('pm', item.event[0].script.exec.join('\n'))(pm);
+
+    assert.deepEqual(JSON.parse(pm.request.body.raw), { error: 'a'.repeat(1501) });
+    assert.equal(environment.hmac_signature, pm.request.body.raw.length);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const postman = require('../../n8n/lib/postman-collection.cjs');
+const { checkCallback, nodeSigner } = require('../../n8n/lib/signature.cjs');
+
+const collection = postman.buildCollection();
+const requests = collection.item.flatMap(folder => folder.item);
+const callbacks = requests.filter(item => /\/result$/.test(item.request.url.raw));
+const variables = Object.fromEntries(collection.variable.map(variable => [variable.key, variable.value]));
+const SECRET = variables.n8n_callback_hmac_secret;
+
+// The part of CryptoJS the n8n-signature library uses, backed by Node's crypto
+const CryptoJS = {
+    enc: { Hex: 'hex' },
+    HmacSHA256: (body, secret) => ({ toString: encoding => crypto.createHmac('sha256', secret).update(body).digest(encoding) }),
+};
+
+/**
+ * Run a request's pre-request script against a minimal Postman sandbox
+ */
+function runPrerequest(item, overrides = {}) {
+    const environment = new Map();
+    const removedHeaders = [];
+    const scope = { ...variables, ...overrides };
+    const body = { ...item.request.body, update(raw) { this.raw = raw; } };
+    const pm = {
+        info: { requestName: item.name },
+        request: { body, headers: { remove: name => removedHeaders.push(name) } },
+        variables: {
+            get: key => environment.has(key) ? environment.get(key) : scope[key],
+            replaceIn: text => text.replace('{{$guid}}', () => crypto.randomUUID()),
+        },
+        environment: { get: key => environment.get(key), set: (key, value) => environment.set(key, value) },
+        sendRequest: () => {},
+    };
+    const quiet = { log: () => {}, warn: () => {}, error: () => {} };
+
+    const script = item.event.find(event => event.listen === 'prerequest').script.exec.join('\n');
+    vm.runInNewContext(script, { pm, CryptoJS, console: quiet });
+
+    return {
+        removedHeaders,
+        body: body.raw,
+        headers: {
+            'X-N8N-Signature': environment.get('hmac_signature'),
+            'X-N8N-Timestamp': environment.get('hmac_timestamp'),
+            'X-N8N-Nonce': environment.get('hmac_nonce'),
+        },
+    };
+}
+
+function withMode(item, mode, overrides = {}) {
+    return runPrerequest(item, { [postman.signingModeVariable(item.name)]: mode, ...overrides });
+}
+
+test('every callback request is signed by sign-callback in a declared mode', () => {
+    assert.ok(callbacks.length >= 4);
+    for (const item of callbacks) {
+        const script = item.event.find(event => event.listen === 'prerequest').script.exec.join('\n');
+        assert.match(script, /const n8nSignature = /, item.name);
+        assert.match(script, /signing_mode:/, item.name);
+        assert.ok(postman.SIGNING_MODES.includes(variables[postman.signingModeVariable(item.name)]), item.name);
+        assert.deepEqual(item.request.header.filter(header => header.key.startsWith('X-N8N-')).map(header => header.value),
+            ['{{hmac_signature}}', '{{hmac_timestamp}}', '{{hmac_nonce}}'], item.name);
+    }
+
+    assert.equal(variables[postman.signingModeVariable('n8n Callback - Invalid Signature')], 'wrong-secret');
+});
+
+test('each signing mode produces the headers Laravel answers it with', () => {
+    const success = callbacks.find(item => item.name === 'n8n Callback - Success');
+    const body = success.request.body.raw;
+    const check = headers => checkCallback(body, headers, { secrets: [SECRET], acceptV1: false });
+
+    for (const item of callbacks.filter(candidate => variables[postman.signingModeVariable(candidate.name)] === 'valid')) {
+        const { body: sent, headers } = runPrerequest(item);
+        assert.equal(checkCallback(sent, headers, { secrets: [SECRET] }).valid, true, item.name);
+    }
+
+    assert.deepEqual(withMode(success, 'missing').removedHeaders, ['X-N8N-Signature', 'X-N8N-Timestamp', 'X-N8N-Nonce']);
+    assert.equal(check(withMode(success, 'tampered-body').headers).error, 'Invalid webhook signature');
+    assert.equal(check(withMode(success, 'wrong-secret').headers).error, 'Invalid webhook signature');
+
+    const expired = withMode(success, 'expired-timestamp', { n8n_signature_tolerance: '120' }).headers;
+    assert.equal(checkCallback(body, expired, { secrets: [SECRET], tolerance: 120 }).error, 'Webhook timestamp outside the tolerance window');
+    assert.ok(nodeSigner.verifyV2(body, expired['X-N8N-Signature'], SECRET, expired['X-N8N-Timestamp'], expired['X-N8N-Nonce']));
+});
+
+test('throws instead of sending a bad signature when a valid one cannot be produced', () => {
+    const success = callbacks.find(item => item.name === 'n8n Callback - Success');
+    const placeholder = { n8n_callback_hmac_secret: '{{N8N_CALLBACK_HMAC_SECRET}}' };
+
+    assert.throws(() => withMode(success, 'valid', placeholder), /signing mode "valid" needs n8n_callback_hmac_secret/);
+    assert.throws(() => withMode(success, 'expired-timestamp', { n8n_callback_hmac_secret: '' }), /needs n8n_callback_hmac_secret/);
+    assert.throws(() => withMode(success, undefined), /no signing mode: set the collection variable "signing_mode:n8n Callback - Success"/);
+    assert.throws(() => withMode(success, 'sloppy'), /unknown signing mode "sloppy"/);
+
+    for (const mode of ['missing', 'tampered-body', 'wrong-secret']) {
+        assert.doesNotThrow(() => withMode(success, mode, placeholder), mode);
+    }
+});
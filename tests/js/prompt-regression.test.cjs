@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadAiResultSchema } = require('../../n8n/lib/ai-result.cjs');
+const harness = require('../../n8n/lib/prompt-harness.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const fixtures = harness.loadFixtures();
+
+function withPromptText(workflow, transform) {
+    const copy = structuredClone(workflow);
+    const node = copy.nodes.find(candidate => candidate.name === harness.promptTemplate(copy).node);
+    node.parameters.prompt = transform(node.parameters.prompt);
+    return copy;
+}
+
+test('the committed prompt and replay snapshots match the workflow', async () => {
+    const results = await harness.checkSnapshots(loadWorkflow(), fixtures);
+    const differences = results.filter(result => result.status !== 'match');
+
+    assert.deepEqual(differences.map(({ file, status }) => ({ file, status })), [],
+        `${differences.map(result => result.diff).join('\n')}\nrun \`node make-tools/prompt-regression.cjs update\` if the change is intended`);
+    assert.equal(results.length, fixtures.inputs.length + fixtures.responses.length);
+});
+
+test('renders the prompt from the AI Agent node with the input filled in', async () => {
+    const input = fixtures.inputs.find(candidate => candidate.name === 'Script With Quotes And Fences');
+    const prompt = await harness.renderPrompt(loadWorkflow(), input);
+
+    assert.ok(prompt.includes(`Requirements: ${input.outcomeDescription}\n`));
+    assert.ok(prompt.includes(`\`\`\`\n${input.referenceScript}\n\`\`\``), 'the script is inserted verbatim, braces and fences included');
+    assert.match(prompt, /^You are an expert advertising copy specialist\./);
+});
+
+test('a template change without a snapshot update is reported with a diff', async () => {
+    const changed = withPromptText(loadWorkflow(), prompt => prompt.replace('expert advertising copy specialist', 'copywriter'));
+    const results = await harness.checkSnapshots(changed, fixtures);
+
+    const prompts = results.filter(result => result.file.startsWith('prompts/'));
+    assert.ok(prompts.length > 0 && prompts.every(result => result.status === 'changed'));
+    assert.match(prompts[0].diff, /^-You are an expert advertising copy specialist\./m);
+    assert.match(prompts[0].diff, /^\+You are an copywriter\./m);
+    assert.ok(results.filter(result => result.file.startsWith('replays/')).every(result => result.status === 'match'));
+});
+
+test('replays recorded responses through Process AI JSON', async () => {
+    const workflow = loadWorkflow();
+    const [input] = fixtures.inputs;
+
+    const [example] = loadAiResultSchema().examples;
+    const valid = await harness.replayResponse(workflow, input, JSON.stringify(example));
+    assert.deepEqual(valid, { task_id: harness.FIXTURE_TASK_ID, ...example });
+
+    const prose = await harness.replayResponse(workflow, input, 'Sure! Here is your script.');
+    assert.deepEqual(prose, { task_id: harness.FIXTURE_TASK_ID, error: 'AI returned invalid JSON', raw: 'Sure! Here is your script.' });
+});
+
+test('update writes missing snapshots, rewrites changed ones and deletes obsolete ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-snapshots-'));
+    const workflow = loadWorkflow();
+    const subset = { inputs: fixtures.inputs.slice(0, 1), responses: [] };
+
+    try {
+        fs.mkdirSync(path.join(dir, 'replays'));
+        fs.writeFileSync(path.join(dir, 'replays', 'gone.json'), '{}\n');
+
+        const written = await harness.updateSnapshots(workflow, subset, dir);
+        assert.deepEqual(written.map(({ file, status }) => [file, status]), [
+            [`prompts/${harness.slug(subset.inputs[0].name)}.txt`, 'missing'],
+            ['replays/gone.json', 'obsolete'],
+        ]);
+        assert.ok(!fs.existsSync(path.join(dir, 'replays', 'gone.json')));
+
+        const rewritten = await harness.updateSnapshots(withPromptText(workflow, prompt => prompt.replace('Remember:', 'Note:')), subset, dir);
+        assert.deepEqual(rewritten.map(result => result.status), ['changed']);
+        assert.deepEqual(await harness.updateSnapshots(withPromptText(workflow, prompt => prompt.replace('Remember:', 'Note:')), subset, dir), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('fixtures must have unique names and answer known inputs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-fixtures-'));
+    const write = (file, data) => {
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+        return path.join(dir, file);
+    };
+
+    try {
+        const inputsFile = write('inputs.json', { inputs: [{ name: 'Ad One' }, { name: 'ad-one' }] });
+        const responsesFile = write('responses.json', { responses: [] });
+        assert.throws(() => harness.loadFixtures({ inputsFile, responsesFile }), /Duplicate fixture name "ad-one"/);
+
+        const strayFile = write('stray.json', { responses: [{ name: 'Reply', input: 'Missing' }] });
+        assert.throws(() => harness.loadFixtures({ inputsFile: write('one.json', { inputs: [{ name: 'Ad One' }] }), responsesFile: strayFile }),
+            /"Reply" answers unknown input "Missing"/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
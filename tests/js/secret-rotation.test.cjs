@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SecretRotator } = require('../../n8n/lib/secret-rotation.cjs');
+const { loadEnvFile } = require('../../n8n/lib/env-file.cjs');
+const { checkCallback, signCallback } = require('../../n8n/lib/signature.cjs');
+
+const NOW = new Date('2025-06-01T12:00:00.000Z');
+const TRIGGER_URL = 'http://localhost:5678/webhook/ad-script-refactor-openrouter';
+const tempDirs = [];
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempEnv(contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rotation-'));
+    tempDirs.push(dir);
+    const file = path.join(dir, '.env');
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+/**
+ * Stand-in for the n8n container: signs with the HMAC secret its environment
+ * held when it was last (re)created from the .env
+ */
+function fakeN8n(envFile) {
+    let environment = loadEnvFile(envFile);
+    return {
+        recreate() {
+            environment = loadEnvFile(envFile);
+        },
+        sign(payload) {
+            const body = JSON.stringify(payload);
+            return { body, headers: signCallback(body, environment.N8N_CALLBACK_HMAC_SECRET, { timestamp: Math.floor(NOW.getTime() / 1000) }) };
+        },
+    };
+}
+
+function fakeCli() {
+    const stored = new Map();
+    return {
+        stored,
+        importCredentials(credentials) {
+            credentials.forEach(credential => stored.set(credential.id, credential));
+        },
+        exportCredentials([idFilter]) {
+            const credential = stored.get(idFilter.replace('--id=', ''));
+            return credential ? [credential] : [];
+        },
+    };
+}
+
+/**
+ * Stand-in for Laravel: reads the .env on every request, like PHP-FPM does,
+ * verifies signatures the way VerifyWebhookSignature does and then rejects
+ * the empty callback body like ProcessAdScriptResultRequest
+ */
+function fakeLaravel(envFile, urls = []) {
+    return async (url, { headers, body }) => {
+        urls.push(url);
+        const env = loadEnvFile(envFile);
+        const reply = (status, json = {}) => ({ status, text: async () => JSON.stringify(json) });
+
+        const graceOpen = env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET && new Date(env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET_EXPIRES_AT) > NOW;
+        const secrets = graceOpen ? [env.N8N_CALLBACK_HMAC_SECRET, env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET] : [env.N8N_CALLBACK_HMAC_SECRET];
+        const { valid, error } = checkCallback(body, headers, { secrets, acceptV1: false, now: NOW.getTime() });
+
+        return valid ? reply(422, { message: 'Either new_script or error must be provided.' }) : reply(401, { error });
+    };
+}
+
+/**
+ * Stand-in for the Webhook Trigger with header auth: compares the header
+ * with the webhook-auth credential imported into n8n
+ */
+function fakeTrigger(cli) {
+    return async (url, { headers }) => {
+        const credential = cli.stored.get('webhook-auth');
+        const authorized = credential && headers[credential.data.name] === credential.data.value;
+
+        return authorized
+            ? { status: 200, text: async () => JSON.stringify({ success: false, error: 'Invalid input' }) }
+            : { status: 403, text: async () => 'Authorization data is wrong!' };
+    };
+}
+
+function rotator(envFile, { laravel = fakeLaravel(envFile), trigger, cli = fakeCli(), ...options } = {}) {
+    let counter = 0;
+    const n8n = fakeN8n(envFile);
+    const webhook = trigger || fakeTrigger(cli);
+    return new SecretRotator({
+        envFile,
+        cli,
+        appUrl: 'http://localhost:8000/',
+        triggerUrl: TRIGGER_URL,
+        fetch: (url, init) => (url === TRIGGER_URL ? webhook : laravel)(url, init),
+        now: () => NOW,
+        generate: () => `generated-secret-${++counter}`,
+        createProbeTask: () => 'probe-task-id',
+        deleteProbeTask: () => {},
+        recreateN8n: () => n8n.recreate(),
+        signWithN8n: payload => n8n.sign(payload),
+        log: () => {},
+        ...options,
+    });
+}
+
+test('rotates both secrets, recreates n8n and keeps the old values for the grace window', async () => {
+    const envFile = tempEnv('APP_NAME=Laravel\nN8N_AUTH_HEADER_VALUE=old-trigger\nN8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const urls = [];
+    const deleted = [];
+    const subject = rotator(envFile, { graceMinutes: 30, laravel: fakeLaravel(envFile, urls), deleteProbeTask: id => deleted.push(id) });
+
+    const result = await subject.rotate();
+    const env = loadEnvFile(envFile);
+
+    assert.equal(env.APP_NAME, 'Laravel');
+    assert.equal(env.N8N_AUTH_HEADER_VALUE, 'generated-secret-1');
+    assert.equal(env.N8N_AUTH_HEADER_PREVIOUS_VALUE, 'old-trigger');
+    assert.equal(env.N8N_AUTH_HEADER_PREVIOUS_VALUE_EXPIRES_AT, '2025-06-01T12:30:00.000Z');
+    assert.equal(env.N8N_CALLBACK_HMAC_SECRET, 'generated-secret-2');
+    assert.equal(env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET, 'old-hmac');
+    assert.equal(result.graceEndsAt, '2025-06-01T12:30:00.000Z');
+    assert.equal(subject.cli.stored.get('webhook-auth').data.value, 'generated-secret-1');
+    assert.deepEqual([...subject.cli.stored.keys()], ['webhook-auth']);
+    assert.deepEqual(urls, Array(3).fill('http://localhost:8000/api/ad-scripts/probe-task-id/result'));
+    assert.deepEqual(deleted, ['probe-task-id']);
+});
+
+test('without a grace window the old values are dropped right away', async () => {
+    const envFile = tempEnv('N8N_AUTH_HEADER_VALUE=old-trigger\nN8N_CALLBACK_HMAC_SECRET=old-hmac\nN8N_CALLBACK_HMAC_PREVIOUS_SECRET=older\n');
+
+    const result = await rotator(envFile, { graceMinutes: 0 }).rotate();
+    const env = loadEnvFile(envFile);
+
+    assert.equal(result.graceEndsAt, null);
+    assert.equal(env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET, '');
+    assert.equal(env.N8N_AUTH_HEADER_PREVIOUS_VALUE, '');
+    assert.equal(env.N8N_AUTH_HEADER_PREVIOUS_VALUE_EXPIRES_AT, '');
+});
+
+test('fails the round trip when Laravel does not verify signatures', async () => {
+    const envFile = tempEnv('N8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const acceptEverything = async () => ({ status: 422, text: async () => JSON.stringify({ message: 'Either new_script or error must be provided.' }) });
+
+    await assert.rejects(rotator(envFile, { laravel: acceptEverything }).rotate(), /accepted a callback signed with a wrong secret/);
+});
+
+test('fails the round trip when Laravel rejects the new secret', async () => {
+    const envFile = tempEnv('N8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const rejectEverything = async () => ({ status: 401, text: async () => JSON.stringify({ error: 'Invalid signature' }) });
+
+    await assert.rejects(rotator(envFile, { laravel: rejectEverything }).rotate(), /did not accept a callback signed by n8n \(HTTP 401/);
+});
+
+test('fails when n8n still signs with the old HMAC secret', async () => {
+    const envFile = tempEnv('N8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+
+    await assert.rejects(rotator(envFile, { recreateN8n: null }).rotate(), /n8n does not sign callbacks with the new N8N_CALLBACK_HMAC_SECRET/);
+});
+
+test('signs the round trip locally when n8n cannot be asked to sign', async () => {
+    const envFile = tempEnv('N8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const logs = [];
+
+    await rotator(envFile, { recreateN8n: null, signWithN8n: null, log: message => logs.push(message) }).rotate();
+
+    assert.ok(logs.some(message => message.includes('Restart n8n yourself')));
+    assert.ok(logs.some(message => message.includes('signed here')));
+});
+
+test('fails when n8n does not hold the rotated value', async () => {
+    const envFile = tempEnv('N8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const cli = { ...fakeCli(), importCredentials() {} };
+
+    await assert.rejects(rotator(envFile, { cli }).rotate(), /webhook-auth does not hold the rotated value/);
+});
+
+test('fails when the Webhook Trigger accepts any header', async () => {
+    const envFile = tempEnv('N8N_AUTH_HEADER_VALUE=old-trigger\nN8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const acceptEverything = async () => ({ status: 200, text: async () => '{}' });
+
+    await assert.rejects(rotator(envFile, { trigger: acceptEverything }).rotate(), /n8n accepted a trigger with a wrong X-Laravel-Trigger-Auth \(HTTP 200/);
+});
+
+test('fails when the Webhook Trigger still accepts the previous header', async () => {
+    const envFile = tempEnv('N8N_AUTH_HEADER_VALUE=old-trigger\nN8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    const cli = fakeCli();
+    const oldOrNew = async (url, { headers }) => {
+        const accepted = ['old-trigger', cli.stored.get('webhook-auth').data.value].includes(headers['X-Laravel-Trigger-Auth']);
+        return { status: accepted ? 200 : 403, text: async () => '' };
+    };
+
+    await assert.rejects(rotator(envFile, { cli, trigger: oldOrNew }).rotate(), /n8n accepted a trigger with the previous X-Laravel-Trigger-Auth/);
+});
+
+test('restores the previous values and deletes the probe task when the round trip fails', async () => {
+    const original = 'N8N_AUTH_HEADER_VALUE=old-trigger\nN8N_CALLBACK_HMAC_SECRET=old-hmac\n';
+    const envFile = tempEnv(original);
+    const cli = fakeCli();
+    const deleted = [];
+    const rejectEverything = async () => ({ status: 401, text: async () => JSON.stringify({ error: 'Invalid signature' }) });
+
+    await assert.rejects(rotator(envFile, { cli, laravel: rejectEverything, deleteProbeTask: id => deleted.push(id) }).rotate(), /did not accept a callback/);
+
+    const env = loadEnvFile(envFile);
+    assert.equal(env.N8N_AUTH_HEADER_VALUE, 'old-trigger');
+    assert.equal(env.N8N_CALLBACK_HMAC_SECRET, 'old-hmac');
+    assert.equal(env.N8N_AUTH_HEADER_PREVIOUS_VALUE, '');
+    assert.equal(env.N8N_CALLBACK_HMAC_PREVIOUS_SECRET, '');
+    assert.equal(cli.stored.get('webhook-auth').data.value, 'old-trigger');
+    assert.deepEqual(deleted, ['probe-task-id']);
+});
+
+test('reports both errors when restoring the previous values fails', async () => {
+    const envFile = tempEnv('N8N_AUTH_HEADER_VALUE=old-trigger\nN8N_CALLBACK_HMAC_SECRET=old-hmac\n');
+    let recreated = 0;
+    const recreateN8n = () => {
+        if (++recreated > 1) {
+            throw new Error('docker compose failed');
+        }
+    };
+    const rejectEverything = async () => ({ status: 401, text: async () => '' });
+
+    await assert.rejects(
+        rotator(envFile, { recreateN8n, signWithN8n: null, laravel: rejectEverything }).rotate(),
+        /did not accept a callback signed with the new secret .*Restoring the previous secrets failed as well: docker compose failed/,
+    );
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const signature = require('../../n8n/lib/signature.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const vectors = signature.loadVectors();
+
+// The part of CryptoJS the Postman build uses, backed by Node's crypto
+const CryptoJS = {
+    enc: { Hex: 'hex' },
+    HmacSHA256: (body, secret) => ({ toString: encoding => crypto.createHmac('sha256', secret).update(body).digest(encoding) }),
+};
+
+test('the vectors cover valid and invalid signatures of both versions', () => {
+    const fields = {
+        v1: ['name', 'secret', 'body', 'signature'],
+        v2: ['name', 'secret', 'timestamp', 'nonce', 'body', 'signature'],
+    };
+
+    for (const [version, keys] of Object.entries(fields)) {
+        assert.ok(vectors[version].valid.length > 0);
+        assert.ok(vectors[version].invalid.length > 0);
+        for (const vector of [...vectors[version].valid, ...vectors[version].invalid]) {
+            assert.deepEqual(Object.keys(vector), keys);
+        }
+    }
+});
+
+test('the Node signer passes the vectors', () => {
+    assert.deepEqual(signature.checkVectors(signature.nodeSigner), []);
+});
+
+test('the Postman build passes the vectors with CryptoJS', () => {
+    const signer = vm.runInNewContext(`${signature.cryptoJsSource()}\nn8nSignature`, { CryptoJS });
+
+    assert.deepEqual(signature.checkVectors(signer), []);
+});
+
+test('the n8n build passes the vectors with the crypto builtin', () => {
+    const signer = vm.runInNewContext(signature.signerSource(signature.NODE_HMAC), { require });
+
+    assert.deepEqual(signature.checkVectors(signer), []);
+});
+
+test('verify rejects non-string signatures and empty secrets', () => {
+    const [vector] = vectors.v1.valid;
+    const [v2] = vectors.v2.valid;
+
+    assert.equal(signature.verifySignature(vector.body, null, vector.secret), false);
+    assert.equal(signature.verifySignature(vector.body, vector.signature, ''), false);
+    assert.equal(signature.nodeSigner.verifyV2(v2.body, v2.signature, '', v2.timestamp, v2.nonce), false);
+});
+
+test('signCallback stamps the time and a random nonce into the v2 headers', () => {
+    const body = '{"error":"x"}';
+    const headers = signature.signCallback(body, 'secret', { timestamp: 1760000000 });
+    const again = signature.signCallback(body, 'secret', { timestamp: 1760000000 });
+
+    assert.deepEqual(Object.keys(headers), ['X-N8N-Signature', 'X-N8N-Timestamp', 'X-N8N-Nonce']);
+    assert.equal(headers['X-N8N-Timestamp'], '1760000000');
+    assert.match(headers['X-N8N-Nonce'], /^[0-9a-f]{32}$/);
+    assert.notEqual(headers['X-N8N-Nonce'], again['X-N8N-Nonce']);
+    assert.ok(signature.nodeSigner.verifyV2(body, headers['X-N8N-Signature'], 'secret', '1760000000', headers['X-N8N-Nonce']));
+
+    assert.deepEqual(Object.keys(signature.signCallback(body, 'secret', { nonce: '' })), ['X-N8N-Signature', 'X-N8N-Timestamp']);
+});
+
+test('checkCallback applies the tolerance window, nonce reuse and the v1 flag', () => {
+    const body = '{"error":"x"}';
+    const now = 1760000000 * 1000;
+    const options = { secrets: ['new', 'old'], tolerance: 300, now };
+    const headers = signature.signCallback(body, 'old', { timestamp: 1760000000 - 300 });
+    const check = (signed, extra = {}) => signature.checkCallback(body, signed, { ...options, ...extra });
+
+    assert.deepEqual(check(headers), { valid: true, version: 2, secret: 'old', error: null });
+    assert.equal(check(signature.signCallback(body, 'new', { timestamp: 1760000000 - 301 })).error, 'Webhook timestamp outside the tolerance window');
+    assert.equal(check(signature.signCallback(body, 'new', { timestamp: 1760000000 + 301 })).error, 'Webhook timestamp outside the tolerance window');
+    assert.equal(check({ 'x-n8n-signature': headers['X-N8N-Signature'] }).error, 'Missing webhook timestamp');
+    assert.equal(check({ ...headers, 'X-N8N-Nonce': 'other' }).error, 'Invalid webhook signature');
+    assert.equal(check({}).error, 'Missing webhook signature');
+
+    const nonces = new Map();
+    assert.equal(check(headers, { nonces }).valid, true);
+    assert.equal(check(headers, { nonces }).error, 'Webhook nonce already used');
+    assert.equal(check(headers, { nonces, now: now + 600 * 1000 }).error, 'Webhook timestamp outside the tolerance window');
+
+    const v1 = { 'X-N8N-Signature': signature.signPayload(body, 'new') };
+    assert.deepEqual(check(v1), { valid: true, version: 1, secret: 'new', error: null });
+    assert.equal(check(v1, { acceptV1: false }).error, 'Webhook signature v1 is no longer accepted');
+});
+
+test('the committed Sign Callback node is generated from the signer', () => {
+    assert.equal(signature.syncWorkflow(loadWorkflow()).changed, false,
+        'run `node make-tools/webhook-signature.cjs sync` after changing n8n/lib/signature.cjs');
+
+    const workflow = loadWorkflow();
+    workflow.nodes.find(node => node.name === signature.SIGN_NODE).parameters.jsCode = 'return [];';
+    const synced = signature.syncWorkflow(workflow);
+    assert.equal(synced.changed, true);
+    assert.equal(synced.workflow.nodes.find(node => node.name === signature.SIGN_NODE).parameters.jsCode, signature.callbackNodeCode());
+    assert.throws(() => signature.syncWorkflow({ nodes: [] }), /no "Sign Callback" node/);
+});
+
+test('the Sign Callback script signs an item with the secret in its environment', () => {
+    const run = env => JSON.parse(execFileSync(process.execPath, ['-e', signature.callbackNodeScript(), JSON.stringify({ error: 'x', task_id: 't' })], {
+        encoding: 'utf8',
+        env,
+        stdio: 'pipe',
+    }));
+
+    const signed = run({ N8N_CALLBACK_HMAC_SECRET: 'secret' });
+    assert.equal(signed.body, '{"error":"x"}');
+    assert.equal(signature.checkCallback(signed.body, signed.headers, { secrets: ['secret'] }).valid, true);
+    assert.equal(signature.checkCallback(signed.body, signed.headers, { secrets: ['other'] }).valid, false);
+
+    assert.throws(() => run({}), /N8N_CALLBACK_HMAC_SECRET is not set in the n8n environment: refusing to send an unsigned callback/);
+});
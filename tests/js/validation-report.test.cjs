@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { locatePointers, locate } = require('../../n8n/lib/json-locator.cjs');
+const { formatJson, formatJunit, formatSarif } = require('../../n8n/lib/validation-report.cjs');
+const { WorkflowValidator } = require('../../n8n/lib/workflow-validator.cjs');
+const { DEFAULT_WORKFLOW_FILE } = require('../../n8n/lib/workflow-file.cjs');
+const { main } = require('../../n8n/validate-workflow.cjs');
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * The committed workflow with the callback switched to PUT and the trigger
+ * credential removed: one error and one warning
+ */
+function brokenReport() {
+    const workflow = JSON.parse(fs.readFileSync(DEFAULT_WORKFLOW_FILE, 'utf8'));
+    workflow.nodes.find(node => node.name === 'Callback to Laravel').parameters.method = 'PUT';
+    delete workflow.nodes.find(node => node.name === 'Webhook Trigger').credentials;
+
+    const text = `${JSON.stringify(workflow, null, 2)}\n`;
+    const validator = new WorkflowValidator({ disabled: ['setting.timezone'] });
+
+    return {
+        file: 'n8n/workflows/ad-script-workflow.json',
+        text,
+        rules: validator.describeRules(),
+        findings: validator.validate(workflow),
+        lineOf: needle => text.split('\n').findIndex(line => line.includes(needle)) + 1,
+    };
+}
+
+test('locates pointers at their key, falling back to the closest parent', () => {
+    const text = '{\n  "a": [\n    1,\n    { "b/c": "x" }\n  ],\n  "d": {}\n}';
+    const positions = locatePointers(text);
+
+    assert.deepEqual(positions.get(''), { line: 1, column: 1 });
+    assert.deepEqual(positions.get('/a'), { line: 2, column: 3 });
+    assert.deepEqual(positions.get('/a/1'), { line: 4, column: 5 });
+    assert.deepEqual(positions.get('/a/1/b~1c'), { line: 4, column: 7 });
+    assert.deepEqual(locate(positions, '/d/missing/deeper'), { line: 6, column: 3 });
+});
+
+test('json lists every finding with rule, severity, node, pointer and line', () => {
+    const report = brokenReport();
+    const parsed = JSON.parse(formatJson(report));
+    const error = parsed.findings.find(finding => finding.severity === 'error');
+
+    assert.equal(parsed.passed, false);
+    assert.deepEqual(parsed.summary, { errors: 1, warnings: 1, info: 0 });
+    assert.deepEqual(parsed.disabled, ['setting.timezone']);
+    assert.equal(error.rule, 'role.laravel-callback');
+    assert.equal(error.node, 'Callback to Laravel');
+    assert.match(error.pointer, /^\/nodes\/\d+\/parameters\/method$/);
+    assert.equal(error.line, report.lineOf('"method": "PUT"'));
+});
+
+test('junit fails the rule with errors and skips disabled rules', () => {
+    const xml = formatJunit(brokenReport());
+
+    assert.match(xml, /<testsuites name="n8n workflow validation" tests="25" failures="1" errors="0" skipped="1">/);
+    assert.match(xml, /name="role\.laravel-callback: [^"]+"[^>]*>\n {6}<failure type="error" message="&quot;Callback to Laravel&quot; parameters\.method is &quot;PUT&quot;, expected &quot;POST&quot;">/);
+    assert.match(xml, /name="setting\.timezone: [^"]+"[^>]*>\n {6}<skipped message="disabled"\/>/);
+    assert.match(xml, /<system-out>warning: n8n\/workflows\/ad-script-workflow\.json:\d+ \/nodes\/0\/credentials\/httpHeaderAuth/);
+});
+
+test('sarif results point at the workflow file line and node', () => {
+    const report = brokenReport();
+    const sarif = JSON.parse(formatSarif(report));
+    const [run] = sarif.runs;
+    const error = run.results.find(result => result.level === 'error');
+
+    assert.equal(sarif.version, '2.1.0');
+    assert.equal(run.tool.driver.rules[error.ruleIndex].id, 'role.laravel-callback');
+    assert.deepEqual(error.locations[0].physicalLocation.artifactLocation, { uri: 'n8n/workflows/ad-script-workflow.json' });
+    assert.equal(error.locations[0].physicalLocation.region.startLine, report.lineOf('"method": "PUT"'));
+    assert.equal(error.locations[0].logicalLocations[0].name, 'Callback to Laravel');
+    assert.deepEqual(run.results.map(result => result.level).sort(), ['error', 'warning']);
+});
+
+test('the CLI writes the chosen format to --output and exits 1 on errors', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-validate-'));
+    tempDirs.push(dir);
+
+    const workflow = JSON.parse(fs.readFileSync(DEFAULT_WORKFLOW_FILE, 'utf8'));
+    workflow.nodes = workflow.nodes.filter(node => node.type !== 'n8n-nodes-base.errorTrigger');
+    delete workflow.connections['Error Trigger'];
+    fs.writeFileSync(path.join(dir, 'workflow.json'), JSON.stringify(workflow, null, 2));
+
+    const output = path.join(dir, 'report.sarif');
+    const code = main([path.join(dir, 'workflow.json'), '--format', 'sarif', '--output', output]);
+    const { results } = JSON.parse(fs.readFileSync(output, 'utf8')).runs[0];
+
+    assert.equal(code, 1);
+    assert.ok(results.some(result => result.ruleId === 'role.error-trigger' && result.level === 'error'));
+    assert.equal(main([DEFAULT_WORKFLOW_FILE, '--format', 'json', '--output', path.join(dir, 'report.json')]), 0);
+    assert.throws(() => main(['--format', 'xml']), /Unknown format "xml"/);
+});
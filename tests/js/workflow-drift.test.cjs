@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { detectDrift, hasDrift, formatDrift, canonicalizeLive } = require('../../n8n/lib/workflow-drift.cjs');
+const { loadWorkflow, DEFAULT_WORKFLOW_FILE } = require('../../n8n/lib/workflow-file.cjs');
+
+/**
+ * The committed workflow as n8n exports it after an editor session that
+ * changed nothing: new node UUIDs, moved nodes, a new version id and instance
+ */
+function exportedUnchanged({ moveNodes = true } = {}) {
+    const live = structuredClone(loadWorkflow());
+
+    live.nodes.reverse().forEach((node, index) => {
+        node.id = `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`;
+        if (moveNodes) {
+            node.position = [node.position[0] + 40, node.position[1] - 20];
+        }
+    });
+    live.versionId = 'b5c0a1f2-0000-4000-8000-000000000000';
+    live.meta = { instanceId: 'another-instance' };
+
+    return live;
+}
+
+function node(workflow, name) {
+    return workflow.nodes.find(candidate => candidate.name === name);
+}
+
+test('ignores node positions, UUIDs, versionId and instance', () => {
+    const report = detectDrift(loadWorkflow(), exportedUnchanged());
+
+    assert.equal(hasDrift(report), false);
+    assert.equal(formatDrift(report), '');
+});
+
+test('reports changed parameters by path', () => {
+    const live = exportedUnchanged();
+    node(live, 'AI Agent (OpenRouter)').parameters.options.temperature = 0.9;
+
+    const report = detectDrift(loadWorkflow(), live);
+
+    assert.equal(hasDrift(report), true);
+    assert.deepEqual(report.nodes.changed, [{
+        name: 'AI Agent (OpenRouter)',
+        fields: [{ path: 'parameters.options.temperature', before: 0.3, after: 0.9 }],
+    }]);
+    assert.match(formatDrift(report), /~ AI Agent \(OpenRouter\)\n {6}parameters\.options\.temperature: 0\.3 → 0\.9/);
+});
+
+test('reports added and removed nodes and connections', () => {
+    const live = exportedUnchanged();
+    live.nodes = live.nodes.filter(candidate => candidate.name !== 'Format AI Error');
+    delete live.connections['Format AI Error'];
+    live.connections['AI response ok?'].main[1] = [];
+    live.nodes.push({ parameters: {}, id: 'debug', name: 'Debug', type: 'n8n-nodes-base.noOp', typeVersion: 1, position: [0, 0] });
+    live.connections['Process AI JSON'].main[0].push({ node: 'Debug', type: 'main', index: 0 });
+
+    const report = detectDrift(loadWorkflow(), live);
+
+    assert.deepEqual(report.nodes.added, ['Debug']);
+    assert.deepEqual(report.nodes.removed, ['Format AI Error']);
+    assert.deepEqual(report.connections.added, ['Process AI JSON[main 0] → Debug[0]']);
+    assert.ok(report.connections.removed.includes('AI response ok?[main 1] → Format AI Error[0]'));
+    assert.ok(report.connections.removed.some(edge => edge.startsWith('Format AI Error[main 0]')));
+});
+
+test('reports workflow settings and activation', () => {
+    const live = exportedUnchanged();
+    live.active = false;
+    live.settings = { ...live.settings, timezone: 'Europe/Berlin' };
+
+    const report = detectDrift(loadWorkflow(), live);
+
+    assert.deepEqual(report.workflow, [
+        { path: 'active', before: true, after: false },
+        { path: 'settings.timezone', before: 'UTC', after: 'Europe/Berlin' },
+    ]);
+});
+
+test('pulling an unchanged workflow reproduces the committed file byte for byte', () => {
+    const pulled = canonicalizeLive(exportedUnchanged({ moveNodes: false }), loadWorkflow());
+
+    assert.equal(`${JSON.stringify(pulled, null, 2)}\n`, fs.readFileSync(DEFAULT_WORKFLOW_FILE, 'utf8'));
+});
+
+test('pulling keeps committed node ids and appends new nodes', () => {
+    const live = exportedUnchanged();
+    live.nodes.push({ parameters: {}, id: 'debug', name: 'Debug', type: 'n8n-nodes-base.noOp', typeVersion: 1, position: [0, 0] });
+
+    const committed = loadWorkflow();
+    const pulled = canonicalizeLive(live, committed);
+
+    assert.deepEqual(pulled.nodes.map(candidate => candidate.id), [...committed.nodes.map(candidate => candidate.id), 'debug']);
+    assert.equal(pulled.versionId, committed.versionId);
+    assert.deepEqual(pulled.meta, committed.meta);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    listWorkflows,
+    parseExportOutput,
+    parseListOutput,
+    parseIdOutput,
+    findByName,
+    findByTag,
+} = require('../../n8n/lib/workflow-list.cjs');
+const { parseJsonOutput } = require('../../n8n/lib/n8n-cli.cjs');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'n8n-cli', name), 'utf8');
+}
+
+const recordedVersions = [
+    {
+        version: '0.236',
+        expected: [
+            { id: '1', name: 'Ad Script Refactor Workflow', active: false, tags: [] },
+            { id: '2', name: 'Ad Script Refactor Workflow v3 (OpenRouter)', active: true, tags: [] },
+            { id: '3', name: 'Slack | Daily digest', active: false, tags: [] },
+        ],
+    },
+    {
+        version: '1.22',
+        expected: [
+            { id: 'ad-script-refactor-openrouter', name: 'Ad Script Refactor Workflow v3 (OpenRouter)', active: true, tags: [] },
+            { id: 'Xk2pLq9RmN3sT4uV', name: 'Ad Script Refactor Workflow', active: false, tags: [] },
+        ],
+    },
+    {
+        version: '1.94',
+        expected: [
+            { id: 'ad-script-refactor-openrouter', name: 'Ad Script Refactor Workflow v3 (OpenRouter)', active: true, tags: [] },
+            { id: 'pQ7wErT2yUi8OpAs', name: 'Ad Script Refactor Workflow', active: true, tags: [] },
+        ],
+    },
+];
+
+for (const { version, expected } of recordedVersions) {
+    test(`parses list:workflow output recorded from n8n ${version}`, () => {
+        const activeIds = parseIdOutput(fixture(`list-workflow-active-${version}.txt`));
+
+        assert.deepEqual(parseListOutput(fixture(`list-workflow-${version}.txt`), activeIds), expected);
+    });
+}
+
+test('reports active as unknown when no active ids are given', () => {
+    const [workflow] = parseListOutput(fixture('list-workflow-1.22.txt'));
+
+    assert.equal(workflow.active, null);
+});
+
+test('parses export:workflow --all output recorded from n8n 1.94', () => {
+    assert.deepEqual(parseExportOutput(fixture('export-workflow-all-1.94.txt')), [
+        { id: 'ad-script-refactor-openrouter', name: 'Ad Script Refactor Workflow v3 (OpenRouter)', active: true, tags: ['ad-script-refactor'] },
+        { id: 'pQ7wErT2yUi8OpAs', name: 'Ad Script Refactor Workflow', active: false, tags: [] },
+    ]);
+});
+
+test('findByName matches names exactly instead of by substring', () => {
+    const workflows = parseListOutput(fixture('list-workflow-1.22.txt'));
+
+    assert.deepEqual(findByName(workflows, 'Ad Script Refactor Workflow').map(workflow => workflow.id), ['Xk2pLq9RmN3sT4uV']);
+});
+
+test('findByTag matches exported tags', () => {
+    const workflows = parseExportOutput(fixture('export-workflow-all-1.94.txt'));
+
+    assert.deepEqual(findByTag(workflows, 'ad-script-refactor').map(workflow => workflow.id), ['ad-script-refactor-openrouter']);
+});
+
+test('listWorkflows prefers the JSON export', () => {
+    const cli = {
+        exportWorkflows: () => parseJsonOutput(fixture('export-workflow-all-1.94.txt')),
+        run: () => assert.fail('text listing should not be used'),
+    };
+
+    assert.equal(listWorkflows(cli)[0].tags[0], 'ad-script-refactor');
+});
+
+test('listWorkflows falls back to list:workflow when the export fails', () => {
+    const cli = {
+        exportWorkflows: () => {
+            throw new Error('Unknown command export:workflow');
+        },
+        run: args => fixture(args.includes('--onlyId') ? 'list-workflow-active-1.94.txt' : 'list-workflow-1.94.txt'),
+    };
+
+    assert.deepEqual(listWorkflows(cli), recordedVersions[2].expected);
+});
+
+test('listWorkflows passes on export failures that are not about an unsupported command', () => {
+    const cli = {
+        exportWorkflows: () => {
+            throw Object.assign(new Error('Command failed: n8n export:workflow --all'), { stderr: 'Error: connect ECONNREFUSED 127.0.0.1:5432' });
+        },
+        run: () => assert.fail('text listing should not be used'),
+    };
+
+    assert.throws(() => listWorkflows(cli), /Command failed/);
+
+    cli.exportWorkflows = () => {
+        throw Object.assign(new Error('Command failed: n8n export:workflow --all'), { stderr: 'Error: Nonexistent flag: --all' });
+    };
+    cli.run = args => fixture(args.includes('--onlyId') ? 'list-workflow-active-1.94.txt' : 'list-workflow-1.94.txt');
+
+    assert.deepEqual(listWorkflows(cli), recordedVersions[2].expected);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+const { listProfiles, loadProfile, validateProfile, renderWorkflow } = require('../../n8n/lib/workflow-profile.cjs');
+
+const workflow = loadWorkflow();
+
+function node(rendered, name) {
+    return rendered.nodes.find(candidate => candidate.name === name);
+}
+
+test('bundles a profile for every supported environment', () => {
+    assert.deepEqual(listProfiles(), ['callback-receiver', 'ci', 'host-networking', 'local-docker', 'socket-compose']);
+});
+
+for (const name of listProfiles()) {
+    test(`profile ${name} is valid and renders`, () => {
+        const profile = loadProfile(name);
+        const rendered = renderWorkflow(workflow, profile);
+
+        assert.equal(node(rendered, 'Webhook Trigger').parameters.path, profile.webhookPath);
+        assert.equal(node(rendered, 'AI Agent (OpenRouter)').parameters.model, profile.model);
+    });
+}
+
+test('the committed workflow is the host-networking rendering', () => {
+    assert.deepEqual(renderWorkflow(workflow, loadProfile('host-networking')), workflow);
+});
+
+test('renders every profile value into its node without touching the input', () => {
+    const rendered = renderWorkflow(workflow, loadProfile('ci'));
+    const agent = node(rendered, 'AI Agent (OpenRouter)');
+    const callbackBase = node(rendered, 'Set Variables').parameters.values.string
+        .find(field => field.name === 'laravelCallbackUrlBase');
+
+    assert.equal(callbackBase.value, "={{ 'http://nginx' }}");
+    assert.deepEqual(agent.parameters.options, { temperature: 0, maxTokens: 1500 });
+    assert.deepEqual(agent.credentials.openAiApi, { id: 'openai-credentials', name: 'OpenAI API' });
+    assert.equal(node(workflow, 'Webhook Trigger').parameters.path, 'ad-script-refactor-openrouter');
+});
+
+test('reports every invalid profile value', () => {
+    const problems = validateProfile({
+        callbackBaseUrl: 'host.docker.internal:8000',
+        webhookPath: '',
+        model: 'gpt',
+        temperature: 3,
+        maxTokens: 0,
+        credentials: { openAiApi: { id: 'x' } },
+    });
+
+    assert.equal(problems.length, 5);
+});
+
+test('refuses to render a workflow missing a targeted node', () => {
+    const withoutWebhook = { ...workflow, nodes: workflow.nodes.filter(candidate => candidate.type !== 'n8n-nodes-base.webhook') };
+
+    assert.throws(() => renderWorkflow(withoutWebhook, loadProfile('ci')), /no n8n-nodes-base.webhook node/);
+});
+
+test('names the available profiles for an unknown one', () => {
+    assert.throws(() => loadProfile('staging'), /available: callback-receiver, ci, host-networking/);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WorkflowProvisioner } = require('../../n8n/lib/workflow-provisioner.cjs');
+
+function fakeCli(workflows = []) {
+    return {
+        calls: [],
+        exportWorkflow(id) {
+            this.calls.push(['export', id]);
+            return workflows.find(workflow => workflow.id === id) || null;
+        },
+        exportWorkflows(filters) {
+            this.calls.push(['exportWorkflows', ...filters]);
+            return workflows;
+        },
+        importWorkflow(workflow) {
+            this.calls.push(['import', workflow.id]);
+        },
+        setActive(id, active) {
+            this.calls.push(['setActive', id, active]);
+        },
+    };
+}
+
+const desired = {
+    id: 'ad-script-refactor-openrouter',
+    name: 'Ad Script Refactor Workflow',
+    active: true,
+    nodes: [{ id: 'a', name: 'Webhook Trigger', type: 'n8n-nodes-base.webhook', parameters: { path: 'new' } }],
+    connections: {},
+    settings: { timezone: 'UTC' },
+};
+
+const changed = { ...desired, nodes: [{ ...desired.nodes[0], parameters: { path: 'old' } }] };
+
+test('plan creates and activates a workflow missing from n8n', () => {
+    const plan = new WorkflowProvisioner({ cli: fakeCli(), workflow: desired }).plan();
+
+    assert.equal(plan.outcome, 'create');
+    assert.equal(plan.matchedBy, null);
+    assert.deepEqual(plan.steps.map(step => step.action), ['import', 'activate']);
+});
+
+test('plan skips an identical active workflow', () => {
+    const live = { ...desired, createdAt: '2025-01-01T00:00:00.000Z', versionId: 'abc', shared: [] };
+    const plan = new WorkflowProvisioner({ cli: fakeCli([live]), workflow: desired }).plan();
+
+    assert.equal(plan.outcome, 'skip');
+    assert.equal(plan.matchedBy, 'id');
+    assert.deepEqual(plan.steps, []);
+});
+
+test('plan only activates an identical inactive workflow', () => {
+    const plan = new WorkflowProvisioner({ cli: fakeCli([{ ...desired, active: false }]), workflow: desired }).plan();
+
+    assert.equal(plan.outcome, 'skip');
+    assert.deepEqual(plan.steps.map(step => step.action), ['activate']);
+});
+
+test('plan ignores key order when comparing', () => {
+    const reordered = {
+        settings: { timezone: 'UTC' },
+        connections: {},
+        nodes: [{ parameters: { path: 'new' }, type: 'n8n-nodes-base.webhook', name: 'Webhook Trigger', id: 'a' }],
+        name: desired.name,
+        active: true,
+        id: desired.id,
+    };
+
+    const plan = new WorkflowProvisioner({ cli: fakeCli([reordered]), workflow: desired }).plan();
+
+    assert.equal(plan.outcome, 'skip');
+});
+
+test('plan deactivates an identical workflow the file marks inactive', () => {
+    const plan = new WorkflowProvisioner({
+        cli: fakeCli([{ ...desired, active: true }]),
+        workflow: { ...desired, active: false },
+    }).plan();
+
+    assert.deepEqual(plan.steps.map(step => step.action), ['deactivate']);
+});
+
+test('apply updates a changed workflow in place and re-activates it', () => {
+    const cli = fakeCli([{ ...changed, active: true }]);
+    const plan = new WorkflowProvisioner({ cli, workflow: desired, log: () => {} }).apply();
+
+    assert.equal(plan.outcome, 'update');
+    assert.deepEqual(cli.calls, [
+        ['export', desired.id],
+        ['import', desired.id],
+        ['setActive', desired.id, true],
+    ]);
+});
+
+test('apply updates a workflow matched by tag under its live id', () => {
+    const live = { ...changed, id: 'Xy12AbCd', tags: [{ id: '1', name: 'ad-script-refactor' }] };
+    const cli = fakeCli([live]);
+    const plan = new WorkflowProvisioner({ cli, workflow: desired, tag: 'ad-script-refactor', log: () => {} }).apply();
+
+    assert.equal(plan.outcome, 'update');
+    assert.equal(plan.matchedBy, 'tag');
+    assert.deepEqual(cli.calls.slice(-2), [['import', 'Xy12AbCd'], ['setActive', 'Xy12AbCd', true]]);
+});
+
+test('targetId is the workflow matched by tag under a different id', () => {
+    const live = { ...desired, id: 'Xy12AbCd', tags: [{ id: '1', name: 'ad-script-refactor' }] };
+    const other = { ...desired, id: 'Other123', name: 'Something else', tags: [] };
+
+    assert.equal(new WorkflowProvisioner({ cli: fakeCli([live, other]), workflow: desired, tag: 'ad-script-refactor' }).targetId(), 'Xy12AbCd');
+    assert.equal(new WorkflowProvisioner({ cli: fakeCli([other]), workflow: desired, tag: 'ad-script-refactor' }).targetId(), desired.id);
+    assert.equal(new WorkflowProvisioner({ cli: fakeCli([live, { ...desired }]), workflow: desired, tag: 'ad-script-refactor' }).targetId(), desired.id);
+});
+
+test('findLive refuses an ambiguous tag match', () => {
+    const tagged = { ...desired, tags: ['ad-script-refactor'] };
+    const cli = fakeCli([{ ...tagged, id: 'one' }, { ...tagged, id: 'two' }]);
+    const provisioner = new WorkflowProvisioner({ cli, workflow: desired, tag: 'ad-script-refactor' });
+
+    assert.throws(() => provisioner.findLive(), /matches 2 workflows \(one, two\)/);
+});
+
+test('apply refuses to import a workflow with dangling connections unless forced', () => {
+    const dangling = { ...desired, connections: { 'Webhook Trigger': { main: [[{ node: 'merge-results', type: 'main', index: 0 }]] } } };
+
+    const cli = fakeCli();
+    assert.throws(() => new WorkflowProvisioner({ cli, workflow: dangling, log: () => {} }).apply(), /1 dangling connection/);
+    assert.ok(!cli.calls.some(([call]) => call === 'import'));
+
+    const forcedCli = fakeCli();
+    new WorkflowProvisioner({ cli: forcedCli, workflow: dangling, force: true, log: () => {} }).apply();
+    assert.ok(forcedCli.calls.some(([call]) => call === 'import'));
+});
+
+test('diff shows changed node parameters', () => {
+    const diff = new WorkflowProvisioner({ cli: fakeCli([changed]), workflow: desired }).diff();
+
+    assert.match(diff, /^--- n8n:ad-script-refactor-openrouter/);
+    assert.match(diff, /^-\s+"path": "old"/m);
+    assert.match(diff, /^\+\s+"path": "new"/m);
+});
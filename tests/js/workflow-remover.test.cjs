@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WorkflowRemover } = require('../../n8n/lib/workflow-remover.cjs');
+
+const NAME = 'Ad Script Refactor Workflow v3 (OpenRouter)';
+
+function fakeApi(workflows) {
+    return {
+        calls: [],
+        async listWorkflows() {
+            return workflows;
+        },
+        async deactivateWorkflow(id) {
+            this.calls.push(['deactivate', id]);
+        },
+        async deleteWorkflow(id) {
+            this.calls.push(['delete', id]);
+        },
+    };
+}
+
+const workflows = [
+    { id: 'ad-script-refactor-openrouter', name: NAME, active: true, tags: [] },
+    { id: 'dup1', name: NAME, active: true, tags: [{ id: '1', name: 'ad-script-refactor' }] },
+    { id: 'dup2', name: NAME, active: false, tags: [] },
+    { id: 'other', name: 'Slack digest', active: true, tags: [] },
+];
+
+test('refuses to run without a name or tag filter', () => {
+    assert.throws(() => new WorkflowRemover({ api: fakeApi(workflows), filter: {} }), /without a name or tag filter/);
+});
+
+test('remove refuses ids that do not match the filter', async () => {
+    const api = fakeApi(workflows);
+    const remover = new WorkflowRemover({ api, filter: { name: NAME }, log: () => {} });
+
+    await assert.rejects(remover.remove(['dup2', 'other', 'missing']), /Refusing to delete other, missing/);
+    assert.deepEqual(api.calls, []);
+});
+
+test('remove deactivates active workflows before deleting them', async () => {
+    const api = fakeApi(workflows);
+    await new WorkflowRemover({ api, filter: { name: NAME }, log: () => {} }).remove(['dup1', 'dup2']);
+
+    assert.deepEqual(api.calls, [['deactivate', 'dup1'], ['delete', 'dup1'], ['delete', 'dup2']]);
+});
+
+test('dry run reports without calling the API', async () => {
+    const api = fakeApi(workflows);
+    const messages = [];
+    const removed = await new WorkflowRemover({ api, filter: { name: NAME }, dryRun: true, log: message => messages.push(message) })
+        .prune('ad-script-refactor-openrouter');
+
+    assert.deepEqual(removed.map(workflow => workflow.id), ['dup1', 'dup2']);
+    assert.deepEqual(api.calls, []);
+    assert.match(messages[0], /Would deactivate and delete workflow dup1/);
+});
+
+test('prune keeps the committed workflow id', async () => {
+    const api = fakeApi(workflows);
+    await new WorkflowRemover({ api, filter: { name: NAME }, log: () => {} }).prune('ad-script-refactor-openrouter');
+
+    assert.ok(!api.calls.some(([, id]) => id === 'ad-script-refactor-openrouter'));
+    assert.ok(!api.calls.some(([, id]) => id === 'other'));
+});
+
+test('name and tag filters must both match', async () => {
+    const remover = new WorkflowRemover({ api: fakeApi(workflows), filter: { name: NAME, tag: 'ad-script-refactor' } });
+
+    assert.deepEqual((await remover.candidates()).map(workflow => workflow.id), ['dup1']);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAiResultSchema } = require('../../n8n/lib/ai-result.cjs');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, NONCE_HEADER, checkCallback } = require('../../n8n/lib/signature.cjs');
+const { WorkflowSimulator } = require('../../n8n/lib/workflow-simulator.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const BODY = {
+    task_id: 'task-42',
+    reference_script: "console.log('hi');",
+    outcome_description: 'Greet more warmly',
+};
+
+const [AI_RESULT] = loadAiResultSchema().examples;
+
+const CALLBACK_URL = 'http://host.docker.internal:8000/api/ad-scripts/task-42/result';
+const SECRET = 'simulator-secret';
+
+function simulate({ openAi, httpRequest, env = { N8N_CALLBACK_HMAC_SECRET: SECRET }, body = BODY, workflow = loadWorkflow() } = {}) {
+    const calls = [];
+    const simulator = new WorkflowSimulator(workflow, {
+        openAi: request => {
+            calls.push(request);
+            return openAi(request);
+        },
+        httpRequest,
+        env,
+    });
+
+    return simulator.run({ body }).then(result => ({ ...result, calls }));
+}
+
+test('a valid AI reply is acknowledged and posted back to Laravel', async () => {
+    const result = await simulate({
+        openAi: () => JSON.stringify(AI_RESULT),
+    });
+
+    assert.deepEqual(result.response, {
+        status: 200,
+        body: { status: 'processing', message: 'Request received', task_id: 'task-42' },
+        node: 'Respond to Webhook',
+    });
+    assert.equal(result.callbacks.length, 1);
+    assert.equal(result.callbacks[0].method, 'POST');
+    assert.equal(result.callbacks[0].url, CALLBACK_URL);
+    assert.deepEqual(JSON.parse(result.callbacks[0].body), AI_RESULT);
+    assert.equal(result.error, null);
+
+    assert.equal(result.calls[0].model, 'anthropic/claude-3.7-sonnet');
+    assert.match(result.calls[0].prompt, /Greet more warmly/);
+    assert.match(result.calls[0].prompt, /console\.log\('hi'\);/);
+});
+
+test('missing input gets the validation error response and no AI call or callback', async () => {
+    const result = await simulate({ openAi: () => '{}', body: { task_id: 'task-42' } });
+
+    assert.equal(result.response.node, 'Respond to Webhook1');
+    assert.match(result.response.body.error, /Input validation failed/);
+    assert.deepEqual(result.callbacks, []);
+    assert.deepEqual(result.calls, []);
+    assert.deepEqual(result.executed, ['Webhook Trigger', 'Input missing?', 'Format Validation Error', 'Respond to Webhook1']);
+});
+
+test('a non-JSON AI reply is posted back as an error with the raw text', async () => {
+    const result = await simulate({ openAi: () => 'Sure! Here is your script:' });
+
+    assert.deepEqual(result.callbacks.map(callback => [callback.url, JSON.parse(callback.body)]), [
+        [CALLBACK_URL, { error: 'AI returned invalid JSON', raw: 'Sure! Here is your script:' }],
+    ]);
+});
+
+test('an AI reply that breaks the result schema is posted back with the schema errors', async () => {
+    const reply = JSON.stringify({ new_script: 'Buy now', analysis: { ...AI_RESULT.analysis, tone_analysis: ['Upbeat'], recommendations: undefined } });
+    const result = await simulate({ openAi: () => reply });
+
+    assert.deepEqual(result.callbacks.map(callback => JSON.parse(callback.body)), [{
+        error: 'AI result does not match schema v1: /analysis/recommendations is required; /analysis/tone_analysis must be string, got array',
+        raw: reply.slice(0, 500),
+    }]);
+});
+
+test('an AI error item takes the Format AI Error branch', async () => {
+    const result = await simulate({ openAi: () => ({ error: { message: 'Rate limit exceeded' } }) });
+
+    assert.ok(result.executed.includes('Format AI Error'));
+    assert.ok(!result.executed.includes('Process AI JSON'));
+    assert.equal(result.callbacks.length, 1);
+    assert.equal(result.callbacks[0].url, CALLBACK_URL);
+});
+
+test('a failing AI node stops the run and starts the error trigger path', async () => {
+    const result = await simulate({
+        openAi: () => {
+            throw new Error('429 Too Many Requests');
+        },
+    });
+
+    assert.deepEqual(result.error, { node: 'AI Agent (OpenRouter)', message: '429 Too Many Requests' });
+    assert.deepEqual(result.callbacks, []);
+    assert.equal(result.response.node, 'Respond to Webhook');
+    assert.deepEqual(result.errorExecution.executed, ['Error Trigger', 'Format Global Error', 'Respond to Webhook2']);
+    assert.deepEqual(result.errorExecution.response.body, { task_id: 'unknown', error: 'Unknown Global error!' });
+});
+
+test('callbacks carry v2 signature headers over the body as sent', async () => {
+    const result = await simulate({ openAi: () => 'not json' });
+    const [callback] = result.callbacks;
+
+    assert.deepEqual(result.executed.slice(-2), ['Sign Callback', 'Callback to Laravel']);
+    assert.equal(typeof callback.body, 'string');
+    assert.equal(callback.body, result.runData['Sign Callback'][0].json.body);
+    assert.deepEqual(Object.keys(callback.headers), ['content-type', SIGNATURE_HEADER, TIMESTAMP_HEADER, NONCE_HEADER]);
+    assert.equal(callback.headers['content-type'], 'application/json');
+    assert.deepEqual(checkCallback(callback.body, callback.headers, { secrets: [SECRET], acceptV1: false }),
+        { valid: true, version: 2, secret: SECRET, error: null });
+});
+
+test('Sign Callback fails instead of sending an unsigned callback without N8N_CALLBACK_HMAC_SECRET', async () => {
+    const result = await simulate({ openAi: () => 'not json', env: {} });
+
+    assert.deepEqual(result.callbacks, []);
+    assert.equal(result.error.node, 'Sign Callback');
+    assert.match(result.error.message, /N8N_CALLBACK_HMAC_SECRET is not set in the n8n environment: refusing to send an unsigned callback/);
+});
+
+test('the Webhook Trigger rejects a missing or wrong trigger auth header before the workflow runs', async () => {
+    const credentials = { 'webhook-auth': { name: 'X-Laravel-Trigger-Auth', value: 'trigger-secret' } };
+    const run = headers => new WorkflowSimulator(loadWorkflow(), { openAi: () => JSON.stringify(AI_RESULT), credentials, env: { N8N_CALLBACK_HMAC_SECRET: SECRET } })
+        .run({ body: BODY, headers });
+
+    for (const headers of [{}, { 'X-Laravel-Trigger-Auth': 'wrong' }]) {
+        const rejected = await run(headers);
+        assert.deepEqual(rejected.response, { status: 403, body: 'Authorization data is wrong!', node: null });
+        assert.deepEqual(rejected.executed, []);
+        assert.deepEqual(rejected.callbacks, []);
+    }
+
+    const accepted = await run({ 'x-laravel-trigger-auth': 'trigger-secret' });
+    assert.equal(accepted.response.status, 200);
+    assert.equal(accepted.callbacks.length, 1);
+});
+
+test('code nodes may only require builtins allowed for n8n', async () => {
+    const workflow = loadWorkflow();
+    workflow.nodes.find(node => node.name === 'Format Validation Error').parameters.jsCode = "require('fs'); return [];";
+
+    const result = await simulate({ openAi: () => '{}', body: {}, workflow });
+
+    assert.equal(result.error.node, 'Format Validation Error');
+    assert.match(result.error.message, /Cannot find module 'fs' \[not allowed by NODE_FUNCTION_ALLOW_BUILTIN\]/);
+});
+
+test('a rejected callback fails the Callback to Laravel node', async () => {
+    const result = await simulate({
+        openAi: () => JSON.stringify(AI_RESULT),
+        httpRequest: () => ({ status: 503, body: 'Service Unavailable' }),
+    });
+
+    assert.equal(result.callbacks[0].response.status, 503);
+    assert.deepEqual(result.error, { node: 'Callback to Laravel', message: 'Request failed with status code 503' });
+});
+
+test('a workflow failing before its response node answers 500', async () => {
+    const workflow = loadWorkflow();
+    workflow.nodes.find(node => node.name === 'Format Validation Error').parameters.jsCode = "throw new Error('boom');";
+
+    const result = await simulate({ openAi: () => '{}', body: {}, workflow });
+
+    assert.deepEqual(result.response, { status: 500, body: { message: 'Error in workflow' }, node: null });
+    assert.equal(result.error.node, 'Format Validation Error');
+    assert.match(result.error.message, /boom/);
+});
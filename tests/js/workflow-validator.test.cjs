@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WorkflowValidator, loadRules, validateRules, mismatch, jsonPointer } = require('../../n8n/lib/workflow-validator.cjs');
+const { loadWorkflow } = require('../../n8n/lib/workflow-file.cjs');
+
+const rules = loadRules();
+
+function validate(workflow, disabled = []) {
+    return new WorkflowValidator({ rules, disabled }).validate(workflow);
+}
+
+function ruleIds(findings) {
+    return findings.map(finding => finding.rule);
+}
+
+function node(workflow, name) {
+    return workflow.nodes.find(candidate => candidate.name === name);
+}
+
+test('the committed workflow has no findings', () => {
+    assert.deepEqual(validate(loadWorkflow()), []);
+});
+
+test('warns when the Webhook Trigger does not check the trigger auth header', () => {
+    const workflow = loadWorkflow();
+    delete node(workflow, 'Webhook Trigger').credentials;
+
+    assert.deepEqual(ruleIds(validate(workflow)), ['credential.webhook-auth']);
+});
+
+test('finds roles by type and graph position, not by node name', () => {
+    const workflow = loadWorkflow();
+    const renamed = new Map(workflow.nodes.map((candidate, index) => [candidate.name, `Node ${index}`]));
+
+    for (const candidate of workflow.nodes) {
+        candidate.name = renamed.get(candidate.name);
+        candidate.id = `id-${candidate.name}`;
+        candidate.parameters = JSON.parse(JSON.stringify(candidate.parameters)
+            .replace(/\$\('([^']+)'\)/g, (match, name) => `$('${renamed.get(name)}')`));
+    }
+    workflow.connections = Object.fromEntries(Object.entries(workflow.connections).map(([source, outputs]) => [
+        renamed.get(source),
+        { main: outputs.main.map(targets => targets.map(target => ({ ...target, node: renamed.get(target.node) }))) },
+    ]));
+
+    assert.deepEqual(ruleIds(validate(workflow)), []);
+});
+
+test('reports a missing role with its purpose', () => {
+    const workflow = loadWorkflow();
+    workflow.nodes = workflow.nodes.filter(candidate => candidate.type !== 'n8n-nodes-base.errorTrigger');
+    delete workflow.connections['Error Trigger'];
+
+    const findings = validate(workflow).filter(finding => finding.rule === 'role.error-trigger');
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].severity, 'error');
+    assert.match(findings[0].message, /Catches executions that fail/);
+    assert.equal(findings[0].pointer, '/nodes');
+});
+
+test('reports failed requirements with the node and a JSON pointer', () => {
+    const workflow = loadWorkflow();
+    node(workflow, 'Callback to Laravel').parameters.method = 'PUT';
+
+    const [finding] = validate(workflow).filter(candidate => candidate.rule === 'role.laravel-callback');
+
+    assert.deepEqual(finding, {
+        rule: 'role.laravel-callback',
+        severity: 'error',
+        message: '"Callback to Laravel" parameters.method is "PUT", expected "POST"',
+        node: 'Callback to Laravel',
+        pointer: `/nodes/${workflow.nodes.indexOf(node(workflow, 'Callback to Laravel'))}/parameters/method`,
+    });
+});
+
+test('only matches nodes on the configured output of the previous role', () => {
+    const workflow = loadWorkflow();
+    workflow.connections['AI response ok?'].main.reverse();
+
+    const findings = validate(workflow).filter(finding => finding.rule === 'role.result-parser');
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].node, 'Format AI Error');
+});
+
+test('checks settings and structure', () => {
+    const workflow = loadWorkflow();
+    workflow.settings = { timezone: 'Europe/Berlin' };
+    node(workflow, 'Set Variables').position = 'top left';
+    workflow.connections['Set Variables'].main[0].push({ node: 'Missing', type: 'main', index: 0 });
+
+    const findings = validate(workflow);
+
+    assert.deepEqual(ruleIds(findings).filter(id => !id.startsWith('credential.')), [
+        'workflow.schema',
+        'connections.dangling',
+        'setting.timezone',
+        'setting.save-manual-executions',
+        'setting.error-workflow',
+    ]);
+    assert.equal(findings[0].node, 'Set Variables');
+    assert.match(findings.find(finding => finding.rule === 'setting.timezone').message, /"Europe\/Berlin", expected "UTC"/);
+});
+
+test('disabled rules produce no findings, unknown ids are rejected', () => {
+    const workflow = loadWorkflow();
+    delete node(workflow, 'Webhook Trigger').credentials;
+    const findings = validate(workflow, ['credential.webhook-auth']);
+
+    assert.deepEqual(findings, []);
+    assert.throws(() => validate(loadWorkflow(), ['credential.typo']), /unknown rule id credential\.typo/);
+});
+
+test('rejects rules with unknown roles, severities or matchers', () => {
+    const problems = validateRules({
+        disabled: [],
+        roles: [{ id: 'role.a', severity: 'fatal', type: 'x.y', after: 'role.b', where: { 'parameters.x': { startsWith: 'a' } } }],
+        credentials: [{ id: 'role.a', severity: 'error', credential: 'c', type: 't' }],
+        settings: [],
+    });
+
+    assert.deepEqual(problems, [
+        'role.a: severity must be one of error, warning, info',
+        'role.a: duplicate rule id',
+        'role.a: "after" refers to unknown role role.b',
+        'role.a: where parameters.x must use exactly one of equals, exists, contains, matches, oneOf',
+    ]);
+});
+
+test('matchers', () => {
+    assert.equal(mismatch('POST', 'POST'), null);
+    assert.equal(mismatch({ a: 1, b: 2 }, { equals: { b: 2, a: 1 } }), null);
+    assert.equal(mismatch(undefined, { exists: true }), 'is not set');
+    assert.equal(mismatch('abc', { contains: ['a', 'z'] }), 'does not contain "z"');
+    assert.equal(mismatch({ name: 'taskId' }, { contains: '"taskId"' }), null);
+    assert.equal(mismatch('/api/x/result', { matches: '/result$' }), null);
+    assert.equal(mismatch(3, { oneOf: [1, 2] }), 'is 3, expected one of 1, 2');
+});
+
+test('JSON pointers escape "/" and "~"', () => {
+    assert.equal(jsonPointer('connections', 'a/b~c'), '/connections/a~1b~0c');
+});